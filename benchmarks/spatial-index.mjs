@@ -0,0 +1,139 @@
+// benchmarks/spatial-index.mjs
+// Micro-benchmark of the candidate search alone: linear scan over the indexed boxes vs quadtree walk
+// (scripts/modules/spatial-index.mjs) for guide / hit-test / box-selection lookups.
+// SpatialIndexController scans below LINEAR_SCAN_LIMIT objects - this is where that limit comes from
+//
+// Run: node benchmarks/spatial-index.mjs
+// This is NOT frame time: headless, boxes are plain numbers, no DOM, no rendering. It only shows
+// from which object count the tree walk beats a linear scan. Frame time: WhiteboardDebug.frameStats()
+// Timings are in microseconds and vary from run to run - compare the columns, not the absolute values
+
+import { Quadtree, LINEAR_SCAN_LIMIT } from '../scripts/modules/spatial-index.mjs';
+
+const COUNTS = [25, 50, 100, 150, 250, 500, 1000, 2000];
+const FRAMES = 2000;
+const RUNS = 5; // Median of several runs - single runs are noisy at this scale
+const BOARD = { width: 12000, height: 8000 };
+const VIEWPORT = { width: 1920, height: 1080 }; // Zoom 1
+const MARGIN = 200;                              // CANDIDATE_MARGIN of alignment guides
+const THRESHOLD = 2;
+
+// Deterministic random, so runs are comparable
+let seed = 42;
+function random() {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+}
+
+function makeBoxes(count) {
+  const boxes = [];
+  for (let i = 0; i < count; i++) {
+    const left = random() * BOARD.width;
+    const top = random() * BOARD.height;
+    boxes.push({ id: `obj${i}`, left, top, right: left + 120 + random() * 240, bottom: top + 80 + random() * 200 });
+  }
+  return boxes;
+}
+
+// What _updateGuides does with every candidate: 5 x-pairs and 5 y-pairs within threshold
+function alignmentChecks(dragged, candidates) {
+  let hits = 0;
+  for (const b of candidates) {
+    const cx = (b.left + b.right) / 2;
+    const cy = (b.top + b.bottom) / 2;
+    const dcx = (dragged.left + dragged.right) / 2;
+    const dcy = (dragged.top + dragged.bottom) / 2;
+    if (Math.abs(dcx - cx) <= THRESHOLD) hits++;
+    if (Math.abs(dragged.left - b.left) <= THRESHOLD) hits++;
+    if (Math.abs(dragged.right - b.right) <= THRESHOLD) hits++;
+    if (Math.abs(dragged.left - b.right) <= THRESHOLD) hits++;
+    if (Math.abs(dragged.right - b.left) <= THRESHOLD) hits++;
+    if (Math.abs(dcy - cy) <= THRESHOLD) hits++;
+    if (Math.abs(dragged.top - b.top) <= THRESHOLD) hits++;
+    if (Math.abs(dragged.bottom - b.bottom) <= THRESHOLD) hits++;
+    if (Math.abs(dragged.top - b.bottom) <= THRESHOLD) hits++;
+    if (Math.abs(dragged.bottom - b.top) <= THRESHOLD) hits++;
+  }
+  return hits;
+}
+
+function intersects(b, r) {
+  return b.left <= r.right && b.right >= r.left && b.top <= r.bottom && b.bottom >= r.top;
+}
+
+// One simulated mousemove of a drag: viewport follows the pointer, one remote object moves
+function frame(i, boxes) {
+  const x = (i * 37) % (BOARD.width - VIEWPORT.width);
+  const y = (i * 23) % (BOARD.height - VIEWPORT.height);
+  const viewport = { left: x - MARGIN, top: y - MARGIN, right: x + VIEWPORT.width + MARGIN, bottom: y + VIEWPORT.height + MARGIN };
+  const dragged = { left: x + 400, top: y + 300, right: x + 600, bottom: y + 450 };
+  const point = { left: x + 500, top: y + 400, right: x + 500, bottom: y + 400 };
+  const selection = { left: x + 100, top: y + 100, right: x + 900, bottom: y + 700 };
+  const moved = boxes[i % boxes.length];
+  return { viewport, dragged, point, selection, moved };
+}
+
+// Both ways SpatialIndexController can answer a query: linear scan over the indexed boxes
+// (below LINEAR_SCAN_LIMIT) or the quadtree walk - same result, different cost
+function run(boxes, mode) {
+  const tree = new Quadtree();
+  for (const b of boxes) tree.insert(b.id, b);
+  const byId = new Map(boxes.map(b => [b.id, b]));
+  const query = mode === 'scan' ? rect => tree.scan(rect) : rect => tree.search(rect);
+
+  let sink = 0;
+  let candidates = 0;
+  const start = performance.now();
+  for (let i = 0; i < FRAMES; i++) {
+    const { viewport, dragged, point, selection, moved } = frame(i, boxes);
+    moved.left += 1;
+    moved.right += 1;
+    tree.insert(moved.id, moved);
+    const ids = query(viewport);
+    candidates += ids.length;
+    sink += alignmentChecks(dragged, ids.map(id => byId.get(id)));
+    sink += query(point).length;
+    sink += query(selection).length;
+  }
+  return { ms: (performance.now() - start) / FRAMES, sink, candidates: candidates / FRAMES };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+function format(ms) {
+  return `${(ms * 1000).toFixed(1)} µs`;
+}
+
+console.log(`One lookup round = guide candidates + hit-test point + box-selection rect + one remote move`);
+console.log(`Board ${BOARD.width}x${BOARD.height}, viewport ${VIEWPORT.width}x${VIEWPORT.height}, ${FRAMES} rounds, median of ${RUNS} runs\n`);
+console.log('objects | linear scan / round | quadtree / round | index uses (limit ' + LINEAR_SCAN_LIMIT + ') | guide candidates');
+let crossover = null;
+for (const count of COUNTS) {
+  // Warm-up run so the JIT does not count against the first row
+  run(makeBoxes(count), 'scan');
+  run(makeBoxes(count), 'tree');
+
+  const scans = [];
+  const trees = [];
+  let candidates = 0;
+  for (let i = 0; i < RUNS; i++) {
+    scans.push(run(makeBoxes(count), 'scan').ms);
+    const tree = run(makeBoxes(count), 'tree');
+    trees.push(tree.ms);
+    candidates = tree.candidates;
+  }
+  const scan = median(scans);
+  const tree = median(trees);
+  // Smallest size from which the quadtree wins at every larger size too
+  if (tree >= scan) crossover = null;
+  else if (crossover === null) crossover = count;
+  const uses = count < LINEAR_SCAN_LIMIT ? 'linear scan' : 'quadtree';
+  console.log(`${String(count).padStart(7)} | ${format(scan).padStart(18)} | ${format(tree).padStart(16)} | ${uses.padStart(23)} | ${candidates.toFixed(0)} of ${count}`);
+}
+if (crossover === null) console.log(`\nThe linear scan was as fast or faster at ${COUNTS[COUNTS.length - 1]} objects`);
+else if (crossover === COUNTS[0]) console.log(`\nThe quadtree was faster at every size measured (from ${crossover} objects)`);
+else console.log(`\nThe quadtree is faster from ${crossover} objects on; below that the linear scan is as fast or faster`);
+console.log('Frame time in the browser (culling, hit-test, guides): WhiteboardDebug.frameStats() in the console');
@@ -10,6 +10,12 @@ window.WbeLogger = WbeLogger;
 // Fractional indexing for z-index management (external utility, pure functions)
 import { rankBetween, rankAfter, rankBefore } from './modules/fractional-index.mjs';
 
+// Quadtree for "what is near this point/rect" queries (pure data structure, fed by SpatialIndexController)
+import { Quadtree, LINEAR_SCAN_LIMIT } from './modules/spatial-index.mjs';
+
+// Per-field LWW rules shared by the Registry, off-page writes and offline replay (pure functions)
+import { UNCLOCKED_FIELDS, compareStamps, sameValue, resolveReplay, resolveStoredWrite } from './modules/field-clocks.mjs';
+
 // ==========================================
 // FOUNDRY HOOKS - Bootstrap
 // ==========================================
@@ -63,11 +69,44 @@ import { getAllMouseDownHandlers } from './modules/mousedown-handlers.mjs';
 // Alignment guides - auto-initializes via Hooks.once('ready')
 import './modules/alignment-guides.mjs';
 
+// Snap grid (G, per-scene spacing; used by alignment guides and shapes) - auto-initializes via Hooks.once('ready')
+import './modules/snap-grid.mjs';
+
 // Shapes (primitives) - auto-initializes via Hooks.once('ready')
 import './modules/shapes.mjs';
 
+// Connectors - auto-initializes via Hooks.once('ready')
+import './modules/connectors.mjs';
+
+// Frames (zones that carry their contents) - auto-initializes via Hooks.once('ready')
+import './modules/frames.mjs';
+
+// Sticky notes - auto-initializes via Hooks.once('ready')
+import './modules/notes.mjs';
+
+// Remote cursors and selection presence - auto-initializes via Hooks.once('ready')
+import './modules/presence.mjs';
+// Laser pointer and ephemeral pen - auto-initializes via Hooks.once('ready')
+import './modules/ephemeral.mjs';
+// Board export/import as a JSON file - auto-initializes via Hooks.once('ready')
+import './modules/board-io.mjs';
+// PNG/SVG snapshot of the board or selection - auto-initializes via Hooks.once('ready')
+import './modules/board-image.mjs';
+// Templates library (saved selections stamped at the cursor) - auto-initializes via Hooks.once('ready')
+import './modules/templates.mjs';
+// Page strip (switch between pages of the scene) - auto-initializes via Hooks.once('ready')
+import './modules/pages.mjs';
+// Minimap navigator (objects, own and other users' viewports) - auto-initializes via Hooks.once('ready')
+import './modules/minimap.mjs';
+// Viewpoints & presenter mode (saved pan + zoom, slides) - auto-initializes via Hooks.once('ready')
+import './modules/viewpoints.mjs';
+// Layers panel (objects in z-order: select, rename, reorder, freeze, delete) - auto-initializes via Hooks.once('ready')
+import './modules/layers.mjs';
+// Board search (Ctrl+F: highlight, pan to hits, find and replace) - auto-initializes via Hooks.once('ready')
+import './modules/search.mjs';
+
 // WBE Floating Toolbar - независимый от Foundry тулбар
-import { initToolbar, registerTool } from './modules/wbe-toolbar.mjs';
+import { initToolbar, registerTool, setToolDisabled } from './modules/wbe-toolbar.mjs';
 
 // ==========================================
 // Pickr - Color Picker Library (@simonwep/pickr)
@@ -399,6 +438,8 @@ if (!window.WbeLogger) {
 const MODULE_ID = "whiteboard-experience";
 const LAYER_ID = "whiteboard-experience-layer";
 const SOCKET_NAME = `module.${MODULE_ID}`;
+// First page of every scene - its objects stay in the pre-pages flag location (see FoundryPersistenceAdapter)
+const DEFAULT_PAGE_ID = "main";
 const ZINDEX_TEXT_COLOR_PICKER = 20100;
 const ZINDEX_GM_WARNING_INDICATOR = 30003; // Above SELECTION_INDICATOR (30001)
 
@@ -522,6 +563,83 @@ function registerModuleSettings() {
     requiresReload: true
   });
 
+  // Presence (per user)
+  game.settings.register(MODULE_ID, 'showRemoteCursors', {
+    name: 'Show Other Cursors',
+    hint: 'Show where other users are pointing on the whiteboard.',
+    scope: 'client',
+    config: true,
+    type: Boolean,
+    default: true,
+    onChange: value => window.WBE_Presence?.setShowCursors(value)
+  });
+
+  game.settings.register(MODULE_ID, 'broadcastCursor', {
+    name: 'Share My Cursor',
+    hint: 'Let other users see where you are pointing on the whiteboard and which part of it you are looking at (minimap).',
+    scope: 'client',
+    config: true,
+    type: Boolean,
+    default: true,
+    onChange: value => {
+      window.WBE_Presence?.setBroadcast(value);
+      window.WBE_Minimap?.onBroadcastChange();
+    }
+  });
+
+  // Alignment guides (per user, see modules/alignment-guides.mjs)
+  game.settings.register(MODULE_ID, 'guideShowThreshold', {
+    name: 'Alignment Guide Distance',
+    hint: 'How close (in board pixels) an edge, center or size must be to another object before a guide line appears.',
+    scope: 'client',
+    config: true,
+    type: Number,
+    range: { min: 0, max: 20, step: 1 },
+    default: 2,
+    onChange: () => window.WBE_AlignmentGuides?.refreshSettings()
+  });
+
+  game.settings.register(MODULE_ID, 'guideSnapThreshold', {
+    name: 'Alignment Snap Distance',
+    hint: 'How close (in board pixels) objects snap to guides, equal spacing and matching sizes. 0 shows guides without snapping.',
+    scope: 'client',
+    config: true,
+    type: Number,
+    range: { min: 0, max: 20, step: 1 },
+    default: 2,
+    onChange: () => window.WBE_AlignmentGuides?.refreshSettings()
+  });
+
+  game.settings.register(MODULE_ID, 'viewportCulling', {
+    name: 'Skip Off-screen Objects',
+    hint: 'Objects far outside the visible area are not rendered until you pan to them. Turn off if objects appear late on a fast machine.',
+    scope: 'client',
+    config: true,
+    type: Boolean,
+    default: true,
+    onChange: (value) => window.Whiteboard?.layer?.setCullingEnabled(value)
+  });
+
+  // Board templates library (saved selections, see modules/templates.mjs)
+  game.settings.register(MODULE_ID, 'boardTemplates', {
+    name: 'Board Templates',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {},
+    onChange: () => window.WBE_Templates?.refresh()
+  });
+
+  game.settings.register(MODULE_ID, 'ephemeralInkDelay', {
+    name: 'Ephemeral Pen Fade Delay',
+    hint: 'Seconds before strokes of the ephemeral pen disappear (for everyone).',
+    scope: 'client',
+    config: true,
+    type: Number,
+    range: { min: 1, max: 60, step: 1 },
+    default: 5
+  });
+
   // Google Fonts setting
   game.settings.register(MODULE_ID, 'googleFonts', {
     name: 'Google Fonts',
@@ -938,14 +1056,30 @@ function showWBEHelpModal() {
           <span class="wbe-help-desc">Draw rectangle (square)</span>
           <span class="wbe-help-key">C</span>
           <span class="wbe-help-desc">Draw circle</span>
+          <span class="wbe-help-key">L</span>
+          <span class="wbe-help-desc">Draw line / arrow (Shift snaps angle to 15°)</span>
           <span class="wbe-help-key">F</span>
           <span class="wbe-help-desc">Freehand drawing</span>
+          <span class="wbe-help-key">K</span>
+          <span class="wbe-help-desc">Draw connector between objects (follows them when moved)</span>
+          <span class="wbe-help-key">N</span>
+          <span class="wbe-help-desc">Place sticky note (paste a list while active = one note per line)</span>
+          <span class="wbe-help-key">B</span>
+          <span class="wbe-help-desc">Draw frame (objects fully inside move, lock and hide with it)</span>
+          <span class="wbe-help-key">P</span>
+          <span class="wbe-help-desc">Laser pointer (trail fades, seen by everyone, never saved)</span>
+          <span class="wbe-help-key">E</span>
+          <span class="wbe-help-desc">Ephemeral pen (strokes vanish after the delay set in Module Settings)</span>
           <span class="wbe-help-key">Ctrl+C</span>
           <span class="wbe-help-desc">Copy selected object (text, image, shape)</span>
           <span class="wbe-help-key">Ctrl+V</span>
           <span class="wbe-help-desc">Paste object at cursor</span>
           <span class="wbe-help-key">Delete</span>
           <span class="wbe-help-desc">Delete selected objects</span>
+          <span class="wbe-help-key">Ctrl+Z</span>
+          <span class="wbe-help-desc">Undo last change</span>
+          <span class="wbe-help-key">Ctrl+Shift+Z</span>
+          <span class="wbe-help-desc">Redo</span>
         </div>
       </div>
       
@@ -957,7 +1091,7 @@ function showWBEHelpModal() {
           <span class="wbe-help-key">Click</span>
           <span class="wbe-help-desc">Select object</span>
           <span class="wbe-help-key">Double-click</span>
-          <span class="wbe-help-desc">Edit text / Edit shape text</span>
+          <span class="wbe-help-desc">Edit text / Edit shape text / Edit connector label / Edit note / Rename frame / Enter group (pick one member)</span>
           <span class="wbe-help-key">Shift+Enter</span>
           <span class="wbe-help-desc">New line (while editing text)</span>
           <span class="wbe-help-key">Shift+Click</span>
@@ -982,6 +1116,10 @@ function showWBEHelpModal() {
           <span class="wbe-help-desc">Bring to front</span>
           <span class="wbe-help-key">Shift+PageDown</span>
           <span class="wbe-help-desc">Send to back</span>
+          <span class="wbe-help-key">Ctrl+G</span>
+          <span class="wbe-help-desc">Group selected objects (click any member to select the group)</span>
+          <span class="wbe-help-key">Ctrl+Shift+G</span>
+          <span class="wbe-help-desc">Ungroup</span>
           <span class="wbe-help-key"><i class="fa-solid fa-lock" style="font-size:10px"></i> Freeze</span>
           <span class="wbe-help-desc">Lock object from editing (in style panel)</span>
           <span class="wbe-help-key">Long click <i class="fa-solid fa-lock" style="font-size:10px"></i></span>
@@ -1047,8 +1185,28 @@ function showWBEHelpModal() {
  * - No conflicts during concurrent operations
  * - Only changed object needs to be updated
  * - O(1) insert at any position
+ * 
+ * Z-bands: each object type belongs to a band (default 0). Lower bands always
+ * render beneath higher ones (frames use -1 to stay under their contents);
+ * rank orders objects inside a band, and single-object moves never leave it.
  */
 class ZIndexModel {
+  // Map<type, band> - filled via Whiteboard.registerObjectType({ zBand })
+  static typeBands = new Map();
+
+  /**
+   * Put all objects of a type into a z-band
+   * @param {string} type - Object type
+   * @param {number} band - Lower = beneath (default band is 0)
+   */
+  static setTypeBand(type, band) {
+    if (typeof band !== 'number' || band === 0) {
+      ZIndexModel.typeBands.delete(type);
+    } else {
+      ZIndexModel.typeBands.set(type, band);
+    }
+  }
+
   constructor(baseZ = 1000) {
     this.objectRank = new Map(); // Map<id, {rank: string, type: string}>
     this.baseZ = baseZ;
@@ -1184,7 +1342,9 @@ class ZIndexModel {
       return { success: false, newZIndex: this.baseZ, newRank: '' };
     }
 
-    const toIndex = Math.max(0, Math.min(list.length - 1, fromIndex + delta));
+    // Objects never leave their z-band
+    const [bandStart, bandEnd] = this._bandRange(list, fromIndex);
+    const toIndex = Math.max(bandStart, Math.min(bandEnd, fromIndex + delta));
     console.log(`[ZIndexModel.move] toIndex=${toIndex}`);
     
     if (toIndex === fromIndex) {
@@ -1204,17 +1364,17 @@ class ZIndexModel {
       // Moving up: insert after toIndex
       const adjustedToIndex = fromIndex < toIndex ? toIndex : toIndex;
       beforeRank = list[adjustedToIndex]?.rank ?? '';
-      afterRank = list[adjustedToIndex + 1]?.rank ?? '';
+      afterRank = adjustedToIndex < bandEnd ? (list[adjustedToIndex + 1]?.rank ?? '') : '';
       console.log(`[ZIndexModel.move] Moving UP: beforeRank=${beforeRank}, afterRank=${afterRank}`);
     } else {
       // Moving down: insert before toIndex
-      if (toIndex > 0) {
+      if (toIndex > bandStart) {
       beforeRank = list[toIndex - 1]?.rank ?? '';
       afterRank = list[toIndex]?.rank ?? '';
         console.log(`[ZIndexModel.move] Moving DOWN: toIndex=${toIndex}, beforeRank=${beforeRank} (from idx ${toIndex-1}), afterRank=${afterRank} (from idx ${toIndex})`);
       } else {
-        // Moving to bottom (toIndex = 0), use rankBefore
-        const firstRank = list[0]?.rank ?? '';
+        // Moving to bottom of the band (toIndex = bandStart), use rankBefore
+        const firstRank = list[bandStart]?.rank ?? '';
         const newRank = rankBefore(firstRank);
         console.log(`[ZIndexModel.move] Moving to BOTTOM: firstRank=${firstRank}, newRank=${newRank}`);
         this.objectRank.get(objectId).rank = newRank;
@@ -1267,10 +1427,12 @@ class ZIndexModel {
       return { success: false, newZIndex: this.baseZ, newRank: '' };
     }
     
-    const lastRank = this._getLastRank();
+    const list = this._sorted();
+    const [, bandEnd] = this._bandRange(list, list.findIndex(o => o.id === objectId));
+    const lastRank = list[bandEnd].rank;
     const entry = this.objectRank.get(objectId);
     
-    // Already at top?
+    // Already at top (of its band)?
     if (entry.rank === lastRank) {
       return { success: true, newZIndex: this.get(objectId), newRank: entry.rank, atBoundary: true };
     }
@@ -1290,10 +1452,12 @@ class ZIndexModel {
       return { success: false, newZIndex: this.baseZ, newRank: '' };
     }
     
-    const firstRank = this._getFirstRank();
+    const list = this._sorted();
+    const [bandStart] = this._bandRange(list, list.findIndex(o => o.id === objectId));
+    const firstRank = list[bandStart].rank;
     const entry = this.objectRank.get(objectId);
     
-    // Already at bottom?
+    // Already at bottom (of its band)?
     if (entry.rank === firstRank) {
       return { success: true, newZIndex: this.get(objectId), newRank: entry.rank, atBoundary: true };
     }
@@ -1537,8 +1701,10 @@ class ZIndexModel {
       type: data.type
     }));
     
-    // Sort by rank (lexicographic), with id as tiebreaker
+    // Sort by z-band, then rank (lexicographic), with id as tiebreaker
     list.sort((a, b) => {
+      const bandDiff = this._band(a.type) - this._band(b.type);
+      if (bandDiff !== 0) return bandDiff;
       if (a.rank < b.rank) return -1;
       if (a.rank > b.rank) return 1;
       return a.id < b.id ? -1 : 1;
@@ -1558,17 +1724,46 @@ class ZIndexModel {
     const list = this._sorted();
     return list.length > 0 ? list[0].rank : '';
   }
+
+  _band(type) {
+    return ZIndexModel.typeBands.get(type) || 0;
+  }
+
+  /**
+   * Index range [start, end] of the band containing list[index] (bands are contiguous in sorted list)
+   */
+  _bandRange(list, index) {
+    const band = this._band(list[index].type);
+    let start = index;
+    let end = index;
+    while (start > 0 && this._band(list[start - 1].type) === band) start--;
+    while (end < list.length - 1 && this._band(list[end + 1].type) === band) end++;
+    return [start, end];
+  }
 }
 
 // ==========================================
 // 1. Registry & State (Model)
 // ==========================================
 class ObjectRegistry {
+  // Fields that are not user data: never stamped or merged by field clocks
+  static UNCLOCKED_FIELDS = UNCLOCKED_FIELDS;
+  // Fields a local drag owns until it ends
+  static DRAG_FIELDS = ['x', 'y'];
+  static REJECTED_LOG_LIMIT = 200;
+
   constructor() {
     this.objects = new Map();
     this._instanceId = Date.now() + '-' + Math.random().toString(36).substr(2, 9);
     this.listeners = new Set();
     this._dragStateChecker = null; // Callback to check if object is in drag state
+
+    // Per-field last-writer-wins (see _mergeRemoteFields)
+    // Stamp = [lamportCounter, userId]; a local edit stamps its fields with ++clock,
+    // every stamp seen from others moves the clock forward
+    this.clock = 0;
+    this._fieldClocks = new Map(); // id -> { field: [counter, userId] }
+    this.rejectedUpdates = []; // Debug log of remote fields that lost (WhiteboardDebug.rejectedUpdates())
     
     // Z-index management via fractional indexing
     // CRITICAL: baseZ = 0 because layer creates stacking context (isolation: isolate)
@@ -1585,6 +1780,117 @@ class ObjectRegistry {
   setDragStateChecker(checker) {
     this._dragStateChecker = checker;
   }
+
+  // ========== Field Clocks (per-field LWW) ==========
+
+  /**
+   * Compare two stamps: counter first; on a tie the GM is the authority,
+   * then user IDs decide so every client picks the same winner
+   * @param {Array|undefined} a - [counter, userId]
+   * @param {Array|undefined} b - [counter, userId]
+   * @returns {number} > 0 if a wins, < 0 if b wins, 0 if it is the same write
+   */
+  static compareStamps(a, b) {
+    return compareStamps(a, b, ObjectRegistry.isGMUser);
+  }
+
+  /**
+   * GM check for stamp tie-breaks (field-clocks.mjs takes it as a parameter)
+   * @param {string} userId
+   * @returns {boolean}
+   */
+  static isGMUser(userId) {
+    return !!game.users?.get(userId)?.isGM;
+  }
+
+  /**
+   * Field stamps of an object (sent with socket updates and saved with the object)
+   * @param {string} id - Object ID
+   * @returns {Object<string, Array>} field -> [counter, userId]
+   */
+  getFieldClocks(id) {
+    return { ...(this._fieldClocks.get(id) || {}) };
+  }
+
+  /**
+   * Adopt stamps that came with an object (DB load, remote creation)
+   * @param {string} id - Object ID
+   * @param {Object<string, Array>} clocks - field -> [counter, userId]
+   */
+  restoreFieldClocks(id, clocks) {
+    if (!clocks || typeof clocks !== 'object') return;
+    const local = this._fieldClocks.get(id) || {};
+    for (const [field, stamp] of Object.entries(clocks)) {
+      if (!Array.isArray(stamp)) continue;
+      if (ObjectRegistry.compareStamps(stamp, local[field]) > 0) local[field] = stamp;
+      this.clock = Math.max(this.clock, stamp[0] || 0);
+    }
+    this._fieldClocks.set(id, local);
+  }
+
+  /**
+   * Stamp locally changed fields with the next Lamport counter
+   */
+  _stampLocal(id, fields) {
+    const dataFields = fields.filter(field => !ObjectRegistry.UNCLOCKED_FIELDS.includes(field));
+    if (dataFields.length === 0) return;
+    const stamp = [++this.clock, game.user?.id || ''];
+    const clocks = this._fieldClocks.get(id) || {};
+    for (const field of dataFields) clocks[field] = stamp;
+    this._fieldClocks.set(id, clocks);
+  }
+
+  /**
+   * Keep only remote fields whose stamp beats ours; losers go to rejectedUpdates
+   * @returns {Object|null} Accepted changes (null if nothing is left to apply)
+   */
+  _mergeRemoteFields(id, obj, changes, { clocks, userId }) {
+    const local = this._fieldClocks.get(id) || {};
+    const accepted = {};
+    let acceptedData = false;
+
+    for (const [field, value] of Object.entries(changes)) {
+      if (ObjectRegistry.UNCLOCKED_FIELDS.includes(field)) continue;
+      const remoteStamp = clocks[field];
+      if (remoteStamp) this.clock = Math.max(this.clock, remoteStamp[0] || 0);
+
+      const order = ObjectRegistry.compareStamps(remoteStamp, local[field]);
+      if (order > 0) {
+        accepted[field] = value;
+        local[field] = remoteStamp;
+        acceptedData = true;
+      } else if (order < 0 && !ObjectRegistry._sameValue(value, obj[field])) {
+        this._logRejected(id, field, value, obj[field], remoteStamp, 'older stamp', userId, local[field]);
+      }
+    }
+
+    if (!acceptedData) return null;
+    // zIndex is derived from rank - follow it only when the rank itself was taken
+    if ('rank' in accepted && 'zIndex' in changes) accepted.zIndex = changes.zIndex;
+    this._fieldClocks.set(id, local);
+    return accepted;
+  }
+
+  static _sameValue(a, b) {
+    return sameValue(a, b);
+  }
+
+  _logRejected(id, field, remoteValue, localValue, remoteStamp, reason, userId, localStamp = this._fieldClocks.get(id)?.[field]) {
+    this.rejectedUpdates.push({
+      time: new Date().toISOString(),
+      id,
+      field,
+      reason,
+      fromUser: game.users?.get(userId)?.name || userId || '?',
+      remoteValue,
+      localValue,
+      remoteStamp: remoteStamp ? remoteStamp.join('@') : '-',
+      localStamp: localStamp ? localStamp.join('@') : '-'
+    });
+    if (this.rejectedUpdates.length > ObjectRegistry.REJECTED_LOG_LIMIT) {
+      this.rejectedUpdates.shift();
+    }
+  }
   register(obj, source = 'local') {
     // Set timestamp on creation (if not already set)
     if (!obj._lastModified) {
@@ -1626,6 +1932,8 @@ class ObjectRegistry {
       this.objects.delete(id);
       this.zIndexModel.remove(id); // Remove from z-index management
       this._notify(id, 'deleted', null, source);
+      // After listeners: the offline queue keeps the stamps the deletion was based on
+      this._fieldClocks.delete(id);
     }
   }
   update(id, changes, source = 'local', metadata = {}) {
@@ -1643,31 +1951,45 @@ class ObjectRegistry {
         });
       }
 
-      // // RACE CONDITION PROTECTION: timestamp check
       const timestamp = metadata.timestamp || Date.now();
       const objTimestamp = obj._lastModified || 0;
-      
-      // // If this is a remote change and older than current - ignore
-      if (source === 'remote' && timestamp < objTimestamp) {
-        console.log(`[Registry] Ignoring stale update for ${id}: remote=${timestamp}, local=${objTimestamp}`);
-        return;
-      }
-      
-      // // If this is a remote change and simultaneous with local - local has priority
-      if (source === 'remote' && timestamp === objTimestamp && obj._lastModifiedSource === 'local') {
-        console.log(`[Registry] Ignoring concurrent remote update for ${id}: local has priority`);
-        return;
-      }
-
-      // Check if object is being dragged
-      if (this._dragStateChecker && this._dragStateChecker(id)) {
-        // During LOCAL drag: block ALL remote changes (including x/y)
-        // Only local client controls drag position - prevents interference from other clients
-        if (source === 'remote') {
-          // Silently ignore all remote changes during local drag
+      const isDragged = !!(this._dragStateChecker && this._dragStateChecker(id));
+
+      if (source === 'remote' && metadata.clocks) {
+        // Local drag owns the position until it ends (its final update gets a newer stamp anyway)
+        if (isDragged) {
+          changes = { ...changes };
+          for (const field of ObjectRegistry.DRAG_FIELDS) {
+            if (!(field in changes)) continue;
+            if (changes[field] !== obj[field]) {
+              this._logRejected(id, field, changes[field], obj[field], metadata.clocks[field], 'local drag', metadata.userId);
+            }
+            delete changes[field];
+          }
+        }
+        // Per-field LWW: only fields with a newer stamp survive, others merge untouched
+        changes = this._mergeRemoteFields(id, obj, changes, metadata);
+        if (!changes) return;
+      } else if (source === 'remote') {
+        // Peers without field clocks (offline replay, older clients): whole-object timestamps
+        // // If this is a remote change and older than current - ignore
+        if (timestamp < objTimestamp) {
+          console.log(`[Registry] Ignoring stale update for ${id}: remote=${timestamp}, local=${objTimestamp}`);
           return;
         }
+        
+        // // If this is a remote change and simultaneous with local - local has priority
+        if (timestamp === objTimestamp && obj._lastModifiedSource === 'local') {
+          console.log(`[Registry] Ignoring concurrent remote update for ${id}: local has priority`);
+          return;
+        }
+
+        // During LOCAL drag: block ALL remote changes
+        if (isDragged) return;
+      }
 
+      // Local drag in progress
+      if (isDragged && source !== 'remote') {
         // During local drag: filter changes - only allow x/y (and selected for visual feedback)
         // This prevents style changes (textWidth, color, fontSize, etc.) from affecting the object
         const allowedChanges = {};
@@ -1696,7 +2018,8 @@ class ObjectRegistry {
       // Normal update - apply all changes
       // // Protect against prototype method overwrite: filter properties with method names
       const methodNames = ['canEdit', 'getCopyData', 'getElementForHitTest', 'getSerializationKey', 
-                           'onCreated', 'updateClickTarget', 'applyScaleTransform', 'getImageElementForCopy'];
+                           'onCreated', 'updateClickTarget', 'applyScaleTransform', 'getImageElementForCopy',
+                           'getSearchableFields'];
       const safeChanges = {};
       for (const [key, value] of Object.entries(changes)) {
         if (!methodNames.includes(key)) {
@@ -1707,7 +2030,8 @@ class ObjectRegistry {
         }
       }
       Object.assign(obj, safeChanges);
-      obj._lastModified = timestamp;
+      // A merged remote change may carry an older timestamp than the object already has
+      obj._lastModified = source === 'remote' ? Math.max(timestamp, objTimestamp) : timestamp;
       obj._lastModifiedSource = source;
       this._notify(id, 'updated', obj, source, safeChanges);
     }
@@ -1770,6 +2094,24 @@ class ObjectRegistry {
     return result;
   }
 
+  /**
+   * Put object at an explicit rank (used by undo/redo to restore z-order)
+   * @param {string} id - Object ID
+   * @param {string} rank - Fractional rank to restore
+   * @returns {{ success: boolean, newZIndex: number, newRank: string }}
+   */
+  setRank(id, rank) {
+    const obj = this.objects.get(id);
+    if (!obj || !rank || obj.rank === rank) {
+      return { success: false, newZIndex: obj?.zIndex ?? this.zIndexModel.baseZ, newRank: obj?.rank || '' };
+    }
+    this.zIndexModel.remove(id);
+    const newZIndex = this.zIndexModel.assignWithRank(id, rank, obj.type);
+    const result = { success: true, newZIndex, newRank: this.zIndexModel.getRank(id) };
+    this._applyZIndexChange(id, result);
+    return result;
+  }
+
   /**
    * Move a group of objects up as a unit (preserving internal order)
    * @param {Array<string>} ids - Array of object IDs
@@ -1948,6 +2290,10 @@ class ObjectRegistry {
     return () => this.listeners.delete(callback);
   }
   _notify(id, type, data, source, changes = null) {
+    // Stamp before listeners run - SocketController sends the stamps along
+    if (source === 'local' && type === 'updated' && id && changes) {
+      this._stampLocal(id, Object.keys(changes));
+    }
     this.listeners.forEach(cb => cb({
       id,
       type,
@@ -1958,6 +2304,359 @@ class ObjectRegistry {
   }
 }
 
+/**
+ * Spatial index of the Registry: world box of every object in a quadtree
+ * Hit-test fallback, box selection and alignment guides ask it for objects near a point/rect
+ * instead of walking (and measuring) the whole Registry on every mousemove
+ *
+ * Boxes are measured from the DOM - the same box alignment guides snap to - once per frame,
+ * only for objects the Registry reported as changed. Queries flush pending measurements first.
+ * Small boards (below LINEAR_SCAN_LIMIT objects) are answered by a linear scan of the boxes -
+ * the quadtree walk only pays off from there (benchmarks/spatial-index.mjs)
+ */
+class SpatialIndexController {
+  // Changes that never move or resize an object
+  static STATIC_FIELDS = ['selected', 'massSelected', 'zIndex', 'rank', 'frozen', 'name', '_lastModified', '_lastModifiedSource', '_fieldClocks'];
+  static BORDER_SELECTOR = '.wbe-image-permanent-border, .wbe-text-permanent-border, .wbe-permanent-border';
+
+  constructor(registry, layer) {
+    this.registry = registry;
+    this.layer = layer;
+    this.tree = new Quadtree();
+    this._dirty = new Set();
+    // Objects without a box yet (hidden before their first render, auto-sized text with no model size)
+    // They are returned by every query so nothing goes missing, and re-measured on every flush
+    this._unmeasured = new Set();
+    // Offset of the last rendered box from the model position - moves the box of a culled object along
+    this._anchors = new Map(); // id -> { dx, dy }
+    this._flushFrame = null;
+    this._unsubscribe = null;
+  }
+
+  init() {
+    this._unsubscribe = this.registry.subscribe(this._handleRegistryChange.bind(this));
+    this.rebuild();
+  }
+
+  cleanup() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+    if (this._flushFrame !== null) {
+      cancelAnimationFrame(this._flushFrame);
+      this._flushFrame = null;
+    }
+    this.clear();
+  }
+
+  _handleRegistryChange({ id, type, changes }) {
+    if (!id) return; // zIndexBatchUpdate - order only
+
+    if (type === 'deleted') {
+      this._dirty.delete(id);
+      this._unmeasured.delete(id);
+      this._anchors.delete(id);
+      this.tree.remove(id);
+      return;
+    }
+    if (type === 'updated' && changes && Object.keys(changes).every(key => SpatialIndexController.STATIC_FIELDS.includes(key))) {
+      return;
+    }
+    this.invalidate(id);
+  }
+
+  /**
+   * Re-measure an object on the next frame
+   * For views that change their box without a Registry update (connectors re-routed after an endpoint moved)
+   * @param {string} id
+   */
+  invalidate(id) {
+    this._dirty.add(id);
+    if (this._flushFrame !== null) return;
+    // After Layer has written the DOM for this change - one layout read per frame
+    this._flushFrame = requestAnimationFrame(() => {
+      this._flushFrame = null;
+      this.flush();
+    });
+  }
+
+  /**
+   * Re-measure every object (scene/page switch clears the Registry without events)
+   */
+  rebuild() {
+    this.clear();
+    for (const id of this.registry.getAllIds()) {
+      this.invalidate(id);
+    }
+  }
+
+  clear() {
+    this.tree.clear();
+    this._dirty.clear();
+    this._unmeasured.clear();
+    this._anchors.clear();
+  }
+
+  /**
+   * Measure pending objects now
+   */
+  flush() {
+    if (this._dirty.size === 0 && this._unmeasured.size === 0) return;
+
+    const startedAt = frameProfiler.begin();
+    const ids = [...this._dirty, ...this._unmeasured];
+    this._dirty.clear();
+    this._unmeasured.clear();
+    const transform = this._getLayerTransform();
+
+    for (const id of ids) {
+      const obj = this.registry.get(id);
+      if (!obj) {
+        this.tree.remove(id);
+        continue;
+      }
+      const box = this._measure(obj, transform);
+      if (box) {
+        this.tree.insert(id, box);
+      } else if (!this.tree.has(id)) {
+        this._unmeasured.add(id);
+      }
+      // Otherwise keep the last known box (hidden now, the model has no size to fall back to)
+    }
+    frameProfiler.end('indexUpdate', startedAt);
+  }
+
+  _getLayerTransform() {
+    const element = this.layer?.element;
+    if (!element) return null;
+    const layerRect = element.getBoundingClientRect();
+    return { left: layerRect.left, top: layerRect.top, scale: canvas?.stage?.worldTransform?.a || 1 };
+  }
+
+  /**
+   * World box of an object: rendered box if visible, else the model box,
+   * else the last rendered box moved to the model position
+   * @returns {{left: number, top: number, right: number, bottom: number}|null}
+   */
+  _measure(obj, transform) {
+    const hasPosition = Number.isFinite(obj.x) && Number.isFinite(obj.y);
+    // Culled contents are not laid out - reading them would force the layout culling skips
+    const container = this.layer?.isCulled?.(obj.id) ? null : this.layer?.getObjectContainer(obj.id);
+    if (container && transform) {
+      const permaBorder = container.querySelector(SpatialIndexController.BORDER_SELECTOR);
+      const rect = (permaBorder || container).getBoundingClientRect();
+      if (rect.width > 0 || rect.height > 0) {
+        const left = (rect.left - transform.left) / transform.scale;
+        const top = (rect.top - transform.top) / transform.scale;
+        if (hasPosition) this._anchors.set(obj.id, { dx: left - obj.x, dy: top - obj.y });
+        return { left, top, right: left + rect.width / transform.scale, bottom: top + rect.height / transform.scale };
+      }
+    }
+
+    // Culled, hidden or not rendered yet - models that know their size
+    if (hasPosition && Number.isFinite(obj.width) && Number.isFinite(obj.height)) {
+      const scale = obj.scale !== undefined ? obj.scale : 1;
+      const width = obj.width * scale;
+      const height = obj.height * scale;
+      // Scaled containers keep their center (transform-origin: center)
+      const left = obj.x + obj.width / 2 - width / 2;
+      const top = obj.y + obj.height / 2 - height / 2;
+      return { left, top, right: left + width, bottom: top + height };
+    }
+
+    // Auto-sized (text): same size as last rendered, at the new position
+    const last = this.tree.get(obj.id);
+    const anchor = this._anchors.get(obj.id);
+    if (!hasPosition || !last || !anchor) return null;
+    const left = obj.x + anchor.dx;
+    const top = obj.y + anchor.dy;
+    return { left, top, right: left + (last.right - last.left), bottom: top + (last.bottom - last.top) };
+  }
+
+  // ---------- Queries ----------
+
+  /**
+   * Objects whose box intersects a world rect
+   * @param {{left: number, top: number, right: number, bottom: number}} rect
+   * @returns {Array<WhiteboardObject>}
+   */
+  query(rect) {
+    return this.queryEntries(rect).map(entry => entry.obj);
+  }
+
+  /**
+   * Same as query(), with the indexed box of each object (null for objects not measured yet)
+   * @returns {Array<{obj: WhiteboardObject, bounds: Object|null}>}
+   */
+  queryEntries(rect) {
+    this.flush();
+    const result = [];
+    const ids = this.tree.size < LINEAR_SCAN_LIMIT ? this.tree.scan(rect) : this.tree.search(rect);
+    for (const id of ids) {
+      const obj = this.registry.get(id);
+      if (obj) result.push({ obj, bounds: this.tree.get(id) });
+    }
+    for (const id of this._unmeasured) {
+      const obj = this.registry.get(id);
+      if (obj) result.push({ obj, bounds: null });
+    }
+    return result;
+  }
+
+  /**
+   * Objects whose box contains a world point
+   * @param {number} x
+   * @param {number} y
+   * @param {number} [pad=0] - Tolerance (world px)
+   */
+  queryPoint(x, y, pad = 0) {
+    return this.query({ left: x - pad, top: y - pad, right: x + pad, bottom: y + pad });
+  }
+
+  /**
+   * Objects under a screen rect ({left, top, width, height} or {left, top, right, bottom})
+   */
+  queryScreenRect(screenRect) {
+    const rect = this.screenToWorldRect(screenRect);
+    return rect ? this.query(rect) : this.registry.getAll();
+  }
+
+  /**
+   * Objects in (or within `margin` world px of) the visible part of the board
+   * @param {number} [margin=0]
+   */
+  queryVisible(margin = 0) {
+    const rect = this.getVisibleRect(margin);
+    return rect ? this.query(rect) : this.registry.getAll();
+  }
+
+  /**
+   * Stored world box of an object
+   * @param {string} id
+   */
+  getBounds(id) {
+    if (this._dirty.has(id)) this.flush();
+    return this.tree.get(id);
+  }
+
+  /**
+   * World rect of the browser viewport
+   * @param {number} [margin=0] - Expand on every side (world px)
+   */
+  getVisibleRect(margin = 0) {
+    return this.screenToWorldRect({ left: 0, top: 0, width: window.innerWidth, height: window.innerHeight }, margin);
+  }
+
+  screenToWorldRect(screenRect, margin = 0) {
+    const transform = this._getLayerTransform();
+    if (!transform) return null;
+    const right = screenRect.right ?? screenRect.left + screenRect.width;
+    const bottom = screenRect.bottom ?? screenRect.top + screenRect.height;
+    return {
+      left: (screenRect.left - transform.left) / transform.scale - margin,
+      top: (screenRect.top - transform.top) / transform.scale - margin,
+      right: (right - transform.left) / transform.scale + margin,
+      bottom: (bottom - transform.top) / transform.scale + margin
+    };
+  }
+}
+
+/**
+ * Time spent per frame in board passes: culling, hit-tests, alignment guides, box selection,
+ * spatial index updates. Off unless WhiteboardDebug.frameStats() records - begin() then returns null
+ * and end() returns at once, so the instrumented code pays one property check
+ */
+class FrameProfiler {
+  constructor() {
+    this._passes = null; // name -> { calls, frames, totalMs, maxFrameMs } while recording
+    this._frame = new Map(); // name -> ms in the current frame
+    this._frameTimes = [];
+    this._frameId = null;
+    this._lastFrameAt = 0;
+  }
+
+  get recording() {
+    return this._passes !== null;
+  }
+
+  start() {
+    this._passes = new Map();
+    this._frame.clear();
+    this._frameTimes = [];
+    this._lastFrameAt = performance.now();
+    const tick = (now) => {
+      this._closeFrame();
+      this._frameTimes.push(now - this._lastFrameAt);
+      this._lastFrameAt = now;
+      this._frameId = requestAnimationFrame(tick);
+    };
+    this._frameId = requestAnimationFrame(tick);
+  }
+
+  /**
+   * @returns {{frames: number, frameMs: number, frameMsP95: number, passes: Object<string, Object>}|null}
+   */
+  stop() {
+    if (!this._passes) return null;
+    cancelAnimationFrame(this._frameId);
+    this._frameId = null;
+    this._closeFrame();
+
+    const round = (ms) => Math.round(ms * 1000) / 1000;
+    const sorted = [...this._frameTimes].sort((a, b) => a - b);
+    const passes = {};
+    for (const [name, pass] of this._passes) {
+      passes[name] = {
+        calls: pass.calls,
+        frames: pass.frames,
+        msPerFrame: round(pass.totalMs / Math.max(1, pass.frames)),
+        maxMsPerFrame: round(pass.maxFrameMs)
+      };
+    }
+    this._passes = null;
+    return {
+      frames: sorted.length,
+      frameMs: round(sorted.reduce((sum, ms) => sum + ms, 0) / Math.max(1, sorted.length)),
+      frameMsP95: round(sorted[Math.floor(sorted.length * 0.95)] || 0),
+      passes
+    };
+  }
+
+  begin() {
+    return this._passes ? performance.now() : null;
+  }
+
+  /**
+   * @param {string} name - Pass name
+   * @param {number|null} startedAt - Result of begin()
+   */
+  end(name, startedAt) {
+    if (startedAt === null || !this._passes) return;
+    const ms = performance.now() - startedAt;
+    this._frame.set(name, (this._frame.get(name) || 0) + ms);
+    let pass = this._passes.get(name);
+    if (!pass) {
+      pass = { calls: 0, frames: 0, totalMs: 0, maxFrameMs: 0 };
+      this._passes.set(name, pass);
+    }
+    pass.calls++;
+  }
+
+  _closeFrame() {
+    for (const [name, ms] of this._frame) {
+      const pass = this._passes?.get(name);
+      if (!pass) continue;
+      pass.frames++;
+      pass.totalMs += ms;
+      pass.maxFrameMs = Math.max(pass.maxFrameMs, ms);
+    }
+    this._frame.clear();
+  }
+}
+
+const frameProfiler = new FrameProfiler();
+
 // ==========================================
 // 2. Layer Management (View/Controller)
 // ==========================================
@@ -1965,7 +2664,16 @@ class WhiteboardLayer {
   constructor(registry) {
     this.element = null;
     this.registry = registry;
-    this._syncAnimationId = null;
+    // Layer <-> PIXI stage alignment (see _startTransformSync)
+    this._syncAnimationId = null; // rAF loop while the stage is moving (no PIXI ticker)
+    this._syncStableFrames = 0;
+    this._syncHookIds = null;
+    this._syncTicker = null; // Ticker _onSyncTick is attached to - only while the stage is moving
+    this._onSyncTick = null;
+    this._boardResizeObserver = null;
+    this._boardRect = null;
+    this._lastStageTransform = null;
+    this._syncStats = { checks: 0, writes: 0, ms: 0, since: performance.now() };
     this._interactionManager = null; // Reference to InteractionManager for accessing drag state
 
     // Selection overlay (SVG) - renders selection border ABOVE all objects (z-index: 999)
@@ -1985,6 +2693,14 @@ class WhiteboardLayer {
     // Store crop handles for each image (Map<imageId, {top, right, bottom, left, circleResize}>)
     this._cropHandles = new Map();
 
+    // Viewport culling (see _updateCulling): IDs of objects whose contents are not rendered
+    this._culled = new Set();
+    this._nearView = null; // IDs near the view at the last pass (null - next pass checks every object)
+    this._cullDirty = new Set(); // Objects changed since the last pass
+    this._cullFrame = null;
+    this._cullingEnabled = true;
+    this._cullSuspended = 0; // suspendCulling() calls not resumed yet
+
     // Subscribe to registry changes to update DOM
     this.registry.subscribe(this._handleRegistryChange.bind(this));
   }
@@ -2883,7 +3599,7 @@ class WhiteboardLayer {
       this._hideNoScenePanel();
       
       this._createLayer();
-      this._startContinuousSync();
+      this._startTransformSync();
       
       // Load objects for the new scene (only if not first load - that's handled by Whiteboard.init)
       if (this._hasLoadedInitialScene && window.Whiteboard?.persistence) {
@@ -2892,7 +3608,7 @@ class WhiteboardLayer {
       this._hasLoadedInitialScene = true;
     };
     this._hookCallbacks.canvasTearDown = () => {
-      this._stopContinuousSync();
+      this._stopTransformSync();
       
       // Clear registry WITHOUT socket events (data is already saved in scene flags)
       // This prevents old scene objects from appearing on new scene
@@ -2902,6 +3618,17 @@ class WhiteboardLayer {
     };
     Hooks.on("canvasReady", this._hookCallbacks.canvasReady);
     Hooks.on("canvasTearDown", this._hookCallbacks.canvasTearDown);
+
+    // Viewport culling follows the view
+    try {
+      this._cullingEnabled = game.settings.get(MODULE_ID, 'viewportCulling') !== false;
+    } catch {
+      this._cullingEnabled = true; // Setting not registered
+    }
+    this._hookCallbacks.canvasPan = () => this._scheduleCulling();
+    this._hookCallbacks.resize = () => this._scheduleCulling();
+    Hooks.on("canvasPan", this._hookCallbacks.canvasPan);
+    window.addEventListener("resize", this._hookCallbacks.resize);
     
     // Fallback: ensure layer exists when canvas is ready
     // This handles edge cases like scene deletion where canvasReady might not fire
@@ -2910,7 +3637,7 @@ class WhiteboardLayer {
         console.log('[WBE Layer] Fallback: recreating layer after scene navigation');
         this._hideNoScenePanel();
         this._createLayer();
-        this._startContinuousSync();
+        this._startTransformSync();
         if (window.Whiteboard?.persistence) {
           window.Whiteboard.persistence.loadAll();
         }
@@ -2942,7 +3669,7 @@ class WhiteboardLayer {
     
     if (canvas.ready) {
       this._createLayer();
-      this._startContinuousSync();
+      this._startTransformSync();
       // Mark initial scene as loaded (Whiteboard.init will call persistence.loadAll)
       this._hasLoadedInitialScene = true;
     } else if (!canvas.scene && game.scenes.size > 0) {
@@ -3069,8 +3796,14 @@ class WhiteboardLayer {
       this.registry.zIndexModel.remove(id);
     });
     
-    // Clear z-index model
+    // Clear z-index model and field clocks
     this.registry.zIndexModel.clear();
+    this.registry._fieldClocks.clear();
+    // No 'deleted' events here - drop the index entries and culling state too
+    window.Whiteboard?.spatialIndex?.clear();
+    this._culled.clear();
+    this._nearView = null;
+    this._cullDirty.clear();
     
     console.log(`[WBE Layer] Cleared ${count} objects for scene change`);
   }
@@ -3099,7 +3832,7 @@ class WhiteboardLayer {
     // Initialize global styles for whiteboard (text mode cursor, etc.)
     this._initializeGlobalStyles();
     
-    this._sync();
+    this._sync(true);
     this._renderAll(); // Initial render of anything in registry
   }
   
@@ -3148,6 +3881,12 @@ class WhiteboardLayer {
       [data-tool="wbeMassSelection"] {
         position: relative;
       }
+
+      /* Viewport culling - off-screen objects skip rendering of their contents */
+      #${LAYER_ID} .wbe-culled {
+        content-visibility: hidden;
+        pointer-events: none !important;
+      }
     `;
     document.head.appendChild(style);
   }
@@ -3155,8 +3894,16 @@ class WhiteboardLayer {
     // NOTE: Do NOT remove hooks here - they are needed for scene changes
     // Hooks are only removed in full cleanup (Whiteboard.destroy)
 
-    // Stop continuous sync
-    this._stopContinuousSync();
+    // Stop following the canvas
+    this._stopTransformSync();
+
+    if (this._cullFrame !== null) {
+      cancelAnimationFrame(this._cullFrame);
+      this._cullFrame = null;
+    }
+    this._culled.clear();
+    this._nearView = null;
+    this._cullDirty.clear();
 
     // Remove DOM element (this also removes all child object elements)
     if (this.element) {
@@ -3191,24 +3938,51 @@ class WhiteboardLayer {
       Hooks.off("deleteScene", this._hookCallbacks.deleteScene);
       this._hookCallbacks.deleteScene = null;
     }
+    if (this._hookCallbacks.canvasPan) {
+      Hooks.off("canvasPan", this._hookCallbacks.canvasPan);
+      this._hookCallbacks.canvasPan = null;
+    }
+    if (this._hookCallbacks.resize) {
+      window.removeEventListener("resize", this._hookCallbacks.resize);
+      this._hookCallbacks.resize = null;
+    }
     
     this._destroyLayer();
   }
-  _sync() {
-    if (!this.element || !canvas.ready || !canvas.stage) return;
-    const board = document.getElementById("board");
-    if (!board) return;
-    const boardRect = board.getBoundingClientRect();
-    const transform = canvas.stage.worldTransform;
-    const {
-      a: scale,
-      tx,
-      ty
-    } = transform;
+  static SYNC_SETTLE_FRAMES = 10; // Per-frame checks stop after this many frames without stage movement
+
+  /**
+   * Align the layer with the PIXI stage
+   * Writes the DOM only when the stage transform actually changed
+   * @param {boolean} [force=false] - Re-read the board rect and write even if nothing changed
+   * @returns {boolean} true if the layer was moved
+   */
+  _sync(force = false) {
+    if (!this.element || !canvas.ready || !canvas.stage) return false;
+    const startedAt = performance.now();
+    this._syncStats.checks++;
+    const moved = this._syncLayer(force);
+    this._syncStats.ms += performance.now() - startedAt;
+    return moved;
+  }
+
+  _syncLayer(force) {
+    if (force || !this._boardRect) {
+      const board = document.getElementById("board");
+      if (!board) return false;
+      this._boardRect = board.getBoundingClientRect();
+    }
+
+    const { scale, tx, ty } = this._readStageTransform();
+    const last = this._lastStageTransform;
+    if (!force && last && last.scale === scale && last.tx === tx && last.ty === ty) return false;
+    this._lastStageTransform = { scale, tx, ty };
+    this._syncStats.writes++;
 
     // Position layer exactly over board using fixed positioning
     // Fixed positioning ensures layer stays aligned with board even during scroll
     // Use centralized method to maintain Single Source of Truth
+    const boardRect = this._boardRect;
     this._applyElementStyles(this.element, {
       left: `${boardRect.left}px`,
       top: `${boardRect.top}px`,
@@ -3216,21 +3990,133 @@ class WhiteboardLayer {
       height: `${boardRect.height}px`,
       transform: `translate(${tx}px, ${ty}px) scale(${scale})`
     });
+    return true;
+  }
+
+  /**
+   * Current stage transform
+   * The stage is the PIXI root, so its world transform is its local one. canvas.pan() changes
+   * the local transform at once, worldTransform only when the next frame renders - a canvasPan
+   * handler reading worldTransform would lag one frame behind
+   */
+  _readStageTransform() {
+    const stage = canvas.stage;
+    stage.transform?.updateLocalTransform?.();
+    const { a, tx, ty } = stage.localTransform ?? stage.worldTransform;
+    return { scale: a, tx, ty };
+  }
+
+  /**
+   * Follow the canvas without a per-frame loop - the layer moves only when the stage does:
+   * - canvasPan / canvasZoom hooks (drag pan, wheel zoom, canvas.pan(), every tick of animatePan)
+   *   sync at once and start per-frame checks (_followStage) that detach again once the stage
+   *   has not moved for SYNC_SETTLE_FRAMES frames - an idle board runs nothing per frame
+   * - board resize (window, fullscreen)
+   */
+  _startTransformSync() {
+    if (this._syncHookIds) return;
+    this._syncHookIds = {
+      canvasPan: Hooks.on("canvasPan", () => this._onStageMoved()),
+      canvasZoom: Hooks.on("canvasZoom", () => this._onStageMoved())
+    };
+
+    const board = document.getElementById("board");
+    if (board && typeof ResizeObserver !== "undefined") {
+      this._boardResizeObserver = new ResizeObserver(() => this._sync(true));
+      this._boardResizeObserver.observe(board);
+    }
+
+    this._sync(true);
   }
-  _startContinuousSync() {
-    if (this._syncAnimationId) return;
+
+  _stopTransformSync() {
+    if (this._syncHookIds) {
+      Hooks.off("canvasPan", this._syncHookIds.canvasPan);
+      Hooks.off("canvasZoom", this._syncHookIds.canvasZoom);
+      this._syncHookIds = null;
+    }
+    this._stopFollowingStage();
+    if (this._boardResizeObserver) {
+      this._boardResizeObserver.disconnect();
+      this._boardResizeObserver = null;
+    }
+    this._boardRect = null;
+    this._lastStageTransform = null;
+  }
+
+  _onStageMoved() {
+    this._sync();
+    this._followStage();
+  }
+
+  /**
+   * Check the stage once per frame for as long as it keeps moving
+   * (pan animations, smooth zoom - the layer moves in the frame the canvas shows)
+   * PIXI ticker at UTILITY priority runs after the render (LOW); without a ticker - rAF
+   */
+  _followStage() {
+    this._syncStableFrames = 0;
+    if (this._onSyncTick || this._syncAnimationId) return;
+
+    const settled = () => {
+      this._syncStableFrames = this._sync() ? 0 : this._syncStableFrames + 1;
+      return this._syncStableFrames >= WhiteboardLayer.SYNC_SETTLE_FRAMES;
+    };
+
+    const ticker = canvas.app?.ticker;
+    if (ticker) {
+      this._syncTicker = ticker;
+      this._onSyncTick = () => {
+        if (settled()) this._stopFollowingStage();
+      };
+      ticker.add(this._onSyncTick, null, PIXI.UPDATE_PRIORITY?.UTILITY ?? -50);
+      return;
+    }
+
     const tick = () => {
-      this._sync();
+      if (settled()) {
+        this._syncAnimationId = null;
+        return;
+      }
       this._syncAnimationId = requestAnimationFrame(tick);
     };
     this._syncAnimationId = requestAnimationFrame(tick);
   }
-  _stopContinuousSync() {
+
+  _stopFollowingStage() {
+    if (this._syncTicker && this._onSyncTick) {
+      this._syncTicker.remove(this._onSyncTick);
+    }
+    this._syncTicker = null;
+    this._onSyncTick = null;
     if (this._syncAnimationId) {
       cancelAnimationFrame(this._syncAnimationId);
       this._syncAnimationId = null;
     }
   }
+
+  /**
+   * Cost of keeping the layer aligned since the last call (WhiteboardDebug.syncStats())
+   * checks: _sync() calls, writes: of them moved the layer, ms: time spent in them,
+   * following: per-frame checks are attached right now (false on an idle board)
+   * @returns {{seconds: number, checks: number, writes: number, ms: number, msPerSecond: number,
+   *   writesPerSecond: number, following: boolean}}
+   */
+  getSyncStats() {
+    const now = performance.now();
+    const { checks, writes, ms, since } = this._syncStats;
+    const seconds = (now - since) / 1000;
+    this._syncStats = { checks: 0, writes: 0, ms: 0, since: now };
+    return {
+      seconds: Math.round(seconds * 10) / 10,
+      checks,
+      writes,
+      ms: Math.round(ms * 100) / 100,
+      msPerSecond: seconds > 0 ? Math.round((ms / seconds) * 100) / 100 : 0,
+      writesPerSecond: seconds > 0 ? Math.round((writes / seconds) * 10) / 10 : 0,
+      following: !!(this._onSyncTick || this._syncAnimationId)
+    };
+  }
   _handleRegistryChange({
     id,
     type,
@@ -3264,11 +4150,20 @@ class WhiteboardLayer {
       if (this.element) {
       this._renderObject(data);
       }
+      this._scheduleCulling(id);
     } else if (type === 'deleted') {
       const el = document.getElementById(id);
       if (el) el.remove();
+      this._culled.delete(id);
+      this._nearView?.delete(id);
+      this._cullDirty.delete(id);
     } else if (type === 'updated') {
+      // Selected objects are measured and edited right away - render them before anything reads the DOM
+      if (changes && (changes.selected || changes.massSelected)) {
+        this._setCulled(id, false);
+      }
       this._updateObjectElement(id, data, changes);
+      this._scheduleCulling(id);
       // Update selection overlay if this object is selected
       if (this._selectionOverlaySelectedId === id) {
         this.updateSelectionOverlay();
@@ -3325,6 +4220,123 @@ class WhiteboardLayer {
   _renderAll() {
     this.registry.getAll().forEach(obj => this._renderObject(obj));
   }
+
+  // ========== Viewport Culling ==========
+  // Objects far outside the view stay in the DOM (getObjectContainer, z-order and drag code keep working)
+  // but get .wbe-culled: content-visibility skips style, layout and paint of their contents, and lazy
+  // images inside are not loaded until the object comes near the view.
+  // Which objects are near the view comes from the spatial index; boxes of culled objects are kept there,
+  // so guides, minimap, connectors and search still see them. Selected and dragged objects are never culled.
+  // A pass only touches objects that crossed the view edge since the last pass or changed meanwhile,
+  // so dragging one object on a large board does not walk the whole Registry every frame
+
+  static CULL_MARGIN = 800; // Screen px around the viewport that stay rendered, so panning shows no empty edges
+
+  /**
+   * Turn viewport culling on/off (client setting 'viewportCulling')
+   * @param {boolean} enabled
+   */
+  setCullingEnabled(enabled) {
+    this._cullingEnabled = !!enabled;
+    this._scheduleCulling();
+  }
+
+  /**
+   * Whether the object's contents are currently skipped
+   * @param {string} id
+   */
+  isCulled(id) {
+    return this._culled.has(id);
+  }
+
+  /**
+   * Render every object right now and until the returned function is called
+   * (for code that reads the contents of the whole board, e.g. image export)
+   * @returns {Function} resume - call once when done
+   */
+  suspendCulling() {
+    this._cullSuspended++;
+    this._updateCulling();
+    let resumed = false;
+    return () => {
+      if (resumed) return;
+      resumed = true;
+      this._cullSuspended--;
+      this._scheduleCulling();
+    };
+  }
+
+  /**
+   * Run a culling pass on the next frame
+   * @param {string} [id] - Object that changed (without: the view moved, only edge crossings are checked)
+   */
+  _scheduleCulling(id = null) {
+    if (id) this._cullDirty.add(id);
+    if (this._cullFrame !== null) return;
+    this._cullFrame = requestAnimationFrame(() => {
+      this._cullFrame = null;
+      const startedAt = frameProfiler.begin();
+      this._updateCulling();
+      frameProfiler.end('culling', startedAt);
+    });
+  }
+
+  _updateCulling() {
+    const index = window.Whiteboard?.spatialIndex;
+    if (!this.element || !index) return;
+
+    if (!this._cullingEnabled || this._cullSuspended > 0) {
+      for (const id of [...this._culled]) {
+        this._setCulled(id, false);
+      }
+      this._nearView = null;
+      this._cullDirty.clear();
+      return;
+    }
+
+    const scale = canvas?.stage?.worldTransform?.a || 1;
+    const rect = index.getVisibleRect(WhiteboardLayer.CULL_MARGIN / scale);
+    if (!rect) return;
+    const nearView = new Set(index.query(rect).map(obj => obj.id));
+    const previous = this._nearView;
+    const changed = this._cullDirty;
+    this._nearView = nearView;
+    this._cullDirty = new Set();
+
+    // Only objects whose visibility can differ from the last pass
+    let candidates = changed;
+    if (previous === null) {
+      candidates = this.registry.getAllIds();
+    } else {
+      for (const id of nearView) if (!previous.has(id)) changed.add(id);
+      for (const id of previous) if (!nearView.has(id)) changed.add(id);
+    }
+
+    for (const id of candidates) {
+      const obj = this.registry.get(id);
+      if (!obj) continue;
+      const keep = nearView.has(id) || obj.selected || obj.massSelected ||
+                   !!this._interactionManager?.isDragging?.(id);
+      this._setCulled(id, !keep);
+    }
+  }
+
+  _setCulled(id, culled) {
+    if (culled === this._culled.has(id)) return;
+    const container = this.getObjectContainer(id);
+    if (!container) {
+      this._culled.delete(id);
+      return;
+    }
+    container.classList.toggle('wbe-culled', culled);
+    if (culled) {
+      this._culled.add(id);
+    } else {
+      this._culled.delete(id);
+      // May have changed size while culled (remote text edit) - measure the rendered box again
+      window.Whiteboard?.spatialIndex?.invalidate(id);
+    }
+  }
   _renderObject(obj) {
     if (!this.element || document.getElementById(obj.id)) {
       return;
@@ -4952,6 +5964,10 @@ class WhiteboardObject {
     this.type = data.type || 'base';
     this.zIndex = data.zIndex !== undefined ? data.zIndex : 0; // SSOT: zIndex stored in model, not DOM
     this.rank = data.rank || ''; // Fractional index for z-order (set by Registry)
+    // Группа (Ctrl+G): общий id у всех участников, хранится в scene flags вместе с объектом
+    this.groupId = data.groupId || null;
+    this.groupName = data.groupName || '';
+    this.name = data.name || ''; // Имя из панели слоёв (пусто - подпись по содержимому)
     // Timestamp to prevent race conditions during concurrent updates
     this._lastModified = data._lastModified || Date.now();
     this._lastModifiedSource = data._lastModifiedSource || 'local'; // For debugging
@@ -5038,6 +6054,15 @@ class WhiteboardObject {
     return this.type;
   }
 
+  /**
+   * Fields holding user text - searched and replaced by the board search (Ctrl+F)
+   * Custom types expose theirs by implementing the same method
+   * @returns {string[]} Field names (values may be plain text or HTML)
+   */
+  getSearchableFields() {
+    return [];
+  }
+
   /**
    * Get object capabilities for generic handling
    * Override in subclasses to specify what the object supports
@@ -5300,6 +6325,9 @@ class WhiteboardObject {
       type: this.type,
       zIndex: this.zIndex,
       rank: this.rank, // Fractional index for z-order (saved to DB)
+      groupId: this.groupId,
+      groupName: this.groupName,
+      name: this.name,
       _lastModified: this._lastModified,
       _lastModifiedSource: this._lastModifiedSource
     };
@@ -5638,6 +6666,10 @@ class WhiteboardText extends WhiteboardObject {
     };
   }
 
+  getSearchableFields() {
+    return ['text'];
+  }
+
   // ==========================================
   // Capabilities Interface
   // ==========================================
@@ -5969,6 +7001,10 @@ class WhiteboardImage extends WhiteboardObject {
     // This avoids compensation for borderWidth and borderRadius
     const img = document.createElement("img");
     img.className = "wbe-canvas-image"; // DRY: needed for Layer.getImageElement()
+    // Off-screen images load when they come near the view (culled objects are not laid out at all)
+    // Must be set before src, otherwise the load already started
+    img.loading = "lazy";
+    img.decoding = "async";
     img.src = this.src;
     
     // Use width/height directly instead of transform: scale()
@@ -6450,7 +7486,7 @@ class WhiteboardImage extends WhiteboardObject {
     }
 
     // Saving occurs automatically via Registry:
-    // registry.update() → _handleRegistryChange() → _scheduleSave() → _saveAll()
+    // registry.update() → _handleRegistryChange() → _scheduleSave() → _flushChanges()
     // All crop data is already included in toJSON() and will be saved automatically
 
     // Send socket message about unlocking
@@ -9279,11 +10315,27 @@ class MassSelectionPanel {
     if (this.view?.panel) {
       this.view.panel.style.display = '';
       this.isVisible = true;
+      this.syncGroupState();
       
       // Update position
       this.updatePosition();
     }
   }
+
+  /**
+   * Sync Group/Ungroup button and rename button with the current selection
+   */
+  syncGroupState() {
+    if (!this.groupBtn || !this.view) return;
+    const isGroup = !!this.massSelection.getSelectedGroupId();
+    const icon = this.groupBtn.querySelector('i');
+    if (icon) icon.className = isGroup ? 'fas fa-object-ungroup' : 'fas fa-object-group';
+    this.groupBtn.title = isGroup ? 'Ungroup (Ctrl+Shift+G)' : 'Group (Ctrl+G)';
+    this.renameBtn.style.display = isGroup ? '' : 'none';
+    if (!isGroup && this.view.activeButton === this.renameBtn) {
+      this.view.closeSubpanel();
+    }
+  }
   
   /**
    * Create panel (called once)
@@ -9303,6 +10355,33 @@ class MassSelectionPanel {
     this.view.toolbar.appendChild(rotateBtn);
     this.rotateBtn = rotateBtn;
 
+    // Align / distribute / tidy button
+    const arrangeBtn = this.view.makeToolbarButton('Align & distribute', 'fas fa-table-cells', () => {
+      this._toggleArrangeSubpanel(arrangeBtn);
+    });
+    this.view.toolbar.appendChild(arrangeBtn);
+    this.arrangeBtn = arrangeBtn;
+
+    // Group / Ungroup button (icon and action follow the current selection)
+    const groupBtn = this.view.makeToolbarButton('Group (Ctrl+G)', 'fas fa-object-group', () => {
+      if (this.massSelection.getSelectedGroupId()) {
+        this.massSelection.ungroupSelected();
+      } else {
+        this.massSelection.groupSelected();
+      }
+    });
+    this.view.toolbar.appendChild(groupBtn);
+    this.groupBtn = groupBtn;
+
+    // Rename button - only visible when the selection is exactly one group
+    const renameBtn = this.view.makeToolbarButton('Rename group', 'fas fa-tag', () => {
+      this._toggleRenameSubpanel(renameBtn);
+    });
+    this.view.toolbar.appendChild(renameBtn);
+    this.renameBtn = renameBtn;
+
+    this.syncGroupState();
+
     document.body.appendChild(panel);
 
     // Position manager - use bounding box as reference
@@ -9385,6 +10464,143 @@ class MassSelectionPanel {
       }
     });
   }
+
+  /**
+   * Toggle align / distribute / tidy subpanel
+   * Each command is one undo step; the tidy gap is remembered in localStorage
+   */
+  _toggleArrangeSubpanel(button) {
+    if (!this.view) return;
+
+    if (this.view.activeSubpanel && this.view.activeButton === button) {
+      this.view.closeSubpanel();
+      return;
+    }
+
+    const content = document.createElement('div');
+    content.style.cssText = 'display: flex; align-items: center; gap: 4px;';
+
+    const makeIconBtn = (icon, title, onClick) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.title = title;
+      btn.style.cssText = `
+        width: 30px; height: 30px; border-radius: 8px;
+        border: 1px solid #d0d0d0; background: #f5f5f7;
+        cursor: pointer; display: flex; align-items: center;
+        justify-content: center; transition: all 0.15s ease;
+      `;
+      const i = document.createElement('i');
+      i.className = icon;
+      i.style.cssText = 'font-size: 14px; color: #333;';
+      btn.appendChild(i);
+      btn.addEventListener('click', onClick);
+      btn.addEventListener('mouseenter', () => { btn.style.background = '#e0ebff'; });
+      btn.addEventListener('mouseleave', () => { btn.style.background = '#f5f5f7'; });
+      return btn;
+    };
+    const makeSeparator = () => {
+      const sep = document.createElement('div');
+      sep.style.cssText = 'width: 1px; height: 22px; background: #d0d0d0; margin: 0 4px;';
+      return sep;
+    };
+
+    const alignments = [
+      ['left', 'fas fa-objects-align-left', 'Align left'],
+      ['centerX', 'fas fa-objects-align-center-horizontal', 'Align centers horizontally'],
+      ['right', 'fas fa-objects-align-right', 'Align right'],
+      ['top', 'fas fa-objects-align-top', 'Align top'],
+      ['centerY', 'fas fa-objects-align-center-vertical', 'Align middles vertically'],
+      ['bottom', 'fas fa-objects-align-bottom', 'Align bottom']
+    ];
+    for (const [edge, icon, title] of alignments) {
+      content.appendChild(makeIconBtn(icon, title, () => this.massSelection.alignSelected(edge)));
+    }
+
+    content.appendChild(makeSeparator());
+    content.appendChild(makeIconBtn('fas fa-arrows-left-right', 'Distribute horizontally (3+ objects)', () => {
+      this.massSelection.distributeSelected('x');
+    }));
+    content.appendChild(makeIconBtn('fas fa-arrows-up-down', 'Distribute vertically (3+ objects)', () => {
+      this.massSelection.distributeSelected('y');
+    }));
+
+    content.appendChild(makeSeparator());
+    const gapInput = document.createElement('input');
+    gapInput.type = 'number';
+    gapInput.min = '0';
+    gapInput.max = '500';
+    gapInput.step = '5';
+    gapInput.title = 'Gap between grid cells';
+    gapInput.value = localStorage.getItem('wbe-tidy-gap') ?? '20';
+    gapInput.style.cssText = `
+      width: 50px; padding: 5px 6px; border: 1px solid #d0d0d0;
+      border-radius: 6px; background: white; font-size: 12px;
+      color: #333; text-align: center;
+    `;
+    gapInput.addEventListener('change', () => {
+      const gap = Math.max(0, Math.min(500, Number(gapInput.value) || 0));
+      gapInput.value = String(gap);
+      localStorage.setItem('wbe-tidy-gap', String(gap));
+    });
+    content.appendChild(makeIconBtn('fas fa-table-cells-large', 'Tidy into grid', () => {
+      this.massSelection.tidySelected(Number(gapInput.value) || 0);
+    }));
+    content.appendChild(gapInput);
+
+    const pxLabel = document.createElement('span');
+    pxLabel.textContent = 'px';
+    pxLabel.style.cssText = 'font-size: 12px; color: #666;';
+    content.appendChild(pxLabel);
+
+    this.view.openSubpanel(button, content);
+  }
+
+  /**
+   * Toggle group rename subpanel (text input, applied on Enter/blur)
+   */
+  _toggleRenameSubpanel(button) {
+    if (!this.view) return;
+
+    if (this.view.activeSubpanel && this.view.activeButton === button) {
+      this.view.closeSubpanel();
+      return;
+    }
+
+    const groupId = this.massSelection.getSelectedGroupId();
+    if (!groupId) return;
+    const current = this.registry.get([...this.massSelection.selectedIds][0])?.groupName || '';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = current;
+    input.placeholder = 'Group name';
+    input.style.cssText = `
+      width: 160px; padding: 4px 8px; border: 1px solid #d0d0d0;
+      border-radius: 6px; background: white; font-size: 12px; color: #333;
+    `;
+
+    const apply = () => {
+      if (input.value.trim() && input.value.trim() !== current) {
+        this.massSelection.renameGroup(groupId, input.value);
+      }
+    };
+    input.addEventListener('change', apply);
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        apply();
+        this.view?.closeSubpanel();
+      } else if (e.key === 'Escape') {
+        this.view?.closeSubpanel();
+      }
+    });
+
+    this.view.openSubpanel(button, input);
+    requestAnimationFrame(() => {
+      input.focus();
+      input.select();
+    });
+  }
 }
 
 // ==========================================
@@ -10910,11 +12126,12 @@ class MassSelectionView {
   /**
    * Update indicator text
    * @param {number} count - Number of selected objects
+   * @param {string|null} [groupName] - Name of the group when the selection is exactly one group
    */
-  updateIndicator(count) {
+  updateIndicator(count, groupName = null) {
     if (!this.indicator) return;
     if (count > 1) {
-      this.indicator.textContent = `${count} selected`;
+      this.indicator.textContent = groupName ? `${groupName} · ${count} objects` : `${count} selected`;
       this.indicator.style.display = 'block';
     } else {
       this.indicator.style.display = 'none';
@@ -10964,6 +12181,10 @@ class MassSelectionController {
     // Group rotation state
     this.groupRotation = 0; // Current rotation applied to group
     this.startRotations = new Map(); // Original rotations before group rotation
+
+    // Persistent groups (Ctrl+G): groupId of the group entered by double-click.
+    // While set, clicks on its members select single objects instead of the whole group
+    this.enteredGroupId = null;
   }
 
   // ========== Toggle Mode ==========
@@ -11040,7 +12261,9 @@ class MassSelectionController {
 
     const rect = this._calculateRect(this.selectionStart, { x: e.clientX, y: e.clientY });
     this.view.updateSelectionBox(rect);
+    const startedAt = frameProfiler.begin();
     this._updateSelectedFromRect(rect);
+    frameProfiler.end('boxSelection', startedAt);
   }
 
   /**
@@ -11090,8 +12313,9 @@ class MassSelectionController {
   _updateSelectedFromRect(screenRect) {
     const newSelectedIds = new Set();
 
-    // Get all objects and check intersection
-    for (const obj of this.registry.getAll()) {
+    // Objects whose indexed box is under the rect, then the exact check against their containers
+    const candidates = Whiteboard.spatialIndex?.queryScreenRect(screenRect) || this.registry.getAll();
+    for (const obj of candidates) {
       // Skip locked or frozen objects
       if (obj.frozen) {
         console.log('[MassSelection] Skipping frozen object:', obj.id.slice(-8));
@@ -11104,6 +12328,9 @@ class MassSelectionController {
         continue;
       }
 
+      // Skip hidden objects (e.g. contents of a hidden frame)
+      if (container.offsetParent === null) continue;
+
       const containerRect = container.getBoundingClientRect();
       
       // Debug: log container rect
@@ -11377,6 +12604,9 @@ class MassSelectionController {
       startData
     };
 
+    // Every mousemove updates Registry - record the whole gesture as one undo step
+    this.interactionManager?.history?.beginTransaction();
+
     // Disable Foundry select during scale
     FoundryAPIAdapter.disableMassSelect();
   }
@@ -11439,6 +12669,7 @@ class MassSelectionController {
 
     this.isScaling = false;
     this.scaleState = null;
+    this.interactionManager?.history?.endTransaction();
 
     FoundryAPIAdapter.enableMassSelect();
   }
@@ -11541,8 +12772,11 @@ class MassSelectionController {
       }
       if (!this.panel.isVisible) {
         this.panel.show();
-      } else if (!skipPanelReposition) {
-        this.panel.updatePosition();
+      } else {
+        this.panel.syncGroupState();
+        if (!skipPanelReposition) {
+          this.panel.updatePosition();
+        }
       }
     } else if (this.panel) {
       this.panel.hide();
@@ -11589,6 +12823,8 @@ class MassSelectionController {
 
     for (const obj of this.registry.getAll()) {
       if (obj.frozen) continue;
+      // Skip hidden objects (e.g. contents of a hidden frame)
+      if (this.layer?.getObjectContainer(obj.id)?.offsetParent === null) continue;
       this.selectedIds.add(obj.id);
       this.registry.update(obj.id, { selected: true, massSelected: true }, 'local');
     }
@@ -11745,6 +12981,164 @@ class MassSelectionController {
     this._updateBoundingBox(true);
   }
 
+  // ========== Align / Distribute / Tidy ==========
+
+  /**
+   * Selected objects as arrange units with their world bounds
+   * Bounds come from AlignmentGuides._getObjectBounds (DOM rect), so rotation, scale and
+   * borders count exactly as they do for the drag guides.
+   * A whole persistent group inside a mixed selection moves as one unit;
+   * when the selection IS one group, its members are arranged individually
+   * @returns {Array<{ids: string[], left, top, right, bottom, centerX, centerY}>}
+   * @private
+   */
+  _getArrangeUnits() {
+    const guides = window.WBE_AlignmentGuides;
+    if (!guides?._getObjectBounds) return [];
+
+    const keepGroups = !this.getSelectedGroupId();
+    const units = new Map(); // groupId or object id -> unit
+    for (const id of this.selectedIds) {
+      const obj = this.registry.get(id);
+      if (!obj || obj.frozen) continue;
+      const bounds = guides._getObjectBounds(obj);
+      if (!bounds) continue;
+
+      const key = keepGroups && obj.groupId ? obj.groupId : id;
+      const unit = units.get(key);
+      if (!unit) {
+        units.set(key, { ids: [id], ...bounds });
+        continue;
+      }
+      unit.ids.push(id);
+      unit.left = Math.min(unit.left, bounds.left);
+      unit.top = Math.min(unit.top, bounds.top);
+      unit.right = Math.max(unit.right, bounds.right);
+      unit.bottom = Math.max(unit.bottom, bounds.bottom);
+      unit.centerX = (unit.left + unit.right) / 2;
+      unit.centerY = (unit.top + unit.bottom) / 2;
+    }
+    return [...units.values()];
+  }
+
+  /**
+   * Move arrange units by their deltas as one undo step
+   * @param {Array<{unit, dx: number, dy: number}>} moves
+   * @private
+   */
+  _applyArrangeMoves(moves) {
+    const history = this.interactionManager?.history;
+    history?.beginTransaction();
+    try {
+      for (const { unit, dx, dy } of moves) {
+        if (Math.round(dx) === 0 && Math.round(dy) === 0) continue;
+        for (const id of unit.ids) {
+          const obj = this.registry.get(id);
+          if (!obj) continue;
+          this.registry.update(id, { x: Math.round(obj.x + dx), y: Math.round(obj.y + dy) }, 'local');
+        }
+      }
+    } finally {
+      history?.endTransaction();
+    }
+
+    // Arranged positions are the new baseline for group rotation
+    this.groupRotation = 0;
+    this.startRotations.clear();
+    this._rotationPivot = null;
+    this._updateBoundingBox();
+  }
+
+  /**
+   * Align selected objects to an edge or center of the selection
+   * @param {'left'|'centerX'|'right'|'top'|'centerY'|'bottom'} edge
+   */
+  alignSelected(edge) {
+    const units = this._getArrangeUnits();
+    if (units.length < 2) return;
+
+    const left = Math.min(...units.map(u => u.left));
+    const right = Math.max(...units.map(u => u.right));
+    const top = Math.min(...units.map(u => u.top));
+    const bottom = Math.max(...units.map(u => u.bottom));
+    const targets = {
+      left, right, top, bottom,
+      centerX: (left + right) / 2,
+      centerY: (top + bottom) / 2
+    };
+    if (!(edge in targets)) return;
+
+    const horizontal = edge === 'left' || edge === 'centerX' || edge === 'right';
+    this._applyArrangeMoves(units.map(unit => ({
+      unit,
+      dx: horizontal ? targets[edge] - unit[edge] : 0,
+      dy: horizontal ? 0 : targets[edge] - unit[edge]
+    })));
+  }
+
+  /**
+   * Spread selected objects so the gaps between them are equal
+   * Outermost objects stay in place
+   * @param {'x'|'y'} axis
+   */
+  distributeSelected(axis) {
+    const units = this._getArrangeUnits();
+    if (units.length < 3) return;
+
+    const [start, end, center] = axis === 'y' ? ['top', 'bottom', 'centerY'] : ['left', 'right', 'centerX'];
+    units.sort((a, b) => a[center] - b[center]);
+    const span = Math.max(...units.map(u => u[end])) - units[0][start];
+    const occupied = units.reduce((sum, u) => sum + (u[end] - u[start]), 0);
+    const gap = (span - occupied) / (units.length - 1);
+
+    let cursor = units[0][start];
+    this._applyArrangeMoves(units.map(unit => {
+      const delta = cursor - unit[start];
+      cursor += unit[end] - unit[start] + gap;
+      return { unit, dx: axis === 'y' ? 0 : delta, dy: axis === 'y' ? delta : 0 };
+    }));
+  }
+
+  /**
+   * Arrange selected objects into a grid (reading order kept), anchored at the selection's top-left
+   * Columns are as wide as their widest object, rows as tall as their tallest
+   * @param {number} gap - Space between cells in world px
+   */
+  tidySelected(gap = 20) {
+    const units = this._getArrangeUnits();
+    if (units.length < 2) return;
+    gap = Math.max(0, Number(gap) || 0);
+
+    const originX = Math.min(...units.map(u => u.left));
+    const originY = Math.min(...units.map(u => u.top));
+    const cols = Math.ceil(Math.sqrt(units.length));
+
+    // Reading order: take rows top-down, then left-to-right inside each row
+    units.sort((a, b) => a.centerY - b.centerY);
+    const rows = [];
+    for (let i = 0; i < units.length; i += cols) {
+      rows.push(units.slice(i, i + cols).sort((a, b) => a.centerX - b.centerX));
+    }
+
+    const colWidths = new Array(cols).fill(0);
+    const rowHeights = rows.map(row => Math.max(...row.map(u => u.bottom - u.top)));
+    rows.forEach(row => row.forEach((u, col) => {
+      colWidths[col] = Math.max(colWidths[col], u.right - u.left);
+    }));
+
+    const moves = [];
+    let y = originY;
+    rows.forEach((row, rowIndex) => {
+      let x = originX;
+      row.forEach((unit, col) => {
+        moves.push({ unit, dx: x - unit.left, dy: y - unit.top });
+        x += colWidths[col] + gap;
+      });
+      y += rowHeights[rowIndex] + gap;
+    });
+    this._applyArrangeMoves(moves);
+  }
+
   /**
    * Delete all selected objects
    */
@@ -11759,20 +13153,185 @@ class MassSelectionController {
     }
   }
 
-  // ========== Copy/Paste ==========
+  // ========== Persistent Groups ==========
 
   /**
-   * Copy selected objects to system clipboard (cross-browser compatible)
-   * Data is stored as JSON with "wbe-clipboard" wrapper for identification
+   * Get all registered members of a group
+   * @param {string} groupId
+   * @returns {Array<Object>}
    */
-  async copySelected() {
-    this.clipboard = [];
-    for (const id of this.selectedIds) {
-      const obj = this.registry.get(id);
+  getGroupMembers(groupId) {
+    if (!groupId) return [];
+    return this.registry.getAll().filter(obj => obj.groupId === groupId);
+  }
+
+  /**
+   * Get groupId if the current mass selection is exactly one whole group
+   * @returns {string|null}
+   */
+  getSelectedGroupId() {
+    if (this.selectedIds.size < 2) return null;
+    const [firstId] = this.selectedIds;
+    const groupId = this.registry.get(firstId)?.groupId;
+    if (!groupId) return null;
+    for (const id of this.selectedIds) {
+      if (this.registry.get(id)?.groupId !== groupId) return null;
+    }
+    const members = this.getGroupMembers(groupId).filter(obj => !obj.frozen);
+    return members.length === this.selectedIds.size ? groupId : null;
+  }
+
+  /**
+   * Mass-select every (non-frozen) member of a group
+   * @param {string} groupId
+   */
+  selectGroup(groupId) {
+    const members = this.getGroupMembers(groupId).filter(obj => !obj.frozen);
+    if (members.length === 0) return;
+
+    if (this.interactionManager.selectedId) {
+      this.interactionManager._deselect();
+    }
+    this.clear();
+    this.enteredGroupId = null;
+
+    for (const obj of members) {
+      this.selectedIds.add(obj.id);
+      this.registry.update(obj.id, { selected: true, massSelected: true }, 'local');
+    }
+    this.view.updateIndicator(this.selectedIds.size, members[0].groupName);
+    this._updateBoundingBox();
+  }
+
+  /**
+   * Group mass-selected objects (Ctrl+G)
+   * Objects that already belong to another group are moved into the new one
+   * @returns {boolean} true if a group was created
+   */
+  groupSelected() {
+    const ids = [...this.selectedIds];
+    if (ids.length < 2) return false;
+
+    const groupId = `group-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const groupName = this._nextGroupName();
+    const history = this.interactionManager?.history;
+
+    history?.beginTransaction();
+    try {
+      for (const id of ids) {
+        this.registry.update(id, { groupId, groupName }, 'local');
+      }
+    } finally {
+      history?.endTransaction();
+    }
+
+    this.enteredGroupId = null;
+    this.view.updateIndicator(this.selectedIds.size, groupName);
+    this.panel?.syncGroupState();
+    console.log('[MassSelection] groupSelected:', groupId, ids.length, 'objects');
+    return true;
+  }
+
+  /**
+   * Dissolve groups of the current selection (Ctrl+Shift+G)
+   * Works for a mass selection and for a single selected group member
+   * @returns {boolean} true if at least one group was dissolved
+   */
+  ungroupSelected() {
+    const ids = this.selectedIds.size > 0
+      ? [...this.selectedIds]
+      : [this.interactionManager?.selectedId].filter(Boolean);
+
+    const groupIds = new Set();
+    for (const id of ids) {
+      const groupId = this.registry.get(id)?.groupId;
+      if (groupId) groupIds.add(groupId);
+    }
+    if (groupIds.size === 0) return false;
+
+    const history = this.interactionManager?.history;
+    history?.beginTransaction();
+    try {
+      for (const groupId of groupIds) {
+        for (const obj of this.getGroupMembers(groupId)) {
+          this.registry.update(obj.id, { groupId: null, groupName: '' }, 'local');
+        }
+      }
+    } finally {
+      history?.endTransaction();
+    }
+
+    if (groupIds.has(this.enteredGroupId)) {
+      this.enteredGroupId = null;
+    }
+    this.view.updateIndicator(this.selectedIds.size);
+    this.panel?.syncGroupState();
+    console.log('[MassSelection] ungroupSelected:', [...groupIds]);
+    return true;
+  }
+
+  /**
+   * Rename a group (name is stored on every member)
+   * @param {string} groupId
+   * @param {string} name
+   */
+  renameGroup(groupId, name) {
+    const groupName = String(name ?? '').trim();
+    const members = this.getGroupMembers(groupId);
+    if (!groupName || members.length === 0) return;
+
+    const history = this.interactionManager?.history;
+    history?.beginTransaction();
+    try {
+      for (const obj of members) {
+        this.registry.update(obj.id, { groupName }, 'local');
+      }
+    } finally {
+      history?.endTransaction();
+    }
+
+    if (this.getSelectedGroupId() === groupId) {
+      this.view.updateIndicator(this.selectedIds.size, groupName);
+    }
+  }
+
+  /**
+   * First free "Group N" name
+   * @returns {string}
+   */
+  _nextGroupName() {
+    const names = new Set();
+    for (const obj of this.registry.getAll()) {
+      if (obj.groupId) names.add(obj.groupName);
+    }
+    let n = 1;
+    while (names.has(`Group ${n}`)) n++;
+    return `Group ${n}`;
+  }
+
+  // ========== Copy/Paste ==========
+
+  /**
+   * Serialized copies of the selected objects (same data as the clipboard)
+   * @returns {Object[]}
+   */
+  serializeSelected() {
+    const result = [];
+    for (const id of this.selectedIds) {
+      const obj = this.registry.get(id);
       if (obj) {
-        this.clipboard.push(obj.toJSON());
+        result.push(obj.toJSON());
       }
     }
+    return result;
+  }
+
+  /**
+   * Copy selected objects to system clipboard (cross-browser compatible)
+   * Data is stored as JSON with "wbe-clipboard" wrapper for identification
+   */
+  async copySelected() {
+    this.clipboard = this.serializeSelected();
     // Mark that last copy was mass selection (not external)
     this.lastCopyWasMass = this.clipboard.length > 0;
     console.log('[MassSelection] copySelected:', this.clipboard.length, 'objects');
@@ -11902,6 +13461,19 @@ class MassSelectionController {
 
     const newIds = [];
 
+    // Pasted copies form their own groups: old groupId -> new groupId.
+    // A group with only one pasted member is dropped (a group of one is not a group)
+    const groupSizes = new Map();
+    for (const data of objectsToPaste) {
+      if (data.groupId) groupSizes.set(data.groupId, (groupSizes.get(data.groupId) || 0) + 1);
+    }
+    const groupIdMap = new Map();
+    for (const [oldGroupId, size] of groupSizes) {
+      if (size >= 2) {
+        groupIdMap.set(oldGroupId, `group-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`);
+      }
+    }
+
     for (const data of objectsToPaste) {
       const newId = `wbe-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
       
@@ -11909,11 +13481,14 @@ class MassSelectionController {
       // eslint-disable-next-line no-unused-vars
       const { zIndex, rank, selected, massSelected, ...cleanData } = data;
       
+      const newGroupId = groupIdMap.get(data.groupId) || null;
       const newData = {
         ...cleanData,
         id: newId,
         x: data.x + offsetX,
-        y: data.y + offsetY
+        y: data.y + offsetY,
+        groupId: newGroupId,
+        groupName: newGroupId ? data.groupName : ''
       };
 
       // Create object based on type using registered object types
@@ -12245,6 +13820,9 @@ class InteractionManager {
     // Store socketController for text lock/unlock (will be set later via setSocketController)
     this.socketController = null;
 
+    // Undo/redo history (will be set later via setHistoryManager)
+    this.history = null;
+
     // Universal panels interface (DRY: extensible architecture for panels)
     // When adding a new object type - just add the panel here
     // TODO: Refactor to use Whiteboard.registerPanel() API for extensibility
@@ -12321,6 +13899,14 @@ class InteractionManager {
       this.panels.image.socketController = socketController;
     }
   }
+
+  /**
+   * Set history manager reference (called after history is created)
+   * @param {HistoryManager} history - Undo/redo history instance
+   */
+  setHistoryManager(history) {
+    this.history = history;
+  }
   
   init() {
     // Initialize mass selection
@@ -12378,6 +13964,7 @@ class InteractionManager {
    * - 450: CropHandleHandler - Image crop handles (rect and circle)
    * - 400: ScaleHandleHandler - Scale resize handle
    * - 350: CircleCropDragHandler - Drag image inside circle crop
+   * - 320: GroupSelectHandler - Click on a group member selects the whole group
    * - 300: ObjectDragHandler - Regular object drag
    * - 100: CanvasDeselectHandler - Click on empty canvas
    * 
@@ -12601,7 +14188,8 @@ class InteractionManager {
         (hasMassSelection && (code === 'Delete' || code === 'Backspace')) ||
         (hasMassSelection && isZIndexKey);
       
-      if (shouldHandleMassSelection) {
+      // Keys typed into inputs (e.g. group rename field) belong to the input
+      if (shouldHandleMassSelection && !isEditable) {
         console.log('[InteractionManager] _handleKeyDown - delegating to massSelection.handleKeyDown', { code, hasMassSelection, hasMassClipboard, lastCopyWasMass: this.massSelection.lastCopyWasMass });
         if (this.massSelection.handleKeyDown(e)) {
           return;
@@ -12609,6 +14197,40 @@ class InteractionManager {
       }
     }
 
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac): undo/redo whiteboard changes
+    // Consumed only when there is a step to apply - otherwise Foundry's own undo keeps working
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && e.code === 'KeyZ') {
+      if (isEditable || this.editingId) {
+        return; // Let the browser undo typing
+      }
+      const isRedo = e.shiftKey;
+      const canApply = isRedo ? this.history?.canRedo() : this.history?.canUndo();
+      if (!canApply) {
+        return;
+      }
+      e.preventDefault();
+      e.stopPropagation();
+      if (isRedo) {
+        this.history.redo();
+      } else {
+        this.history.undo();
+      }
+      return;
+    }
+
+    // Ctrl+G / Ctrl+Shift+G (Cmd on Mac): group / ungroup selected objects
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && e.code === 'KeyG') {
+      if (isEditable || this.editingId || !this.massSelection) {
+        return;
+      }
+      const handled = e.shiftKey ? this.massSelection.ungroupSelected() : this.massSelection.groupSelected();
+      if (handled) {
+        e.preventDefault();
+        e.stopPropagation();
+      }
+      return;
+    }
+
     // PRIORITY 2: Ctrl+C / Cmd+C to copy single selected object
     // Use e.code for keyboard layout independence!
     if ((e.ctrlKey || e.metaKey) && e.code === 'KeyC') {
@@ -13226,10 +14848,17 @@ class InteractionManager {
     const target = this._hitTest(e.clientX, e.clientY);
     if (target.type === 'object' && target.object) {
       const obj = target.object;
+      // First double-click on a group member enters the group and selects just that member
+      // (the next double-click edits it as usual)
+      if (obj.groupId && this.massSelection && this.massSelection.enteredGroupId !== obj.groupId && !obj.isFrozen?.()) {
+        this.massSelection.enteredGroupId = obj.groupId;
+        this._select(obj.id);
+        return;
+      }
       // Polymorphic call: check if object is editable
       if (obj.canEdit && obj.canEdit()) {
-        // Shapes have their own startEditing method
-        if (obj.type === 'shape' && obj.startEditing) {
+        // Custom types (shape text, connector label) have their own startEditing method
+        if (obj.startEditing) {
           obj.startEditing();
         } else {
           this._startEditText(obj.id);
@@ -13626,7 +15255,9 @@ class InteractionManager {
     }
 
     // 2. Fallback to geometric hit-test via Registry
+    const hitTestStartedAt = frameProfiler.begin();
     const geometricResult = this._geometricHitTest(x, y, debugInfo);
+    frameProfiler.end('hitTest', hitTestStartedAt);
     
     if (geometricResult) {
       const selected = geometricResult;
@@ -13913,9 +15544,13 @@ class InteractionManager {
    * Requirements: 4.4
    */
   _geometricHitTest(x, y, debugInfo) {
-    const allObjects = this.registry.getAll();
+    // Only objects whose indexed box is near the point (the rect check below stays exact)
+    // A few px of slack: the hit element may stick out of the measured border box
+    const allObjects = Whiteboard.spatialIndex
+      ? Whiteboard.spatialIndex.queryScreenRect({ left: x - 4, top: y - 4, width: 8, height: 8 })
+      : this.registry.getAll();
     debugInfo.registryCheck = {
-      totalObjects: allObjects.length,
+      totalObjects: this.registry.objects.size,
       objectIds: allObjects.map(o => o.id),
       candidates: []
     };
@@ -13928,6 +15563,12 @@ class InteractionManager {
         debugInfo.registryCheck.candidates.push({ id: obj.id, status: 'frozen' });
         return;
       }
+
+      // Objects whose container box is not their shape (connectors) are hit only via DOM
+      if (obj.excludeFromGeometricHitTest?.()) {
+        debugInfo.registryCheck.candidates.push({ id: obj.id, status: 'excluded' });
+        return;
+      }
       
       if (!this.layer) {
         debugInfo.registryCheck.candidates.push({ id: obj.id, status: 'no_layer' });
@@ -14797,6 +16438,11 @@ class InteractionManager {
       this.massSelection.clear();
     }
 
+    // Leaving an entered group: its members are selected as a whole again
+    if (this.massSelection?.enteredGroupId && obj?.groupId !== this.massSelection.enteredGroupId) {
+      this.massSelection.enteredGroupId = null;
+    }
+
     // // Finish editing if selecting another object
     if (this.editingId && this.editingId !== id) {
       this._endEditText(this.editingId);
@@ -14828,9 +16474,10 @@ class InteractionManager {
   _deselect() {
     console.log(`[InteractionManager._deselect] Called, editingId: ${this.editingId}, selectedId: ${this.selectedId}, registry size: ${this.registry.getAll().length}`);
     
-    // Clear mass selection
+    // Clear mass selection (and leave an entered group)
     if (this.massSelection) {
       this.massSelection.clear();
+      this.massSelection.enteredGroupId = null;
     }
     
     // Finish shape editing if any (polymorphic - shapes register themselves)
@@ -15015,6 +16662,9 @@ class InteractionManager {
         fontWeight: obj.fontWeight,
         fontStyle: obj.fontStyle,
         lineHeight: obj.lineHeight,
+        startCap: obj.startCap,
+        endCap: obj.endCap,
+        dashStyle: obj.dashStyle,
         shadowColor: obj.shadowColor,
         shadowOpacity: obj.shadowOpacity,
         shadowOffsetX: obj.shadowOffsetX,
@@ -15549,9 +17199,9 @@ class InteractionManager {
     const screenY = this.lastMouseY ?? canvas.stage.y + canvas.stage.height / 2;
 
     // CRITICAL: Remove x, y from data - they come from the original object and will override the cursor position!
-    // Also remove id to create a new object
+    // Also remove id to create a new object, and group membership - a single copy must not join the original group
     // eslint-disable-next-line no-unused-vars
-    const { x, y, id, ...dataWithoutCoords } = data;
+    const { x, y, id, groupId, groupName, ...dataWithoutCoords } = data;
 
     // Create the object via a unified method (DRY!)
     const obj = this._createObjectAt(type, screenX, screenY, {
@@ -15972,54 +17622,8 @@ class InteractionManager {
       const finalScale = 1 / canvasZoom;
 
       // Upload file via Foundry API
-      const timestamp = Date.now();
-      const extension = file.type.split('/')[1] || 'png';
-      const filename = `wbe-image-${timestamp}.${extension}`;
-      const newFile = new File([file], filename, {
-        type: file.type
-      });
-      let uploadResult;
-
-      // Determine loading method (V12+ or V11)
-      let uploadMethod;
-      if (foundry.applications?.apps?.FilePicker?.implementation) {
-        uploadMethod = foundry.applications.apps.FilePicker.implementation;
-      } else {
-        uploadMethod = FilePicker;
-      }
-      try {
-        // Upload file - format: upload(source, path, file, options, uploadOptions)
-        // For V12+: uploadOptions is separate object with notify, etc.
-        uploadResult = await uploadMethod.upload("data", `worlds/${game.world.id}/`, newFile, {
-          name: filename
-        }, {
-          notify: false  // Don't show Foundry's default notification
-        });
-      } catch (uploadError) {
-        console.error('[InteractionManager] Upload error:', uploadError);
-        // Try without uploadOptions (for older Foundry versions)
-        try {
-          uploadResult = await uploadMethod.upload("data", `worlds/${game.world.id}/`, newFile, {
-            name: filename
-          });
-        } catch (retryError) {
-          console.error('[InteractionManager] Retry upload error:', retryError);
-          const errorMsg = retryError.message || retryError.toString() || 'Unknown error';
-          console.error('[InteractionManager] Full error details:', {
-            error: retryError,
-            user: game.user?.name,
-            isGM: game.user?.isGM,
-            canUpload: game.user?.can('FILES_UPLOAD')
-          });
-          ui.notifications.error(`Image upload failed: ${errorMsg}`);
-          return null;
-        }
-      }
-      
-      if (!uploadResult || !uploadResult.path) {
-        ui.notifications.error("Image upload failed: No path returned");
-        return null;
-      }
+      const uploadedPath = await this._uploadImageFile(file);
+      if (!uploadedPath) return null;
 
       // Calculate position (center under cursor)
       const screenX = this.lastMouseX ?? canvas.stage.x + canvas.stage.width / 2;
@@ -16042,7 +17646,7 @@ class InteractionManager {
       // _createObjectAt converts screenX/Y to world, but we override via options
       // ALTERNATIVE 1: Pass baseWidth/baseHeight for correct size calculation
       const obj = this._createObjectAt('image', screenX, screenY, {
-        src: uploadResult.path,
+        src: uploadedPath,
         width: dimensions.width,
         height: dimensions.height,
         baseWidth: dimensions.width, // Natural image dimensions
@@ -16060,6 +17664,64 @@ class InteractionManager {
     }
   }
 
+  /**
+   * Upload an image file to the world folder (shared by paste, file picker and board import)
+   * @param {File|Blob} file - Image file
+   * @returns {Promise<string|null>} Uploaded path, null on failure (already reported to the user)
+   */
+  async _uploadImageFile(file) {
+    // Random suffix: board import uploads many files within one millisecond
+    const timestamp = Date.now();
+    const extension = file.type.split('/')[1] || 'png';
+    const filename = `wbe-image-${timestamp}-${Math.random().toString(36).substr(2, 5)}.${extension}`;
+    const newFile = new File([file], filename, {
+      type: file.type
+    });
+    let uploadResult;
+
+    // Determine loading method (V12+ or V11)
+    let uploadMethod;
+    if (foundry.applications?.apps?.FilePicker?.implementation) {
+      uploadMethod = foundry.applications.apps.FilePicker.implementation;
+    } else {
+      uploadMethod = FilePicker;
+    }
+    try {
+      // Upload file - format: upload(source, path, file, options, uploadOptions)
+      // For V12+: uploadOptions is separate object with notify, etc.
+      uploadResult = await uploadMethod.upload("data", `worlds/${game.world.id}/`, newFile, {
+        name: filename
+      }, {
+        notify: false  // Don't show Foundry's default notification
+      });
+    } catch (uploadError) {
+      console.error('[InteractionManager] Upload error:', uploadError);
+      // Try without uploadOptions (for older Foundry versions)
+      try {
+        uploadResult = await uploadMethod.upload("data", `worlds/${game.world.id}/`, newFile, {
+          name: filename
+        });
+      } catch (retryError) {
+        console.error('[InteractionManager] Retry upload error:', retryError);
+        const errorMsg = retryError.message || retryError.toString() || 'Unknown error';
+        console.error('[InteractionManager] Full error details:', {
+          error: retryError,
+          user: game.user?.name,
+          isGM: game.user?.isGM,
+          canUpload: game.user?.can('FILES_UPLOAD')
+        });
+        ui.notifications.error(`Image upload failed: ${errorMsg}`);
+        return null;
+      }
+    }
+
+    if (!uploadResult || !uploadResult.path) {
+      ui.notifications.error("Image upload failed: No path returned");
+      return null;
+    }
+    return uploadResult.path;
+  }
+
   /**
    * Event handler paste (Ctrl+V / Cmd+V)
    * Unified: handles both copied objects and system clipboard: handles both copied objects and the system clipboard, and system clipboard
@@ -16176,6 +17838,13 @@ class InteractionManager {
       }
     }
 
+    // PRIORITY 0.9: Note tool active or a note selected - one sticky note per line
+    if (text && text.trim() && window.WBE_Notes?.pasteLinesAsNotes?.(text)) {
+      e.preventDefault();
+      e.stopPropagation();
+      return;
+    }
+
     // PRIORITY 1: Plain text from system clipboard
     // Simpler and more reliable than HTML - no formatting issues from external sources
     if (text && text.trim()) {
@@ -16270,6 +17939,33 @@ class FoundryPersistenceAdapter {
     return this._storageTypes.get(serializationKey) || null;
   }
 
+  /**
+   * Get flag key for an object type (plain JSON has no getSerializationKey())
+   * @param {string} objectType - e.g. 'text', 'shape', 'card'
+   * @returns {string|null}
+   */
+  getFlagKeyForType(objectType) {
+    if (!objectType) return null;
+    for (const [serKey, flagKey] of this._storageTypes) {
+      if (PersistenceController.serKeyToObjectType(serKey) === objectType) return flagKey;
+    }
+    return null;
+  }
+
+  /**
+   * Flag path of a storage bucket on a page
+   * The default page keeps the pre-pages location (flags.<scope>.<flagKey>), so boards saved before
+   * pages existed are its content and older module versions still see it; other pages live under
+   * flags.<scope>.pages.<pageId>.<flagKey>
+   * @param {string} flagKey
+   * @param {string} [pageId] - Defaults to the page this client is viewing
+   * @returns {string} Path relative to the flag scope
+   */
+  getFlagPath(flagKey, pageId = getCurrentPageId()) {
+    if (!pageId || pageId === DEFAULT_PAGE_ID) return flagKey;
+    return `pages.${pageId}.${flagKey}`;
+  }
+
   /**
    * Generic save by type
    * @param {string} serializationKey - Key returned by object.getSerializationKey()
@@ -16287,7 +17983,7 @@ class FoundryPersistenceAdapter {
       return;
     }
     try {
-      await canvas.scene.setFlag(this.FLAG_SCOPE, flagKey, data);
+      await canvas.scene.setFlag(this.FLAG_SCOPE, this.getFlagPath(flagKey), data);
     } catch (error) {
       console.error(`[Persistence] Failed to save ${serializationKey}:`, error);
       throw error;
@@ -16297,9 +17993,10 @@ class FoundryPersistenceAdapter {
   /**
    * Generic load by type
    * @param {string} serializationKey - Key returned by object.getSerializationKey()
+   * @param {string} [pageId] - Page to read (defaults to the viewed page)
    * @returns {Object}
    */
-  async loadByType(serializationKey) {
+  async loadByType(serializationKey, pageId = getCurrentPageId()) {
     const flagKey = this._storageTypes.get(serializationKey);
     if (!flagKey) {
       console.warn(`[Persistence] Unknown storage type: ${serializationKey}`);
@@ -16310,13 +18007,53 @@ class FoundryPersistenceAdapter {
       return {};
     }
     try {
-      return await canvas.scene.getFlag(this.FLAG_SCOPE, flagKey) || {};
+      return await canvas.scene.getFlag(this.FLAG_SCOPE, this.getFlagPath(flagKey, pageId)) || {};
     } catch (error) {
       console.error(`[Persistence] Failed to load ${serializationKey}:`, error);
       return {};
     }
   }
 
+  /**
+   * Build a scene update that touches only the given objects
+   * Each object is its own flag path, so unchanged objects are not sent at all
+   * @param {Map<string, {flagKey: string, json: Object}>} writes - id -> new JSON
+   * @param {Map<string, string|null>} deletes - id -> flagKey (null = remove from every bucket)
+   * @param {string} [pageId] - Page the objects belong to (defaults to the viewed page)
+   * @returns {Object} Flattened update data for Scene#update
+   */
+  buildFlagUpdate(writes, deletes, pageId = getCurrentPageId()) {
+    const base = `flags.${this.FLAG_SCOPE}`;
+    const updateData = {};
+    for (const [id, flagKey] of deletes) {
+      const flagKeys = flagKey ? [flagKey] : this._storageTypes.values();
+      for (const key of flagKeys) {
+        // Foundry deletion syntax for a nested key
+        updateData[`${base}.${this.getFlagPath(key, pageId)}.-=${id}`] = null;
+      }
+    }
+    for (const [id, { flagKey, json }] of writes) {
+      updateData[`${base}.${this.getFlagPath(flagKey, pageId)}.${id}`] = json;
+    }
+    return updateData;
+  }
+
+  /**
+   * Apply flag changes with a single Scene#update
+   * @param {string|null} sceneId - Scene the changes belong to (may not be the viewed scene anymore)
+   * @param {Object} updateData - Result of buildFlagUpdate()
+   */
+  async updateSceneFlags(sceneId, updateData) {
+    if (!game.user?.isGM) return;
+    if (Object.keys(updateData).length === 0) return;
+    const scene = sceneId ? game.scenes?.get(sceneId) : canvas?.scene;
+    if (!scene) {
+      console.warn(`[Persistence] Scene ${sceneId ?? '(none)'} not available, skipping flag update`);
+      return;
+    }
+    await scene.update(updateData);
+  }
+
   // Legacy methods for backward compatibility (delegate to generic)
   async saveTexts(texts) { return this.saveByType('text', texts); }
   async saveImages(images) { return this.saveByType('image', images); }
@@ -16341,7 +18078,7 @@ class FoundryPersistenceAdapter {
     try {
       // Use unsetFlag to remove a specific key from a nested object
       // Format: unsetFlag(scope, "flagKey.objectId") will remove objectId from flagKey
-      const path = `${flagKey}.${objectId}`;
+      const path = `${this.getFlagPath(flagKey)}.${objectId}`;
       await canvas.scene.unsetFlag(this.FLAG_SCOPE, path);
       console.log(`[Persistence] Deleted ${objectId} from flag ${flagKey} using unsetFlag with path: ${path}`);
     } catch (error) {
@@ -16380,15 +18117,23 @@ class FoundryPersistenceAdapter {
 // 7. Persistence Controller (Save/Load)
 // ==========================================
 class PersistenceController {
+  // Local UI state - changes of only these keys are not written
+  static UI_ONLY_PROPS = ['selected', 'massSelected'];
+
   constructor(registry, foundryAdapter) {
     this.registry = registry;
     this.foundryAdapter = foundryAdapter;
-    this._debouncedSave = null;
     this._saveTimeout = null;
     this._saveDelay = 300; // Debounce delay in ms
-    this._isLoading = false; // this._isLoading = false; // Flag to prevent saving during loading
-    this._isSaving = false; // this._isSaving = false; // Flag to prevent parallel saves
-    this._isDeleting = false; // this._isDeleting = false; // Flag to prevent saving during deletion (race condition protection)
+    this._isLoading = false; // Flag to prevent saving during loading
+    this._saveChain = Promise.resolve(); // Serializes scene updates
+    this._pendingSceneId = null; // Scene the pending changes belong to
+    this._pendingPageId = null; // ...and the page
+    this._pendingWrites = new Map(); // id -> { flagKey, json }
+    this._pendingDeletes = new Map(); // id -> flagKey (null = unknown, remove from all buckets)
+    this._flagKeys = new Map(); // id -> flagKey of every object seen in the Registry
+    this.offlineQueue = null; // OfflineEditQueue, set by Whiteboard.init
+    this.pages = null; // PageController, set by Whiteboard.init
   }
 
   /**
@@ -16401,39 +18146,94 @@ class PersistenceController {
   }
 
   /**
-   * * Handle Registry changes for automatic saving
-   * 
-   * * ARCHITECTURE::
-   * - * - Players: only send socket messages, DO NOT trigger saving: Players only send socket messages, DO NOT trigger saving, DO NOT trigger saving
-   * - GM: * - GM: saves all changes (both local and remote from players via socket) (GM saves all changes (both local and remote from players via socket) local, and remote from players via socket)
+   * Handle Registry changes: remember what has to be written
+   *
+   * ARCHITECTURE:
+   * - Players: only send socket messages, DO NOT trigger saving
+   * - GM: saves all changes (both local and remote from players via socket)
+   * - Only changed objects are written: each change marks its ID dirty (with a JSON snapshot),
+   *   deletions are collected separately, and a debounced flush sends ONE scene.update
+   *   with per-object flag paths ("flags.<scope>.images.<id>", "flags.<scope>.images.-=<id>")
    */
-  _handleRegistryChange({ id, type, source }) {
+  _handleRegistryChange({ id, type, data, source, changes }) {
+    // Only GM writes to the database
+    if (!game.user?.isGM) return;
+
+    // zIndex is derived from rank on load - batch z-index syncs carry nothing to save
+    if (type === 'zIndexBatchUpdate' || !id) return;
+
     // For deletion - do not check _isLoading (deletion is not blocked by loading)
     if (type === 'deleted') {
-      // Only GM deletes from the database
-      if (game.user?.isGM) {
-        console.log(`[Persistence] Delete request: id=${id}, source=${source}, isGM=${game.user?.isGM}`);
-        this._deleteFromDB(id);
-      }
+      console.log(`[Persistence] Delete request: id=${id}, source=${source}`);
+      this._markDeleted(id);
       return;
     }
 
-    // For created/updated - check _isLoading
+    const obj = data || this.registry.get(id);
+    if (!obj) return;
+    const flagKey = this.foundryAdapter.getFlagKey(obj.getSerializationKey());
+    if (flagKey) this._flagKeys.set(id, flagKey);
+
+    // Objects being loaded are already in the database
     if (this._isLoading) return;
 
-    // CRITICAL: Save only on GM
-    // Players MUST NOT trigger saving (only send socket messages)
-    if (!game.user?.isGM) return;
+    // Selection state is not saved
+    if (type === 'updated' && changes && Object.keys(changes).every(key => PersistenceController.UI_ONLY_PROPS.includes(key))) {
+      return;
+    }
 
     // GM saves all changes:
     // - source='local': own actions (creation, editing)
     // - source='remote': player actions (received via socket and applied to Registry)
-    // Debounced saving of all objects
+    this._markDirty(id, obj);
+  }
+
+  /**
+   * Pending changes belong to one scene page - flush them before collecting for another
+   */
+  _ensurePendingScene() {
+    const sceneId = canvas?.scene?.id || null;
+    const pageId = getCurrentPageId();
+    if (this._pendingSceneId && (this._pendingSceneId !== sceneId || this._pendingPageId !== pageId)) {
+      this._flushChanges().catch(error => {
+        console.error(`[Persistence] Failed to flush changes of previous scene:`, error);
+      });
+    }
+    this._pendingSceneId = sceneId;
+    this._pendingPageId = pageId;
+  }
+
+  _markDirty(id, obj) {
+    this._ensurePendingScene();
+    const flagKey = this._flagKeys.get(id);
+    if (!flagKey) {
+      console.warn(`[Persistence] Unknown storage type for ${id}: ${obj.getSerializationKey()}`);
+      return;
+    }
+    // Snapshot now: by the time the flush runs the registry may already hold another scene
+    this._pendingWrites.set(id, { flagKey, json: this._serialize(obj) });
+    this._pendingDeletes.delete(id);
     this._scheduleSave();
   }
 
+  _markDeleted(id) {
+    this._ensurePendingScene();
+    this._pendingWrites.delete(id);
+    // Unknown key (object never seen by this client) - remove it from every bucket
+    this._pendingDeletes.set(id, this._flagKeys.get(id) || null);
+    this._flagKeys.delete(id);
+    this._scheduleSave();
+  }
+
+  /**
+   * Object JSON plus its field stamps (so field clocks survive a reload)
+   */
+  _serialize(obj) {
+    return { ...obj.toJSON(), _fieldClocks: this.registry.getFieldClocks(obj.id) };
+  }
+
   /**
-   * Schedule saving (debounced) (debounced)
+   * Schedule saving (debounced)
    */
   _scheduleSave() {
     if (this._saveTimeout) {
@@ -16441,222 +18241,152 @@ class PersistenceController {
     }
     this._saveTimeout = setTimeout(() => {
       this._saveTimeout = null;
-      // CRITICAL: Handle async errors - _saveAll() is async and may reject
+      // CRITICAL: Handle async errors - _flushChanges() is async and may reject
       // Without this, unhandled rejections cause "Uncaught (in promise) undefined" errors
-      this._saveAll().catch(error => {
-        console.error(`[Persistence] Failed to saveAll (from _scheduleSave):`, error);
+      this._flushChanges().catch(error => {
+        console.error(`[Persistence] Failed to flush changes (from _scheduleSave):`, error);
         // Don't rethrow - saving failures are logged but don't break the app
       });
     }, this._saveDelay);
   }
 
   /**
-   * Delete the object from the DB immediately
-   * CRITICAL: setFlag does not delete keys, therefore the object must be explicitly deleted
+   * Write all pending changes with a single scene update
    */
-  async _deleteFromDB(id) {
-    // The isGM check is already done in _handleRegistryChange
-
-    // CRITICAL: Lock _saveAll during deletion to avoid race condition
-    if (this._isSaving) {
-      console.log(`[Persistence] Save in progress, waiting before delete`);
-      while (this._isSaving) {
-        await new Promise(resolve => setTimeout(resolve, 50));
-      }
-    }
+  async _flushChanges() {
+    if (!game.user?.isGM) return; // Only GM saves
 
-    // Cancel any scheduled save
     if (this._saveTimeout) {
       clearTimeout(this._saveTimeout);
       this._saveTimeout = null;
     }
+    if (this._pendingWrites.size === 0 && this._pendingDeletes.size === 0) return;
+
+    // Take the batch synchronously - new changes start a fresh one
+    const batch = {
+      sceneId: this._pendingSceneId,
+      pageId: this._pendingPageId,
+      writes: this._pendingWrites,
+      deletes: this._pendingDeletes
+    };
+    this._pendingWrites = new Map();
+    this._pendingDeletes = new Map();
 
-    this._isDeleting = true;
+    // Writes are chained: a later update must not land before an earlier one
+    this._saveChain = this._saveChain.then(() => this._writeBatch(batch));
+    return this._saveChain;
+  }
 
+  async _writeBatch({ sceneId, pageId, writes, deletes }) {
+    const startedAt = performance.now();
     try {
-      console.log(`[Persistence] Starting deletion of ${id} from DB`);
-      
-      // Generic: iterate over all registered storage types
-      const storageTypes = this.foundryAdapter.getStorageTypes();
-      const typeData = new Map(); // serializationKey -> {data, wasIn}
-      
-      // Load current data for all types
-      for (const [serKey, flagKey] of storageTypes) {
-        const data = await this.foundryAdapter.loadByType(serKey);
-        typeData.set(serKey, { data, flagKey, wasIn: id in data });
-      }
-      
-      // Log status
-      const statusParts = [];
-      for (const [serKey, info] of typeData) {
-        statusParts.push(`${serKey}=${info.wasIn}`);
-      }
-      console.log(`[Persistence] Object ${id} in DB: ${statusParts.join(', ')}`);
-      
-      // Delete from all types where object exists
-      let wasDeleted = false;
-      for (const [serKey, info] of typeData) {
-        if (!info.wasIn) continue;
-        
-        try {
-          await this.foundryAdapter.deleteObjectFromFlag(id, info.flagKey);
-          wasDeleted = true;
-          console.log(`[Persistence] Deleted ${id} from ${serKey} using unsetFlag`);
-        } catch (error) {
-          // Fallback: Use setFlag
-          console.warn(`[Persistence] unsetFlag failed for ${serKey}, using setFlag fallback:`, error);
-          delete info.data[id];
-          await this.foundryAdapter.saveByType(serKey, info.data);
-          wasDeleted = true;
-          console.log(`[Persistence] Deleted ${id} from ${serKey} using setFlag fallback`);
-        }
-      }
-      
-      // Refresh cache for all types
-      if (wasDeleted) {
-        const refreshPromises = [];
-        for (const [, info] of typeData) {
-          refreshPromises.push(this.foundryAdapter.refreshFlagCache(info.flagKey));
-        }
-        await Promise.all(refreshPromises);
-      }
-      
-      if (!wasDeleted) {
-        console.warn(`[Persistence] Object ${id} not found in DB for deletion`);
-      } else {
-        // Verify deletion with retries
-        let attempts = 0;
-        const maxAttempts = 3;
-        let stillExists = true;
-        
-        while (attempts < maxAttempts && stillExists) {
-          attempts++;
-          await new Promise(resolve => setTimeout(resolve, 100));
-          
-          // Check all types
-          stillExists = false;
-          for (const [serKey, info] of typeData) {
-            if (!info.wasIn) continue;
-            const dataAfter = await this.foundryAdapter.loadByType(serKey);
-            if (id in dataAfter) {
-              stillExists = true;
-              console.warn(`[Persistence] Attempt ${attempts}/${maxAttempts}: Object ${id} still in ${serKey}!`);
-              // Retry deletion
-              delete dataAfter[id];
-              await this.foundryAdapter.saveByType(serKey, dataAfter);
-            }
-          }
-          
-          if (!stillExists) {
-            console.log(`[Persistence] Verified: Object ${id} deleted after ${attempts} attempt(s)`);
-          }
+      const updateData = this.foundryAdapter.buildFlagUpdate(writes, deletes, pageId);
+      await this.foundryAdapter.updateSceneFlags(sceneId, updateData);
+      const elapsed = Math.round(performance.now() - startedAt);
+      console.log(`[Persistence] Saved ${writes.size} changed, ${deletes.size} deleted object(s) in one update (${Object.keys(updateData).length} keys, ${elapsed}ms)`);
+    } catch (error) {
+      console.error(`[Persistence] Failed to save changes:`, error);
+      // Put the batch back unless the objects changed again meanwhile (written with the next change)
+      if (this._pendingSceneId === sceneId && this._pendingPageId === pageId) {
+        for (const [id, write] of writes) {
+          if (!this._pendingWrites.has(id) && !this._pendingDeletes.has(id)) this._pendingWrites.set(id, write);
         }
-        
-        if (stillExists) {
-          console.error(`[Persistence] CRITICAL: Object ${id} STILL in DB after ${maxAttempts} attempts!`);
+        for (const [id, flagKey] of deletes) {
+          if (!this._pendingWrites.has(id) && !this._pendingDeletes.has(id)) this._pendingDeletes.set(id, flagKey);
         }
       }
-    } catch (error) {
-      console.error(`[Persistence] Failed to delete ${id} from DB:`, error);
-    } finally {
-      this._isDeleting = false;
-      console.log(`[Persistence] Completed deletion of ${id} from database`);
     }
   }
 
   /**
-   * Save all objects to the DB
-   * Uses toJSON() from objects (SSOT: Registry) toJSON() from objects (SSOT: Registry)
+   * GM: save a change made on a page this client is not viewing
+   * Such changes never reach the Registry, so they are written straight to the page's flags,
+   * merged per field against the stored stamps (the same LWW ObjectRegistry.update applies)
+   * @param {string} pageId
+   * @param {string} action - 'created' | 'updated' | 'deleted'
+   * @param {string} id - Object ID
+   * @param {Object|null} data - Full object JSON (null for deleted)
+   * @param {Object} [clocks] - Field stamps of the sender
+   */
+  writeOffPage(pageId, action, id, data, clocks = null) {
+    if (!game.user?.isGM || !id) return;
+    const sceneId = canvas?.scene?.id || null;
+    // Read the stored object inside the chain: an earlier off-page write may still be in flight
+    this._saveChain = this._saveChain.then(() => {
+      const batch = this._buildOffPageBatch(sceneId, pageId, action, id, data, clocks);
+      return batch ? this._writeBatch(batch) : undefined;
+    }).catch(error => {
+      console.error(`[Persistence] Failed to save off-page ${action} for ${id}:`, error);
+    });
+    return this._saveChain;
+  }
+
+  /**
+   * @returns {Object|null} Batch for _writeBatch (null if there is nothing to write)
    */
-  async _saveAll() {
-    if (!game.user?.isGM) return; // Only GM saves
+  _buildOffPageBatch(sceneId, pageId, action, id, data, clocks) {
+    const writes = new Map();
+    const deletes = new Map();
+    if (action === 'deleted') {
+      deletes.set(id, null);
+      return { sceneId, pageId, writes, deletes };
+    }
 
-    // Protection against parallel saves
-    if (this._isSaving) {
-      console.log(`[Persistence] Save already in progress, skipping`);
-      return;
+    const flagKey = this.foundryAdapter.getFlagKeyForType(data?.type);
+    if (!flagKey) {
+      console.warn(`[Persistence] Unknown storage type for off-page ${id}: ${data?.type}`);
+      return null;
     }
 
-    // CRITICAL: Do not save during deletion to avoid overwriting the deletion
-    if (this._isDeleting) {
-      console.log(`[Persistence] Deletion in progress, skipping save to avoid race condition`);
-      return;
+    const stored = this.getStoredObject(pageId, data?.type, id, sceneId);
+    const { json, reason, rejected } = resolveStoredWrite(action, stored, data, clocks || data._fieldClocks || {}, ObjectRegistry.isGMUser);
+    if (rejected.length > 0) {
+      console.log(`[Persistence] Off-page ${id}: kept stored ${rejected.join(', ')} (newer stamps)`);
     }
-
-    this._isSaving = true;
-    try {
-      const allObjects = this.registry.getAll();
-
-      // Generic: group objects by serialization key
-      const dataByType = new Map(); // serializationKey -> { id: json }
-      
-      // Initialize buckets for all registered storage types
-      for (const serKey of this.foundryAdapter.getStorageTypes().keys()) {
-        dataByType.set(serKey, {});
-      }
-
-      allObjects.forEach(obj => {
-        const json = obj.toJSON(); // SSOT: the object knows how to serialize itself
-        const key = obj.getSerializationKey();
-        
-        // Ensure bucket exists (for custom types registered after init)
-        if (!dataByType.has(key)) {
-          dataByType.set(key, {});
-        }
-        
-        dataByType.get(key)[obj.id] = json;
-      });
-
-      // Save all types via generic API
-      const savePromises = [];
-      for (const [serKey, data] of dataByType) {
-        savePromises.push(this.foundryAdapter.saveByType(serKey, data));
-      }
-      await Promise.all(savePromises);
-
-      // Refresh cache for all types
-      // CRITICAL: Wrap refreshFlagCache calls to handle potential undefined rejections
-      // Some browsers (Firefox on Linux) may reject updateSource with undefined
-      const refreshPromises = [];
-      for (const flagKey of this.foundryAdapter.getStorageTypes().values()) {
-        const promise = this.foundryAdapter.refreshFlagCache(flagKey).catch(error => {
-          // refreshFlagCache already handles errors internally, but ensure we don't propagate undefined
-          if (error === undefined) {
-            console.warn(`[Persistence] refreshFlagCache rejected with undefined for ${flagKey}, continuing`);
-            return undefined;
-          }
-          throw error;
-        });
-        refreshPromises.push(promise);
-      }
-      await Promise.all(refreshPromises);
-
-      // Log summary
-      const summary = Array.from(dataByType.entries())
-        .map(([key, data]) => `${Object.keys(data).length} ${key}s`)
-        .join(', ');
-      console.log(`[Persistence] Saved ${summary}`);
-    } catch (error) {
-      console.error(`[Persistence] Failed to saveAll:`, error);
-    } finally {
-      this._isSaving = false;
+    if (reason === 'missing') {
+      console.warn(`[Persistence] Off-page update for ${id} skipped: not stored on page ${pageId} (deleted?)`);
     }
+    if (!json) return null;
+    writes.set(id, { flagKey, json });
+    return { sceneId, pageId, writes, deletes };
+  }
+
+  /**
+   * Saved JSON of an object on any page of a scene (null if not stored)
+   * @param {string} pageId
+   * @param {string} objectType
+   * @param {string} id
+   * @param {string} [sceneId] - Defaults to the current scene
+   * @returns {Object|null}
+   */
+  getStoredObject(pageId, objectType, id, sceneId = null) {
+    const flagKey = this.foundryAdapter.getFlagKeyForType(objectType);
+    const scene = sceneId ? game.scenes?.get(sceneId) : canvas?.scene;
+    if (!flagKey || !scene) return null;
+    const bucket = scene.getFlag(this.foundryAdapter.FLAG_SCOPE, this.foundryAdapter.getFlagPath(flagKey, pageId));
+    return bucket?.[id] || null;
   }
 
   /**
-   * Load all objects from the database
+   * Load all objects of the active page from the database
+   * Other pages of the scene are not touched - they load when someone switches to them
    */
   async loadAll() {
     this._isLoading = true;
     try {
+      // New scene - pick its page before anything is read
+      this.pages?.syncScene();
+      const pageId = getCurrentPageId();
       const storageTypes = this.foundryAdapter.getStorageTypes();
       const loadedCounts = {};
       const allRanks = [];
 
       // Load all registered storage types
       for (const [serKey] of storageTypes) {
-        const data = await this.foundryAdapter.loadByType(serKey);
+        const data = await this.foundryAdapter.loadByType(serKey, pageId);
         const objectType = this._serKeyToObjectType(serKey);
+        // Deferred objects of a previously loaded page must not show up here
+        this[`_pending${objectType.charAt(0).toUpperCase() + objectType.slice(1)}s`] = null;
         
         // Collect ranks for duplicate detection
         Object.entries(data).forEach(([id, objData]) => {
@@ -16671,6 +18401,7 @@ class PersistenceController {
             try {
               const obj = InteractionManager._createObjectFromType(objectType, objData);
               this.registry.register(obj, 'local');
+              this.registry.restoreFieldClocks(obj.id, objData._fieldClocks);
               loaded++;
             } catch (e) {
               console.warn(`[Persistence] Failed to load ${objectType} ${objData.id}: ${e.message}`);
@@ -16700,12 +18431,19 @@ class PersistenceController {
       const summary = Object.entries(loadedCounts)
         .map(([type, count]) => `${count} ${type}s`)
         .join(', ');
-      console.log(`[Persistence] Loaded ${summary}`);
+      console.log(`[Persistence] Loaded ${summary} (page ${pageId})`);
     } catch (error) {
       console.error(`[Persistence] Failed to loadAll:`, error);
     } finally {
       this._isLoading = false;
     }
+
+    // Player: re-apply edits still waiting for GM; GM: ask players to send them
+    try {
+      await this.offlineQueue?.afterLoad();
+    } catch (error) {
+      console.error(`[Persistence] Offline queue after load failed:`, error);
+    }
   }
   
   /**
@@ -16714,6 +18452,10 @@ class PersistenceController {
    * @returns {string} Object type (e.g., 'text', 'image', 'card')
    */
   _serKeyToObjectType(serKey) {
+    return PersistenceController.serKeyToObjectType(serKey);
+  }
+
+  static serKeyToObjectType(serKey) {
     // Handle plural forms: 'cards' -> 'card', 'texts' -> 'text'
     if (serKey.endsWith('s') && serKey !== 'text' && serKey !== 'image') {
       return serKey.slice(0, -1);
@@ -16742,6 +18484,7 @@ class PersistenceController {
         try {
           const obj = InteractionManager._createObjectFromType(type, data);
           this.registry.register(obj, 'local');
+          this.registry.restoreFieldClocks(obj.id, data._fieldClocks);
           loaded++;
         } catch (e) {
           console.warn(`[Persistence] Failed to load pending ${type} ${data.id}: ${e.message}`);
@@ -16758,10 +18501,10 @@ class PersistenceController {
    * Resource cleanup
    */
   cleanup() {
-    if (this._saveTimeout) {
-      clearTimeout(this._saveTimeout);
-      this._saveTimeout = null;
-    }
+    // Write what is still pending instead of dropping it
+    this._flushChanges().catch(error => {
+      console.error(`[Persistence] Failed to flush changes on cleanup:`, error);
+    });
   }
 }
 
@@ -16769,6 +18512,11 @@ class PersistenceController {
 // 8. Socket & Sync (Network)
 // ==========================================
 class SocketController {
+  // Changes of board objects (saved by GM)
+  static OBJECT_ACTIONS = ['created', 'updated', 'deleted'];
+  // Messages about objects of one page - ignored by clients viewing another page
+  static PAGE_ACTIONS = ['created', 'updated', 'deleted', 'imageLock', 'imageUnlock', 'textLock', 'textUnlock'];
+
   constructor(registry, interactionManager = null, layer = null) {
     this.registry = registry;
     this.interactionManager = interactionManager; // Explicit dependency for state checks
@@ -16777,6 +18525,7 @@ class SocketController {
     this._lastGMStatusCheck = 0;
     this._lastGMStatus = null;
     this._gmCheckDebounceMs = 1000; // Check GM status at most once per second
+    this.offlineQueue = null; // OfflineEditQueue, set by Whiteboard.init
   }
   init() {
     // Subscribe to Registry
@@ -16797,22 +18546,25 @@ class SocketController {
    * Send a special socket message (for imageLock/imageUnlock and other actions) (for imageLock/imageUnlock and other actions)
    * @param {string} action - @param {string} action - Action (imageLock, imageUnlock, etc.) (imageLock, imageUnlock, etc.)
    * @param {object} data - @param {object} data - Data to send
+   * @param {object} [options]
+   * @param {boolean} [options.quiet=false] - Don't log (high-frequency messages like cursors)
    */
-  emit(action, data) {
+  emit(action, data, { quiet = false } = {}) {
     if (!game.socket) {
-      console.warn(`[Socket] game.socket not available, skipping ${action}`);
+      if (!quiet) console.warn(`[Socket] game.socket not available, skipping ${action}`);
       return;
     }
     const payload = {
       action: action,
       ...data,
       sceneId: canvas.scene?.id, // Scene ID to filter messages by scene
+      pageId: getCurrentPageId(),
       timestamp: Date.now(),
       userId: game.user?.id
     };
     try {
       game.socket.emit(SOCKET_NAME, payload);
-      console.log(`[Socket] Emitted ${action}`, data);
+      if (!quiet) console.log(`[Socket] Emitted ${action}`, data);
     } catch (error) {
       console.error(`[Socket] Failed to emit ${action}:`, error);
     }
@@ -16888,6 +18640,10 @@ class SocketController {
     
     console.log(`[Socket] Emitting ${type} for ${id}`);
     const jsonData = data ? data.toJSON ? data.toJSON() : data : null;
+    // Nobody would save this change - keep it until a GM joins
+    if (!game.user?.isGM && this.offlineQueue && !isGMOnline()) {
+      this.offlineQueue.record(type, id, jsonData, this.registry.getFieldClocks(id));
+    }
     // CRITICAL: Log content for debugging text transmission
     if (type === 'created' && jsonData && jsonData.type === 'text') {
       console.log(`[Socket] Created text object: id=${id}, text="${jsonData.text}", textLength=${jsonData.text?.length || 0}`);
@@ -16900,7 +18656,9 @@ class SocketController {
       // 'created', 'updated', 'deleted'
       id: id,
       data: jsonData,
+      clocks: type === 'deleted' ? undefined : this.registry.getFieldClocks(id), // Per-field stamps for LWW merge
       sceneId: canvas.scene?.id, // Scene ID to filter messages by scene
+      pageId: getCurrentPageId(), // ...and by page within the scene
       timestamp: Date.now(), // Timestamp to prevent race conditions
       userId: game.user?.id // For debugging
     };
@@ -16911,6 +18669,20 @@ class SocketController {
     }
   }
   _handleSocketMessage(payload) {
+    // Module-defined actions (cursors, presence) - transient, high-frequency, not logged
+    const customHandler = Whiteboard._socketHandlers.get(payload?.action);
+    if (customHandler) {
+      const anyScene = Whiteboard._worldSocketActions.has(payload.action);
+      if (!anyScene && payload.sceneId && canvas.scene?.id && payload.sceneId !== canvas.scene.id) return;
+      if (!anyScene && payload.pageId && payload.pageId !== getCurrentPageId()) return;
+      try {
+        customHandler(payload);
+      } catch (error) {
+        console.error(`[Socket] Handler for ${payload.action} failed:`, error);
+      }
+      return;
+    }
+
     console.log(`[Socket] Received message`, payload);
     const {
       action,
@@ -16928,6 +18700,16 @@ class SocketController {
       return;
     }
 
+    // Same for pages of the scene (older clients send no pageId - they only know the first page).
+    // Nobody else saves a change made on a page the GM is not viewing, so one GM writes it directly
+    const pageId = payload.pageId || DEFAULT_PAGE_ID;
+    if (SocketController.PAGE_ACTIONS.includes(action) && pageId !== getCurrentPageId()) {
+      if (SocketController.OBJECT_ACTIONS.includes(action) && isResponsibleGM()) {
+        Whiteboard.persistence?.writeOffPage(pageId, action, id, data, payload.clocks);
+      }
+      return;
+    }
+
     // CRITICAL: Log content for debugging text retrieval
     if (action === 'created' && data && data.type === 'text') {
       console.log(`[Socket] Received created text: id=${id}, text="${data.text}", textLength=${data.text?.length || 0}`);
@@ -16956,6 +18738,7 @@ class SocketController {
       // DRY: Use a factory instead of multiple if/else
       const obj = InteractionManager._createObjectFromType(data.type, data);
       this.registry.register(obj, 'remote');
+      this.registry.restoreFieldClocks(id, payload.clocks);
       console.log(`[Socket] Registered remote object ${id}`, {
         registrySizeAfter: this.registry.objects?.size || 0
       });
@@ -16989,7 +18772,8 @@ class SocketController {
       // Pass metadata with timestamp to prevent race conditions
       this.registry.update(id, data, 'remote', {
         timestamp: timestamp || Date.now(),
-        userId: userId
+        userId: userId,
+        clocks: payload.clocks // Absent from older clients - Registry falls back to timestamps
       });
     } else if (action === 'deleted') {
       this.registry.unregister(id, 'remote');
@@ -17015,6 +18799,18 @@ class SocketController {
       const { hasGM } = payload;
       console.log('[GM Warning] Socket: GM status changed, hasGM =', hasGM);
       updateGMWarningIndicator();
+      if (hasGM) this.offlineQueue?.replay();
+    } else if (action === 'offlineSyncRequest') {
+      // GM finished loading the scene - send edits made while no GM was online
+      this.offlineQueue?.replay();
+    } else if (action === 'offlineReplay') {
+      // Edits a player made without GM - applied (with conflict checks) by one GM only
+      if (!isResponsibleGM() || !this.offlineQueue) return;
+      const result = this.offlineQueue.applyReplay(payload.entries || [], userId);
+      this.emit('offlineReplayResult', { targetUserId: userId, maxSeq: payload.maxSeq, ...result });
+    } else if (action === 'offlineReplayResult') {
+      if (payload.targetUserId !== game.user?.id) return;
+      this.offlineQueue?.handleReplayResult(payload);
     }
   }
 
@@ -17173,37 +18969,724 @@ class SocketController {
       container.appendChild(lockOverlay);
     }
 
-    console.log(`[Socket] Text ${textId} locked by ${userName || lockUserId}`);
+    console.log(`[Socket] Text ${textId} locked by ${userName || lockUserId}`);
+
+    // If the text was selected on this client, deselect it
+    if (this.interactionManager?.selectedId === textId) {
+      this.interactionManager._deselect();
+    }
+  }
+
+  /**
+   * Handle text unlock (exit edit mode on another client)
+   * @param {string} textId - ID of text object
+   */
+  _handleTextUnlock(textId) {
+    const container = this.layer?.getObjectContainer(textId);
+    if (!container) {
+      return;
+    }
+
+    // Remove the lock
+    delete container.dataset.lockedBy;
+    container.removeAttribute('data-locked-by-name');
+    container.removeAttribute('data-editing');
+    container.classList.remove('wbe-text-locked');
+
+    // Remove the visual overlay
+    const lockOverlay = container.querySelector('.wbe-text-lock-overlay');
+    if (lockOverlay) {
+      lockOverlay.remove();
+    }
+
+    console.log(`[Socket] Text ${textId} unlocked`);
+  }
+}
+
+// ==========================================
+// Offline Edit Queue (players without GM)
+// ==========================================
+
+/**
+ * Player-side queue of edits made while no GM is connected
+ *
+ * ARCHITECTURE:
+ * - Only GM writes scene flags, so a player's edits without GM live only in the open clients
+ * - SocketController hands every emitted created/updated/deleted to record() while no GM is online
+ * - One entry per object (latest snapshot wins): created+updated -> created, created+deleted -> nothing
+ * - Entries are kept in IndexedDB keyed by scene, so a reload keeps them; after loadAll() they
+ *   are re-applied locally (source='remote' - not queued, echoed or recorded in history again)
+ * - Each entry carries the object's field stamps (entry.clocks), not just a wall-clock time:
+ *   GM and players do not share a clock, and objects loaded from the DB have no edit time
+ * - When a GM is online the queue is replayed to GM ('offlineReplay'). GM merges an update per field
+ *   (resolveReplay in field-clocks.mjs): fields GM changed after the player saw them stay GM's,
+ *   the rest is saved as a normal remote change and broadcast. A deletion is skipped if GM's object
+ *   has writes the player had not seen. Conflicts are reported back ('offlineReplayResult')
+ *   together with GM's current version of the object
+ */
+class OfflineEditQueue {
+  static DB_NAME = 'whiteboard-experience';
+  static STORE_NAME = 'offline-queue';
+  static WRITE_DELAY = 100; // Debounce for IndexedDB writes
+  static REPLAY_TIMEOUT = 10000; // No answer from GM - allow the next trigger to resend
+
+  constructor(registry, persistence = null) {
+    this.registry = registry;
+    this.persistence = persistence; // Objects registered while loading from DB are not user edits
+    this._sceneId = null;
+    this._entries = new Map(); // id -> { id, op: 'created'|'updated'|'deleted', objectType, data, clocks, pageId, timestamp, seq }
+    this._types = new Map(); // id -> object type (deleted events carry no data)
+    this._seq = 0;
+    this._dbPromise = null;
+    this._writeTimeout = null;
+    this._replayTimeout = null; // Set while a replay waits for GM's answer
+    this._retryTimeout = null;
+    this._lastSize = 0;
+    this._unsubscribe = null;
+    this._hookIds = [];
+  }
+
+  init() {
+    // Subscribed after SocketController, so a deleted object's type is still known in record()
+    this._unsubscribe = this.registry.subscribe(({ id, type, data }) => {
+      if (type === 'deleted') this._types.delete(id);
+      else if (data?.type) this._types.set(id, data.type);
+    });
+
+    // GM joined (the same hooks the GM warning indicator observes)
+    const onGMJoined = (user) => {
+      if (user?.isGM && user.active) setTimeout(() => this.replay(), 1000);
+    };
+    this._hookIds.push(['updateUser', Hooks.on('updateUser', (user, data) => {
+      if (data?.active) onGMJoined(user);
+    })]);
+    this._hookIds.push(['createUser', Hooks.on('createUser', onGMJoined)]);
+  }
+
+  cleanup() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+    for (const [hook, hookId] of this._hookIds) Hooks.off(hook, hookId);
+    this._hookIds = [];
+    clearTimeout(this._replayTimeout);
+    clearTimeout(this._retryTimeout);
+    this._replayTimeout = null;
+    this._retryTimeout = null;
+    this._flushWrite();
+  }
+
+  /**
+   * Number of changes waiting for GM in the current scene
+   */
+  get size() {
+    return this._entries.size;
+  }
+
+  /**
+   * Queue a change that SocketController emitted without any GM online
+   * @param {string} type - 'created' | 'updated' | 'deleted'
+   * @param {string} id - Object ID
+   * @param {object|null} data - JSON snapshot of the object (null for deleted)
+   * @param {Object} [clocks] - Field stamps of the object at this edit (for deleted: the last ones seen)
+   */
+  record(type, id, data, clocks = {}) {
+    if (game.user?.isGM || this.persistence?._isLoading) return;
+    const sceneId = canvas.scene?.id;
+    if (!sceneId) return;
+    if (sceneId !== this._sceneId) {
+      this._flushWrite(); // Entries of the previous scene stay in IndexedDB
+      this._sceneId = sceneId;
+      this._entries.clear();
+    }
+
+    const existing = this._entries.get(id);
+    const objectType = data?.type || this._types.get(id) || existing?.objectType || null;
+    const entry = { id, op: type, objectType, data, clocks, pageId: getCurrentPageId(), timestamp: Date.now(), seq: ++this._seq };
+    if (type === 'updated' && existing?.op === 'created') {
+      entry.op = 'created'; // GM has never seen this object
+    }
+    if (type === 'deleted') {
+      entry.data = null;
+      if (existing?.op === 'created') {
+        this._entries.delete(id); // Created and deleted offline - nothing for GM to do
+        this._changed();
+        return;
+      }
+    }
+    this._entries.set(id, entry);
+    this._changed();
+  }
+
+  /**
+   * Called by PersistenceController when a scene finished loading
+   * GM asks players to replay; a player restores their own queue
+   */
+  async afterLoad() {
+    if (game.user?.isGM) {
+      window.Whiteboard?.socket?.emit('offlineSyncRequest', {});
+      return;
+    }
+    await this.restore();
+  }
+
+  /**
+   * Load queued entries of the current scene and show them locally (called after loadAll)
+   */
+  async restore() {
+    if (game.user?.isGM) return;
+    const sceneId = canvas.scene?.id;
+    if (!sceneId) return;
+
+    this._flushWrite();
+    const stored = await this._read(sceneId);
+    // A scene switch may have happened while waiting for IndexedDB
+    if (canvas.scene?.id !== sceneId) return;
+    this._sceneId = sceneId;
+    this._entries.clear();
+    if (stored?.userId === game.user?.id) {
+      for (const entry of stored.entries || []) {
+        this._entries.set(entry.id, entry);
+        this._seq = Math.max(this._seq, entry.seq || 0);
+      }
+    }
+    this._changed(false);
+    if (this._entries.size === 0) return;
+
+    console.log(`[OfflineQueue] Restoring ${this._entries.size} offline change(s) for scene ${sceneId}`);
+    const pageId = getCurrentPageId();
+    for (const entry of this._entries.values()) {
+      // Entries of other pages are still replayed to GM, just not shown here
+      if ((entry.pageId || DEFAULT_PAGE_ID) !== pageId) continue;
+      try {
+        this._applyLocally(entry);
+      } catch (error) {
+        // Custom types register after the first load - the entry still goes to GM
+        console.warn(`[OfflineQueue] Failed to restore ${entry.op} ${entry.id}: ${error.message}`);
+      }
+    }
+    this.replay();
+  }
+
+  _applyLocally({ id, op, data, clocks, timestamp }) {
+    const obj = this.registry.get(id);
+    if (op === 'deleted') {
+      if (obj) this.registry.unregister(id, 'remote');
+    } else if (!obj) {
+      this.registry.register(InteractionManager._createObjectFromType(data.type, data), 'remote');
+      this.registry.restoreFieldClocks(id, clocks);
+    } else {
+      // Entries queued before stamps were recorded fall back to timestamps
+      this.registry.update(id, data, 'remote', { timestamp, userId: game.user?.id, clocks });
+    }
+  }
+
+  /**
+   * Send queued entries to GM (no-op without GM or while a replay is in flight)
+   */
+  replay() {
+    if (game.user?.isGM || this._entries.size === 0 || this._replayTimeout) return;
+    if (!canvas.scene?.id || canvas.scene.id !== this._sceneId) return;
+    if (!isGMOnline()) return;
+
+    const entries = Array.from(this._entries.values());
+    const maxSeq = Math.max(...entries.map(entry => entry.seq));
+    console.log(`[OfflineQueue] Replaying ${entries.length} offline change(s) to GM`);
+    window.Whiteboard?.socket?.emit('offlineReplay', { entries, maxSeq });
+    this._replayTimeout = setTimeout(() => {
+      this._replayTimeout = null;
+    }, OfflineEditQueue.REPLAY_TIMEOUT);
+  }
+
+  /**
+   * GM side: apply replayed entries with conflict checks
+   * @returns {{ applied: number, conflicts: Object<string, object|null>, deferred: string[] }}
+   *   conflicts: id -> GM's current JSON (null = deleted); deferred: types not registered on GM yet
+   */
+  applyReplay(entries, userId) {
+    let applied = 0;
+    const conflicts = {};
+    const deferred = [];
+    const broadcast = (action, id, data, clocks, timestamp, pageId) => {
+      // Same payload as a live change, so other players catch up too
+      game.socket?.emit(SOCKET_NAME, { action, id, data, clocks, sceneId: canvas.scene?.id, pageId, timestamp, userId });
+    };
+
+    for (const entry of entries) {
+      const { id, op, objectType, data, clocks, timestamp, pageId = DEFAULT_PAGE_ID } = entry;
+      // Module types (frames, notes...) load after the core - a missing object is not a deletion yet
+      if (objectType && !Whiteboard.hasObjectType(objectType)) {
+        deferred.push(id);
+        continue;
+      }
+      if (pageId !== getCurrentPageId()) {
+        // Made on a page GM is not viewing - checked against and written to that page's flags
+        if (this._applyOffPage({ ...entry, pageId }, conflicts)) {
+          broadcast(op, id, data, clocks, timestamp, pageId);
+          applied++;
+        }
+        continue;
+      }
+      const obj = this.registry.get(id);
+      const current = obj ? this._snapshot(obj) : null;
+      const { apply, conflict } = resolveReplay(entry, current, current?._fieldClocks, ObjectRegistry.isGMUser);
+      try {
+        if (apply) {
+          if (op === 'created') {
+            this.registry.register(InteractionManager._createObjectFromType(data.type, data), 'remote');
+            this.registry.restoreFieldClocks(id, clocks);
+          } else if (op === 'updated') {
+            // Registry merges per field with the same stamps - losing fields stay GM's
+            this.registry.update(id, data, 'remote', { timestamp, userId, clocks: clocks || {} });
+          } else if (op === 'deleted') {
+            this.registry.unregister(id, 'remote');
+          }
+          broadcast(op, id, op === 'deleted' ? null : data, clocks, timestamp, pageId);
+        }
+        if (conflict) {
+          // Someone changed the object after the player saw it - GM's version (with the merged fields) wins
+          const latest = this.registry.get(id);
+          conflicts[id] = latest ? this._snapshot(latest) : null;
+        } else {
+          applied++;
+        }
+      } catch (error) {
+        console.error(`[OfflineQueue] Failed to apply offline ${op} for ${id}:`, error);
+      }
+    }
+    console.log(`[OfflineQueue] Applied ${applied} offline change(s) from ${userId}, ${Object.keys(conflicts).length} conflict(s), ${deferred.length} deferred`);
+    return { applied, conflicts, deferred };
+  }
+
+  /**
+   * GM side: one replayed entry of a page GM is not viewing (same rules as applyReplay)
+   * @returns {boolean} true if written
+   */
+  _applyOffPage({ id, op, objectType, data, clocks, pageId }, conflicts) {
+    const stored = this.persistence?.getStoredObject(pageId, objectType || data?.type, id) || null;
+    const result = resolveReplay({ op, data, clocks }, stored, stored?._fieldClocks, ObjectRegistry.isGMUser);
+    if (result.conflict) {
+      conflicts[id] = op === 'updated' && stored ? { ...result.merged, _fieldClocks: result.clocks } : stored;
+    }
+    if (!result.apply) return false;
+    // writeOffPage merges per field against the stored stamps itself
+    this.persistence?.writeOffPage(pageId, op, id, data, clocks || {});
+    return true;
+  }
+
+  /**
+   * Object JSON with its field stamps (what GM compares replayed entries against)
+   */
+  _snapshot(obj) {
+    return { ...obj.toJSON(), _fieldClocks: this.registry.getFieldClocks(obj.id) };
+  }
+
+  /**
+   * Player side: GM answered the replay
+   */
+  handleReplayResult({ maxSeq, applied, conflicts = {}, deferred = [] }) {
+    clearTimeout(this._replayTimeout);
+    this._replayTimeout = null;
+
+    // Entries changed after the replay was sent have a newer seq and stay queued
+    const keep = new Set(deferred);
+    const entryPages = new Map(Array.from(this._entries, ([id, entry]) => [id, entry.pageId || DEFAULT_PAGE_ID]));
+    for (const [id, entry] of this._entries) {
+      if (entry.seq <= maxSeq && !keep.has(id)) this._entries.delete(id);
+    }
+
+    // Show GM's version instead of the rejected offline edit
+    // (unregister + register: a plain remote update would lose to our newer local stamps)
+    const conflictIds = Object.keys(conflicts);
+    for (const id of conflictIds) {
+      if (this._entries.has(id)) continue;
+      // Objects of other pages are not in the Registry - they load with their page
+      if ((entryPages.get(id) || DEFAULT_PAGE_ID) !== getCurrentPageId()) continue;
+      try {
+        if (this.registry.get(id)) this.registry.unregister(id, 'remote');
+        const data = conflicts[id];
+        if (data) {
+          this.registry.register(InteractionManager._createObjectFromType(data.type, data), 'remote');
+          this.registry.restoreFieldClocks(id, data._fieldClocks);
+        }
+      } catch (error) {
+        console.warn(`[OfflineQueue] Failed to refresh conflicted object ${id}: ${error.message}`);
+      }
+    }
+
+    this._changed();
+    if (applied > 0) {
+      ui.notifications?.info(`WBE: ${applied} offline change(s) saved by GM`);
+    }
+    if (conflictIds.length > 0) {
+      ui.notifications?.warn(`WBE: ${conflictIds.length} offline change(s) partly or fully skipped - the objects were changed or deleted while you were offline`);
+    }
+    if (deferred.length > 0) {
+      // GM is still initializing modules - try again a bit later
+      clearTimeout(this._retryTimeout);
+      this._retryTimeout = setTimeout(() => {
+        this._retryTimeout = null;
+        this.replay();
+      }, 5000);
+    } else {
+      // Edits made while the replay was in flight
+      this.replay();
+    }
+  }
+
+  /**
+   * Queue content changed: refresh the pending counter and store the scene's entries
+   * @param {boolean} [persist=true] - false when the entries were just read from IndexedDB
+   */
+  _changed(persist = true) {
+    if (this._entries.size !== this._lastSize) {
+      this._lastSize = this._entries.size;
+      updateGMWarningIndicator();
+    }
+    if (!persist) return;
+    if (this._writeTimeout) clearTimeout(this._writeTimeout);
+    this._writeTimeout = setTimeout(() => this._flushWrite(), OfflineEditQueue.WRITE_DELAY);
+  }
+
+  _flushWrite() {
+    if (!this._writeTimeout) return;
+    clearTimeout(this._writeTimeout);
+    this._writeTimeout = null;
+    if (!this._sceneId) return;
+    this._write(this._sceneId, Array.from(this._entries.values())).catch(error => {
+      console.error(`[OfflineQueue] Failed to store offline changes:`, error);
+    });
+  }
+
+  // ---------- IndexedDB ----------
+
+  _openDB() {
+    if (this._dbPromise) return this._dbPromise;
+    this._dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(OfflineEditQueue.DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(OfflineEditQueue.STORE_NAME, { keyPath: 'sceneId' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Do not cache a failed open - next call retries
+    this._dbPromise.catch(() => { this._dbPromise = null; });
+    return this._dbPromise;
+  }
+
+  async _read(sceneId) {
+    try {
+      const db = await this._openDB();
+      return await new Promise((resolve, reject) => {
+        const request = db.transaction(OfflineEditQueue.STORE_NAME, 'readonly')
+          .objectStore(OfflineEditQueue.STORE_NAME)
+          .get(sceneId);
+        request.onsuccess = () => resolve(request.result || null);
+        request.onerror = () => reject(request.error);
+      });
+    } catch (error) {
+      console.warn(`[OfflineQueue] Failed to read offline changes:`, error);
+      return null;
+    }
+  }
+
+  async _write(sceneId, entries) {
+    const db = await this._openDB();
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(OfflineEditQueue.STORE_NAME, 'readwrite');
+      const store = tx.objectStore(OfflineEditQueue.STORE_NAME);
+      if (entries.length > 0) {
+        store.put({ sceneId, userId: game.user?.id, entries });
+      } else {
+        store.delete(sceneId);
+      }
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+}
+
+// ==========================================
+// Pages (several boards in one scene)
+// ==========================================
+
+/**
+ * Page the current client is viewing (DEFAULT_PAGE_ID before Whiteboard is initialized)
+ * @returns {string}
+ */
+function getCurrentPageId() {
+  return Whiteboard.pages?.currentPageId || DEFAULT_PAGE_ID;
+}
+
+/**
+ * Pages of the current scene (prep, combat, epilogue...) and switching between them
+ *
+ * ARCHITECTURE:
+ * - Page list lives in scene flags: flags.<scope>.pageList = { pageId: { id, name, order } };
+ *   DEFAULT_PAGE_ID always exists (a scene without the flag has just that page)
+ * - Objects of a page are stored per page (FoundryPersistenceAdapter.getFlagPath), only the viewed page
+ *   is in the Registry. Switching = flush pending saves, drop the Registry and DOM, loadAll() the new page
+ * - Every client picks its page itself (remembered per scene in localStorage); socket messages carry
+ *   pageId, clients on other pages ignore them and GM writes them straight to that page's flags
+ * - GM can keep everyone on a page: flags.<scope>.forcedPage; while it is set players cannot switch away
+ *   and it follows GM's own page switches
+ * - Only GM edits the page list (world data in scene flags)
+ */
+class PageController {
+  static STORAGE_KEY_PREFIX = 'wbe-page-'; // + sceneId
+  static MAX_NAME_LENGTH = 40;
+
+  constructor(registry, layer, interactionManager, persistence, history) {
+    this.registry = registry;
+    this.layer = layer;
+    this.interactionManager = interactionManager;
+    this.persistence = persistence;
+    this.history = history;
+    this.currentPageId = DEFAULT_PAGE_ID;
+    this._sceneId = null; // Scene currentPageId was picked for
+    this._switchChain = Promise.resolve();
+    this._listeners = new Set();
+    this._updateSceneHookId = null;
+  }
+
+  init() {
+    this._updateSceneHookId = Hooks.on('updateScene', (scene, changes) => this._onUpdateScene(scene, changes));
+  }
+
+  cleanup() {
+    if (this._updateSceneHookId !== null) {
+      Hooks.off('updateScene', this._updateSceneHookId);
+      this._updateSceneHookId = null;
+    }
+    this._listeners.clear();
+  }
+
+  /**
+   * Subscribe to page list / current page changes
+   * @param {Function} callback - ({ pages, currentPageId, forcedPageId }) => void
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(callback) {
+    this._listeners.add(callback);
+    return () => this._listeners.delete(callback);
+  }
+
+  _notify() {
+    const state = {
+      pages: this.getPages(),
+      currentPageId: this.currentPageId,
+      forcedPageId: this.getForcedPageId()
+    };
+    this._listeners.forEach(cb => {
+      try {
+        cb(state);
+      } catch (error) {
+        console.error(`[Pages] Listener failed:`, error);
+      }
+    });
+  }
+
+  /**
+   * Pages of the current scene in display order
+   * @returns {Array<{id: string, name: string, order: number}>}
+   */
+  getPages() {
+    const stored = canvas?.scene?.getFlag(MODULE_ID, 'pageList') || {};
+    const pages = Object.values(stored).filter(page => page?.id);
+    if (!pages.some(page => page.id === DEFAULT_PAGE_ID)) {
+      pages.push({ id: DEFAULT_PAGE_ID, name: 'Page 1', order: -1 });
+    }
+    return pages.sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  }
+
+  getPage(pageId) {
+    return this.getPages().find(page => page.id === pageId) || null;
+  }
+
+  /**
+   * Page GM keeps everyone on (null = free navigation)
+   * @returns {string|null}
+   */
+  getForcedPageId() {
+    const pageId = canvas?.scene?.getFlag(MODULE_ID, 'forcedPage') || null;
+    return pageId && this.getPage(pageId) ? pageId : null;
+  }
+
+  /**
+   * Called by PersistenceController.loadAll(): a newly viewed scene starts on the forced page,
+   * the page this client viewed last time, or the first page
+   */
+  syncScene() {
+    const sceneId = canvas?.scene?.id || null;
+    if (sceneId === this._sceneId) return;
+    this._sceneId = sceneId;
+
+    const stored = sceneId ? localStorage.getItem(PageController.STORAGE_KEY_PREFIX + sceneId) : null;
+    const candidates = [this.getForcedPageId(), stored, DEFAULT_PAGE_ID];
+    this.currentPageId = candidates.find(pageId => pageId && this.getPage(pageId)) || DEFAULT_PAGE_ID;
+    this._notify();
+  }
+
+  /**
+   * Show another page of the current scene
+   * @param {string} pageId
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Ignore GM's forced page (used when following it)
+   * @returns {Promise<boolean>} true if switched
+   */
+  switchTo(pageId, { force = false } = {}) {
+    // One switch at a time - a second click waits for the first load
+    this._switchChain = this._switchChain
+      .then(() => this._switch(pageId, force))
+      .catch(error => {
+        console.error(`[Pages] Failed to switch to page ${pageId}:`, error);
+        return false;
+      });
+    return this._switchChain;
+  }
+
+  async _switch(pageId, force) {
+    if (!canvas?.scene || pageId === this.currentPageId || !this.getPage(pageId)) return false;
+    const forcedPageId = this.getForcedPageId();
+    if (!force && !game.user?.isGM && forcedPageId && forcedPageId !== pageId) {
+      ui.notifications?.warn('WBE: the GM keeps everyone on this page');
+      return false;
+    }
+
+    const im = this.interactionManager;
+    im?._deselect();
+    im?.massSelection?.clear();
+
+    // Pending edits belong to the page being left
+    await this.persistence._flushChanges();
+    this._unloadPage();
+
+    this.currentPageId = pageId;
+    localStorage.setItem(PageController.STORAGE_KEY_PREFIX + canvas.scene.id, pageId);
+    await this.persistence.loadAll();
+    // Undo steps refer to objects of the page being left
+    this.history?.reset();
+
+    // Players follow GM while the page is forced
+    if (game.user?.isGM && forcedPageId) {
+      await this.setForcedPage(pageId);
+    }
+    this._notify();
+    console.log(`[Pages] Switched to page ${pageId}`);
+    return true;
+  }
+
+  /**
+   * Drop objects of the viewed page (no socket/persistence events - they stay saved)
+   */
+  _unloadPage() {
+    const ids = this.registry.getAllIds();
+    this.layer._clearRegistryForSceneChange();
+    for (const id of ids) {
+      this.layer.getObjectContainer(id)?.remove();
+    }
+  }
+
+  // ---------- GM: page list ----------
+
+  async _updateScene(updateData) {
+    if (!game.user?.isGM || !canvas?.scene) return;
+    await canvas.scene.update(updateData);
+  }
+
+  _cleanName(name, fallback) {
+    const value = String(name ?? '').trim().slice(0, PageController.MAX_NAME_LENGTH);
+    return value || fallback;
+  }
+
+  /**
+   * Add a page after the last one
+   * @param {string} [name]
+   * @returns {Promise<string|null>} New page ID
+   */
+  async createPage(name) {
+    if (!game.user?.isGM) return null;
+    const pages = this.getPages();
+    const page = {
+      id: `page-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      name: this._cleanName(name, `Page ${pages.length + 1}`),
+      order: Math.max(...pages.map(p => p.order ?? 0)) + 1
+    };
+    const updateData = { [`flags.${MODULE_ID}.pageList.${page.id}`]: page };
+    // First extra page - store the default one too, so it can be renamed like the others
+    if (!canvas.scene.getFlag(MODULE_ID, `pageList.${DEFAULT_PAGE_ID}`)) {
+      updateData[`flags.${MODULE_ID}.pageList.${DEFAULT_PAGE_ID}`] = this.getPage(DEFAULT_PAGE_ID);
+    }
+    await this._updateScene(updateData);
+    return page.id;
+  }
+
+  async renamePage(pageId, name) {
+    const page = this.getPage(pageId);
+    if (!page) return;
+    await this._updateScene({
+      [`flags.${MODULE_ID}.pageList.${pageId}`]: { ...page, name: this._cleanName(name, page.name) }
+    });
+  }
 
-    // If the text was selected on this client, deselect it
-    if (this.interactionManager?.selectedId === textId) {
-      this.interactionManager._deselect();
-    }
+  /**
+   * Only GM deletes pages; the first page holds the pre-pages data and always stays
+   * @param {string} pageId
+   * @returns {boolean}
+   */
+  canDelete(pageId) {
+    return !!game.user?.isGM && pageId !== DEFAULT_PAGE_ID && !!this.getPage(pageId);
   }
 
   /**
-   * Handle text unlock (exit edit mode on another client)
-   * @param {string} textId - ID of text object
+   * Delete a page with all its objects
+   * @param {string} pageId
    */
-  _handleTextUnlock(textId) {
-    const container = this.layer?.getObjectContainer(textId);
-    if (!container) {
-      return;
+  async deletePage(pageId) {
+    if (!this.canDelete(pageId)) return;
+    if (this.currentPageId === pageId) {
+      await this.switchTo(DEFAULT_PAGE_ID, { force: true });
+    }
+    const updateData = {
+      [`flags.${MODULE_ID}.pageList.-=${pageId}`]: null,
+      [`flags.${MODULE_ID}.pages.-=${pageId}`]: null
+    };
+    if (canvas.scene.getFlag(MODULE_ID, 'forcedPage') === pageId) {
+      updateData[`flags.${MODULE_ID}.forcedPage`] = null;
     }
+    await this._updateScene(updateData);
+  }
 
-    // Remove the lock
-    delete container.dataset.lockedBy;
-    container.removeAttribute('data-locked-by-name');
-    container.removeAttribute('data-editing');
-    container.classList.remove('wbe-text-locked');
+  /**
+   * Keep every player on a page (null releases them)
+   * @param {string|null} pageId
+   */
+  async setForcedPage(pageId) {
+    if (!game.user?.isGM) return;
+    const value = pageId && this.getPage(pageId) ? pageId : null;
+    if ((canvas.scene?.getFlag(MODULE_ID, 'forcedPage') || null) === value) return;
+    await this._updateScene({ [`flags.${MODULE_ID}.forcedPage`]: value });
+  }
 
-    // Remove the visual overlay
-    const lockOverlay = container.querySelector('.wbe-text-lock-overlay');
-    if (lockOverlay) {
-      lockOverlay.remove();
-    }
+  _onUpdateScene(scene, changes) {
+    if (!canvas?.scene || scene.id !== canvas.scene.id) return;
+    const flagChanges = changes?.flags?.[MODULE_ID];
+    if (!flagChanges || !['pageList', 'forcedPage'].some(key => key in flagChanges)) return;
 
-    console.log(`[Socket] Text ${textId} unlocked`);
+    const forcedPageId = this.getForcedPageId();
+    if (!this.getPage(this.currentPageId)) {
+      // Viewed page was deleted
+      this.switchTo(forcedPageId || DEFAULT_PAGE_ID, { force: true });
+    } else if (!game.user?.isGM && forcedPageId && forcedPageId !== this.currentPageId) {
+      this.switchTo(forcedPageId, { force: true });
+    }
+    this._notify();
   }
 }
 
@@ -17239,6 +19722,33 @@ function hasConnectedGM() {
   return false;
 }
 
+/**
+ * Quiet variant of hasConnectedGM() for hot paths (checked on every emitted change)
+ * @returns {boolean} True if at least one GM is active
+ */
+function isGMOnline() {
+  if (!game.users) return false;
+  for (const user of game.users.values()) {
+    if (user.active && user.isGM) return true;
+  }
+  return false;
+}
+
+/**
+ * Only one GM answers requests meant for "the GM" (several GMs may be online)
+ * @returns {boolean} True if the current user is the GM that should handle it
+ */
+function isResponsibleGM() {
+  if (!game.user?.isGM) return false;
+  if (game.users?.activeGM) return game.users.activeGM.id === game.user.id;
+  // Older Foundry versions: the active GM with the lowest ID
+  const gmIds = [];
+  for (const user of game.users?.values() || []) {
+    if (user.active && user.isGM) gmIds.push(user.id);
+  }
+  return gmIds.sort()[0] === game.user.id;
+}
+
 /**
  * Inject GM warning indicator CSS styles
  */
@@ -17264,6 +19774,10 @@ function injectGMWarningIndicatorCSS() {
       border: 1px solid rgba(255, 100, 100, 0.8);  /* Red border */
       box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
     }
+    .wbe-gm-warning-indicator--syncing {
+      background: rgba(200, 140, 30, 0.9);  /* Amber: pending offline changes */
+      border-color: rgba(255, 190, 80, 0.8);
+    }
   `;
   document.head.appendChild(style);
 }
@@ -17300,11 +19814,20 @@ function updateGMWarningIndicator() {
   
   // Check if GM is connected
   const hasGM = hasConnectedGM();
-  console.log('[GM Warning] updateGMWarningIndicator: hasGM =', hasGM);
+  const pending = window.Whiteboard?.offlineQueue?.size || 0;
+  console.log('[GM Warning] updateGMWarningIndicator: hasGM =', hasGM, 'pending =', pending);
   
   if (!hasGM) {
     console.log('[GM Warning] updateGMWarningIndicator: Showing warning - GM is not online');
-    indicator.textContent = "GM is not online, you can't save WBE content!";
+    indicator.textContent = pending > 0
+      ? `GM is not online - ${pending} change(s) kept on this device until GM joins`
+      : "GM is not online, you can't save WBE content!";
+    indicator.classList.remove("wbe-gm-warning-indicator--syncing");
+    indicator.style.display = "flex";
+  } else if (pending > 0) {
+    // GM is back, offline changes are being replayed
+    indicator.textContent = `Syncing ${pending} offline change(s) with GM...`;
+    indicator.classList.add("wbe-gm-warning-indicator--syncing");
     indicator.style.display = "flex";
   } else {
     console.log('[GM Warning] updateGMWarningIndicator: Hiding warning - GM is online');
@@ -17467,16 +19990,353 @@ function _initGMWarningIndicator() {
   });
 }
 
+// ==========================================
+// 9. History (Undo/Redo)
+// ==========================================
+
+/**
+ * Undo/redo history built on Registry change events
+ *
+ * ARCHITECTURE:
+ * - Subscribes to Registry (like Persistence and Socket) and keeps a JSON snapshot per object
+ * - Every local created/updated/deleted becomes a { before, after } pair of snapshots in a step
+ * - Changes made in one synchronous task (mass delete, paste, mass drag commit) form one step
+ * - Long gestures that update Registry on every mousemove (group scale) use beginTransaction()/endTransaction()
+ * - Single drag/scale/crop gestures are skipped with the same checks SocketController uses,
+ *   so the final update from _endDrag()/_endScaleResize()/_endCropDrag() is the only recorded change
+ * - Undo/redo goes through Registry with source='local' - SocketController syncs it
+ *   and PersistenceController saves it exactly like a normal user edit
+ */
+class HistoryManager {
+  static MAX_STEPS = 100; // Oldest steps are dropped beyond this
+  static COALESCE_MS = 500; // Repeated edits of the same fields (sliders, group rotation) merge into one step
+  // Snapshot keys that are not user data (never compared or restored)
+  static NON_DATA_KEYS = ['id', 'type', 'zIndex', 'selected', 'massSelected', '_lastModified', '_lastModifiedSource'];
+
+  constructor(registry, interactionManager = null, persistence = null) {
+    this.registry = registry;
+    this.interactionManager = interactionManager; // Gesture state checks + deselect before undo
+    this.persistence = persistence; // Skip objects registered while loading from DB
+    this.undoStack = []; // Array<{ time, changes: Map<id, { before, after }> }>
+    this.redoStack = [];
+    this._snapshots = new Map(); // id -> last known JSON snapshot
+    this._pending = null; // Step being collected (flushed in microtask or at endTransaction)
+    this._flushScheduled = false;
+    this._transactionDepth = 0;
+    this._isApplying = false; // True while undo/redo writes to Registry (not recorded)
+    this._listeners = new Set();
+    this._unsubscribe = null;
+    this._canvasReadyHookId = null;
+  }
+
+  init() {
+    this._unsubscribe = this.registry.subscribe(this._handleRegistryChange.bind(this));
+    // History is per scene - objects of the previous scene are gone after switching
+    this._canvasReadyHookId = Hooks.on('canvasReady', () => this.reset());
+    this.reset();
+  }
+
+  cleanup() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+    if (this._canvasReadyHookId !== null) {
+      Hooks.off('canvasReady', this._canvasReadyHookId);
+      this._canvasReadyHookId = null;
+    }
+    this._listeners.clear();
+  }
+
+  /**
+   * Drop all steps and re-snapshot current Registry contents
+   */
+  reset() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this._pending = null;
+    this._transactionDepth = 0;
+    this._snapshots.clear();
+    for (const obj of this.registry.getAll()) {
+      this._snapshots.set(obj.id, this._snapshot(obj));
+    }
+    this._emitChange();
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0 || !!this._pending;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Subscribe to stack changes (toolbar buttons enable/disable)
+   * @param {Function} callback - ({ canUndo, canRedo }) => void
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(callback) {
+    this._listeners.add(callback);
+    return () => this._listeners.delete(callback);
+  }
+
+  /**
+   * Group all Registry changes until endTransaction() into one step
+   * Calls can be nested - the step is closed by the outermost endTransaction()
+   */
+  beginTransaction() {
+    this._transactionDepth++;
+  }
+
+  endTransaction() {
+    if (this._transactionDepth === 0) return;
+    this._transactionDepth--;
+    if (this._transactionDepth === 0) {
+      this._flush();
+    }
+  }
+
+  undo() {
+    return this._travel(this.undoStack, this.redoStack, 'before', 'after');
+  }
+
+  redo() {
+    return this._travel(this.redoStack, this.undoStack, 'after', 'before');
+  }
+
+  /**
+   * Move one step from one stack to the other, applying its `targetKey` side
+   * @private
+   */
+  _travel(fromStack, toStack, targetKey, expectedKey) {
+    if (this._transactionDepth > 0) return false; // Gesture in progress
+
+    // Finish editing/selection first: ending text edit may itself produce a change
+    this.interactionManager?._deselect();
+    this._flush();
+
+    const step = fromStack.pop();
+    if (!step) {
+      this._emitChange();
+      return false;
+    }
+
+    this._isApplying = true;
+    try {
+      for (const [id, change] of step.changes) {
+        this._applyChange(id, change[targetKey], change[expectedKey]);
+      }
+    } finally {
+      this._isApplying = false;
+    }
+
+    toStack.push(step);
+    this._emitChange();
+    return true;
+  }
+
+  /**
+   * Bring one object to `target` state
+   * @param {string} id - Object ID
+   * @param {Object|null} target - Snapshot to restore (null = object must not exist)
+   * @param {Object|null} expected - Snapshot the object should currently have
+   * @private
+   */
+  _applyChange(id, target, expected) {
+    const current = this.registry.get(id);
+
+    if (!target) {
+      if (current) this.registry.unregister(id, 'local');
+      return;
+    }
+
+    if (!current) {
+      try {
+        const obj = InteractionManager._createObjectFromType(target.type, this._clone(target));
+        this.registry.register(obj, 'local');
+      } catch (e) {
+        console.warn(`[History] Failed to restore ${target.type} ${id}: ${e.message}`);
+      }
+      return;
+    }
+
+    const currentSnapshot = this._snapshots.get(id) || this._snapshot(current);
+    const updates = {};
+    let rank = null;
+    for (const key of this._diffKeys(expected || {}, target)) {
+      // Field was changed by someone else after this step - their edit wins
+      if (expected && !this._isEqual(currentSnapshot[key], expected[key])) continue;
+      if (key === 'rank') {
+        rank = target.rank;
+      } else {
+        updates[key] = this._clone(target[key]);
+      }
+    }
+
+    if (Object.keys(updates).length > 0) {
+      this.registry.update(id, updates, 'local');
+    }
+    if (rank) {
+      this.registry.setRank(id, rank);
+    }
+  }
+
+  _handleRegistryChange({ id, type, data, source }) {
+    if (!id || type === 'zIndexBatchUpdate') return;
+
+    if (type === 'deleted') {
+      const before = this._snapshots.get(id) || null;
+      this._snapshots.delete(id);
+      if (this._shouldRecord(source)) {
+        this._record(id, before, null);
+      }
+      return;
+    }
+
+    // During drag/scale/crop only DOM changes - keep the pre-gesture snapshot as "before"
+    if (type === 'updated' && source === 'local' && this._isGestureInProgress(id)) return;
+
+    const obj = data || this.registry.get(id);
+    if (!obj) return;
+    const after = this._snapshot(obj);
+    const before = type === 'created' ? null : (this._snapshots.get(id) || null);
+    this._snapshots.set(id, after);
+
+    if (!this._shouldRecord(source)) return;
+    // Selection-only updates have no data changes
+    if (before && this._diffKeys(before, after).length === 0) return;
+    this._record(id, before, after);
+  }
+
+  _shouldRecord(source) {
+    return source === 'local' && !this._isApplying && !this.persistence?._isLoading;
+  }
+
+  /**
+   * Same gesture checks SocketController uses to skip per-pixel socket emits
+   * @private
+   */
+  _isGestureInProgress(id) {
+    const im = this.interactionManager;
+    if (!im) return false;
+    return im.isDragging(id) || im.isScaling(id) || im.isCroppingDrag(id);
+  }
+
+  _record(id, before, after) {
+    if (!this._pending) {
+      this._pending = { time: Date.now(), changes: new Map() };
+    }
+    const existing = this._pending.changes.get(id);
+    if (existing) {
+      existing.after = after; // Keep the first "before", take the latest "after"
+    } else {
+      this._pending.changes.set(id, { before, after });
+    }
+
+    if (this._transactionDepth === 0 && !this._flushScheduled) {
+      this._flushScheduled = true;
+      queueMicrotask(() => {
+        this._flushScheduled = false;
+        this._flush();
+      });
+    }
+  }
+
+  /**
+   * Close the pending step and push it to undo stack
+   * @private
+   */
+  _flush() {
+    if (this._transactionDepth > 0 || !this._pending) return;
+    const step = this._pending;
+    this._pending = null;
+
+    // Drop no-op changes (created and deleted within one step, or value changed back)
+    for (const [id, change] of step.changes) {
+      const isNoop = change.before && change.after
+        ? this._diffKeys(change.before, change.after).length === 0
+        : !change.before && !change.after;
+      if (isNoop) step.changes.delete(id);
+    }
+    if (step.changes.size === 0) return;
+
+    const top = this.undoStack[this.undoStack.length - 1];
+    if (top && this._canCoalesce(top, step)) {
+      for (const [id, change] of step.changes) {
+        top.changes.get(id).after = change.after;
+      }
+      top.time = step.time;
+    } else {
+      this.undoStack.push(step);
+      if (this.undoStack.length > HistoryManager.MAX_STEPS) {
+        this.undoStack.shift();
+      }
+    }
+    this.redoStack = [];
+    this._emitChange();
+  }
+
+  /**
+   * Steps merge when they quickly update the same fields of the same objects
+   * @private
+   */
+  _canCoalesce(top, step) {
+    if (step.time - top.time > HistoryManager.COALESCE_MS) return false;
+    if (top.changes.size !== step.changes.size) return false;
+    for (const [id, change] of step.changes) {
+      const prev = top.changes.get(id);
+      if (!prev || !prev.before || !prev.after || !change.before || !change.after) return false;
+      const prevKeys = this._diffKeys(prev.before, prev.after);
+      const keys = this._diffKeys(change.before, change.after);
+      if (prevKeys.length !== keys.length || !keys.every(k => prevKeys.includes(k))) return false;
+    }
+    return true;
+  }
+
+  _emitChange() {
+    const state = { canUndo: this.canUndo(), canRedo: this.canRedo() };
+    this._listeners.forEach(cb => cb(state));
+  }
+
+  _snapshot(obj) {
+    return this._clone(obj.toJSON ? obj.toJSON() : obj);
+  }
+
+  _diffKeys(a, b) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].filter(key =>
+      !HistoryManager.NON_DATA_KEYS.includes(key) && !this._isEqual(a[key], b[key])
+    );
+  }
+
+  _isEqual(a, b) {
+    return a === b || JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  _clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+}
+
 // ==========================================
 // Main Entry
 // ==========================================
 class Whiteboard {
   // Registry for custom object types (extensibility API)
   static _customTypes = new Map();
+
+  // Per-frame timings of board passes (WhiteboardDebug.frameStats()); modules report theirs here too
+  static frameProfiler = frameProfiler;
   
   // Registry for UI selectors to ignore in hit-test (extensibility API)
   static _uiSelectors = new Set();
 
+  // Handlers for module-defined socket actions (extensibility API)
+  static _socketHandlers = new Map();
+  // Custom actions delivered regardless of the viewed scene (world-wide data)
+  static _worldSocketActions = new Set();
+
   /**
    * Register a custom object type (extensibility API for other modules)
    * 
@@ -17485,6 +20345,7 @@ class Whiteboard {
    * @param {Function} config.ViewClass - Class extending WhiteboardObject with render() method
    * @param {Function} [config.PanelClass] - Optional panel class with show(id)/hide() methods
    * @param {Function} [config.factory] - Optional factory function (data) => instance
+   * @param {number} [config.zBand] - Optional z-band: objects of a lower band always render beneath (frames use -1)
    * 
    * @example
    * // In your module:
@@ -17506,6 +20367,13 @@ class Whiteboard {
     
     this._customTypes.set(type, config);
     console.log(`${MODULE_ID} | Registered custom type: ${type}`);
+
+    if (config.zBand !== undefined) {
+      ZIndexModel.setTypeBand(type, config.zBand);
+      if (this.registry?.zIndexModel) {
+        this.registry.zIndexModel._dirty = true;
+      }
+    }
     
     // If already initialized, register panel immediately
     if (this.interaction?.panels && config.PanelClass) {
@@ -17538,6 +20406,16 @@ class Whiteboard {
     return this._customTypes.get(type) || null;
   }
 
+  /**
+   * Build an object of any registered type from its JSON (not registered yet)
+   * @param {string} type - Type identifier
+   * @param {Object} data - Object data (as produced by toJSON())
+   * @returns {Object} Object instance
+   */
+  static createObjectFromType(type, data) {
+    return InteractionManager._createObjectFromType(type, data);
+  }
+
   /**
    * Register a storage type for persistence
    * Call this when registering a custom object type that needs DB persistence
@@ -17576,6 +20454,31 @@ class Whiteboard {
     console.log(`${MODULE_ID} | Registered UI selector: ${selector}`);
   }
 
+  /**
+   * Register a handler for a module-defined socket action (extensibility API)
+   * Messages from other scenes are filtered out before the handler is called (unless anyScene).
+   * Custom actions never touch the Registry - use them for transient state (cursors etc.)
+   * 
+   * @param {string} action - Action name (must not clash with built-in actions)
+   * @param {Function} handler - (payload) => void, payload has userId/sceneId/timestamp
+   * @param {Object} [options]
+   * @param {boolean} [options.anyScene=false] - Also receive messages sent from other scenes
+   * 
+   * @example
+   * window.Whiteboard.registerSocketHandler('myPing', ({ userId, x, y }) => showPing(userId, x, y));
+   * window.Whiteboard.socket.emit('myPing', { x, y }, { quiet: true });
+   */
+  static registerSocketHandler(action, handler, { anyScene = false } = {}) {
+    if (!action || typeof handler !== 'function') return;
+    this._socketHandlers.set(action, handler);
+    if (anyScene) {
+      this._worldSocketActions.add(action);
+    } else {
+      this._worldSocketActions.delete(action);
+    }
+    console.log(`${MODULE_ID} | Registered socket handler: ${action}`);
+  }
+
   /**
    * Check if selector is registered as UI element
    * @param {string} selector
@@ -17639,6 +20542,18 @@ class Whiteboard {
       if (this.interaction) {
         this.interaction.cleanup();
       }
+      if (this.history) {
+        this.history.cleanup();
+      }
+      if (this.offlineQueue) {
+        this.offlineQueue.cleanup();
+      }
+      if (this.pages) {
+        this.pages.cleanup();
+      }
+      if (this.spatialIndex) {
+        this.spatialIndex.cleanup();
+      }
       if (this.layer) {
         this.layer._destroyLayer();
       }
@@ -17648,6 +20563,8 @@ class Whiteboard {
       this.registry = new ObjectRegistry();
       console.log(`[Whiteboard] Created new Registry`);
       this.layer = new WhiteboardLayer(this.registry);
+      // Subscribes after Layer, so the DOM of a change is already written when it is measured
+      this.spatialIndex = new SpatialIndexController(this.registry, this.layer);
       this.interaction = new InteractionManager(this.registry, this.layer);
       this.socket = new SocketController(this.registry, this.interaction, this.layer); // Pass interactionManager and layer explicitly
       
@@ -17667,12 +20584,29 @@ class Whiteboard {
       
       this.persistence = new PersistenceController(this.registry, this.persistenceAdapter);
 
+      // Undo/redo history (applies changes via Registry, so Socket/Persistence handle them as usual)
+      this.history = new HistoryManager(this.registry, this.interaction, this.persistence);
+      this.interaction.setHistoryManager(this.history);
+
+      // Player edits made while no GM is online (replayed to GM when one joins)
+      this.offlineQueue = new OfflineEditQueue(this.registry, this.persistence);
+      this.socket.offlineQueue = this.offlineQueue;
+      this.persistence.offlineQueue = this.offlineQueue;
+
+      // Pages of the scene (only the viewed page is loaded into the Registry)
+      this.pages = new PageController(this.registry, this.layer, this.interaction, this.persistence, this.history);
+      this.persistence.pages = this.pages;
+
       // Set InteractionManager reference in Layer to access drag state (InteractionManager owns drag state)
       this.layer.setInteractionManager(this.interaction);
       this.layer.init();
+      this.spatialIndex.init();
       this.interaction.init();
       this.socket.init();
       this.persistence.init();
+      this.history.init();
+      this.offlineQueue.init();
+      this.pages.init();
       
       // Initialize GM warning indicator
       _initGMWarningIndicator();
@@ -17756,6 +20690,35 @@ class Whiteboard {
         }
       });
       
+      // Register Undo/Redo buttons in toolbar (disabled while the stack is empty)
+      const history = this.history;
+      registerTool({
+        id: 'wbe-undo',
+        title: 'Undo (Ctrl+Z)',
+        icon: 'fa-solid fa-rotate-left',
+        group: 'history',
+        type: 'button',
+        disabled: true,
+        onClick: () => {
+          history.undo();
+        }
+      });
+      registerTool({
+        id: 'wbe-redo',
+        title: 'Redo (Ctrl+Shift+Z)',
+        icon: 'fa-solid fa-rotate-right',
+        group: 'history',
+        type: 'button',
+        disabled: true,
+        onClick: () => {
+          history.redo();
+        }
+      });
+      history.subscribe(({ canUndo, canRedo }) => {
+        setToolDisabled('wbe-undo', !canUndo);
+        setToolDisabled('wbe-redo', !canRedo);
+      });
+      
       // LEGACY: Keep old injector for backwards compatibility (can be removed later)
       // MassSelectionToolInjector.register(this.interaction.massSelection);
       
@@ -17784,12 +20747,30 @@ class Whiteboard {
           this.layer._destroyLayer();
         } catch {}
       }
+      if (this.history) {
+        try {
+          this.history.cleanup();
+        } catch {}
+      }
+      if (this.offlineQueue) {
+        try {
+          this.offlineQueue.cleanup();
+        } catch {}
+      }
+      if (this.pages) {
+        try {
+          this.pages.cleanup();
+        } catch {}
+      }
       this.registry = null;
       this.layer = null;
       this.interaction = null;
       this.socket = null;
       this.persistenceAdapter = null;
       this.persistence = null;
+      this.history = null;
+      this.offlineQueue = null;
+      this.pages = null;
       throw error;
     }
   }
@@ -17810,6 +20791,18 @@ class Whiteboard {
       this.persistence.cleanup();
       this.persistence = null;
     }
+    if (this.history) {
+      this.history.cleanup();
+      this.history = null;
+    }
+    if (this.offlineQueue) {
+      this.offlineQueue.cleanup();
+      this.offlineQueue = null;
+    }
+    if (this.pages) {
+      this.pages.cleanup();
+      this.pages = null;
+    }
     this.persistenceAdapter = null;
     this.registry = null;
     console.log(`${MODULE_ID} | Destroyed`);
@@ -17961,6 +20954,7 @@ window.WBE_BasePanelView = BasePanelView;
 window.WBE_registerSettings = registerModuleSettings;
 window.WBE_loadGoogleFonts = _loadGoogleFonts;
 window.WBE_isFeatureEnabled = isFeatureEnabled;
+window.WBE_isResponsibleGM = isResponsibleGM;
 
 // Export ZIndexModel for testing (can be removed in production)
 window.ZIndexModel = ZIndexModel;
@@ -18015,11 +21009,56 @@ window.WhiteboardDebug = {
   },
   forceSync() {
     if (window.Whiteboard?.layer) {
-      window.Whiteboard.layer._sync();
+      window.Whiteboard.layer._sync(true);
       return 'Synced';
     }
     return 'Layer not found';
   },
+  // Layer alignment cost since the last call: checks, writes and ms spent in them.
+  // On an idle board (nothing panned for a few frames) all three stay at 0 and following is false
+  syncStats() {
+    return window.Whiteboard?.layer?.getSyncStats() ?? 'Layer not found';
+  },
+  // Frame time of board passes (culling, hitTest, guides, boxSelection, indexUpdate) over `seconds`.
+  // pan: true circles the canvas and hit-tests the screen centre every frame, so runs are comparable;
+  // pan: false only records what you do meanwhile (drag with guides, box-select)
+  // await WhiteboardDebug.frameStats() / frameStats(10, { pan: false })
+  async frameStats(seconds = 5, { pan = true } = {}) {
+    const wb = window.Whiteboard;
+    if (!wb?.layer || !canvas?.stage) {
+      console.error('Whiteboard layer or canvas not found');
+      return null;
+    }
+    const profiler = wb.frameProfiler;
+    if (profiler.recording) {
+      console.error('frameStats is already recording');
+      return null;
+    }
+    const origin = { x: canvas.stage.pivot.x, y: canvas.stage.pivot.y };
+    const radius = 200 / getCanvasScale();
+    const startedAt = performance.now();
+    let frameId = null;
+    const step = (now) => {
+      const angle = (now - startedAt) / 1000 * Math.PI;
+      canvas.pan({ x: origin.x + radius * Math.cos(angle), y: origin.y + radius * Math.sin(angle) });
+      wb.interaction?._hitTest(window.innerWidth / 2, window.innerHeight / 2);
+      frameId = requestAnimationFrame(step);
+    };
+
+    profiler.start();
+    if (pan) frameId = requestAnimationFrame(step);
+    await new Promise(resolve => setTimeout(resolve, seconds * 1000));
+    if (frameId !== null) cancelAnimationFrame(frameId);
+    const stats = profiler.stop();
+    if (pan) canvas.pan(origin);
+
+    const objects = wb.registry.getAll().length;
+    const indexed = wb.spatialIndex?.tree.size ?? 0;
+    console.log(`${stats.frames} frames, ${stats.frameMs} ms/frame (p95 ${stats.frameMsP95}), ${objects} objects, ` +
+      `index: ${indexed < LINEAR_SCAN_LIMIT ? 'linear scan' : 'quadtree'} (${indexed} boxes)`);
+    console.table(stats.passes);
+    return { ...stats, objects, index: indexed < LINEAR_SCAN_LIMIT ? 'linear' : 'quadtree' };
+  },
   // Debug hit-test after click
   testHitTest(x, y) {
     if (!window.Whiteboard?.interaction) {
@@ -18045,6 +21084,24 @@ window.WhiteboardDebug = {
     })));
     return all;
   },
+  // Remote field changes that lost the per-field LWW merge (newest last)
+  // WhiteboardDebug.rejectedUpdates() - all; rejectedUpdates('abc123') - one object (id or its tail)
+  rejectedUpdates(idFilter = null) {
+    const registry = window.Whiteboard?.registry;
+    if (!registry) {
+      console.error('Registry not found');
+      return null;
+    }
+    const entries = registry.rejectedUpdates.filter(e => !idFilter || e.id === idFilter || e.id.endsWith(idFilter));
+    console.log(`Lamport clock: ${registry.clock}, rejected field updates: ${entries.length}`);
+    console.table(entries.map(e => ({
+      ...e,
+      id: e.id.slice(-6),
+      remoteValue: JSON.stringify(e.remoteValue),
+      localValue: JSON.stringify(e.localValue)
+    })));
+    return entries;
+  },
   // // Check DOM elements
   checkDOM() {
     const layer = document.getElementById('whiteboard-experience-layer');
@@ -5,22 +5,36 @@
  * как в Miro/Figma. Линии показывают совпадение границ и центров объектов.
  * 
  * Работает автоматически при любом перетаскивании:
- * - Показывает направляющие при приближении на 8px (GUIDE_THRESHOLD)
- * - Snap срабатывает при приближении на 2px (SNAP_THRESHOLD)
+ * - Показывает направляющие при приближении на guideShowThreshold px
+ * - Snap срабатывает при приближении на guideSnapThreshold px
+ *   (оба порога - в Module Settings, по умолчанию 2px)
+ * - Подписывает расстояния до ближайших соседей (как в Figma)
+ * - При ресайзе показывает "та же ширина/высота" и прилипает к этим размерам
  * 
  * Архитектура:
  * - Полностью автономный модуль
  * - Подключается к WBE через window.Whiteboard API
  * - Перехватывает mousemove события самостоятельно
  * - НЕ требует изменений в main.mjs
+ * - При включённой сетке привязки (snap-grid.mjs) объекты прилипают к сетке вместо
+ *   других объектов; Alt отключает любую привязку на время жеста
+ * - Кандидаты для выравнивания берутся из spatial index (Whiteboard.spatialIndex):
+ *   только объекты на экране и рядом с перетаскиваемым, без замера DOM каждого объекта
  */
 
+import snapGrid from './snap-grid.mjs';
+
+const MODULE_ID = 'whiteboard-experience';
 const GUIDE_COLOR = '#ff00ff';  // Magenta - хорошо видно на любом фоне
 const SPACING_COLOR = '#00d4ff'; // Cyan для spacing guides
+const MEASURE_COLOR = '#ff5a36'; // Расстояния до соседей и совпадение размеров
 const GUIDE_WIDTH = 1;
-const SNAP_THRESHOLD = 2;  // Порог срабатывания snap
-const GUIDE_THRESHOLD = 2; // Порог показа линий (без snap)
-const SPACING_THRESHOLD = 2;
+const DEFAULT_SNAP_THRESHOLD = 2;  // Порог срабатывания snap (настройка guideSnapThreshold)
+const DEFAULT_GUIDE_THRESHOLD = 2; // Порог показа линий (настройка guideShowThreshold)
+const DEDUPE_DISTANCE = 2; // Линии ближе этого сливаются в одну
+const LABEL_FONT_SIZE = 11; // Экранные px, компенсируются зумом
+const SIZE_INDICATOR_GAP = 10; // Экранные px между объектом и индикатором размера
+const CANDIDATE_MARGIN = 200; // Экранные px за краем экрана, где объекты тоже участвуют в выравнивании
 
 /**
  * AlignmentGuides - менеджер линий выравнивания
@@ -30,6 +44,8 @@ class AlignmentGuides {
     this.svg = null;
     this.layer = null;
     this.enabled = true;
+    this.snapThreshold = DEFAULT_SNAP_THRESHOLD;
+    this.guideThreshold = DEFAULT_GUIDE_THRESHOLD;
     this._boundMouseMove = null;
     this._boundMouseUp = null;
   }
@@ -55,6 +71,7 @@ class AlignmentGuides {
     }
 
     this.layer = window.Whiteboard.layer.element;
+    this.refreshSettings();
     
     // Создаём SVG контейнер для линий
     this.svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
@@ -90,6 +107,21 @@ class AlignmentGuides {
 
     const interaction = window.Whiteboard.interaction;
     const massSelection = interaction.massSelection;
+
+    // Alt - move freely: no guides and no snapping of any kind
+    if (e.altKey) {
+      this.clear();
+      if (interaction.stretchResizeState) {
+        interaction.stretchResizeState._snapOffset = 0;
+        interaction.stretchResizeState._snapDirection = null;
+      }
+      return;
+    }
+
+    if (snapGrid.isActive(e)) {
+      this._handleGridSnap(interaction);
+      return;
+    }
     
     // Check for mass selection drag first
     if (massSelection?.isDragging) {
@@ -104,6 +136,13 @@ class AlignmentGuides {
       return;
     }
 
+    // Handle scale resize - same width/height indicators and snap
+    const scaleState = interaction.scaleResizeState;
+    if (scaleState) {
+      this._handleScaleResize(scaleState, interaction);
+      return;
+    }
+
     const dragState = interaction.dragState;
 
     // Если нет активного drag - очищаем
@@ -116,8 +155,11 @@ class AlignmentGuides {
     const currentX = dragState.currentX ?? dragState.objStartX;
     const currentY = dragState.currentY ?? dragState.objStartY;
 
-    // Обновляем guides и получаем snap offsets
+    // Обновляем guides и получаем snap offsets (время прохода - в WhiteboardDebug.frameStats())
+    const profiler = window.Whiteboard?.frameProfiler;
+    const startedAt = profiler?.begin() ?? null;
     const snap = this._updateGuides(dragState.id, currentX, currentY);
+    profiler?.end('guides', startedAt);
     
     // Применяем snap если есть
     if (snap.x !== 0 || snap.y !== 0) {
@@ -164,33 +206,43 @@ class AlignmentGuides {
       massSelection._snapOffset.x = snap.x;
       massSelection._snapOffset.y = snap.y;
 
-      // Update all objects by the snap offset
-      for (const id of massSelection.selectedIds) {
-        const obj = window.Whiteboard?.registry?.get(id);
-        if (!obj) continue;
+      this._shiftMassSelection(massSelection, snap);
+    } else {
+      // Clear snap offset when no snap
+      if (massSelection._snapOffset) {
+        massSelection._snapOffset.x = 0;
+        massSelection._snapOffset.y = 0;
+      }
+    }
+  }
+
+  /**
+   * Shift every mass-selected object in the DOM by a snap offset
+   * (updateMassDrag has already placed them at the raw drag position)
+   */
+  _shiftMassSelection(massSelection, snap) {
+    for (const id of massSelection.selectedIds) {
+      const obj = window.Whiteboard?.registry?.get(id);
+      if (!obj) continue;
 
-        // Get current position from object (not container, to handle crop offset correctly)
-        const container = this.layer?.querySelector(`#${id}`);
-        if (!container) continue;
+      // Get current position from object (not container, to handle crop offset correctly)
+      const container = this.layer?.querySelector(`#${id}`);
+      if (!container) continue;
 
-        // For images with crop, container position includes crop offset
-        // We need to calculate the snapped obj.x/y position
-        let currentObjX, currentObjY;
-        
-        if (obj.type === 'image' && obj.crop) {
-          // For cropped images, reverse-calculate obj position from container
-          const imageElement = container.querySelector('.wbe-canvas-image');
-          if (imageElement) {
-            const dims = window.Whiteboard.layer?._calculateImageVisibleDimensions(imageElement, id);
-            if (dims) {
-              const containerX = parseFloat(container.style.left) || 0;
-              const containerY = parseFloat(container.style.top) || 0;
-              currentObjX = containerX - (dims.left || 0);
-              currentObjY = containerY - (dims.top || 0);
-            } else {
-              currentObjX = parseFloat(container.style.left) || 0;
-              currentObjY = parseFloat(container.style.top) || 0;
-            }
+      // For images with crop, container position includes crop offset
+      // We need to calculate the snapped obj.x/y position
+      let currentObjX, currentObjY;
+      
+      if (obj.type === 'image' && obj.crop) {
+        // For cropped images, reverse-calculate obj position from container
+        const imageElement = container.querySelector('.wbe-canvas-image');
+        if (imageElement) {
+          const dims = window.Whiteboard.layer?._calculateImageVisibleDimensions(imageElement, id);
+          if (dims) {
+            const containerX = parseFloat(container.style.left) || 0;
+            const containerY = parseFloat(container.style.top) || 0;
+            currentObjX = containerX - (dims.left || 0);
+            currentObjY = containerY - (dims.top || 0);
           } else {
             currentObjX = parseFloat(container.style.left) || 0;
             currentObjY = parseFloat(container.style.top) || 0;
@@ -199,29 +251,98 @@ class AlignmentGuides {
           currentObjX = parseFloat(container.style.left) || 0;
           currentObjY = parseFloat(container.style.top) || 0;
         }
+      } else {
+        currentObjX = parseFloat(container.style.left) || 0;
+        currentObjY = parseFloat(container.style.top) || 0;
+      }
 
-        // Apply snap offset
-        const snappedX = currentObjX + snap.x;
-        const snappedY = currentObjY + snap.y;
+      // Apply snap offset
+      const snappedX = currentObjX + snap.x;
+      const snappedY = currentObjY + snap.y;
 
-        // Update DOM using layer method (handles crop offset correctly)
-        window.Whiteboard.layer?._updateDOMDuringDrag(id, snappedX, snappedY);
-      }
+      // Update DOM using layer method (handles crop offset correctly)
+      window.Whiteboard.layer?._updateDOMDuringDrag(id, snappedX, snappedY);
+    }
 
-      // Update bounding box
-      massSelection._updateBoundingBox();
-    } else {
-      // Clear snap offset when no snap
-      if (massSelection._snapOffset) {
-        massSelection._snapOffset.x = 0;
-        massSelection._snapOffset.y = 0;
-      }
+    massSelection._updateBoundingBox();
+  }
+
+  /**
+   * Snap the active gesture to the snap grid (replaces object snapping while the grid is on)
+   * - drag / mass drag: top-left of the (rotated) bounds goes to a grid node
+   * - stretch resize: the moving edge goes to a grid line
+   * - scale resize: the size becomes a whole number of cells (scaling is around the center)
+   */
+  _handleGridSnap(interaction) {
+    this.clear();
+    const layer = window.Whiteboard?.layer;
+    const massSelection = interaction.massSelection;
+
+    if (massSelection?.isDragging) {
+      const bounds = this._getMassSelectionBounds(massSelection);
+      if (!bounds) return;
+      const snap = {
+        x: Math.round(snapGrid.offsetFor(bounds.left)),
+        y: Math.round(snapGrid.offsetFor(bounds.top))
+      };
+      if (snap.x !== 0 || snap.y !== 0) this._shiftMassSelection(massSelection, snap);
+      return;
+    }
+
+    const stretchState = interaction.stretchResizeState;
+    if (stretchState) {
+      const obj = window.Whiteboard?.registry?.get(stretchState.id);
+      const bounds = obj ? this._getObjectBounds(obj) : null;
+      if (!bounds || !(stretchState.direction in bounds)) return;
+      // DOM already includes the offset applied on the previous move - snap the raw edge
+      const rawEdge = bounds[stretchState.direction] - (stretchState._snapOffset || 0);
+      stretchState._snapOffset = snapGrid.offsetFor(rawEdge);
+      stretchState._snapDirection = stretchState.direction;
+      return;
+    }
+
+    const scaleState = interaction.scaleResizeState;
+    if (scaleState?.currentScale) {
+      const obj = window.Whiteboard?.registry?.get(scaleState.id);
+      const bounds = obj ? this._getObjectBounds(obj) : null;
+      if (!bounds) return;
+      const width = bounds.right - bounds.left;
+      if (width <= 0) return;
+      const size = snapGrid.size;
+      const cells = Math.max(1, Math.round(width / size));
+      const limits = interaction.constructor;
+      const scale = Math.max(limits.MIN_SCALE ?? 0, Math.min(limits.MAX_SCALE ?? Infinity,
+        scaleState.currentScale * (cells * size) / width));
+      if (Math.abs(scale - scaleState.currentScale) < 1e-4) return;
+
+      scaleState.currentScale = scale;
+      layer?._updateDOMDuringScaleResize(obj.id, obj, scale, obj.x, obj.y, scaleState.startDimsLeft, scaleState.startDimsTop);
+      layer?.updateSelectionOverlay(scale);
+      return;
     }
+
+    const dragState = interaction.dragState;
+    if (!dragState) return;
+    const obj = window.Whiteboard?.registry?.get(dragState.id);
+    const currentX = dragState.currentX ?? dragState.objStartX;
+    const currentY = dragState.currentY ?? dragState.objStartY;
+    const bounds = obj ? this._getDraggedBounds(obj, currentX, currentY) : null;
+    if (!bounds) return;
+
+    const snapX = Math.round(snapGrid.offsetFor(bounds.left));
+    const snapY = Math.round(snapGrid.offsetFor(bounds.top));
+    if (snapX === 0 && snapY === 0) return;
+    dragState.currentX = currentX + snapX;
+    dragState.currentY = currentY + snapY;
+    layer?._updateDOMDuringDrag(dragState.id, dragState.currentX, dragState.currentY);
+    layer?.updateSelectionOverlay();
   }
 
   /**
    * Handle stretch resize with alignment guides
-   * Shows guides and applies snap when resizing object edges
+   * Shows guides and applies snap when resizing object edges:
+   * the edge snaps to other objects' edges/centers or the size snaps to another object's width/height,
+   * whichever is closer
    * @param {MouseEvent} e - Mouse event
    * @param {Object} stretchState - Stretch resize state from InteractionManager
    * @param {Object} interaction - InteractionManager reference
@@ -232,51 +353,136 @@ class AlignmentGuides {
     const { id, direction } = stretchState;
     const obj = window.Whiteboard?.registry?.get(id);
     if (!obj) return;
+    if (!['left', 'right', 'top', 'bottom'].includes(direction)) return;
 
     // Get current visual bounds of the object (already reflects current DOM state)
     const currentBounds = this._getObjectBounds(obj);
     if (!currentBounds) return;
 
-    // The active edge is the one being resized - its current position is what we snap
-    let activeEdge;
-    let currentEdgePosition;
-    
-    switch (direction) {
-      case 'right':
-        activeEdge = 'right';
-        currentEdgePosition = currentBounds.right;
-        break;
-      case 'left':
-        activeEdge = 'left';
-        currentEdgePosition = currentBounds.left;
-        break;
-      case 'bottom':
-        activeEdge = 'bottom';
-        currentEdgePosition = currentBounds.bottom;
-        break;
-      case 'top':
-        activeEdge = 'top';
-        currentEdgePosition = currentBounds.top;
-        break;
-      default:
-        return;
-    }
+    // DOM already includes the offset applied on the previous move - snap from the raw edge,
+    // otherwise the offset would be applied and removed on alternate moves
+    const rawBounds = this._moveEdge(currentBounds, direction, -(stretchState._snapOffset || 0));
+    const rawEdge = rawBounds[direction];
 
     // Find snap targets for the active edge
-    const snap = this._findSnapForEdge(id, activeEdge, currentEdgePosition, currentBounds);
-    
+    const snap = this._findSnapForEdge(id, direction, rawEdge, rawBounds);
+
+    // Same width (left/right) or height (top/bottom) as another object
+    const axis = direction === 'left' || direction === 'right' ? 'width' : 'height';
+    const rawSize = axis === 'width' ? rawBounds.right - rawBounds.left : rawBounds.bottom - rawBounds.top;
+    const sizeMatch = this._findSizeMatch(id, axis, rawSize);
+
+    let offset = snap.distance <= this.snapThreshold ? snap.offset : 0;
+    if (sizeMatch && sizeMatch.distance <= this.snapThreshold && sizeMatch.distance < snap.distance) {
+      // Growing to the left/top moves the edge the other way
+      const growth = sizeMatch.target - rawSize;
+      offset = direction === 'left' || direction === 'top' ? -growth : growth;
+    }
+
     // Draw guides
     this._drawGuides(snap.verticalGuides, snap.horizontalGuides);
+    if (sizeMatch) {
+      this._drawSizeMatch(this._moveEdge(rawBounds, direction, offset), axis, sizeMatch);
+    }
 
-    // Apply snap offset to stretchResizeState if found
-    if (snap.offset !== 0) {
-      // Store snap in stretchState for _updateStretchResize to use
-      stretchState._snapOffset = snap.offset;
-      stretchState._snapDirection = direction;
-    } else {
-      stretchState._snapOffset = 0;
-      stretchState._snapDirection = null;
+    // Store snap in stretchState for _updateStretchResize to use (applied on the next move)
+    stretchState._snapOffset = offset;
+    stretchState._snapDirection = offset !== 0 ? direction : null;
+  }
+
+  /**
+   * Handle scale resize (uniform, around the center): snap the scale so the object
+   * gets the same width or height as another object
+   * @param {Object} scaleState - Scale resize state from InteractionManager
+   * @param {Object} interaction - InteractionManager reference
+   */
+  _handleScaleResize(scaleState, interaction) {
+    this.clear();
+
+    const obj = window.Whiteboard?.registry?.get(scaleState.id);
+    if (!obj || !scaleState.currentScale) return;
+    const bounds = this._getObjectBounds(obj);
+    if (!bounds) return;
+
+    const width = bounds.right - bounds.left;
+    const height = bounds.bottom - bounds.top;
+    if (width <= 0 || height <= 0) return;
+
+    const widthMatch = this._findSizeMatch(obj.id, 'width', width);
+    const heightMatch = this._findSizeMatch(obj.id, 'height', height);
+
+    // Closest match within snap threshold wins
+    let factor = 1;
+    let bestDistance = Infinity;
+    if (widthMatch && widthMatch.distance <= this.snapThreshold) {
+      factor = widthMatch.target / width;
+      bestDistance = widthMatch.distance;
+    }
+    if (heightMatch && heightMatch.distance <= this.snapThreshold && heightMatch.distance < bestDistance) {
+      factor = heightMatch.target / height;
+    }
+
+    if (factor !== 1) {
+      const limits = interaction.constructor;
+      const scale = Math.max(limits.MIN_SCALE ?? 0, Math.min(limits.MAX_SCALE ?? Infinity, scaleState.currentScale * factor));
+      factor = scale / scaleState.currentScale;
+      scaleState.currentScale = scale;
+      const layer = window.Whiteboard?.layer;
+      layer?._updateDOMDuringScaleResize(obj.id, obj, scale, obj.x, obj.y, scaleState.startDimsLeft, scaleState.startDimsTop);
+      layer?.updateSelectionOverlay(scale);
+    }
+
+    // Scaled around the center
+    const halfW = width * factor / 2;
+    const halfH = height * factor / 2;
+    const scaled = {
+      left: bounds.centerX - halfW,
+      right: bounds.centerX + halfW,
+      top: bounds.centerY - halfH,
+      bottom: bounds.centerY + halfH,
+      centerX: bounds.centerX,
+      centerY: bounds.centerY
+    };
+    if (widthMatch) this._drawSizeMatch(scaled, 'width', widthMatch);
+    if (heightMatch) this._drawSizeMatch(scaled, 'height', heightMatch);
+  }
+
+  /**
+   * Bounds with one edge moved by offset
+   */
+  _moveEdge(bounds, edge, offset) {
+    const moved = { ...bounds, [edge]: bounds[edge] + offset };
+    moved.centerX = (moved.left + moved.right) / 2;
+    moved.centerY = (moved.top + moved.bottom) / 2;
+    return moved;
+  }
+
+  /**
+   * Other objects with (nearly) the same width or height
+   * @param {string} objId - Object being resized
+   * @param {'width'|'height'} axis
+   * @param {number} size - Current size of the resized object
+   * @returns {{ target: number, distance: number, matches: Array }|null} Closest size within guide threshold
+   *   and bounds of every object having it
+   */
+  _findSizeMatch(objId, axis, size) {
+    if (!window.Whiteboard?.registry) return null;
+
+    const candidates = [];
+    for (const { bounds } of this._getCandidates(new Set([objId]))) {
+      const otherSize = axis === 'width' ? bounds.right - bounds.left : bounds.bottom - bounds.top;
+      if (otherSize <= 0) continue;
+      const distance = Math.abs(otherSize - size);
+      if (distance <= this.guideThreshold) candidates.push({ bounds, size: otherSize, distance });
     }
+    if (candidates.length === 0) return null;
+
+    const best = candidates.reduce((a, b) => (b.distance < a.distance ? b : a));
+    return {
+      target: best.size,
+      distance: best.distance,
+      matches: candidates.filter(c => Math.abs(c.size - best.size) < 0.5).map(c => c.bounds)
+    };
   }
 
   /**
@@ -285,24 +491,18 @@ class AlignmentGuides {
    * @param {string} edge - Which edge: 'left', 'right', 'top', 'bottom'
    * @param {number} newPosition - Where the edge will be
    * @param {Object} currentBounds - Current bounds of the object
-   * @returns {{ offset: number, verticalGuides: Array, horizontalGuides: Array }}
+   * @returns {{ offset: number, distance: number, verticalGuides: Array, horizontalGuides: Array }}
    */
   _findSnapForEdge(objId, edge, newPosition, currentBounds) {
-    const result = { offset: 0, verticalGuides: [], horizontalGuides: [] };
+    const result = { offset: 0, distance: Infinity, verticalGuides: [], horizontalGuides: [] };
     
     if (!window.Whiteboard?.registry) return result;
 
-    const allObjects = window.Whiteboard.registry.getAll();
     const isVerticalEdge = (edge === 'left' || edge === 'right');
     
     let bestSnap = null;
 
-    for (const obj of allObjects) {
-      if (obj.id === objId || obj.frozen) continue;
-
-      const bounds = this._getObjectBounds(obj);
-      if (!bounds) continue;
-
+    for (const { bounds } of this._getCandidates(new Set([objId]), currentBounds)) {
       // Check alignment with target object edges
       const targetEdges = isVerticalEdge 
         ? [bounds.left, bounds.right, bounds.centerX]
@@ -311,14 +511,14 @@ class AlignmentGuides {
       for (const targetPos of targetEdges) {
         const dist = Math.abs(newPosition - targetPos);
         
-        if (dist <= GUIDE_THRESHOLD) {
+        if (dist <= this.guideThreshold) {
           // Found alignment!
           const snapOffset = targetPos - newPosition;
           
           if (!bestSnap || dist < bestSnap.dist) {
             bestSnap = { 
               dist, 
-              offset: dist <= SNAP_THRESHOLD ? snapOffset : 0,
+              offset: dist <= this.snapThreshold ? snapOffset : 0,
               targetPos
             };
           }
@@ -343,6 +543,7 @@ class AlignmentGuides {
 
     if (bestSnap) {
       result.offset = bestSnap.offset;
+      result.distance = bestSnap.dist;
     }
 
     return result;
@@ -395,7 +596,7 @@ class AlignmentGuides {
 
     if (!window.Whiteboard?.registry) return { x: 0, y: 0 };
 
-    const allObjects = window.Whiteboard.registry.getAll();
+    const others = this._getCandidates(selectedIds, groupBounds);
     
     // Кандидаты по типам (храним только лучшего для каждого типа)
     const xCandidates = { 
@@ -408,12 +609,7 @@ class AlignmentGuides {
     };
 
     // Check alignment against non-selected objects
-    for (const obj of allObjects) {
-      if (selectedIds.has(obj.id) || obj.frozen) continue;
-
-      const bounds = this._getObjectBounds(obj);
-      if (!bounds) continue;
-
+    for (const { bounds } of others) {
       // === X axis (vertical guides) ===
       const xChecks = [
         { type: 'center', dv: groupBounds.centerX, tv: bounds.centerX },
@@ -425,7 +621,7 @@ class AlignmentGuides {
       
       for (const { type, dv, tv } of xChecks) {
         const dist = Math.abs(dv - tv);
-        if (dist <= GUIDE_THRESHOLD) {
+        if (dist <= this.guideThreshold) {
           if (!xCandidates[type] || dist < xCandidates[type].dist) {
             xCandidates[type] = {
               guide: {
@@ -451,7 +647,7 @@ class AlignmentGuides {
       
       for (const { type, dv, tv } of yChecks) {
         const dist = Math.abs(dv - tv);
-        if (dist <= GUIDE_THRESHOLD) {
+        if (dist <= this.guideThreshold) {
           if (!yCandidates[type] || dist < yCandidates[type].dist) {
             yCandidates[type] = {
               guide: {
@@ -476,7 +672,7 @@ class AlignmentGuides {
     // X axis
     if (xCandidates.center) {
       verticalGuides.push(xCandidates.center.guide);
-      if (xCandidates.center.dist <= SNAP_THRESHOLD) {
+      if (xCandidates.center.dist <= this.snapThreshold) {
         bestSnapX = { offset: xCandidates.center.offset, distance: xCandidates.center.dist };
       }
     }
@@ -486,7 +682,7 @@ class AlignmentGuides {
     ]);
     if (bestXEdge) {
       verticalGuides.push(bestXEdge.guide);
-      if (bestXEdge.dist <= SNAP_THRESHOLD && (!bestSnapX || bestXEdge.dist < bestSnapX.distance)) {
+      if (bestXEdge.dist <= this.snapThreshold && (!bestSnapX || bestXEdge.dist < bestSnapX.distance)) {
         bestSnapX = { offset: bestXEdge.offset, distance: bestXEdge.dist };
       }
     }
@@ -494,7 +690,7 @@ class AlignmentGuides {
     // Y axis
     if (yCandidates.center) {
       horizontalGuides.push(yCandidates.center.guide);
-      if (yCandidates.center.dist <= SNAP_THRESHOLD) {
+      if (yCandidates.center.dist <= this.snapThreshold) {
         bestSnapY = { offset: yCandidates.center.offset, distance: yCandidates.center.dist };
       }
     }
@@ -504,16 +700,13 @@ class AlignmentGuides {
     ]);
     if (bestYEdge) {
       horizontalGuides.push(bestYEdge.guide);
-      if (bestYEdge.dist <= SNAP_THRESHOLD && (!bestSnapY || bestYEdge.dist < bestSnapY.distance)) {
+      if (bestYEdge.dist <= this.snapThreshold && (!bestSnapY || bestYEdge.dist < bestSnapY.distance)) {
         bestSnapY = { offset: bestYEdge.offset, distance: bestYEdge.dist };
       }
     }
 
     // Equal spacing for group
-    const otherBounds = allObjects
-      .filter(o => !selectedIds.has(o.id) && !o.frozen)
-      .map(o => this._getObjectBounds(o))
-      .filter(b => b !== null);
+    const otherBounds = others.map(c => c.bounds);
     
     const spacingGuides = this._findEqualSpacing(groupBounds, otherBounds);
     
@@ -526,11 +719,13 @@ class AlignmentGuides {
 
     this._drawGuides(verticalGuides, horizontalGuides);
     this._drawSpacingGuides(spacingGuides.horizontal, spacingGuides.vertical);
-    
-    return {
+
+    const snap = {
       x: Math.round(bestSnapX?.offset ?? 0),
       y: Math.round(bestSnapY?.offset ?? 0)
     };
+    this._drawDistances(this._offsetBounds(groupBounds, snap), otherBounds, spacingGuides);
+    return snap;
   }
 
   /**
@@ -556,14 +751,15 @@ class AlignmentGuides {
 
     if (!window.Whiteboard?.registry) return { x: 0, y: 0 };
 
-    const allObjects = window.Whiteboard.registry.getAll();
-    const draggedObj = allObjects.find(o => o.id === draggedId);
+    const draggedObj = window.Whiteboard.registry.get(draggedId);
     if (!draggedObj) return { x: 0, y: 0 };
 
     // Вычисляем bounds драгаемого объекта на основе currentX/Y (не из DOM!)
     const draggedBounds = this._getDraggedBounds(draggedObj, currentX, currentY);
     if (!draggedBounds) return { x: 0, y: 0 };
 
+    const others = this._getCandidates(new Set([draggedId]), draggedBounds);
+
     // Кандидаты по типам (храним только лучшего для каждого типа)
     // X axis (vertical guides)
     const xCandidates = {
@@ -582,13 +778,8 @@ class AlignmentGuides {
       bottomTop: null   // cross-alignment для стыковки (bottom↔top)
     };
 
-    // Проверяем каждый другой объект
-    for (const obj of allObjects) {
-      if (obj.id === draggedId || obj.frozen) continue;
-
-      const bounds = this._getObjectBounds(obj);
-      if (!bounds) continue;
-
+    // Проверяем каждый другой объект рядом или на экране
+    for (const { bounds } of others) {
       // === X axis (vertical guides) ===
       // 5 пар: center↔center, left↔left, right↔right + cross для стыковки
       const xChecks = [
@@ -601,7 +792,7 @@ class AlignmentGuides {
       
       for (const { type, dv, tv } of xChecks) {
         const dist = Math.abs(dv - tv);
-        if (dist <= GUIDE_THRESHOLD) {
+        if (dist <= this.guideThreshold) {
           // Проверяем, лучше ли этот кандидат текущего
           if (!xCandidates[type] || dist < xCandidates[type].dist) {
             xCandidates[type] = {
@@ -629,7 +820,7 @@ class AlignmentGuides {
       
       for (const { type, dv, tv } of yChecks) {
         const dist = Math.abs(dv - tv);
-        if (dist <= GUIDE_THRESHOLD) {
+        if (dist <= this.guideThreshold) {
           if (!yCandidates[type] || dist < yCandidates[type].dist) {
             yCandidates[type] = {
               guide: {
@@ -654,7 +845,7 @@ class AlignmentGuides {
     // X axis: приоритет center, затем лучший из edges (включая cross-alignment)
     if (xCandidates.center) {
       verticalGuides.push(xCandidates.center.guide);
-      if (xCandidates.center.dist <= SNAP_THRESHOLD) {
+      if (xCandidates.center.dist <= this.snapThreshold) {
         bestSnapX = { offset: xCandidates.center.offset, distance: xCandidates.center.dist };
       }
     }
@@ -667,7 +858,7 @@ class AlignmentGuides {
     ]);
     if (bestXEdge) {
       verticalGuides.push(bestXEdge.guide);
-      if (bestXEdge.dist <= SNAP_THRESHOLD && (!bestSnapX || bestXEdge.dist < bestSnapX.distance)) {
+      if (bestXEdge.dist <= this.snapThreshold && (!bestSnapX || bestXEdge.dist < bestSnapX.distance)) {
         bestSnapX = { offset: bestXEdge.offset, distance: bestXEdge.dist };
       }
     }
@@ -675,7 +866,7 @@ class AlignmentGuides {
     // Y axis: приоритет center, затем лучший из edges (включая cross-alignment)
     if (yCandidates.center) {
       horizontalGuides.push(yCandidates.center.guide);
-      if (yCandidates.center.dist <= SNAP_THRESHOLD) {
+      if (yCandidates.center.dist <= this.snapThreshold) {
         bestSnapY = { offset: yCandidates.center.offset, distance: yCandidates.center.dist };
       }
     }
@@ -687,16 +878,13 @@ class AlignmentGuides {
     ]);
     if (bestYEdge) {
       horizontalGuides.push(bestYEdge.guide);
-      if (bestYEdge.dist <= SNAP_THRESHOLD && (!bestSnapY || bestYEdge.dist < bestSnapY.distance)) {
+      if (bestYEdge.dist <= this.snapThreshold && (!bestSnapY || bestYEdge.dist < bestSnapY.distance)) {
         bestSnapY = { offset: bestYEdge.offset, distance: bestYEdge.dist };
       }
     }
 
     // === Equal Spacing Detection ===
-    const otherBounds = allObjects
-      .filter(o => o.id !== draggedId && !o.frozen)
-      .map(o => this._getObjectBounds(o))
-      .filter(b => b !== null);
+    const otherBounds = others.map(c => c.bounds);
     
     const spacingGuides = this._findEqualSpacing(draggedBounds, otherBounds);
     
@@ -712,10 +900,13 @@ class AlignmentGuides {
     this._drawSpacingGuides(spacingGuides.horizontal, spacingGuides.vertical);
     
     // Round snap offsets to avoid subpixel positioning
-    return {
+    const snap = {
       x: Math.round(bestSnapX?.offset ?? 0),
       y: Math.round(bestSnapY?.offset ?? 0)
     };
+    // Distances are measured from where the object lands after the snap
+    this._drawDistances(this._offsetBounds(draggedBounds, snap), otherBounds, spacingGuides);
+    return snap;
   }
 
   /**
@@ -772,7 +963,7 @@ class AlignmentGuides {
       const gapRight = rightNearest.left - draggedBounds.right;
       
       const diff = Math.abs(gapLeft - gapRight);
-      if (diff <= SPACING_THRESHOLD * 2) {
+      if (diff <= this.guideThreshold * 2) {
         const avgGap = (gapLeft + gapRight) / 2;
         const snapOffset = (gapRight - gapLeft) / 2;
         // Y position: use intersection of all objects (not average of centers)
@@ -783,7 +974,7 @@ class AlignmentGuides {
         result.horizontal.push({ x1: leftNearest.right, x2: draggedBounds.left, y, gap: avgGap });
         result.horizontal.push({ x1: draggedBounds.right, x2: rightNearest.left, y, gap: avgGap });
         
-        if (diff <= SPACING_THRESHOLD) {
+        if (diff <= this.snapThreshold) {
           result.snapX = { offset: snapOffset, distance: diff };
         }
       }
@@ -798,7 +989,7 @@ class AlignmentGuides {
       const currentGap = draggedBounds.left - nearest.right; // gap между B и Dragged
       
       const diff = Math.abs(existingGap - currentGap);
-      if (diff <= SPACING_THRESHOLD * 2 && existingGap > 0) {
+      if (diff <= this.guideThreshold * 2 && existingGap > 0) {
         // Y position: use intersection of all objects
         const minBottom = Math.min(draggedBounds.bottom, nearest.bottom, second.bottom);
         const maxTop = Math.max(draggedBounds.top, nearest.top, second.top);
@@ -808,7 +999,7 @@ class AlignmentGuides {
         result.horizontal.push({ x1: second.right, x2: nearest.left, y, gap: existingGap });
         result.horizontal.push({ x1: nearest.right, x2: draggedBounds.left, y, gap: existingGap });
         
-        if (diff <= SPACING_THRESHOLD && (!result.snapX || diff < result.snapX.distance)) {
+        if (diff <= this.snapThreshold && (!result.snapX || diff < result.snapX.distance)) {
           result.snapX = { offset: snapOffset, distance: diff };
         }
       }
@@ -823,7 +1014,7 @@ class AlignmentGuides {
       const currentGap = nearest.left - draggedBounds.right;
       
       const diff = Math.abs(existingGap - currentGap);
-      if (diff <= SPACING_THRESHOLD * 2 && existingGap > 0) {
+      if (diff <= this.guideThreshold * 2 && existingGap > 0) {
         // Y position: use intersection of all objects
         const minBottom = Math.min(draggedBounds.bottom, nearest.bottom, second.bottom);
         const maxTop = Math.max(draggedBounds.top, nearest.top, second.top);
@@ -833,7 +1024,7 @@ class AlignmentGuides {
         result.horizontal.push({ x1: draggedBounds.right, x2: nearest.left, y, gap: existingGap });
         result.horizontal.push({ x1: nearest.right, x2: second.left, y, gap: existingGap });
         
-        if (diff <= SPACING_THRESHOLD && (!result.snapX || diff < result.snapX.distance)) {
+        if (diff <= this.snapThreshold && (!result.snapX || diff < result.snapX.distance)) {
           result.snapX = { offset: snapOffset, distance: diff };
         }
       }
@@ -855,7 +1046,7 @@ class AlignmentGuides {
       const gapBottom = bottomNearest.top - draggedBounds.bottom;
       
       const diff = Math.abs(gapTop - gapBottom);
-      if (diff <= SPACING_THRESHOLD * 2) {
+      if (diff <= this.guideThreshold * 2) {
         const avgGap = (gapTop + gapBottom) / 2;
         const snapOffset = (gapBottom - gapTop) / 2;
         
@@ -878,7 +1069,7 @@ class AlignmentGuides {
           gap: avgGap
         });
         
-        if (diff <= SPACING_THRESHOLD) {
+        if (diff <= this.snapThreshold) {
           result.snapY = { offset: snapOffset, distance: diff };
         }
       }
@@ -893,7 +1084,7 @@ class AlignmentGuides {
       const currentGap = draggedBounds.top - nearest.bottom;
       
       const diff = Math.abs(existingGap - currentGap);
-      if (diff <= SPACING_THRESHOLD * 2 && existingGap > 0) {
+      if (diff <= this.guideThreshold * 2 && existingGap > 0) {
         // X position: use intersection of all objects, fallback to dragged center
         const minRight = Math.min(draggedBounds.right, nearest.right, second.right);
         const maxLeft = Math.max(draggedBounds.left, nearest.left, second.left);
@@ -903,7 +1094,7 @@ class AlignmentGuides {
         result.vertical.push({ y1: second.bottom, y2: nearest.top, x, gap: existingGap });
         result.vertical.push({ y1: nearest.bottom, y2: draggedBounds.top, x, gap: existingGap });
         
-        if (diff <= SPACING_THRESHOLD && (!result.snapY || diff < result.snapY.distance)) {
+        if (diff <= this.snapThreshold && (!result.snapY || diff < result.snapY.distance)) {
           result.snapY = { offset: snapOffset, distance: diff };
         }
       }
@@ -918,7 +1109,7 @@ class AlignmentGuides {
       const currentGap = nearest.top - draggedBounds.bottom;
       
       const diff = Math.abs(existingGap - currentGap);
-      if (diff <= SPACING_THRESHOLD * 2 && existingGap > 0) {
+      if (diff <= this.guideThreshold * 2 && existingGap > 0) {
         // X position: use intersection of all objects, fallback to dragged center
         const minRight = Math.min(draggedBounds.right, nearest.right, second.right);
         const maxLeft = Math.max(draggedBounds.left, nearest.left, second.left);
@@ -928,7 +1119,7 @@ class AlignmentGuides {
         result.vertical.push({ y1: draggedBounds.bottom, y2: nearest.top, x, gap: existingGap });
         result.vertical.push({ y1: nearest.bottom, y2: second.top, x, gap: existingGap });
         
-        if (diff <= SPACING_THRESHOLD && (!result.snapY || diff < result.snapY.distance)) {
+        if (diff <= this.snapThreshold && (!result.snapY || diff < result.snapY.distance)) {
           result.snapY = { offset: snapOffset, distance: diff };
         }
       }
@@ -975,6 +1166,7 @@ class AlignmentGuides {
         tick.setAttribute('vector-effect', 'non-scaling-stroke');
         this.svg.appendChild(tick);
       }
+      this._drawLabel((g.x1 + g.x2) / 2, g.y, Math.round(g.gap), SPACING_COLOR, '#00323d');
     }
     
     for (const g of uniqueV) {
@@ -999,15 +1191,159 @@ class AlignmentGuides {
         tick.setAttribute('vector-effect', 'non-scaling-stroke');
         this.svg.appendChild(tick);
       }
+      this._drawLabel(g.x, (g.y1 + g.y2) / 2, Math.round(g.gap), SPACING_COLOR, '#00323d');
+    }
+  }
+
+  /**
+   * Расстояния до ближайших соседей слева/справа/сверху/снизу (как в Figma)
+   * Сосед должен перекрываться с объектом по другой оси; отрезки, уже показанные
+   * spacing guides, не дублируются
+   * @param {Object} bounds - Bounds перетаскиваемого объекта/группы (после snap)
+   * @param {Array} otherBounds - Bounds остальных объектов
+   * @param {Object} spacingGuides - Результат _findEqualSpacing
+   */
+  _drawDistances(bounds, otherBounds, spacingGuides) {
+    if (!this.svg) return;
+
+    const nearest = { left: null, right: null, top: null, bottom: null };
+    for (const b of otherBounds) {
+      if (b.right - b.left <= 0 && b.bottom - b.top <= 0) continue; // Not rendered (hidden frame contents)
+      const overlapsY = b.top < bounds.bottom && b.bottom > bounds.top;
+      const overlapsX = b.left < bounds.right && b.right > bounds.left;
+      if (overlapsY) {
+        if (b.right <= bounds.left && (!nearest.left || b.right > nearest.left.right)) nearest.left = b;
+        if (b.left >= bounds.right && (!nearest.right || b.left < nearest.right.left)) nearest.right = b;
+      }
+      if (overlapsX) {
+        if (b.bottom <= bounds.top && (!nearest.top || b.bottom > nearest.top.bottom)) nearest.top = b;
+        if (b.top >= bounds.bottom && (!nearest.bottom || b.top < nearest.bottom.top)) nearest.bottom = b;
+      }
+    }
+
+    const shownH = spacingGuides?.horizontal || [];
+    const shownV = spacingGuides?.vertical || [];
+    const isShown = (list, a, b, k1, k2) => list.some(g =>
+      Math.abs(Math.min(g[k1], g[k2]) - Math.min(a, b)) < 1 && Math.abs(Math.max(g[k1], g[k2]) - Math.max(a, b)) < 1);
+
+    const midY = (b) => (Math.max(b.top, bounds.top) + Math.min(b.bottom, bounds.bottom)) / 2;
+    const midX = (b) => (Math.max(b.left, bounds.left) + Math.min(b.right, bounds.right)) / 2;
+
+    if (nearest.left && !isShown(shownH, nearest.left.right, bounds.left, 'x1', 'x2')) {
+      this._drawMeasure(nearest.left.right, midY(nearest.left), bounds.left, midY(nearest.left));
+    }
+    if (nearest.right && !isShown(shownH, bounds.right, nearest.right.left, 'x1', 'x2')) {
+      this._drawMeasure(bounds.right, midY(nearest.right), nearest.right.left, midY(nearest.right));
+    }
+    if (nearest.top && !isShown(shownV, nearest.top.bottom, bounds.top, 'y1', 'y2')) {
+      this._drawMeasure(midX(nearest.top), nearest.top.bottom, midX(nearest.top), bounds.top);
+    }
+    if (nearest.bottom && !isShown(shownV, bounds.bottom, nearest.bottom.top, 'y1', 'y2')) {
+      this._drawMeasure(midX(nearest.bottom), bounds.bottom, midX(nearest.bottom), nearest.bottom.top);
     }
   }
+
+  /**
+   * "Та же ширина/высота": размерная линия у изменяемого объекта и у каждого объекта того же размера
+   * @param {Object} bounds - Bounds изменяемого объекта (с учётом snap)
+   * @param {'width'|'height'} axis
+   * @param {{ matches: Array }} sizeMatch - Результат _findSizeMatch
+   */
+  _drawSizeMatch(bounds, axis, sizeMatch) {
+    const gap = SIZE_INDICATOR_GAP / this._getCanvasScale();
+    for (const b of [bounds, ...sizeMatch.matches]) {
+      if (axis === 'width') {
+        const y = b.bottom + gap;
+        this._drawMeasure(b.left, y, b.right, y);
+      } else {
+        const x = b.right + gap;
+        this._drawMeasure(x, b.top, x, b.bottom);
+      }
+    }
+  }
+
+  /**
+   * Размерная линия с засечками и подписью длины
+   */
+  _drawMeasure(x1, y1, x2, y2) {
+    const length = Math.round(Math.hypot(x2 - x1, y2 - y1));
+    if (length <= 0) return;
+
+    const scale = this._getCanvasScale();
+    const TICK_SIZE = 4 / scale;
+    const horizontal = y1 === y2;
+    const segments = [[x1, y1, x2, y2]];
+    for (const [x, y] of [[x1, y1], [x2, y2]]) {
+      segments.push(horizontal
+        ? [x, y - TICK_SIZE, x, y + TICK_SIZE]
+        : [x - TICK_SIZE, y, x + TICK_SIZE, y]);
+    }
+    for (const [ax, ay, bx, by] of segments) {
+      const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+      line.setAttribute('x1', ax);
+      line.setAttribute('y1', ay);
+      line.setAttribute('x2', bx);
+      line.setAttribute('y2', by);
+      line.setAttribute('stroke', MEASURE_COLOR);
+      line.setAttribute('stroke-width', GUIDE_WIDTH);
+      line.setAttribute('vector-effect', 'non-scaling-stroke');
+      this.svg.appendChild(line);
+    }
+    this._drawLabel((x1 + x2) / 2, (y1 + y2) / 2, length, MEASURE_COLOR, '#fff');
+  }
+
+  /**
+   * Подпись-"пилюля" с числом; размер постоянный на экране при любом зуме
+   */
+  _drawLabel(x, y, value, background, color) {
+    if (!this.svg) return;
+    const scale = this._getCanvasScale();
+    const text = String(value);
+    const fontSize = LABEL_FONT_SIZE / scale;
+    const width = (text.length * 7 + 8) / scale;
+    const height = (LABEL_FONT_SIZE + 6) / scale;
+
+    const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    rect.setAttribute('x', x - width / 2);
+    rect.setAttribute('y', y - height / 2);
+    rect.setAttribute('width', width);
+    rect.setAttribute('height', height);
+    rect.setAttribute('rx', 3 / scale);
+    rect.setAttribute('fill', background);
+    this.svg.appendChild(rect);
+
+    const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+    label.setAttribute('x', x);
+    label.setAttribute('y', y);
+    label.setAttribute('fill', color);
+    label.setAttribute('font-size', fontSize);
+    label.setAttribute('font-family', 'sans-serif');
+    label.setAttribute('text-anchor', 'middle');
+    label.setAttribute('dominant-baseline', 'central');
+    label.textContent = text;
+    this.svg.appendChild(label);
+  }
+
+  /**
+   * Bounds сдвинутые на { x, y }
+   */
+  _offsetBounds(bounds, offset) {
+    return {
+      left: bounds.left + offset.x,
+      right: bounds.right + offset.x,
+      top: bounds.top + offset.y,
+      bottom: bounds.bottom + offset.y,
+      centerX: bounds.centerX + offset.x,
+      centerY: bounds.centerY + offset.y
+    };
+  }
   
   _dedupeSpacing(guides, key) {
     const result = [];
     for (const g of guides) {
       const pos = g[key];
       // Проверяем есть ли уже линия на этой позиции (с порогом)
-      const existing = result.find(r => Math.abs(r[key] - pos) < GUIDE_THRESHOLD);
+      const existing = result.find(r => Math.abs(r[key] - pos) < DEDUPE_DISTANCE);
       if (!existing) {
         result.push({ ...g });
       }
@@ -1048,6 +1384,44 @@ class AlignmentGuides {
     };
   }
 
+  /**
+   * Объекты для выравнивания и их bounds: видимые на экране плюс всё рядом с nearBounds
+   * Берутся из spatial index (main.mjs) - mousemove не измеряет DOM каждого объекта доски
+   * @param {Set<string>} excludeIds - Объекты, которые сейчас двигаются/ресайзятся
+   * @param {Object} [nearBounds] - Bounds двигаемого объекта или группы
+   * @returns {Array<{obj: Object, bounds: Object}>}
+   */
+  _getCandidates(excludeIds, nearBounds = null) {
+    const wb = window.Whiteboard;
+    if (!wb?.registry) return [];
+
+    let entries;
+    const margin = CANDIDATE_MARGIN / this._getCanvasScale();
+    const rect = wb.spatialIndex?.getVisibleRect(margin);
+    if (rect) {
+      if (nearBounds) {
+        rect.left = Math.min(rect.left, nearBounds.left - margin);
+        rect.top = Math.min(rect.top, nearBounds.top - margin);
+        rect.right = Math.max(rect.right, nearBounds.right + margin);
+        rect.bottom = Math.max(rect.bottom, nearBounds.bottom + margin);
+      }
+      entries = wb.spatialIndex.queryEntries(rect);
+    } else {
+      entries = wb.registry.getAll().map(obj => ({ obj, bounds: null }));
+    }
+
+    const result = [];
+    for (const { obj, bounds } of entries) {
+      if (excludeIds.has(obj.id) || obj.frozen) continue;
+      // Не измеренные индексом (скрыты/ещё не отрисованы) - как раньше, из DOM
+      const full = bounds
+        ? { ...bounds, centerX: (bounds.left + bounds.right) / 2, centerY: (bounds.top + bounds.bottom) / 2 }
+        : this._getObjectBounds(obj);
+      if (full) result.push({ obj, bounds: full });
+    }
+    return result;
+  }
+
   /**
    * Получить bounds объекта
    * Использует getBoundingClientRect для точности — автоматически учитывает
@@ -1139,8 +1513,8 @@ class AlignmentGuides {
   _dedupe(guides, key) {
     const result = [];
     for (const g of guides) {
-      // Порог = GUIDE_THRESHOLD чтобы близкие линии сливались
-      const existing = result.find(r => Math.abs(r[key] - g[key]) < GUIDE_THRESHOLD);
+      // Порог = DEDUPE_DISTANCE чтобы близкие линии сливались
+      const existing = result.find(r => Math.abs(r[key] - g[key]) < DEDUPE_DISTANCE);
       if (existing) {
         if (key === 'x') {
           existing.minY = Math.min(existing.minY, g.minY);
@@ -1183,6 +1557,23 @@ class AlignmentGuides {
     this.layer = null;
   }
 
+  /**
+   * Перечитать пороги из Module Settings (board px)
+   * Линии показываются как минимум там, где срабатывает snap
+   */
+  refreshSettings() {
+    const read = (key, fallback) => {
+      try {
+        const value = Number(game.settings.get(MODULE_ID, key));
+        return Number.isFinite(value) ? Math.max(0, value) : fallback;
+      } catch {
+        return fallback; // Settings not registered (tests)
+      }
+    };
+    this.snapThreshold = read('guideSnapThreshold', DEFAULT_SNAP_THRESHOLD);
+    this.guideThreshold = Math.max(this.snapThreshold, read('guideShowThreshold', DEFAULT_GUIDE_THRESHOLD));
+  }
+
   /**
    * Включить/выключить
    */
@@ -0,0 +1,460 @@
+/**
+ * Board Image Export Module for Whiteboard Experience
+ *
+ * Снимок доски (или текущего выделения) в PNG нужного масштаба и в SVG -
+ * включая всё, что за пределами экрана
+ *
+ * Архитектура:
+ * - Берутся DOM-контейнеры объектов (то, что уже нарисовано слоем), клонируются
+ *   с вычисленными стилями (getComputedStyle) - поэтому кропы, круглые маски, рамки,
+ *   тени, повороты и стили текста выглядят ровно как на экране
+ * - UI внутри контейнеров (рамки выделения, ручки, оверлеи блокировки) вырезается
+ * - Картинки и шрифты (@font-face из доступных таблиц стилей) встраиваются как data URI,
+ *   сеть не нужна - только файлы мира
+ * - Клоны собираются в <svg><foreignObject> (это и есть SVG-экспорт),
+ *   PNG - тот же SVG, нарисованный на canvas в выбранном масштабе
+ */
+
+const MODULE_NAME = 'WBE-BoardImage';
+const TOOL_ID = 'wbe-board-image';
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+
+const PADDING = 24; // World px around the content (room for shadows)
+const PNG_SCALES = [1, 2, 4];
+// Browser canvas limits (Chromium): side and total area
+const MAX_CANVAS_SIDE = 16384;
+const MAX_CANVAS_AREA = 16384 * 16384 / 4;
+
+// Editing/selection UI that lives inside object containers
+const UI_SELECTORS = [
+  '[class*="selection-border"]',
+  '[class*="-handle"]',
+  '[class*="lock-overlay"]',
+  '[class*="unfreeze"]',
+  '.wbe-crop-preview',
+  '.wbe-crop-circle-overlay'
+].join(', ');
+
+function blobToDataURI(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+class BoardImageExporter {
+  constructor() {
+    this._busy = false;
+    this._dataURICache = new Map(); // src -> data URI (one export at a time, cleared after)
+  }
+
+  init(retryCount = 0) {
+    if (!window.Whiteboard?.layer?.element) {
+      if (retryCount < 10) {
+        if (retryCount === 0) {
+          console.log(`[${MODULE_NAME}] Waiting for Whiteboard...`);
+        }
+        setTimeout(() => this.init(retryCount + 1), 500);
+      } else {
+        console.log(`[${MODULE_NAME}] Whiteboard not available (no active scene?). Will init on canvasReady.`);
+        Hooks.once('canvasReady', () => this.init(0));
+      }
+      return;
+    }
+
+    this._addToolbarButton();
+    console.log(`[${MODULE_NAME}] Initialized`);
+  }
+
+  _addToolbarButton() {
+    if (!window.WBEToolbar?.registerTool) {
+      console.warn(`[${MODULE_NAME}] WBEToolbar not available, retrying...`);
+      setTimeout(() => this._addToolbarButton(), 500);
+      return;
+    }
+
+    window.WBEToolbar.registerTool({
+      id: TOOL_ID,
+      title: 'Save as Image',
+      icon: 'fa-solid fa-camera',
+      group: 'board',
+      type: 'menu',
+      submenu: [
+        {
+          type: 'info',
+          icon: 'fa-solid fa-circle-info',
+          text: 'Saves the selection, or the whole board if nothing is selected'
+        },
+        ...PNG_SCALES.map(scale => ({
+          type: 'button',
+          icon: 'fa-solid fa-file-image',
+          text: `PNG (${scale}x)`,
+          onClick: () => this.exportPNG({ scale })
+        })),
+        {
+          type: 'button',
+          icon: 'fa-solid fa-bezier-curve',
+          text: 'SVG',
+          onClick: () => this.exportSVG()
+        }
+      ]
+    });
+  }
+
+  // ==========================================
+  // Public API
+  // ==========================================
+
+  /**
+   * Save the selection (or the whole board) as PNG
+   * @param {object} [options]
+   * @param {number} [options.scale=1] - Output pixels per world pixel
+   * @param {string[]} [options.ids] - Explicit object IDs (default: selection or everything)
+   */
+  async exportPNG({ scale = 1, ids = null } = {}) {
+    await this._run(async () => {
+      const snapshot = await this._buildSnapshot(ids);
+      if (!snapshot) return;
+
+      let outScale = scale;
+      const fit = Math.min(
+        MAX_CANVAS_SIDE / (snapshot.width * outScale),
+        MAX_CANVAS_SIDE / (snapshot.height * outScale),
+        Math.sqrt(MAX_CANVAS_AREA / (snapshot.width * snapshot.height * outScale * outScale))
+      );
+      if (fit < 1) {
+        outScale = Math.max(0.1, Math.floor(outScale * fit * 100) / 100);
+        ui.notifications?.warn(`WBE: the board is too large for ${scale}x - saved at ${outScale}x`);
+      }
+
+      const blob = await this._rasterize(snapshot, outScale);
+      this._download(blob, `${this._baseName()}.png`);
+      ui.notifications?.info(`WBE: saved ${snapshot.count} object(s) as PNG`);
+    });
+  }
+
+  /**
+   * Save the selection (or the whole board) as SVG
+   * Shapes stay vector SVG; HTML-rendered objects (text, images) are wrapped in foreignObject,
+   * so the file is meant for browsers - editors without foreignObject support will not show them
+   * @param {object} [options]
+   * @param {string[]} [options.ids] - Explicit object IDs (default: selection or everything)
+   */
+  async exportSVG({ ids = null } = {}) {
+    await this._run(async () => {
+      const snapshot = await this._buildSnapshot(ids);
+      if (!snapshot) return;
+      const blob = new Blob([snapshot.svg], { type: 'image/svg+xml' });
+      this._download(blob, `${this._baseName()}.svg`);
+      ui.notifications?.info(`WBE: saved ${snapshot.count} object(s) as SVG`);
+    });
+  }
+
+  async _run(task) {
+    if (this._busy) return;
+    this._busy = true;
+    // Off-screen objects are culled (contents not rendered) - the snapshot clones their contents
+    const resumeCulling = window.Whiteboard?.layer?.suspendCulling?.();
+    try {
+      await task();
+    } catch (error) {
+      console.error(`[${MODULE_NAME}] Export failed:`, error);
+      ui.notifications?.error('WBE: image export failed (see console)');
+    } finally {
+      resumeCulling?.();
+      this._busy = false;
+      this._dataURICache.clear();
+    }
+  }
+
+  // ==========================================
+  // Snapshot (DOM clone -> SVG)
+  // ==========================================
+
+  /**
+   * Objects to export: explicit list, current selection, or every visible object
+   */
+  _getTargetIds(ids) {
+    const wb = window.Whiteboard;
+    if (ids?.length) return ids;
+    const im = wb.interaction;
+    const selected = im?.massSelection?.selectedIds;
+    if (selected?.size > 0) return Array.from(selected);
+    if (im?.selectedId) return [im.selectedId];
+    return wb.registry.getAllIds();
+  }
+
+  async _buildSnapshot(ids) {
+    const wb = window.Whiteboard;
+    const layerEl = wb?.layer?.element;
+    if (!layerEl || !wb.registry) {
+      ui.notifications?.warn('WBE: whiteboard is not ready');
+      return null;
+    }
+
+    const layerRect = layerEl.getBoundingClientRect();
+    const canvasScale = canvas?.stage?.worldTransform?.a || 1;
+
+    // Visible containers in z-order
+    const items = [];
+    for (const id of this._getTargetIds(ids)) {
+      const obj = wb.registry.get(id);
+      const container = document.getElementById(id);
+      if (!obj || !container || !layerEl.contains(container)) continue;
+      const style = getComputedStyle(container);
+      if (style.display === 'none' || style.visibility === 'hidden') continue;
+      items.push({ obj, container });
+    }
+    if (items.length === 0) {
+      ui.notifications?.warn('WBE: nothing to export');
+      return null;
+    }
+    items.sort((a, b) => (a.obj.zIndex ?? 0) - (b.obj.zIndex ?? 0));
+
+    // World bounds: screen rects already include rotation and content overflow
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const { container } of items) {
+      for (const el of [container, ...container.querySelectorAll('*')]) {
+        if (el.matches(UI_SELECTORS) || el.closest(UI_SELECTORS)) continue;
+        const rect = el.getBoundingClientRect();
+        if (rect.width === 0 && rect.height === 0) continue;
+        minX = Math.min(minX, (rect.left - layerRect.left) / canvasScale);
+        minY = Math.min(minY, (rect.top - layerRect.top) / canvasScale);
+        maxX = Math.max(maxX, (rect.right - layerRect.left) / canvasScale);
+        maxY = Math.max(maxY, (rect.bottom - layerRect.top) / canvasScale);
+      }
+    }
+    if (!Number.isFinite(minX)) {
+      ui.notifications?.warn('WBE: nothing to export');
+      return null;
+    }
+    minX = Math.floor(minX - PADDING);
+    minY = Math.floor(minY - PADDING);
+    const width = Math.ceil(maxX + PADDING) - minX;
+    const height = Math.ceil(maxY + PADDING) - minY;
+
+    // Clone with computed styles; containers keep their layer-space left/top,
+    // the content wrapper shifts the bounds origin to 0,0
+    const root = document.createElementNS(XHTML_NS, 'div');
+    root.setAttribute('style', `position: relative; width: ${width}px; height: ${height}px; overflow: hidden;`);
+    const content = document.createElementNS(XHTML_NS, 'div');
+    content.setAttribute('style', `position: absolute; left: ${-minX}px; top: ${-minY}px; width: 0; height: 0;`);
+    root.appendChild(content);
+
+    const families = new Set();
+    for (const { container } of items) {
+      content.appendChild(await this._cloneWithStyles(container, families));
+    }
+
+    const fontCSS = await this._collectFontFaces(families);
+    const background = canvas?.scene?.backgroundColor;
+
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('xmlns', SVG_NS);
+    svg.setAttribute('width', width);
+    svg.setAttribute('height', height);
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    if (fontCSS) {
+      const style = document.createElementNS(SVG_NS, 'style');
+      style.textContent = fontCSS;
+      svg.appendChild(style);
+    }
+    if (background) {
+      const rect = document.createElementNS(SVG_NS, 'rect');
+      rect.setAttribute('width', '100%');
+      rect.setAttribute('height', '100%');
+      rect.setAttribute('fill', String(background));
+      svg.appendChild(rect);
+    }
+    const foreignObject = document.createElementNS(SVG_NS, 'foreignObject');
+    foreignObject.setAttribute('x', 0);
+    foreignObject.setAttribute('y', 0);
+    foreignObject.setAttribute('width', width);
+    foreignObject.setAttribute('height', height);
+    foreignObject.appendChild(root);
+    svg.appendChild(foreignObject);
+
+    return {
+      svg: new XMLSerializer().serializeToString(svg),
+      width,
+      height,
+      count: items.length
+    };
+  }
+
+  /**
+   * Deep clone with every element's computed style inlined; UI is dropped,
+   * images and canvases become data URIs
+   */
+  async _cloneWithStyles(source, families) {
+    if (source.nodeType === Node.TEXT_NODE) {
+      return document.createTextNode(source.textContent);
+    }
+    if (source.nodeType !== Node.ELEMENT_NODE) return null;
+    if (source.matches(UI_SELECTORS)) return null;
+
+    const computed = getComputedStyle(source);
+    if (computed.display === 'none') return null;
+
+    let clone;
+    if (source instanceof HTMLCanvasElement) {
+      clone = document.createElementNS(XHTML_NS, 'img');
+      try {
+        clone.setAttribute('src', source.toDataURL());
+      } catch (error) {
+        console.warn(`[${MODULE_NAME}] Tainted canvas skipped:`, error);
+      }
+    } else {
+      clone = source.cloneNode(false);
+      // Live editing state must not leak into the picture
+      clone.removeAttribute('contenteditable');
+    }
+
+    // Inline the computed style - no stylesheet exists inside the exported image
+    let cssText = '';
+    for (let i = 0; i < computed.length; i++) {
+      const name = computed[i];
+      cssText += `${name}: ${computed.getPropertyValue(name)}; `;
+    }
+    // Objects are not interactive in the picture; skip the hover/transition state
+    cssText += 'transition: none; animation: none;';
+    clone.setAttribute('style', cssText);
+
+    computed.fontFamily.split(',').forEach(name => {
+      const family = name.trim().replace(/^["']|["']$/g, '');
+      if (family) families.add(family.toLowerCase());
+    });
+
+    // Lazy images far from the view have no currentSrc yet
+    const imageSrc = source instanceof HTMLImageElement ? (source.currentSrc || source.src) : null;
+    if (imageSrc) {
+      clone.setAttribute('src', await this._toDataURI(imageSrc));
+      clone.removeAttribute('srcset');
+      clone.removeAttribute('loading');
+    } else if (source instanceof SVGImageElement) {
+      const href = source.getAttribute('href') || source.getAttribute('xlink:href');
+      if (href) clone.setAttribute('href', await this._toDataURI(new URL(href, document.baseURI).href));
+    }
+    if (source instanceof HTMLTextAreaElement || source instanceof HTMLInputElement) {
+      clone.textContent = source.value;
+    }
+
+    for (const child of source.childNodes) {
+      const childClone = await this._cloneWithStyles(child, families);
+      if (childClone) clone.appendChild(childClone);
+    }
+    return clone;
+  }
+
+  async _toDataURI(src) {
+    if (!src || src.startsWith('data:')) return src;
+    if (this._dataURICache.has(src)) return this._dataURICache.get(src);
+    let result = src;
+    try {
+      const response = await fetch(src);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      result = await blobToDataURI(await response.blob());
+    } catch (error) {
+      console.warn(`[${MODULE_NAME}] Failed to embed ${src}:`, error);
+    }
+    this._dataURICache.set(src, result);
+    return result;
+  }
+
+  /**
+   * @font-face rules of the used families, with font files embedded
+   * Cross-origin stylesheets (web font CDNs) cannot be read - those fonts fall back
+   */
+  async _collectFontFaces(families) {
+    const rules = [];
+    for (const sheet of document.styleSheets) {
+      let cssRules;
+      try {
+        cssRules = sheet.cssRules;
+      } catch {
+        continue;
+      }
+      for (const rule of cssRules || []) {
+        if (!(rule instanceof CSSFontFaceRule)) continue;
+        const family = rule.style.getPropertyValue('font-family').trim().replace(/^["']|["']$/g, '').toLowerCase();
+        if (!families.has(family)) continue;
+
+        let cssText = rule.cssText;
+        const baseURL = sheet.href || document.baseURI;
+        const urls = [...cssText.matchAll(/url\((['"]?)([^'")]+)\1\)/g)];
+        for (const [match, , url] of urls) {
+          if (url.startsWith('data:')) continue;
+          const dataURI = await this._toDataURI(new URL(url, baseURL).href);
+          cssText = cssText.replace(match, `url("${dataURI}")`);
+        }
+        rules.push(cssText);
+      }
+    }
+    return rules.join('\n');
+  }
+
+  // ==========================================
+  // Output
+  // ==========================================
+
+  async _rasterize({ svg, width, height }, scale) {
+    const image = new Image();
+    const url = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = () => reject(new Error('Failed to render the SVG snapshot'));
+      image.src = url;
+    });
+    if (image.decode) await image.decode().catch(() => {});
+
+    const out = document.createElement('canvas');
+    out.width = Math.max(1, Math.round(width * scale));
+    out.height = Math.max(1, Math.round(height * scale));
+    const ctx = out.getContext('2d');
+    ctx.drawImage(image, 0, 0, out.width, out.height);
+
+    return new Promise((resolve, reject) => {
+      out.toBlob(blob => blob ? resolve(blob) : reject(new Error('PNG encoding failed')), 'image/png');
+    });
+  }
+
+  _baseName() {
+    const sceneName = (canvas?.scene?.name || 'board').replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-') || 'board';
+    const date = new Date().toISOString().slice(0, 10);
+    return `wbe-${sceneName}-${date}`;
+  }
+
+  _download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
+
+// ==========================================
+// Initialization
+// ==========================================
+
+const boardImageExporter = new BoardImageExporter();
+
+if (typeof Hooks !== 'undefined') {
+  Hooks.once('ready', () => {
+    setTimeout(() => boardImageExporter.init(), 200);
+  });
+} else {
+  setTimeout(() => boardImageExporter.init(), 1000);
+}
+
+export { BoardImageExporter };
+export default boardImageExporter;
+
+window.WBE_BoardImage = boardImageExporter;
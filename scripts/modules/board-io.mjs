@@ -0,0 +1,471 @@
+/**
+ * Board Export / Import Module for Whiteboard Experience
+ *
+ * Перенос раскладки доски между сценами, мирами и кампаниями одним JSON-файлом
+ *
+ * Архитектура:
+ * - Экспорт: все объекты всех зарегистрированных storage types (scene flags + свежее
+ *   состояние Registry поверх), сгруппированные по serialization key, с версией формата
+ * - По желанию картинки (поле src) кладутся в файл как data URI - такой файл самодостаточен
+ * - Импорт: новые ID (ссылки между объектами - коннекторы, группы - переписываются),
+ *   новые ранги через ZIndexModel (порядок сохраняется, всё ложится поверх текущей доски),
+ *   вложенные картинки загружаются заново, раскладка центрируется в текущем виде
+ * - Импорт - один шаг истории (Ctrl+Z убирает всю доску целиком)
+ */
+
+const MODULE_NAME = 'WBE-BoardIO';
+const TOOL_ID = 'wbe-board-io';
+
+const FILE_FORMAT = 'wbe-board';
+const FILE_VERSION = 1;
+
+// Fields that hold world coordinates besides x/y (free connector ends)
+const WORLD_POINT_FIELDS = ['sourcePoint', 'targetPoint'];
+// Fields never carried into another board (local state, re-assigned on import)
+const DROPPED_FIELDS = ['zIndex', 'rank', 'selected', 'massSelected', '_lastModified', '_lastModifiedSource', '_fieldClocks'];
+
+function newObjectId() {
+  return `wbe-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function newGroupId() {
+  return `group-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function blobToDataURI(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+class BoardIOManager {
+  constructor() {
+    this._busy = false;
+  }
+
+  init(retryCount = 0) {
+    if (!window.Whiteboard?.registry || !window.Whiteboard?.persistenceAdapter) {
+      if (retryCount < 10) {
+        if (retryCount === 0) {
+          console.log(`[${MODULE_NAME}] Waiting for Whiteboard...`);
+        }
+        setTimeout(() => this.init(retryCount + 1), 500);
+      } else {
+        console.log(`[${MODULE_NAME}] Whiteboard not available (no active scene?). Will init on canvasReady.`);
+        Hooks.once('canvasReady', () => this.init(0));
+      }
+      return;
+    }
+
+    this._addToolbarButton();
+    console.log(`[${MODULE_NAME}] Initialized`);
+  }
+
+  _addToolbarButton() {
+    if (!window.WBEToolbar?.registerTool) {
+      console.warn(`[${MODULE_NAME}] WBEToolbar not available, retrying...`);
+      setTimeout(() => this._addToolbarButton(), 500);
+      return;
+    }
+
+    window.WBEToolbar.registerTool({
+      id: TOOL_ID,
+      title: 'Export / Import Board',
+      icon: 'fa-solid fa-file-export',
+      group: 'board',
+      type: 'menu',
+      submenu: [
+        {
+          type: 'button',
+          icon: 'fa-solid fa-file-arrow-down',
+          text: 'Export board',
+          onClick: () => this.exportBoard()
+        },
+        {
+          type: 'button',
+          icon: 'fa-solid fa-file-zipper',
+          text: 'Export board with images',
+          onClick: () => this.exportBoard({ bundleImages: true })
+        },
+        {
+          type: 'button',
+          icon: 'fa-solid fa-file-arrow-up',
+          text: 'Import board...',
+          onClick: () => this.pickImportFile()
+        }
+      ]
+    });
+  }
+
+  // ==========================================
+  // Export
+  // ==========================================
+
+  /**
+   * Collect every object of the current scene grouped by storage type
+   * Scene flags are the base (types whose module is off are kept too), Registry state on top
+   * @returns {Promise<Object<string, Object<string, Object>>>} serializationKey -> { id: json }
+   */
+  async _collectObjects() {
+    const wb = window.Whiteboard;
+    const adapter = wb.persistenceAdapter;
+    const objects = {};
+
+    for (const serKey of adapter.getStorageTypes().keys()) {
+      objects[serKey] = { ...(await adapter.loadByType(serKey)) };
+    }
+    for (const obj of wb.registry.getAll()) {
+      const serKey = obj.getSerializationKey();
+      if (!objects[serKey]) objects[serKey] = {};
+      objects[serKey][obj.id] = obj.toJSON();
+    }
+    // Scene flags may still hold objects deleted a moment ago (save is debounced)
+    for (const bucket of Object.values(objects)) {
+      for (const id of Object.keys(bucket)) {
+        const type = bucket[id]?.type;
+        if (window.Whiteboard.hasObjectType(type) && !wb.registry.get(id)) delete bucket[id];
+      }
+    }
+    return objects;
+  }
+
+  /**
+   * Write the board to a JSON file
+   * @param {object} [options]
+   * @param {boolean} [options.bundleImages=false] - Embed image files as data URIs
+   */
+  async exportBoard({ bundleImages = false } = {}) {
+    if (this._busy) return;
+    if (!canvas?.scene) {
+      ui.notifications?.warn('WBE: no active scene to export');
+      return;
+    }
+    this._busy = true;
+    try {
+      const objects = await this._collectObjects();
+      const count = Object.values(objects).reduce((sum, bucket) => sum + Object.keys(bucket).length, 0);
+      if (count === 0) {
+        ui.notifications?.warn('WBE: the board is empty, nothing to export');
+        return;
+      }
+
+      const assets = {};
+      let failedAssets = 0;
+      if (bundleImages) {
+        for (const src of this._collectImagePaths(objects)) {
+          try {
+            const response = await fetch(src);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            assets[src] = await blobToDataURI(await response.blob());
+          } catch (error) {
+            failedAssets++;
+            console.warn(`[${MODULE_NAME}] Failed to bundle image ${src}:`, error);
+          }
+        }
+      }
+
+      const board = {
+        format: FILE_FORMAT,
+        version: FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        source: {
+          world: game.world?.title || game.world?.id || '',
+          scene: canvas.scene.name || ''
+        },
+        objects,
+        assets
+      };
+
+      const safeName = (canvas.scene.name || 'board').replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-') || 'board';
+      this._downloadJSON(board, `wbe-${safeName}.json`);
+
+      const assetNote = bundleImages ? `, ${Object.keys(assets).length} image(s) embedded` : '';
+      ui.notifications?.info(`WBE: exported ${count} object(s)${assetNote}`);
+      if (failedAssets > 0) {
+        ui.notifications?.warn(`WBE: ${failedAssets} image(s) could not be embedded - they keep their server paths`);
+      }
+    } catch (error) {
+      console.error(`[${MODULE_NAME}] Export failed:`, error);
+      ui.notifications?.error('WBE: board export failed (see console)');
+    } finally {
+      this._busy = false;
+    }
+  }
+
+  _collectImagePaths(objects) {
+    const paths = new Set();
+    for (const bucket of Object.values(objects)) {
+      for (const data of Object.values(bucket)) {
+        // data: URIs are already portable
+        if (typeof data?.src === 'string' && data.src && !data.src.startsWith('data:')) {
+          paths.add(data.src);
+        }
+      }
+    }
+    return paths;
+  }
+
+  _downloadJSON(data, filename) {
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  // ==========================================
+  // Import
+  // ==========================================
+
+  pickImportFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.style.display = 'none';
+
+    input.addEventListener('change', async (e) => {
+      const file = e.target.files?.[0];
+      input.remove();
+      if (!file) return;
+      try {
+        await this.importBoard(JSON.parse(await file.text()));
+      } catch (error) {
+        console.error(`[${MODULE_NAME}] Import failed:`, error);
+        ui.notifications?.error(`WBE: board import failed - ${error.message}`);
+      }
+    });
+
+    document.body.appendChild(input);
+    input.click();
+  }
+
+  /**
+   * Add a previously exported board to the current scene
+   * @param {Object} board - Parsed export file
+   * @returns {Promise<string[]>} IDs of the created objects
+   */
+  async importBoard(board) {
+    if (board?.format !== FILE_FORMAT || typeof board.objects !== 'object') {
+      throw new Error('not a Whiteboard Experience board file');
+    }
+    if (board.version > FILE_VERSION) {
+      throw new Error(`file version ${board.version} is newer than supported (${FILE_VERSION}) - update the module`);
+    }
+    if (this._busy) return [];
+
+    const wb = window.Whiteboard;
+    if (!wb?.registry || !wb.interaction) throw new Error('whiteboard is not ready');
+
+    this._busy = true;
+    try {
+      const entries = [];
+      let skipped = 0;
+      for (const bucket of Object.values(board.objects)) {
+        for (const data of Object.values(bucket || {})) {
+          if (!data?.type) continue;
+          if (!wb.hasObjectType(data.type)) {
+            skipped++;
+            continue;
+          }
+          entries.push(data);
+        }
+      }
+      if (entries.length === 0) {
+        ui.notifications?.warn('WBE: the file has no objects this world can show');
+        return [];
+      }
+
+      const srcMap = await this._uploadAssets(board.assets || {});
+      const { ids, failed } = this.placeEntries(entries, { srcMap });
+      skipped += failed;
+
+      ui.notifications?.info(`WBE: imported ${ids.length} object(s)`);
+      if (skipped > 0) {
+        ui.notifications?.warn(`WBE: ${skipped} object(s) skipped - their type is not available (module disabled?)`);
+      }
+      return ids;
+    } finally {
+      this._busy = false;
+    }
+  }
+
+  /**
+   * Create copies of serialized objects on the current board as one history step and select them
+   * (new IDs, group IDs and references; stacking order kept, on top of the board)
+   * @param {Object[]} entries - Serialized objects (toJSON) of registered types
+   * @param {Object} [options]
+   * @param {{x: number, y: number}} [options.center] - World point for the layout center (default: view center)
+   * @param {Map<string, string>} [options.srcMap] - Old image path -> new path
+   * @returns {{ids: string[], failed: number}}
+   */
+  placeEntries(entries, { center = null, srcMap = new Map() } = {}) {
+    const wb = window.Whiteboard;
+    const im = wb.interaction;
+    const prepared = this._prepareEntries(entries, srcMap, center);
+
+    im._deselect();
+    im.massSelection?.clear();
+    im.history?.beginTransaction();
+    const ids = [];
+    let failed = 0;
+    try {
+      for (const data of prepared) {
+        try {
+          const obj = wb.createObjectFromType(data.type, data);
+          wb.registry.register(obj, 'local');
+          ids.push(obj.id);
+        } catch (error) {
+          failed++;
+          console.warn(`[${MODULE_NAME}] Failed to create ${data.type} ${data.id}: ${error.message}`);
+        }
+      }
+    } finally {
+      im.history?.endTransaction();
+    }
+
+    if (ids.length === 1) {
+      im._select(ids[0]);
+    } else if (im.massSelection) {
+      for (const id of ids) im.massSelection.toggleObject(id, true);
+    }
+    return { ids, failed };
+  }
+
+  /**
+   * Upload embedded images, map old path -> new path
+   */
+  async _uploadAssets(assets) {
+    const im = window.Whiteboard.interaction;
+    const srcMap = new Map();
+    for (const [oldSrc, dataURI] of Object.entries(assets)) {
+      if (typeof dataURI !== 'string' || !dataURI.startsWith('data:')) continue;
+      try {
+        const blob = await (await fetch(dataURI)).blob();
+        const path = await im._uploadImageFile(blob);
+        // Upload refused (no permission) - the data URI itself still renders
+        srcMap.set(oldSrc, path || dataURI);
+      } catch (error) {
+        console.warn(`[${MODULE_NAME}] Failed to restore image ${oldSrc}:`, error);
+      }
+    }
+    return srcMap;
+  }
+
+  /**
+   * New IDs and group IDs, rewritten references, assets, offset to the target center;
+   * sorted by the exported rank so Registry re-ranks them in the same order on top
+   */
+  _prepareEntries(entries, srcMap, center = null) {
+    const idMap = new Map(entries.map(data => [data.id, newObjectId()]));
+    const groupMap = new Map();
+    for (const data of entries) {
+      if (data.groupId && !groupMap.has(data.groupId)) groupMap.set(data.groupId, newGroupId());
+    }
+
+    // Any string equal to an old ID is a reference (connector ends, frame children...)
+    const remap = (value) => {
+      if (typeof value === 'string') return idMap.get(value) ?? value;
+      if (Array.isArray(value)) return value.map(remap);
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, remap(v)]));
+      }
+      return value;
+    };
+
+    const { dx, dy } = this._offsetTo(entries, center);
+    const sorted = [...entries].sort((a, b) => {
+      const rankA = a.rank || '';
+      const rankB = b.rank || '';
+      return rankA < rankB ? -1 : rankA > rankB ? 1 : 0;
+    });
+
+    return sorted.map(original => {
+      const data = remap(original);
+      for (const field of DROPPED_FIELDS) delete data[field];
+      data.id = idMap.get(original.id);
+      data.groupId = groupMap.get(original.groupId) || null;
+      if (typeof data.x === 'number') data.x = Math.round(data.x + dx);
+      if (typeof data.y === 'number') data.y = Math.round(data.y + dy);
+      for (const field of WORLD_POINT_FIELDS) {
+        const point = data[field];
+        if (point && typeof point.x === 'number' && typeof point.y === 'number') {
+          data[field] = { x: Math.round(point.x + dx), y: Math.round(point.y + dy) };
+        }
+      }
+      if (typeof data.src === 'string' && srcMap.has(data.src)) {
+        data.src = srcMap.get(data.src);
+      }
+      return data;
+    });
+  }
+
+  /**
+   * Offset that moves the center of the layout to the given world point (default: center of the current view)
+   */
+  _offsetTo(entries, center = null) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    const include = (x, y) => {
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    };
+    for (const data of entries) {
+      if (typeof data.x === 'number' && typeof data.y === 'number') {
+        const scale = data.scale || 1;
+        include(data.x, data.y);
+        include(data.x + (data.width || 0) * scale, data.y + (data.height || 0) * scale);
+      }
+      for (const field of WORLD_POINT_FIELDS) {
+        const point = data[field];
+        if (point && typeof point.x === 'number') include(point.x, point.y);
+      }
+    }
+    if (!Number.isFinite(minX)) return { dx: 0, dy: 0 };
+    if (center) {
+      return {
+        dx: center.x - (minX + maxX) / 2,
+        dy: center.y - (minY + maxY) / 2
+      };
+    }
+
+    const t = canvas.stage.worldTransform;
+    const board = document.getElementById('board');
+    const rect = board?.getBoundingClientRect();
+    const screenX = rect ? rect.left + rect.width / 2 : window.innerWidth / 2;
+    const screenY = rect ? rect.top + rect.height / 2 : window.innerHeight / 2;
+    const viewX = (screenX - t.tx) / t.a;
+    const viewY = (screenY - t.ty) / t.d;
+    return {
+      dx: viewX - (minX + maxX) / 2,
+      dy: viewY - (minY + maxY) / 2
+    };
+  }
+}
+
+// ==========================================
+// Initialization
+// ==========================================
+
+const boardIOManager = new BoardIOManager();
+
+if (typeof Hooks !== 'undefined') {
+  Hooks.once('ready', () => {
+    setTimeout(() => boardIOManager.init(), 200);
+  });
+} else {
+  setTimeout(() => boardIOManager.init(), 1000);
+}
+
+export { BoardIOManager, FILE_FORMAT, FILE_VERSION, DROPPED_FIELDS };
+export default boardIOManager;
+
+window.WBE_BoardIO = boardIOManager;
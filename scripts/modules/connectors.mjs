@@ -0,0 +1,1529 @@
+/**
+ * Connectors Module for Whiteboard Experience
+ *
+ * Соединительные линии между объектами доски
+ *
+ * Архитектура:
+ * - Коннектор хранит ID объектов-концов и стороны привязки, а не координаты
+ * - Маршрут (straight / elbow / curved) пересчитывается локально при любом
+ *   изменении концов в ObjectRegistry и во время drag/scale жестов (DOM-only)
+ * - x/y/width/height коннектора производные (bbox маршрута): не синхронизируются
+ *   и не сохраняются, toJSON их не содержит
+ * - Свободный (detached) конец хранит мировую точку sourcePoint/targetPoint
+ */
+
+import { ShapeView, ShapePanel, LINE_CAPS, LINE_DASH_STYLES } from './shapes.mjs';
+
+const MODULE_NAME = 'WBE-Connectors';
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const TOOL_ID = 'wbe-connector';
+
+// Routing styles
+const CONNECTOR_ROUTING = {
+  STRAIGHT: 'straight',
+  ELBOW: 'elbow',
+  CURVED: 'curved'
+};
+
+// Anchor sides ('auto' = side facing the other end)
+const CONNECTOR_ANCHORS = ['auto', 'top', 'right', 'bottom', 'left'];
+
+// What happens to a connector when one of its endpoint objects is deleted
+const ENDPOINT_DELETE_MODES = ['delete', 'detach'];
+
+// Default styles
+const DEFAULT_STROKE_COLOR = '#ffffff';
+const DEFAULT_STROKE_WIDTH = 2;
+const DEFAULT_ROUTING = CONNECTOR_ROUTING.ELBOW;
+const DEFAULT_START_CAP = 'none';
+const DEFAULT_END_CAP = 'arrow';
+const DEFAULT_DASH = 'solid';
+const DEFAULT_ENDPOINT_DELETE = 'delete';
+
+const CONNECTOR_PADDING = 16; // Отступ контейнера вокруг маршрута (наконечники + толщина)
+const ELBOW_OFFSET = 24; // Elbow-маршрут выходит перпендикулярно стороне на это расстояние
+const HIT_STROKE_WIDTH = 12; // Невидимая «толстая» линия для клика
+const MIN_CONNECTOR_LENGTH = 5; // Короче - считаем кликом, коннектор не создаём
+
+const SIDE_VECTORS = {
+  top: { x: 0, y: -1 },
+  right: { x: 1, y: 0 },
+  bottom: { x: 0, y: 1 },
+  left: { x: -1, y: 0 }
+};
+
+// ==========================================
+// Geometry helpers
+// ==========================================
+
+/**
+ * World bounds of an object as it is currently displayed
+ * Reads the DOM (like AlignmentGuides) so drag/resize gestures that only move
+ * the DOM are followed too; falls back to model values when not rendered
+ * @returns {{left, top, right, bottom, centerX, centerY}|null}
+ */
+function getWorldBounds(obj) {
+  const layer = window.Whiteboard?.layer;
+
+  // Culled objects are not laid out - their box is kept by the spatial index
+  if (layer?.isCulled?.(obj.id)) {
+    const indexed = window.Whiteboard.spatialIndex?.getBounds(obj.id);
+    if (indexed) return boundsFromRect(indexed.left, indexed.top, indexed.right - indexed.left, indexed.bottom - indexed.top);
+  }
+
+  const container = layer?.getObjectContainer(obj.id);
+
+  if (container && layer.element) {
+    const permaBorder = container.querySelector('.wbe-image-permanent-border, .wbe-text-permanent-border, .wbe-permanent-border');
+    const rect = (permaBorder || container).getBoundingClientRect();
+    if (rect.width > 0 || rect.height > 0) {
+      const canvasScale = canvas?.stage?.worldTransform?.a || 1;
+      const layerRect = layer.element.getBoundingClientRect();
+      const left = (rect.left - layerRect.left) / canvasScale;
+      const top = (rect.top - layerRect.top) / canvasScale;
+      return boundsFromRect(left, top, rect.width / canvasScale, rect.height / canvasScale);
+    }
+  }
+
+  if (obj.x === undefined || obj.y === undefined) return null;
+  const scale = obj.scale !== undefined ? obj.scale : 1;
+  const width = (obj.width || 0) * scale;
+  const height = (obj.height || 0) * scale;
+  // Scaled containers keep their center (transform-origin: center)
+  const left = obj.x + (obj.width || 0) / 2 - width / 2;
+  const top = obj.y + (obj.height || 0) / 2 - height / 2;
+  return boundsFromRect(left, top, width, height);
+}
+
+function boundsFromRect(left, top, width, height) {
+  return {
+    left,
+    top,
+    right: left + width,
+    bottom: top + height,
+    centerX: left + width / 2,
+    centerY: top + height / 2
+  };
+}
+
+/**
+ * Side of `bounds` facing `toward` (normalized by half-size, so wide objects prefer top/bottom less)
+ */
+function facingSide(bounds, toward) {
+  const halfW = Math.max(1, (bounds.right - bounds.left) / 2);
+  const halfH = Math.max(1, (bounds.bottom - bounds.top) / 2);
+  const dx = (toward.x - bounds.centerX) / halfW;
+  const dy = (toward.y - bounds.centerY) / halfH;
+  if (Math.abs(dx) >= Math.abs(dy)) {
+    return dx >= 0 ? 'right' : 'left';
+  }
+  return dy >= 0 ? 'bottom' : 'top';
+}
+
+function sidePoint(bounds, side) {
+  switch (side) {
+    case 'top': return { x: bounds.centerX, y: bounds.top };
+    case 'right': return { x: bounds.right, y: bounds.centerY };
+    case 'bottom': return { x: bounds.centerX, y: bounds.bottom };
+    case 'left': return { x: bounds.left, y: bounds.centerY };
+    default: return { x: bounds.centerX, y: bounds.centerY };
+  }
+}
+
+/**
+ * Drop duplicate points and middle points that continue in the same direction
+ */
+function simplifyPolyline(points) {
+  const result = [];
+  for (const p of points) {
+    const last = result[result.length - 1];
+    if (last && Math.abs(last.x - p.x) < 0.5 && Math.abs(last.y - p.y) < 0.5) continue;
+    if (result.length >= 2) {
+      const prev = result[result.length - 2];
+      const cross = (last.x - prev.x) * (p.y - last.y) - (last.y - prev.y) * (p.x - last.x);
+      const dot = (last.x - prev.x) * (p.x - last.x) + (last.y - prev.y) * (p.y - last.y);
+      if (Math.abs(cross) < 0.5 && dot > 0) {
+        result[result.length - 1] = p;
+        continue;
+      }
+    }
+    result.push(p);
+  }
+  return result;
+}
+
+function unitVector(from, to, fallback = { x: 1, y: 0 }) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const length = Math.hypot(dx, dy);
+  return length ? { x: dx / length, y: dy / length } : fallback;
+}
+
+/**
+ * ConnectorManager - connector tool, endpoint index and re-routing
+ */
+class ConnectorManager {
+  constructor() {
+    this.svg = null; // Preview overlay while drawing
+    this.layer = null;
+    this.enabled = false;
+    this.isDrawing = false;
+    this.drawState = null; // { source, start, previewEl, hoverEl }
+
+    // objectId -> Set<connectorId>, connectorId -> { sourceId, targetId }
+    this._endpointIndex = new Map();
+    this._connectorEnds = new Map();
+    this._registry = null;
+    this._unsubscribe = null;
+    this._pendingReroute = new Set();
+    this._rerouteFrame = null;
+
+    this._onMouseMove = this._onMouseMove.bind(this);
+    this._onMouseUp = this._onMouseUp.bind(this);
+    this._onKeyDown = this._onKeyDown.bind(this);
+    this._onGestureMove = this._onGestureMove.bind(this);
+    this._onLayerLoad = this._onLayerLoad.bind(this);
+    this._handleRegistryChange = this._handleRegistryChange.bind(this);
+  }
+
+  init(retryCount = 0) {
+    // Connectors are part of the shapes feature
+    if (window.WBE_isFeatureEnabled && !window.WBE_isFeatureEnabled('shapes')) {
+      console.log(`[${MODULE_NAME}] Disabled in settings`);
+      return;
+    }
+
+    if (!window.Whiteboard?.layer?.element) {
+      if (retryCount < 10) {
+        if (retryCount === 0) {
+          console.log(`[${MODULE_NAME}] Waiting for Whiteboard...`);
+        }
+        setTimeout(() => this.init(retryCount + 1), 500);
+      } else {
+        console.log(`[${MODULE_NAME}] Whiteboard not available (no active scene?). Will init on canvasReady.`);
+        Hooks.once('canvasReady', () => this.init(0));
+      }
+      return;
+    }
+
+    this.layer = window.Whiteboard.layer.element;
+    this._initStyles();
+    this._createSvgOverlay();
+    this._registerObjectType();
+    this._subscribeRegistry();
+    this._setupEventListeners();
+    this._addToolbarButton();
+
+    Hooks.on('canvasReady', () => this._onCanvasReady());
+
+    console.log(`[${MODULE_NAME}] Initialized`);
+  }
+
+  _initStyles() {
+    if (document.getElementById('wbe-connectors-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'wbe-connectors-styles';
+    style.textContent = `
+      /* Only the stroke and the label are clickable - never the route bbox */
+      .wbe-connector-container {
+        pointer-events: none !important;
+      }
+
+      #board.wbe-connector-crosshair,
+      #board.wbe-connector-crosshair *,
+      #whiteboard-experience-layer.wbe-connector-crosshair,
+      #whiteboard-experience-layer.wbe-connector-crosshair * {
+        cursor: crosshair !important;
+      }
+
+      .wbe-connector-target-hover {
+        outline: 2px dashed #4a9eff !important;
+        outline-offset: 4px;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  _createSvgOverlay() {
+    this.svg = document.createElementNS(SVG_NS, 'svg');
+    this.svg.id = 'wbe-connectors-overlay';
+    this.svg.style.cssText = `
+      position: absolute;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      pointer-events: none;
+      z-index: 99998;
+      overflow: visible;
+    `;
+    this.layer.appendChild(this.svg);
+  }
+
+  /**
+   * Handle scene change - re-attach overlay, rebuild endpoint index
+   */
+  _onCanvasReady() {
+    const newLayer = window.Whiteboard?.layer?.element;
+    if (newLayer && newLayer !== this.layer) {
+      if (this.svg?.parentNode) {
+        this.svg.parentNode.removeChild(this.svg);
+      }
+      this.layer?.removeEventListener('load', this._onLayerLoad, true);
+      this.layer = newLayer;
+      this._createSvgOverlay();
+      this.layer.addEventListener('load', this._onLayerLoad, true);
+    }
+    // Registry is cleared silently on scene change - no 'deleted' events
+    this._subscribeRegistry();
+  }
+
+  _registerObjectType() {
+    if (!window.Whiteboard?.registerObjectType) {
+      console.warn(`[${MODULE_NAME}] registerObjectType not available`);
+      return;
+    }
+
+    window.Whiteboard.registerObjectType('connector', {
+      ViewClass: ConnectorView,
+      PanelClass: ConnectorPanel
+    });
+
+    // Storage type is registered in 'init' hook (before WBE loads data)
+    console.log(`[${MODULE_NAME}] Object type 'connector' registered`);
+  }
+
+  _setupEventListeners() {
+    window.addEventListener('keydown', this._onKeyDown);
+    // Follow DOM-only gestures (drag, resize, mass drag) of endpoint objects
+    window.addEventListener('mousemove', this._onGestureMove);
+    // Images change size when they finish loading
+    this.layer.addEventListener('load', this._onLayerLoad, true);
+  }
+
+  _addToolbarButton() {
+    if (!window.WBEToolbar?.registerTool) {
+      console.warn(`[${MODULE_NAME}] WBEToolbar not available, retrying...`);
+      setTimeout(() => this._addToolbarButton(), 500);
+      return;
+    }
+
+    window.WBEToolbar.registerTool({
+      id: TOOL_ID,
+      title: 'Connector (K)',
+      icon: 'fa-solid fa-diagram-project',
+      group: 'shapes',
+      type: 'tool',
+      onActivate: () => this.enableTool(),
+      onDeactivate: () => this.disableTool()
+    });
+  }
+
+  enableTool() {
+    this.enabled = true;
+    document.getElementById('board')?.classList.add('wbe-connector-crosshair');
+    this.layer?.classList.add('wbe-connector-crosshair');
+  }
+
+  disableTool() {
+    this._cancelDrawing();
+    this.enabled = false;
+    document.getElementById('board')?.classList.remove('wbe-connector-crosshair');
+    this.layer?.classList.remove('wbe-connector-crosshair');
+  }
+
+  // ==========================================
+  // Endpoint index
+  // ==========================================
+
+  /**
+   * Subscribe to the current Registry and rebuild the endpoint index from scratch
+   */
+  _subscribeRegistry() {
+    const registry = window.Whiteboard?.registry;
+    if (!registry) return;
+
+    if (registry !== this._registry) {
+      this._unsubscribe?.();
+      this._registry = registry;
+      this._unsubscribe = registry.subscribe(this._handleRegistryChange);
+    }
+
+    this._endpointIndex.clear();
+    this._connectorEnds.clear();
+    for (const obj of registry.getAll()) {
+      if (obj.type === 'connector') this._indexConnector(obj);
+    }
+  }
+
+  _indexConnector(connector) {
+    this._unindexConnector(connector.id);
+    const ends = { sourceId: connector.sourceId, targetId: connector.targetId };
+    this._connectorEnds.set(connector.id, ends);
+    for (const endpointId of [ends.sourceId, ends.targetId]) {
+      if (!endpointId) continue;
+      if (!this._endpointIndex.has(endpointId)) {
+        this._endpointIndex.set(endpointId, new Set());
+      }
+      this._endpointIndex.get(endpointId).add(connector.id);
+    }
+  }
+
+  _unindexConnector(connectorId) {
+    const ends = this._connectorEnds.get(connectorId);
+    if (!ends) return;
+    for (const endpointId of [ends.sourceId, ends.targetId]) {
+      const set = endpointId && this._endpointIndex.get(endpointId);
+      if (!set) continue;
+      set.delete(connectorId);
+      if (set.size === 0) this._endpointIndex.delete(endpointId);
+    }
+    this._connectorEnds.delete(connectorId);
+  }
+
+  /**
+   * IDs of connectors attached to an object
+   * @param {string} objectId
+   * @returns {Array<string>}
+   */
+  getConnectorsFor(objectId) {
+    return Array.from(this._endpointIndex.get(objectId) || []);
+  }
+
+  _handleRegistryChange({ id, type, data, source, changes }) {
+    if (!id) return;
+
+    if (type === 'deleted') {
+      if (this._connectorEnds.has(id)) {
+        this._unindexConnector(id);
+        return;
+      }
+      if (this._endpointIndex.has(id)) {
+        this._onEndpointDeleted(id, source);
+      }
+      return;
+    }
+
+    if (data?.type === 'connector') {
+      if (type === 'created' || (changes && ('sourceId' in changes || 'targetId' in changes))) {
+        this._indexConnector(data);
+      }
+      return;
+    }
+
+    if (!this._endpointIndex.has(id)) return;
+    // Selection changes don't move anything
+    if (type === 'updated' && changes && Object.keys(changes).every(key => key === 'selected' || key === 'massSelected')) {
+      return;
+    }
+    this._scheduleReroute(this.getConnectorsFor(id));
+  }
+
+  /**
+   * Endpoint object removed - delete or detach its connectors
+   * Only the client that deleted the object does this; others get the result via socket
+   */
+  _onEndpointDeleted(endpointId, source) {
+    const connectorIds = this.getConnectorsFor(endpointId);
+    const wb = window.Whiteboard;
+    // Undo/redo restores connectors itself; DB loading never deletes
+    const skipCascade = source !== 'local' || wb?.persistence?._isLoading || wb?.history?._isApplying;
+
+    if (skipCascade) {
+      // Hide now, route again when the endpoint comes back
+      this._scheduleReroute(connectorIds);
+      return;
+    }
+
+    for (const connectorId of connectorIds) {
+      const connector = wb.registry.get(connectorId);
+      if (!connector) continue;
+      if (connector.onEndpointDelete === 'detach') {
+        wb.registry.update(connectorId, connector.getDetachChanges(endpointId), 'local');
+      } else {
+        wb.registry.unregister(connectorId, 'local');
+      }
+    }
+  }
+
+  // ==========================================
+  // Re-routing
+  // ==========================================
+
+  _scheduleReroute(connectorIds) {
+    for (const connectorId of connectorIds) {
+      this._pendingReroute.add(connectorId);
+    }
+    if (this._pendingReroute.size === 0 || this._rerouteFrame !== null) return;
+    this._rerouteFrame = requestAnimationFrame(() => this._flushReroute());
+  }
+
+  _flushReroute() {
+    this._rerouteFrame = null;
+    const ids = Array.from(this._pendingReroute);
+    this._pendingReroute.clear();
+
+    const wb = window.Whiteboard;
+    if (!wb?.registry || !wb.layer) return;
+    const gestureIds = this._getGestureIds();
+
+    for (const connectorId of ids) {
+      const connector = wb.registry.get(connectorId);
+      const container = wb.layer.getObjectContainer(connectorId);
+      if (!connector || !container) continue;
+
+      // Connector itself is moved by the gesture - keep its container where the gesture put it
+      connector.reroute(container, { preview: gestureIds.has(connectorId) });
+      // Box changed without a Registry update - re-measure for the spatial index
+      wb.spatialIndex?.invalidate(connectorId);
+      if (wb.layer._selectionOverlaySelectedId === connectorId) {
+        wb.layer.updateSelectionOverlay();
+      }
+    }
+  }
+
+  /**
+   * IDs of objects currently moved/resized by a DOM-only gesture
+   * @returns {Set<string>}
+   */
+  _getGestureIds() {
+    const ids = new Set();
+    const im = window.Whiteboard?.interaction;
+    if (!im) return ids;
+
+    const states = [im.dragState, im.scaleResizeState, im.stretchResizeState, im.widthResizeState, im.cropDragState];
+    for (const state of states) {
+      if (state?.id) ids.add(state.id);
+    }
+    const endpointDrag = window.WBE_Shapes?.endpointDrag;
+    if (endpointDrag?.id) ids.add(endpointDrag.id);
+
+    const mass = im.massSelection;
+    if (mass && (mass.isDragging || mass.isScaling)) {
+      for (const id of mass.selectedIds) ids.add(id);
+    }
+    // Children carried along by a dragged frame
+    for (const id of window.WBE_Frames?.getCarriedIds?.() || []) ids.add(id);
+    return ids;
+  }
+
+  _onGestureMove() {
+    if (this._endpointIndex.size === 0 && this._connectorEnds.size === 0) return;
+
+    const gestureIds = this._getGestureIds();
+    if (gestureIds.size === 0) return;
+
+    const affected = [];
+    for (const id of gestureIds) {
+      affected.push(...this.getConnectorsFor(id));
+      if (this._connectorEnds.has(id)) affected.push(id);
+    }
+    this._scheduleReroute(affected);
+  }
+
+  _onLayerLoad(e) {
+    const container = e.target?.closest?.(window.Whiteboard?.getAllContainerSelectors?.() || '');
+    if (container?.id && this._endpointIndex.has(container.id)) {
+      this._scheduleReroute(this.getConnectorsFor(container.id));
+    }
+  }
+
+  // ==========================================
+  // Drawing
+  // ==========================================
+
+  _getWorldCoords(e) {
+    const rect = this.layer.getBoundingClientRect();
+    const scale = canvas?.stage?.worldTransform?.a || 1;
+    return {
+      x: (e.clientX - rect.left) / scale,
+      y: (e.clientY - rect.top) / scale
+    };
+  }
+
+  /**
+   * Topmost non-connector object under the cursor
+   * @returns {{ obj: Object, container: HTMLElement }|null}
+   */
+  _findEndpointAt(clientX, clientY) {
+    const wb = window.Whiteboard;
+    if (!wb?.registry) return null;
+    const selectors = wb.getAllContainerSelectors();
+
+    for (const el of document.elementsFromPoint(clientX, clientY)) {
+      const container = el.closest?.(selectors);
+      if (!container || !this.layer.contains(container)) continue;
+      const obj = wb.registry.get(container.id);
+      if (!obj || obj.type === 'connector') continue;
+      return { obj, container };
+    }
+    return null;
+  }
+
+  _onMouseDown(e) {
+    if (!this.enabled || e.button !== 0) return;
+
+    const im = window.Whiteboard?.interaction;
+    if (im?.selectedId) {
+      im._deselect();
+    }
+    if (canvas?.controls?.select) {
+      canvas.controls.select.visible = false;
+    }
+
+    const hit = this._findEndpointAt(e.clientX, e.clientY);
+    const previewEl = document.createElementNS(SVG_NS, 'path');
+    previewEl.setAttribute('fill', 'none');
+    previewEl.setAttribute('stroke', '#4a9eff');
+    previewEl.setAttribute('stroke-width', '2');
+    previewEl.setAttribute('stroke-dasharray', '6 4');
+    this.svg.appendChild(previewEl);
+
+    this.isDrawing = true;
+    this.drawState = {
+      source: hit?.obj || null,
+      start: this._getWorldCoords(e),
+      previewEl,
+      hoverEl: null
+    };
+
+    window.addEventListener('mousemove', this._onMouseMove);
+    window.addEventListener('mouseup', this._onMouseUp);
+  }
+
+  _onMouseMove(e) {
+    if (!this.isDrawing || !this.drawState) return;
+
+    const current = this._getWorldCoords(e);
+    const hit = this._findEndpointAt(e.clientX, e.clientY);
+    const target = hit && hit.obj !== this.drawState.source ? hit : null;
+    this._setHoverElement(target?.container || null);
+
+    // Preview: straight line from the anchor (or free start) to the cursor/target anchor
+    const { source, start } = this.drawState;
+    const sourceBounds = source ? getWorldBounds(source) : null;
+    const targetBounds = target ? getWorldBounds(target.obj) : null;
+    const end = targetBounds
+      ? sidePoint(targetBounds, facingSide(targetBounds, sourceBounds ? { x: sourceBounds.centerX, y: sourceBounds.centerY } : start))
+      : current;
+    const from = sourceBounds ? sidePoint(sourceBounds, facingSide(sourceBounds, end)) : start;
+
+    this.drawState.previewEl.setAttribute('d', `M ${from.x} ${from.y} L ${end.x} ${end.y}`);
+  }
+
+  _onMouseUp(e) {
+    if (!this.isDrawing || !this.drawState) return;
+
+    const { source, start } = this.drawState;
+    const end = this._getWorldCoords(e);
+    const hit = this._findEndpointAt(e.clientX, e.clientY);
+    const target = hit && hit.obj !== source ? hit.obj : null;
+    this._cancelDrawing();
+
+    // Click without drag or drag inside the same object - nothing to connect
+    if (!target && Math.hypot(end.x - start.x, end.y - start.y) < MIN_CONNECTOR_LENGTH) return;
+
+    const round = (p) => ({ x: Math.round(p.x), y: Math.round(p.y) });
+    const data = {
+      sourceId: source?.id || null,
+      targetId: target?.id || null,
+      sourcePoint: source ? null : round(start),
+      targetPoint: target ? null : round(end)
+    };
+
+    const im = window.Whiteboard?.interaction;
+    if (im?._createObjectAt) {
+      im._createObjectAt('connector', 0, 0, data);
+    }
+    // Tool stays active - user can draw more connectors (RMB exits)
+  }
+
+  _setHoverElement(el) {
+    if (!this.drawState || this.drawState.hoverEl === el) return;
+    this.drawState.hoverEl?.classList.remove('wbe-connector-target-hover');
+    el?.classList.add('wbe-connector-target-hover');
+    this.drawState.hoverEl = el;
+  }
+
+  _cancelDrawing() {
+    window.removeEventListener('mousemove', this._onMouseMove);
+    window.removeEventListener('mouseup', this._onMouseUp);
+    if (this.drawState) {
+      this._setHoverElement(null);
+      this.drawState.previewEl?.remove();
+      this.drawState = null;
+    }
+    if (this.isDrawing && canvas?.controls?.select) {
+      canvas.controls.select.visible = true;
+    }
+    this.isDrawing = false;
+  }
+
+  _onKeyDown(e) {
+    if (this._isInputFocused()) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.code !== 'KeyK') return;
+
+    e.preventDefault();
+    // Toggle via toolbar to keep UI in sync
+    if (this.enabled) {
+      window.WBEToolbar?.deactivateAllTools?.();
+    } else if (window.WBEToolbar?.activateTool) {
+      window.WBEToolbar.activateTool(TOOL_ID);
+    } else {
+      this.enableTool();
+    }
+  }
+
+  _isInputFocused() {
+    const active = document.activeElement;
+    return active?.tagName === 'INPUT' ||
+      active?.tagName === 'TEXTAREA' ||
+      active?.isContentEditable;
+  }
+
+  destroy() {
+    this.disableTool();
+    window.removeEventListener('keydown', this._onKeyDown);
+    window.removeEventListener('mousemove', this._onGestureMove);
+    this.layer?.removeEventListener('load', this._onLayerLoad, true);
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+    if (this._rerouteFrame !== null) {
+      cancelAnimationFrame(this._rerouteFrame);
+      this._rerouteFrame = null;
+    }
+    if (this.svg?.parentNode) {
+      this.svg.parentNode.removeChild(this.svg);
+    }
+  }
+}
+
+
+// ==========================================
+// ConnectorView - Model + View
+// ==========================================
+
+class ConnectorView {
+  constructor(data) {
+    this.id = data.id || `connector-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
+    this.type = 'connector';
+
+    // Ends: object ID + side, or a free world point when not attached
+    this.sourceId = data.sourceId || null;
+    this.targetId = data.targetId || null;
+    this.sourceAnchor = CONNECTOR_ANCHORS.includes(data.sourceAnchor) ? data.sourceAnchor : 'auto';
+    this.targetAnchor = CONNECTOR_ANCHORS.includes(data.targetAnchor) ? data.targetAnchor : 'auto';
+    this.sourcePoint = data.sourcePoint || null;
+    this.targetPoint = data.targetPoint || null;
+
+    this.routing = Object.values(CONNECTOR_ROUTING).includes(data.routing) ? data.routing : DEFAULT_ROUTING;
+    this.onEndpointDelete = ENDPOINT_DELETE_MODES.includes(data.onEndpointDelete) ? data.onEndpointDelete : DEFAULT_ENDPOINT_DELETE;
+
+    // Stroke
+    this.strokeColor = data.strokeColor || DEFAULT_STROKE_COLOR;
+    this.strokeOpacity = data.strokeOpacity !== undefined ? data.strokeOpacity : 100;
+    this.strokeWidth = data.strokeWidth !== undefined ? data.strokeWidth : DEFAULT_STROKE_WIDTH;
+    this.startCap = LINE_CAPS.includes(data.startCap) ? data.startCap : DEFAULT_START_CAP;
+    this.endCap = LINE_CAPS.includes(data.endCap) ? data.endCap : DEFAULT_END_CAP;
+    this.dashStyle = LINE_DASH_STYLES.includes(data.dashStyle) ? data.dashStyle : DEFAULT_DASH;
+
+    // Label
+    this.label = data.label || '';
+    this.textColor = data.textColor || '#ffffff';
+    this.textSize = data.textSize || 14;
+    this.fontFamily = data.fontFamily || 'Arial';
+    this.fontWeight = data.fontWeight || 'normal';
+    this.fontStyle = data.fontStyle || 'normal';
+
+    this.selected = data.selected || false;
+    this.rank = data.rank || data.zIndexRank || '';
+    this.zIndex = data.zIndex;
+    this.groupId = data.groupId || null;
+    this.groupName = data.groupName || '';
+    this.name = data.name || '';
+
+    // Derived route box (local only, recomputed on every reroute)
+    this.x = data.x || 0;
+    this.y = data.y || 0;
+    this.width = 0;
+    this.height = 0;
+    this.scale = 1;
+    this._routeBox = null; // { x, y } the container was last placed at by reroute()
+    this._lastEnds = null; // { start, end } world points of the last route (for detaching)
+
+    this.element = null;
+    this.svg = null;
+    this.labelElement = null;
+    this.isEditing = false;
+  }
+
+  // ==========================================
+  // WBE Interface Methods (required)
+  // ==========================================
+
+  getSerializationKey() {
+    return 'connector';
+  }
+
+  getSearchableFields() {
+    return ['label'];
+  }
+
+  toJSON() {
+    // x/y/width/height are derived from the endpoints - not part of the data
+    return {
+      id: this.id,
+      type: this.type,
+      sourceId: this.sourceId,
+      targetId: this.targetId,
+      sourceAnchor: this.sourceAnchor,
+      targetAnchor: this.targetAnchor,
+      sourcePoint: this.sourcePoint,
+      targetPoint: this.targetPoint,
+      routing: this.routing,
+      onEndpointDelete: this.onEndpointDelete,
+      strokeColor: this.strokeColor,
+      strokeOpacity: this.strokeOpacity,
+      strokeWidth: this.strokeWidth,
+      startCap: this.startCap,
+      endCap: this.endCap,
+      dashStyle: this.dashStyle,
+      label: this.label,
+      textColor: this.textColor,
+      textSize: this.textSize,
+      fontFamily: this.fontFamily,
+      fontWeight: this.fontWeight,
+      fontStyle: this.fontStyle,
+      rank: this.rank,
+      groupId: this.groupId,
+      groupName: this.groupName,
+      name: this.name
+    };
+  }
+
+  updateClickTarget(_container) {
+    // Hit area is the invisible wide stroke inside the SVG
+  }
+
+  getContainerSelector() {
+    return '.wbe-connector-container';
+  }
+
+  usesTransformScale() {
+    return false;
+  }
+
+  /**
+   * Group scale moves only the route box (free ends follow it); attached ends follow their objects
+   */
+  applyGroupScale(scaleFactor, pivotX, pivotY, startData) {
+    const width = startData.width ?? this.width;
+    const height = startData.height ?? this.height;
+    const centerX = pivotX + (startData.x + width / 2 - pivotX) * scaleFactor;
+    const centerY = pivotY + (startData.y + height / 2 - pivotY) * scaleFactor;
+    return { x: centerX - width / 2, y: centerY - height / 2 };
+  }
+
+  isFrozen() {
+    return false;
+  }
+
+  getCapabilities() {
+    // Attached connectors move only with their objects
+    return {
+      scalable: false,
+      draggable: !this.sourceId && !this.targetId,
+      freezable: false,
+      editable: true,
+      stretchX: false,
+      stretchY: false
+    };
+  }
+
+  canEdit() {
+    return true;
+  }
+
+  getCopyData(_layer) {
+    return this.toJSON();
+  }
+
+  getElementForHitTest(layer) {
+    return layer?.getObjectContainer(this.id) || this.element;
+  }
+
+  /**
+   * Geometric hit-test would use the route bbox - connectors are hit only via their stroke/label
+   */
+  excludeFromGeometricHitTest() {
+    return true;
+  }
+
+  onCreated(_interactionManager, _options) {
+    // Connectors don't need special post-creation logic
+  }
+
+  /**
+   * Changes that turn the end attached to `endpointId` into a free point
+   * @param {string} endpointId - ID of the removed endpoint object
+   * @returns {Object}
+   */
+  getDetachChanges(endpointId) {
+    const fallback = { x: Math.round(this.x), y: Math.round(this.y) };
+    const round = (p) => (p ? { x: Math.round(p.x), y: Math.round(p.y) } : fallback);
+    const changes = {};
+    if (this.sourceId === endpointId) {
+      changes.sourceId = null;
+      changes.sourcePoint = round(this._lastEnds?.start);
+    }
+    if (this.targetId === endpointId) {
+      changes.targetId = null;
+      changes.targetPoint = round(this._lastEnds?.end);
+    }
+    return changes;
+  }
+
+  render() {
+    this.element = document.createElement('div');
+    this.element.id = this.id;
+    this.element.className = 'wbe-connector-container';
+    this.element.dataset.objectType = 'connector';
+    this.element.style.cssText = `
+      position: absolute;
+      left: 0;
+      top: 0;
+      width: 0;
+      height: 0;
+      overflow: visible;
+    `;
+
+    this.svg = document.createElementNS(SVG_NS, 'svg');
+    this.svg.style.cssText = `
+      position: absolute;
+      left: 0;
+      top: 0;
+      width: 100%;
+      height: 100%;
+      overflow: visible;
+      pointer-events: none;
+    `;
+    this.element.appendChild(this.svg);
+
+    this.labelElement = document.createElement('div');
+    this.labelElement.className = 'wbe-connector-label';
+    this.labelElement.style.cssText = `
+      position: absolute;
+      transform: translate(-50%, -50%);
+      padding: 2px 6px;
+      border-radius: 4px;
+      background: rgba(0, 0, 0, 0.6);
+      white-space: pre;
+      pointer-events: auto;
+      user-select: none;
+      outline: none;
+    `;
+    this.element.appendChild(this.labelElement);
+    this._updateLabelElement();
+
+    this.reroute(this.element);
+
+    return this.element;
+  }
+
+  /**
+   * Update internal state from data (called by WBE on sync/load)
+   */
+  updateFromData(data) {
+    const keys = [
+      'sourceId', 'targetId', 'sourceAnchor', 'targetAnchor', 'sourcePoint', 'targetPoint',
+      'routing', 'onEndpointDelete', 'strokeColor', 'strokeOpacity', 'strokeWidth',
+      'startCap', 'endCap', 'dashStyle', 'label', 'textColor', 'textSize', 'fontFamily',
+      'fontWeight', 'fontStyle', 'selected', 'rank', 'zIndex', 'groupId', 'groupName', 'name'
+    ];
+    for (const key of keys) {
+      if (data[key] !== undefined) this[key] = data[key];
+    }
+    if (data.zIndexRank !== undefined) this.rank = data.zIndexRank; // Legacy support
+  }
+
+  /**
+   * Update DOM element from changes (called by WBE after registry update)
+   * @param {HTMLElement} container - the container element
+   * @param {Object} changes - changed properties
+   */
+  updateElement(container, changes) {
+    if (!container) return;
+
+    // Route box was moved (drag of a free connector, mass drag/scale) - free ends move with it
+    if (changes && ('x' in changes || 'y' in changes) && this._routeBox) {
+      const dx = this.x - this._routeBox.x;
+      const dy = this.y - this._routeBox.y;
+      if (dx || dy) {
+        if (this.sourcePoint) this.sourcePoint = { x: Math.round(this.sourcePoint.x + dx), y: Math.round(this.sourcePoint.y + dy) };
+        if (this.targetPoint) this.targetPoint = { x: Math.round(this.targetPoint.x + dx), y: Math.round(this.targetPoint.y + dy) };
+      }
+    }
+
+    const labelKeys = ['label', 'textColor', 'textSize', 'fontFamily', 'fontWeight', 'fontStyle'];
+    if (!changes || labelKeys.some(key => key in changes)) {
+      this._updateLabelElement();
+    }
+
+    this.reroute(container);
+  }
+
+  /**
+   * Recompute the route from the current endpoint positions and redraw
+   * @param {HTMLElement} container
+   * @param {Object} [options]
+   * @param {boolean} [options.preview] - Container is being moved by a gesture: draw relative
+   *   to its current position and leave model/position untouched (committed on gesture end)
+   * @returns {boolean} false if an endpoint object is missing (connector hidden)
+   */
+  reroute(container = this.element, { preview = false } = {}) {
+    if (!container) return false;
+
+    const origin = preview
+      ? { x: parseFloat(container.style.left) || 0, y: parseFloat(container.style.top) || 0 }
+      : null;
+    const offset = origin && this._routeBox
+      ? { x: origin.x - this._routeBox.x, y: origin.y - this._routeBox.y }
+      : { x: 0, y: 0 };
+
+    const route = this._computeRoute(offset);
+    if (!route) {
+      container.style.display = 'none';
+      return false;
+    }
+    container.style.display = '';
+
+    const box = this._getRouteBox(route);
+    if (!preview) {
+      this.x = box.x;
+      this.y = box.y;
+      this.width = box.width;
+      this.height = box.height;
+      this._routeBox = { x: box.x, y: box.y };
+      this._lastEnds = { start: route.points[0], end: route.points[route.points.length - 1] };
+      container.style.left = `${box.x}px`;
+      container.style.top = `${box.y}px`;
+      container.style.width = `${box.width}px`;
+      container.style.height = `${box.height}px`;
+    }
+
+    this._drawRoute(route, origin || box);
+    return true;
+  }
+
+  /**
+   * Resolve both ends and build the route in world coordinates
+   * @param {{x: number, y: number}} offset - Added to free end points (gesture preview)
+   * @returns {{points: Array, curve: boolean, label: {x, y}}|null}
+   */
+  _computeRoute(offset) {
+    const source = this._resolveEnd(this.sourceId, this.sourcePoint, offset);
+    const target = this._resolveEnd(this.targetId, this.targetPoint, offset);
+    if (!source || !target) return null;
+
+    const sourceCenter = { x: source.bounds.centerX, y: source.bounds.centerY };
+    const targetCenter = { x: target.bounds.centerX, y: target.bounds.centerY };
+    const sourceSide = this.sourceId && this.sourceAnchor !== 'auto'
+      ? this.sourceAnchor
+      : facingSide(source.bounds, targetCenter);
+    const targetSide = this.targetId && this.targetAnchor !== 'auto'
+      ? this.targetAnchor
+      : facingSide(target.bounds, sourceCenter);
+
+    const start = sidePoint(source.bounds, this.sourceId ? sourceSide : null);
+    const end = sidePoint(target.bounds, this.targetId ? targetSide : null);
+
+    switch (this.routing) {
+      case CONNECTOR_ROUTING.STRAIGHT:
+        return this._withLabel({ points: [start, end], curve: false });
+
+      case CONNECTOR_ROUTING.CURVED: {
+        const sv = SIDE_VECTORS[sourceSide];
+        const tv = SIDE_VECTORS[targetSide];
+        const k = Math.max(40, Math.hypot(end.x - start.x, end.y - start.y) * 0.4);
+        return this._withLabel({
+          points: [
+            start,
+            { x: start.x + sv.x * k, y: start.y + sv.y * k },
+            { x: end.x + tv.x * k, y: end.y + tv.y * k },
+            end
+          ],
+          curve: true
+        });
+      }
+
+      default: {
+        const sv = SIDE_VECTORS[sourceSide];
+        const tv = SIDE_VECTORS[targetSide];
+        const a = { x: start.x + sv.x * ELBOW_OFFSET, y: start.y + sv.y * ELBOW_OFFSET };
+        const b = { x: end.x + tv.x * ELBOW_OFFSET, y: end.y + tv.y * ELBOW_OFFSET };
+        const startHorizontal = sv.x !== 0;
+        const endHorizontal = tv.x !== 0;
+
+        let middle;
+        if (startHorizontal && endHorizontal) {
+          const midX = (a.x + b.x) / 2;
+          middle = [{ x: midX, y: a.y }, { x: midX, y: b.y }];
+        } else if (!startHorizontal && !endHorizontal) {
+          const midY = (a.y + b.y) / 2;
+          middle = [{ x: a.x, y: midY }, { x: b.x, y: midY }];
+        } else if (startHorizontal) {
+          middle = [{ x: b.x, y: a.y }];
+        } else {
+          middle = [{ x: a.x, y: b.y }];
+        }
+        return this._withLabel({ points: simplifyPolyline([start, a, ...middle, b, end]), curve: false });
+      }
+    }
+  }
+
+  /**
+   * @returns {{bounds: Object}|null} Zero-size bounds for free points; null if endpoint object is missing
+   */
+  _resolveEnd(objectId, point, offset) {
+    if (objectId) {
+      const obj = window.Whiteboard?.registry?.get(objectId);
+      const bounds = obj ? getWorldBounds(obj) : null;
+      return bounds ? { bounds } : null;
+    }
+    if (!point) return null;
+    return { bounds: boundsFromRect(point.x + offset.x, point.y + offset.y, 0, 0) };
+  }
+
+  /**
+   * Add label position: midpoint along the polyline, or the Bezier at t = 0.5
+   */
+  _withLabel(route) {
+    const pts = route.points;
+    if (route.curve) {
+      route.label = {
+        x: (pts[0].x + 3 * pts[1].x + 3 * pts[2].x + pts[3].x) / 8,
+        y: (pts[0].y + 3 * pts[1].y + 3 * pts[2].y + pts[3].y) / 8
+      };
+      return route;
+    }
+
+    const lengths = [];
+    let total = 0;
+    for (let i = 1; i < pts.length; i++) {
+      const len = Math.hypot(pts[i].x - pts[i - 1].x, pts[i].y - pts[i - 1].y);
+      lengths.push(len);
+      total += len;
+    }
+    let remaining = total / 2;
+    route.label = { x: pts[0].x, y: pts[0].y };
+    for (let i = 0; i < lengths.length; i++) {
+      if (remaining <= lengths[i]) {
+        const t = lengths[i] ? remaining / lengths[i] : 0;
+        route.label = {
+          x: pts[i].x + (pts[i + 1].x - pts[i].x) * t,
+          y: pts[i].y + (pts[i + 1].y - pts[i].y) * t
+        };
+        break;
+      }
+      remaining -= lengths[i];
+    }
+    return route;
+  }
+
+  /**
+   * Integer container box around all route points (control points included for curves)
+   */
+  _getRouteBox(route) {
+    const xs = route.points.map(p => p.x);
+    const ys = route.points.map(p => p.y);
+    const x = Math.floor(Math.min(...xs)) - CONNECTOR_PADDING;
+    const y = Math.floor(Math.min(...ys)) - CONNECTOR_PADDING;
+    return {
+      x,
+      y,
+      width: Math.ceil(Math.max(...xs)) + CONNECTOR_PADDING - x,
+      height: Math.ceil(Math.max(...ys)) + CONNECTOR_PADDING - y
+    };
+  }
+
+  /**
+   * Draw route into the SVG, coordinates relative to `origin` (container top-left)
+   */
+  _drawRoute(route, origin) {
+    if (!this.svg) return;
+    this.svg.replaceChildren();
+
+    const pts = route.points.map(p => ({ x: p.x - origin.x, y: p.y - origin.y }));
+    const last = pts.length - 1;
+    const color = this.strokeColor;
+    const sw = this.strokeWidth;
+    const capSize = Math.max(8, sw * 3);
+
+    // Outward directions at the ends (towards the tips)
+    const startDir = unitVector(pts[1], pts[0], { x: -1, y: 0 });
+    const endDir = unitVector(pts[last - 1], pts[last]);
+
+    // Pull path ends back under arrowheads so the stroke doesn't poke through the tip
+    const inset = (cap, a, b) => (cap === 'arrow' ? Math.min(capSize, Math.hypot(b.x - a.x, b.y - a.y) / 2) : 0);
+    const startInset = inset(this.startCap, pts[0], pts[1]);
+    const endInset = inset(this.endCap, pts[last - 1], pts[last]);
+    const drawn = pts.slice();
+    drawn[0] = { x: pts[0].x - startDir.x * startInset, y: pts[0].y - startDir.y * startInset };
+    drawn[last] = { x: pts[last].x - endDir.x * endInset, y: pts[last].y - endDir.y * endInset };
+
+    const d = route.curve
+      ? `M ${drawn[0].x} ${drawn[0].y} C ${drawn[1].x} ${drawn[1].y} ${drawn[2].x} ${drawn[2].y} ${drawn[3].x} ${drawn[3].y}`
+      : drawn.map((p, i) => `${i === 0 ? 'M' : 'L'} ${p.x} ${p.y}`).join(' ');
+
+    const hitPath = document.createElementNS(SVG_NS, 'path');
+    hitPath.setAttribute('class', 'wbe-connector-hit');
+    hitPath.setAttribute('d', d);
+    hitPath.setAttribute('fill', 'none');
+    hitPath.setAttribute('stroke', 'transparent');
+    hitPath.setAttribute('stroke-width', Math.max(HIT_STROKE_WIDTH, sw + 8));
+    hitPath.setAttribute('pointer-events', 'stroke');
+    this.svg.appendChild(hitPath);
+
+    const g = document.createElementNS(SVG_NS, 'g');
+    g.setAttribute('class', 'wbe-connector-line');
+    g.setAttribute('opacity', (this.strokeOpacity ?? 100) / 100);
+    g.setAttribute('pointer-events', 'none');
+
+    const path = document.createElementNS(SVG_NS, 'path');
+    path.setAttribute('d', d);
+    path.setAttribute('fill', 'none');
+    path.setAttribute('stroke', color);
+    path.setAttribute('stroke-width', sw);
+    path.setAttribute('stroke-linecap', 'round');
+    path.setAttribute('stroke-linejoin', 'round');
+    const dashArray = ShapeView._getDashArray(this.dashStyle, sw);
+    if (dashArray) path.setAttribute('stroke-dasharray', dashArray);
+    g.appendChild(path);
+
+    const startCap = ShapeView._buildLineCap(this.startCap, pts[0], startDir.x, startDir.y, capSize, color, sw);
+    const endCap = ShapeView._buildLineCap(this.endCap, pts[last], endDir.x, endDir.y, capSize, color, sw);
+    if (startCap) g.appendChild(startCap);
+    if (endCap) g.appendChild(endCap);
+    this.svg.appendChild(g);
+
+    if (this.labelElement) {
+      this.labelElement.style.left = `${route.label.x - origin.x}px`;
+      this.labelElement.style.top = `${route.label.y - origin.y}px`;
+    }
+  }
+
+  _updateLabelElement() {
+    const labelEl = this.labelElement;
+    if (!labelEl) return;
+    labelEl.style.color = this.textColor;
+    labelEl.style.fontSize = `${this.textSize}px`;
+    labelEl.style.fontFamily = this.fontFamily;
+    labelEl.style.fontWeight = this.fontWeight;
+    labelEl.style.fontStyle = this.fontStyle;
+    if (!this.isEditing) {
+      labelEl.textContent = this.label;
+      labelEl.style.display = this.label ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Enter label editing mode (double-click)
+   */
+  startEditing() {
+    // Block editing while a drawing tool is active
+    if (window.WBE_Connectors?.enabled || window.WBE_Shapes?.enabled) return;
+    if (this.isEditing) return;
+
+    const labelEl = this.labelElement;
+    if (!labelEl) return;
+
+    this.isEditing = true;
+    labelEl.style.display = 'block';
+    labelEl.style.minWidth = '1em';
+    labelEl.style.userSelect = 'text';
+    labelEl.style.cursor = 'text';
+    labelEl.contentEditable = 'true';
+    labelEl.focus();
+
+    const range = document.createRange();
+    range.selectNodeContents(labelEl);
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+
+    // Register as being edited (WBE finishes editing on outside clicks)
+    if (window.Whiteboard?.interaction) {
+      window.Whiteboard.interaction._editingObject = this;
+    }
+
+    this._onLabelKeyDown = (e) => {
+      // Single-line label: Enter commits
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        labelEl.blur();
+      }
+    };
+    labelEl.addEventListener('keydown', this._onLabelKeyDown);
+    labelEl.addEventListener('blur', () => this.finishEditing(), { once: true });
+  }
+
+  /**
+   * Finish label editing mode
+   */
+  finishEditing() {
+    if (!this.isEditing) return;
+
+    const labelEl = this.labelElement;
+    this.isEditing = false;
+    if (!labelEl) return;
+
+    labelEl.contentEditable = 'false';
+    labelEl.style.minWidth = '';
+    labelEl.style.userSelect = 'none';
+    labelEl.style.cursor = '';
+    if (this._onLabelKeyDown) {
+      labelEl.removeEventListener('keydown', this._onLabelKeyDown);
+      this._onLabelKeyDown = null;
+    }
+
+    if (window.Whiteboard?.interaction?._editingObject === this) {
+      window.Whiteboard.interaction._editingObject = null;
+    }
+
+    const newLabel = (labelEl.textContent || '').trim();
+    if (newLabel !== this.label && window.Whiteboard?.registry) {
+      window.Whiteboard.registry.update(this.id, { label: newLabel }, 'local');
+    } else {
+      this._updateLabelElement();
+    }
+  }
+
+  destroy() {
+    if (this.element?.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+    this.element = null;
+    this.svg = null;
+    this.labelElement = null;
+  }
+}
+
+// ==========================================
+// ConnectorPanel - uses WBE BasePanelView for consistent UI
+// ==========================================
+
+class ConnectorPanel {
+  constructor(registry, layer) {
+    this.registry = registry;
+    this.layer = layer;
+    this.connectorId = null;
+    this.view = null;
+    this._outsideClickHandler = null;
+  }
+
+  show(connectorId) {
+    const obj = this.registry.get(connectorId);
+    if (!obj || obj.type !== 'connector') return;
+
+    this.hide();
+    this.connectorId = connectorId;
+
+    const container = this.layer?.getObjectContainer(connectorId);
+    if (!container) return;
+
+    this._createPanel(container);
+  }
+
+  _createPanel(container) {
+    const BasePanelView = window.WBE_BasePanelView;
+    if (!BasePanelView) {
+      console.warn(`[${MODULE_NAME}] BasePanelView not available`);
+      return;
+    }
+
+    this.view = new BasePanelView();
+    this.view.createPanel();
+
+    const update = (changes) => this.registry.update(this.connectorId, changes, 'local');
+
+    // Routing, anchor sides, endpoint delete behavior
+    const routeBtn = this.view.makeToolbarButton('Route', 'fas fa-route', () => {
+      this._openRouteSubpanel(routeBtn);
+    });
+    this.view.toolbar.appendChild(routeBtn);
+
+    // Arrowheads + dash pattern (same subpanel as line shapes)
+    const lineStyleBtn = this.view.makeToolbarButton('Line Style', 'fas fa-arrow-right-long', () => {
+      const current = this.registry.get(this.connectorId);
+      if (!current) return;
+      ShapePanel.openLineStyleSubpanel(this.view, lineStyleBtn, current, update);
+    });
+    this.view.toolbar.appendChild(lineStyleBtn);
+
+    const strokeBtn = this.view.makeToolbarButton('Stroke', 'fas fa-border-all', () => {
+      const current = this.registry.get(this.connectorId);
+      this.view.openBorderSubpanel(strokeBtn, {
+        color: current?.strokeColor,
+        opacity: current?.strokeOpacity,
+        width: current?.strokeWidth
+      }, (color, opacity, width) => {
+        // Zero width would make the connector invisible and unclickable
+        update({ strokeColor: color, strokeOpacity: opacity, strokeWidth: Math.max(1, width) });
+      });
+    });
+    this.view.toolbar.appendChild(strokeBtn);
+
+    const labelBtn = this.view.makeToolbarButton('Label', 'fas fa-font', () => {
+      const current = this.registry.get(this.connectorId);
+      this.view.openTextSubpanel(labelBtn, {
+        textColor: current?.textColor || '#ffffff',
+        textSize: current?.textSize || 14,
+        fontWeight: current?.fontWeight || 'normal',
+        fontStyle: current?.fontStyle || 'normal',
+        fontFamily: current?.fontFamily || 'Arial'
+      }, (changes) => {
+        // Label is a single centered line - alignment/line height don't apply
+        const labelKeys = ['textColor', 'textSize', 'fontWeight', 'fontStyle', 'fontFamily'];
+        const labelChanges = Object.fromEntries(Object.entries(changes).filter(([key]) => labelKeys.includes(key)));
+        if (Object.keys(labelChanges).length > 0) update(labelChanges);
+      });
+    });
+    this.view.toolbar.appendChild(labelBtn);
+
+    document.body.appendChild(this.view.panel);
+    this.view.positionNear(container.querySelector('.wbe-connector-hit') || container);
+
+    // Close on outside click
+    setTimeout(() => {
+      this._outsideClickHandler = (e) => {
+        if (!this.view?.isClickInside(e)) {
+          this.hide();
+        }
+      };
+      document.addEventListener('mousedown', this._outsideClickHandler);
+    }, 100);
+  }
+
+  /**
+   * Subpanel with routing style, anchor sides and endpoint delete behavior
+   */
+  _openRouteSubpanel(button) {
+    if (this.view.activeButton === button) {
+      this.view.closeSubpanel();
+      return;
+    }
+
+    const current = this.registry.get(this.connectorId);
+    if (!current) return;
+
+    const content = document.createElement('div');
+    content.style.cssText = 'display: flex; flex-direction: column; gap: 8px;';
+
+    const sideLabels = { auto: 'Auto', top: 'Top', right: 'Right', bottom: 'Bottom', left: 'Left' };
+    const rows = [
+      {
+        label: 'Route:',
+        key: 'routing',
+        values: Object.values(CONNECTOR_ROUTING),
+        labels: { straight: 'Straight', elbow: 'Elbow', curved: 'Curved' }
+      },
+      { label: 'From side:', key: 'sourceAnchor', values: CONNECTOR_ANCHORS, labels: sideLabels, disabled: !current.sourceId },
+      { label: 'To side:', key: 'targetAnchor', values: CONNECTOR_ANCHORS, labels: sideLabels, disabled: !current.targetId },
+      {
+        label: 'On delete:',
+        key: 'onEndpointDelete',
+        values: ENDPOINT_DELETE_MODES,
+        labels: { delete: 'Delete connector', detach: 'Detach end' }
+      }
+    ];
+
+    for (const { label, key, values, labels, disabled } of rows) {
+      const group = document.createElement('div');
+      group.style.cssText = 'display: flex; align-items: center; justify-content: space-between; gap: 8px;';
+
+      const labelEl = document.createElement('span');
+      labelEl.textContent = label;
+      labelEl.style.cssText = 'font-size: 12px; color: #555; white-space: nowrap;';
+      group.appendChild(labelEl);
+
+      const select = document.createElement('select');
+      select.style.cssText = `
+        min-width: 120px;
+        padding: 6px 8px;
+        border: 1px solid #d0d0d0;
+        border-radius: 6px;
+        background: white;
+        font-size: 12px;
+        color: #333;
+        cursor: pointer;
+      `;
+      for (const value of values) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = labels[value];
+        select.appendChild(option);
+      }
+      select.value = current[key];
+      // Free ends have no object side to pick
+      select.disabled = !!disabled;
+      select.addEventListener('change', (e) => {
+        this.registry.update(this.connectorId, { [key]: e.target.value }, 'local');
+      });
+      group.appendChild(select);
+
+      content.appendChild(group);
+    }
+
+    this.view.openSubpanel(button, content);
+  }
+
+  hide() {
+    if (this._outsideClickHandler) {
+      document.removeEventListener('mousedown', this._outsideClickHandler);
+      this._outsideClickHandler = null;
+    }
+    if (this.view) {
+      this.view.destroy();
+      this.view = null;
+    }
+    this.connectorId = null;
+  }
+
+  updatePosition() {
+    if (!this.connectorId || !this.view?.panel) return;
+    const container = this.layer?.getObjectContainer(this.connectorId);
+    if (container) {
+      this.view.positionNear(container.querySelector('.wbe-connector-hit') || container);
+    }
+  }
+}
+
+// ==========================================
+// Initialization
+// ==========================================
+
+const connectorManager = new ConnectorManager();
+
+if (typeof Hooks !== 'undefined') {
+  // Register storage type EARLY (before WBE loads data in 'ready')
+  Hooks.once('init', () => {
+    if (window.Whiteboard?.registerStorageType) {
+      window.Whiteboard.registerStorageType('connector', 'connectors');
+      console.log(`[${MODULE_NAME}] Queued storage type 'connector' -> 'connectors'`);
+    }
+  });
+
+  // Initialize after WBE is ready (after shapes - reuses its line caps)
+  Hooks.once('ready', () => {
+    setTimeout(() => connectorManager.init(), 200);
+  });
+} else {
+  setTimeout(() => connectorManager.init(), 1000);
+}
+
+export { ConnectorManager, ConnectorView, ConnectorPanel, CONNECTOR_ROUTING, CONNECTOR_ANCHORS, ENDPOINT_DELETE_MODES, getWorldBounds };
+export default connectorManager;
+
+window.WBE_Connectors = connectorManager;
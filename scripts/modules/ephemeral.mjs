@@ -0,0 +1,522 @@
+/**
+ * Ephemeral Ink Module for Whiteboard Experience
+ *
+ * Лазерная указка и "исчезающее перо" - пометки, которые не остаются на доске
+ *
+ * Архитектура:
+ * - Штрихи не являются объектами доски: не попадают в Registry, история и
+ *   PersistenceController их не видят
+ * - Точки рассылаются пачками (SEND_INTERVAL_MS) через сокет модуля
+ *   (Whiteboard.registerSocketHandler), каждый клиент гасит штрихи сам
+ * - Лазер: хвост короче LASER_TRAIL_MS, штрих исчезает сразу после отпускания
+ * - Перо: штрих держится fadeDelay секунд (настройка рисующего) и плавно гаснет
+ * - Сглаживание - тот же Catmull-Rom, что у freehand (ShapeView._buildSmoothPathStatic)
+ */
+
+import { ShapeView } from './shapes.mjs';
+
+const MODULE_NAME = 'WBE-Ephemeral';
+const MODULE_ID = 'whiteboard-experience';
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const EPHEMERAL_TOOLS = {
+  LASER: 'laser',
+  INK: 'ink'
+};
+const TOOL_IDS = {
+  [EPHEMERAL_TOOLS.LASER]: 'wbe-laser',
+  [EPHEMERAL_TOOLS.INK]: 'wbe-ink'
+};
+
+const STROKE_ACTION = 'ephemeralStroke';
+
+const LASER_TRAIL_MS = 1500; // Хвост лазера живёт полторы секунды
+const LASER_WIDTH = 3;
+const INK_WIDTH = 3;
+const INK_FADE_OUT_MS = 600;
+const DEFAULT_INK_DELAY = 5; // seconds
+const SEND_INTERVAL_MS = 50;
+const POINT_THRESHOLD = 4; // screen px between recorded points
+const DEFAULT_COLOR = '#ff3b3b';
+
+function getUserColor(user) {
+  const color = user?.color;
+  if (!color) return DEFAULT_COLOR;
+  return color.css || String(color);
+}
+
+class EphemeralInkManager {
+  constructor() {
+    this.svg = null;
+    this.layer = null;
+    this.enabled = false;
+    this.currentTool = null;
+    this.isDrawing = false;
+    this.drawState = null; // { stroke, pending: Array<{x, y}>, sendTimer }
+
+    // strokeId -> { tool, userId, points: [{x, y, t}], group, paths, ended, timers }
+    this._strokes = new Map();
+    this._laserFrame = null;
+
+    this._onMouseMove = this._onMouseMove.bind(this);
+    this._onMouseUp = this._onMouseUp.bind(this);
+    this._onKeyDown = this._onKeyDown.bind(this);
+    this._tickLaser = this._tickLaser.bind(this);
+  }
+
+  init(retryCount = 0) {
+    // Drawing aids are part of the shapes feature
+    if (window.WBE_isFeatureEnabled && !window.WBE_isFeatureEnabled('shapes')) {
+      console.log(`[${MODULE_NAME}] Disabled in settings`);
+      return;
+    }
+
+    if (!window.Whiteboard?.layer?.element) {
+      if (retryCount < 10) {
+        if (retryCount === 0) {
+          console.log(`[${MODULE_NAME}] Waiting for Whiteboard...`);
+        }
+        setTimeout(() => this.init(retryCount + 1), 500);
+      } else {
+        console.log(`[${MODULE_NAME}] Whiteboard not available (no active scene?). Will init on canvasReady.`);
+        Hooks.once('canvasReady', () => this.init(0));
+      }
+      return;
+    }
+
+    this.layer = window.Whiteboard.layer.element;
+    this._initStyles();
+    this._createSvgOverlay();
+    window.Whiteboard.registerSocketHandler?.(STROKE_ACTION, (payload) => this._onRemoteStroke(payload));
+    window.addEventListener('keydown', this._onKeyDown);
+    this._addToolbarButtons();
+
+    Hooks.on('canvasReady', () => this._onCanvasReady());
+
+    console.log(`[${MODULE_NAME}] Initialized`);
+  }
+
+  _initStyles() {
+    if (document.getElementById('wbe-ephemeral-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'wbe-ephemeral-styles';
+    style.textContent = `
+      #board.wbe-ephemeral-crosshair,
+      #board.wbe-ephemeral-crosshair *,
+      #whiteboard-experience-layer.wbe-ephemeral-crosshair,
+      #whiteboard-experience-layer.wbe-ephemeral-crosshair * {
+        cursor: crosshair !important;
+      }
+
+      #wbe-ephemeral-overlay g.wbe-ephemeral-fading {
+        opacity: 0;
+        transition: opacity ${INK_FADE_OUT_MS}ms ease;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  _createSvgOverlay() {
+    this.svg = document.createElementNS(SVG_NS, 'svg');
+    this.svg.id = 'wbe-ephemeral-overlay';
+    this.svg.style.cssText = `
+      position: absolute;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      pointer-events: none;
+      z-index: 99998;
+      overflow: visible;
+    `;
+    this.layer.appendChild(this.svg);
+  }
+
+  /**
+   * Scene change - strokes belong to the old scene
+   */
+  _onCanvasReady() {
+    this._cancelDrawing();
+    for (const strokeId of [...this._strokes.keys()]) this._removeStroke(strokeId);
+
+    const newLayer = window.Whiteboard?.layer?.element;
+    if (newLayer && newLayer !== this.layer) {
+      this.svg?.remove();
+      this.layer = newLayer;
+      this._createSvgOverlay();
+    }
+  }
+
+  _addToolbarButtons() {
+    if (!window.WBEToolbar?.registerTool) {
+      console.warn(`[${MODULE_NAME}] WBEToolbar not available, retrying...`);
+      setTimeout(() => this._addToolbarButtons(), 500);
+      return;
+    }
+
+    const tools = [
+      { tool: EPHEMERAL_TOOLS.LASER, icon: 'fa-solid fa-wand-magic-sparkles', title: 'Laser Pointer (P)' },
+      { tool: EPHEMERAL_TOOLS.INK, icon: 'fa-solid fa-highlighter', title: 'Ephemeral Pen (E)' }
+    ];
+
+    tools.forEach(({ tool, icon, title }) => {
+      window.WBEToolbar.registerTool({
+        id: TOOL_IDS[tool],
+        title,
+        icon,
+        group: 'shapes',
+        type: 'tool',
+        onActivate: () => this.enableTool(tool),
+        onDeactivate: () => this.disableTool()
+      });
+    });
+  }
+
+  enableTool(tool) {
+    this.enabled = true;
+    this.currentTool = tool;
+    document.getElementById('board')?.classList.add('wbe-ephemeral-crosshair');
+    this.layer?.classList.add('wbe-ephemeral-crosshair');
+  }
+
+  disableTool() {
+    this._cancelDrawing();
+    this.enabled = false;
+    this.currentTool = null;
+    document.getElementById('board')?.classList.remove('wbe-ephemeral-crosshair');
+    this.layer?.classList.remove('wbe-ephemeral-crosshair');
+  }
+
+  /**
+   * Seconds own ink strokes stay visible (client setting)
+   */
+  _getInkDelay() {
+    try {
+      return game.settings.get(MODULE_ID, 'ephemeralInkDelay') ?? DEFAULT_INK_DELAY;
+    } catch {
+      return DEFAULT_INK_DELAY;
+    }
+  }
+
+  // ==========================================
+  // Drawing (local)
+  // ==========================================
+
+  _getWorldCoords(e) {
+    const rect = this.layer.getBoundingClientRect();
+    const scale = canvas?.stage?.worldTransform?.a || 1;
+    return {
+      x: Math.round((e.clientX - rect.left) / scale * 10) / 10,
+      y: Math.round((e.clientY - rect.top) / scale * 10) / 10
+    };
+  }
+
+  _onMouseDown(e) {
+    if (!this.enabled || !this.currentTool || e.button !== 0) return;
+
+    const im = window.Whiteboard?.interaction;
+    if (im?.selectedId) {
+      im._deselect();
+    }
+    if (canvas?.controls?.select) {
+      canvas.controls.select.visible = false;
+    }
+
+    const userId = game.user?.id;
+    const stroke = this._createStroke(`${userId}-${Date.now()}`, {
+      tool: this.currentTool,
+      userId,
+      color: getUserColor(game.user),
+      fadeDelay: this._getInkDelay()
+    });
+    const start = this._getWorldCoords(e);
+
+    this.isDrawing = true;
+    this.drawState = { stroke, pending: [], sendTimer: null };
+    this._addPoints(stroke, [start]);
+    this.drawState.pending.push(start);
+    this._flushPending();
+
+    window.addEventListener('mousemove', this._onMouseMove);
+    window.addEventListener('mouseup', this._onMouseUp);
+  }
+
+  _onMouseMove(e) {
+    if (!this.isDrawing || !this.drawState) return;
+
+    const { stroke, pending } = this.drawState;
+    const current = this._getWorldCoords(e);
+    const last = stroke.points[stroke.points.length - 1];
+    // Same jitter filter as freehand (threshold in screen pixels)
+    const canvasScale = canvas?.stage?.worldTransform?.a || 1;
+    if (last && Math.hypot(current.x - last.x, current.y - last.y) <= POINT_THRESHOLD / canvasScale) {
+      // Laser head stays alive while the pointer rests
+      if (last) last.t = performance.now();
+      return;
+    }
+
+    this._addPoints(stroke, [current]);
+    pending.push(current);
+    if (this.drawState.sendTimer === null) {
+      this.drawState.sendTimer = setTimeout(() => this._flushPending(), SEND_INTERVAL_MS);
+    }
+  }
+
+  _onMouseUp() {
+    if (!this.isDrawing || !this.drawState) return;
+    const { stroke } = this.drawState;
+    this._flushPending(true);
+    this._cancelDrawing();
+    this._endStroke(stroke);
+  }
+
+  /**
+   * Send points collected since the last batch
+   * @param {boolean} end - stroke finished
+   */
+  _flushPending(end = false) {
+    const state = this.drawState;
+    if (!state) return;
+    clearTimeout(state.sendTimer);
+    state.sendTimer = null;
+    if (state.pending.length === 0 && !end) return;
+
+    const { stroke } = state;
+    window.Whiteboard?.socket?.emit(STROKE_ACTION, {
+      strokeId: stroke.id,
+      tool: stroke.tool,
+      color: stroke.color,
+      fadeDelay: stroke.fadeDelay,
+      points: state.pending,
+      end
+    }, { quiet: true });
+    state.pending = [];
+  }
+
+  _cancelDrawing() {
+    window.removeEventListener('mousemove', this._onMouseMove);
+    window.removeEventListener('mouseup', this._onMouseUp);
+    if (this.drawState) {
+      clearTimeout(this.drawState.sendTimer);
+      if (!this.drawState.stroke.ended) {
+        this._flushPending(true);
+        this._endStroke(this.drawState.stroke);
+      }
+      this.drawState = null;
+    }
+    if (this.isDrawing && canvas?.controls?.select) {
+      canvas.controls.select.visible = true;
+    }
+    this.isDrawing = false;
+  }
+
+  // ==========================================
+  // Strokes (local and remote)
+  // ==========================================
+
+  _onRemoteStroke({ userId, strokeId, tool, color, fadeDelay, points, end }) {
+    if (!strokeId || userId === game.user?.id || !this.svg) return;
+    if (!Object.values(EPHEMERAL_TOOLS).includes(tool)) return;
+
+    let stroke = this._strokes.get(strokeId);
+    if (!stroke) {
+      // Late batch of a stroke that already faded out here
+      if (end && !points?.length) return;
+      stroke = this._createStroke(strokeId, {
+        tool,
+        userId,
+        color: color || getUserColor(game.users?.get(userId)),
+        fadeDelay: Number(fadeDelay) || DEFAULT_INK_DELAY
+      });
+    }
+    if (Array.isArray(points) && points.length > 0) {
+      this._addPoints(stroke, points);
+    }
+    if (end) this._endStroke(stroke);
+  }
+
+  _createStroke(strokeId, { tool, userId, color, fadeDelay }) {
+    const group = document.createElementNS(SVG_NS, 'g');
+    group.dataset.strokeId = strokeId;
+
+    // Laser: colored glow around a white core; ink: plain colored line
+    const isLaser = tool === EPHEMERAL_TOOLS.LASER;
+    const layers = isLaser
+      ? [
+        { stroke: color, width: LASER_WIDTH * 4, opacity: 0.35 },
+        { stroke: '#ffffff', width: LASER_WIDTH, opacity: 1 }
+      ]
+      : [{ stroke: color, width: INK_WIDTH, opacity: 0.9 }];
+
+    const paths = layers.map(({ stroke: strokeColor, width, opacity }) => {
+      const path = document.createElementNS(SVG_NS, 'path');
+      path.setAttribute('fill', 'none');
+      path.setAttribute('stroke', strokeColor);
+      path.setAttribute('stroke-width', width);
+      path.setAttribute('stroke-opacity', opacity);
+      path.setAttribute('stroke-linecap', 'round');
+      path.setAttribute('stroke-linejoin', 'round');
+      // Same thickness on screen at any zoom
+      path.setAttribute('vector-effect', 'non-scaling-stroke');
+      group.appendChild(path);
+      return path;
+    });
+    this.svg.appendChild(group);
+
+    const stroke = {
+      id: strokeId,
+      tool,
+      userId,
+      color,
+      fadeDelay,
+      points: [],
+      group,
+      paths,
+      ended: false,
+      timers: []
+    };
+    this._strokes.set(strokeId, stroke);
+    return stroke;
+  }
+
+  _addPoints(stroke, points) {
+    const now = performance.now();
+    for (const point of points) {
+      if (typeof point?.x !== 'number' || typeof point?.y !== 'number') continue;
+      stroke.points.push({ x: point.x, y: point.y, t: now });
+    }
+    this._renderStroke(stroke);
+    if (stroke.tool === EPHEMERAL_TOOLS.LASER) this._startLaserLoop();
+  }
+
+  _renderStroke(stroke) {
+    let d = ShapeView._buildSmoothPathStatic(stroke.points);
+    // Single point: zero-length segment so the round cap draws a dot
+    if (stroke.points.length === 1) {
+      const { x, y } = stroke.points[0];
+      d = `M ${x} ${y} L ${x} ${y}`;
+    }
+    for (const path of stroke.paths) path.setAttribute('d', d);
+  }
+
+  _endStroke(stroke) {
+    if (stroke.ended) return;
+    stroke.ended = true;
+
+    // Laser strokes run out on their own in _tickLaser
+    if (stroke.tool !== EPHEMERAL_TOOLS.INK) return;
+
+    const delay = Math.max(0, stroke.fadeDelay) * 1000;
+    stroke.timers.push(setTimeout(() => {
+      stroke.group.classList.add('wbe-ephemeral-fading');
+      stroke.timers.push(setTimeout(() => this._removeStroke(stroke.id), INK_FADE_OUT_MS));
+    }, delay));
+  }
+
+  _removeStroke(strokeId) {
+    const stroke = this._strokes.get(strokeId);
+    if (!stroke) return;
+    stroke.timers.forEach(timer => clearTimeout(timer));
+    stroke.group.remove();
+    this._strokes.delete(strokeId);
+  }
+
+  _startLaserLoop() {
+    if (this._laserFrame !== null) return;
+    this._laserFrame = requestAnimationFrame(this._tickLaser);
+  }
+
+  /**
+   * Trim laser trails to LASER_TRAIL_MS; loop stops when no laser stroke is left
+   */
+  _tickLaser() {
+    this._laserFrame = null;
+    const cutoff = performance.now() - LASER_TRAIL_MS;
+    let active = false;
+
+    for (const stroke of [...this._strokes.values()]) {
+      if (stroke.tool !== EPHEMERAL_TOOLS.LASER) continue;
+
+      const before = stroke.points.length;
+      // While held, the head point stays even if the pointer rests
+      const keep = stroke.ended ? 0 : 1;
+      while (stroke.points.length > keep && stroke.points[0].t < cutoff) {
+        stroke.points.shift();
+      }
+
+      if (stroke.points.length === 0) {
+        this._removeStroke(stroke.id);
+        continue;
+      }
+      if (stroke.points.length !== before) this._renderStroke(stroke);
+      active = true;
+    }
+
+    if (active) this._startLaserLoop();
+  }
+
+  // ==========================================
+  // Hotkeys
+  // ==========================================
+
+  _onKeyDown(e) {
+    if (this._isInputFocused()) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    const keyMap = {
+      'KeyP': EPHEMERAL_TOOLS.LASER,
+      'KeyE': EPHEMERAL_TOOLS.INK
+    };
+    const tool = keyMap[e.code];
+    if (!tool) return;
+
+    e.preventDefault();
+    // Toggle via toolbar to keep UI in sync
+    if (this.enabled && this.currentTool === tool) {
+      window.WBEToolbar?.deactivateAllTools?.();
+    } else if (window.WBEToolbar?.activateTool) {
+      window.WBEToolbar.activateTool(TOOL_IDS[tool]);
+    } else {
+      this.enableTool(tool);
+    }
+  }
+
+  _isInputFocused() {
+    const active = document.activeElement;
+    return active?.tagName === 'INPUT' ||
+      active?.tagName === 'TEXTAREA' ||
+      active?.isContentEditable;
+  }
+
+  destroy() {
+    this.disableTool();
+    window.removeEventListener('keydown', this._onKeyDown);
+    if (this._laserFrame !== null) {
+      cancelAnimationFrame(this._laserFrame);
+      this._laserFrame = null;
+    }
+    for (const strokeId of [...this._strokes.keys()]) this._removeStroke(strokeId);
+    this.svg?.remove();
+    this.svg = null;
+  }
+}
+
+// ==========================================
+// Initialization
+// ==========================================
+
+const ephemeralInkManager = new EphemeralInkManager();
+
+if (typeof Hooks !== 'undefined') {
+  Hooks.once('ready', () => {
+    setTimeout(() => ephemeralInkManager.init(), 200);
+  });
+} else {
+  setTimeout(() => ephemeralInkManager.init(), 1000);
+}
+
+export { EphemeralInkManager, EPHEMERAL_TOOLS };
+export default ephemeralInkManager;
+
+window.WBE_Ephemeral = ephemeralInkManager;
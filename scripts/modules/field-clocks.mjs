@@ -0,0 +1,139 @@
+// scripts/modules/field-clocks.mjs
+// Per-field last-writer-wins over stored JSON: stamp comparison, field merge, offline replay and off-page write decisions
+// Pure functions (no DOM, no Foundry) - the GM check is passed in. ObjectRegistry in main.mjs
+// merges live objects with the same rules; these cover objects that are not in the Registry
+// (off-page writes, replayed offline edits)
+
+// Fields that are not user data: never stamped or merged (same list as ObjectRegistry.UNCLOCKED_FIELDS)
+export const UNCLOCKED_FIELDS = ['id', 'type', 'zIndex', 'selected', 'massSelected', '_lastModified', '_lastModifiedSource', '_fieldClocks'];
+
+const noGM = () => false;
+
+/**
+ * Compare two stamps: counter first; on a tie the GM is the authority,
+ * then user IDs decide so every client picks the same winner
+ * @param {Array|undefined} a - [counter, userId]
+ * @param {Array|undefined} b - [counter, userId]
+ * @param {Function} [isGM] - userId => boolean
+ * @returns {number} > 0 if a wins, < 0 if b wins, 0 if it is the same write
+ */
+export function compareStamps(a, b, isGM = noGM) {
+  const [counterA = 0, userA = ''] = a || [];
+  const [counterB = 0, userB = ''] = b || [];
+  if (counterA !== counterB) return counterA - counterB;
+  if (userA === userB) return 0;
+  const gmA = !!isGM(userA);
+  const gmB = !!isGM(userB);
+  if (gmA !== gmB) return gmA ? 1 : -1;
+  return userA > userB ? 1 : -1;
+}
+
+export function sameValue(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || !a || !b) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Merge changes into an object field by field: a field is taken only if its stamp beats the current one
+ * @param {Object} current - Current object JSON
+ * @param {Object} currentClocks - field -> [counter, userId] of current
+ * @param {Object} changes - Incoming fields
+ * @param {Object} clocks - field -> [counter, userId] of changes
+ * @param {Function} [isGM] - userId => boolean
+ * @returns {{ merged: Object, clocks: Object, accepted: Object, rejected: Array<string> }}
+ *   merged/clocks: result to store; rejected: incoming fields that lost and differ from current
+ */
+export function mergeFields(current, currentClocks, changes, clocks, isGM = noGM) {
+  const merged = { ...current };
+  const mergedClocks = { ...(currentClocks || {}) };
+  const accepted = {};
+  const rejected = [];
+  delete merged._fieldClocks;
+
+  for (const [field, value] of Object.entries(changes || {})) {
+    if (UNCLOCKED_FIELDS.includes(field)) continue;
+    const stamp = clocks?.[field];
+    const order = compareStamps(stamp, mergedClocks[field], isGM);
+    if (order > 0) {
+      merged[field] = value;
+      mergedClocks[field] = stamp;
+      accepted[field] = value;
+    } else if (order < 0 && !sameValue(value, current[field])) {
+      rejected.push(field);
+    }
+  }
+  // zIndex is derived from rank - follow it only when the rank itself was taken
+  if ('rank' in accepted && 'zIndex' in changes) merged.zIndex = changes.zIndex;
+  return { merged, clocks: mergedClocks, accepted, rejected };
+}
+
+/**
+ * True if current holds a write the other side has not seen (a stamp newer than the one it knows)
+ * @param {Object} currentClocks - field -> stamp of the current object
+ * @param {Object} seenClocks - field -> stamp known to the other side
+ * @param {Function} [isGM] - userId => boolean
+ */
+export function hasUnseenWrites(currentClocks, seenClocks, isGM = noGM) {
+  return Object.entries(currentClocks || {}).some(([field, stamp]) => compareStamps(stamp, seenClocks?.[field], isGM) > 0);
+}
+
+/**
+ * How GM applies one replayed offline entry (OfflineEditQueue.applyReplay)
+ * - created: only if the object does not exist
+ * - updated: fields with newer stamps are taken; fields GM changed after the player saw them stay
+ *   (conflict, so the player gets GM's version); a deleted object is a conflict
+ * - deleted: a conflict if GM's object has writes the player had not seen
+ * @param {{ op: string, data: Object|null, clocks?: Object }} entry
+ * @param {Object|null} current - GM's JSON of the object (null if it does not exist)
+ * @param {Object} currentClocks - field -> stamp of current
+ * @param {Function} [isGM] - userId => boolean
+ * @returns {{ apply: boolean, conflict: boolean, merged?: Object, clocks?: Object }}
+ */
+export function resolveReplay({ op, data, clocks }, current, currentClocks, isGM = noGM) {
+  if (op === 'created') {
+    return { apply: !current, conflict: false };
+  }
+  if (op === 'updated') {
+    if (!current) return { apply: false, conflict: true };
+    const result = mergeFields(current, currentClocks, data, clocks || {}, isGM);
+    return {
+      apply: Object.keys(result.accepted).length > 0,
+      conflict: result.rejected.length > 0,
+      merged: result.merged,
+      clocks: result.clocks
+    };
+  }
+  if (op === 'deleted') {
+    if (!current) return { apply: false, conflict: false };
+    const stale = hasUnseenWrites(currentClocks, clocks || {}, isGM);
+    return { apply: !stale, conflict: stale };
+  }
+  return { apply: false, conflict: false };
+}
+
+/**
+ * What to store for a created/updated object on a page no Registry holds (PersistenceController.writeOffPage)
+ * - created: the full object, unless it is already stored
+ * - updated: merged per field into the stored object. Not stored means it was deleted meanwhile -
+ *   a late update must not bring it back
+ * @param {string} action - 'created' | 'updated'
+ * @param {Object|null} stored - Stored JSON (with _fieldClocks) or null
+ * @param {Object} data - Incoming object JSON
+ * @param {Object} clocks - field -> stamp of data
+ * @param {Function} [isGM] - userId => boolean
+ * @returns {{ json: Object|null, reason: string|null, rejected: Array<string> }}
+ *   json: what to write (null = nothing); reason: 'stored' | 'missing' | 'unchanged' when json is null
+ */
+export function resolveStoredWrite(action, stored, data, clocks, isGM = noGM) {
+  if (action === 'created') {
+    // Clients announce every object they load as 'created' - already stored, nothing to write
+    if (stored) return { json: null, reason: 'stored', rejected: [] };
+    return { json: { ...data, _fieldClocks: clocks || {} }, reason: null, rejected: [] };
+  }
+  if (!stored) return { json: null, reason: 'missing', rejected: [] };
+  // Two players editing different fields of the same object both keep their edit
+  const { merged, clocks: mergedClocks, accepted, rejected } = mergeFields(stored, stored._fieldClocks, data, clocks, isGM);
+  if (Object.keys(accepted).length === 0) return { json: null, reason: 'unchanged', rejected };
+  return { json: { ...merged, _fieldClocks: mergedClocks }, reason: null, rejected };
+}
@@ -0,0 +1,1293 @@
+/**
+ * Frames Module for Whiteboard Experience
+ *
+ * Фреймы - именованные прямоугольные зоны доски (сцена сессии, локация и т.п.)
+ *
+ * Архитектура:
+ * - Фрейм владеет объектами, которые целиком лежат внутри него; список хранится
+ *   во фрейме (childIds) и синхронизируется/сохраняется вместе с ним
+ * - Членство пересчитывается только на клиенте, который изменил объект или фрейм
+ * - Перемещение, заморозка и скрытие фрейма каскадно применяются к детям:
+ *   move/freeze - обычными registry.update (попадают в тот же шаг undo),
+ *   hide - локально на каждом клиенте (display: none контейнеров детей)
+ * - Фреймы живут в отдельной z-полосе ниже остальных объектов (ZIndexModel band)
+ * - Внутренняя область фрейма прозрачна для кликов: фрейм берётся за заголовок/рамку
+ */
+
+import { getWorldBounds } from './connectors.mjs';
+
+const MODULE_NAME = 'WBE-Frames';
+const TOOL_ID = 'wbe-frame';
+
+// Frames render beneath everything else (see ZIndexModel bands)
+const FRAME_Z_BAND = -1;
+
+// Default styles
+const DEFAULT_TITLE = 'Frame';
+const DEFAULT_FILL_COLOR = '#ffffff';
+const DEFAULT_FILL_OPACITY = 6;
+const DEFAULT_STROKE_COLOR = '#ffffff';
+const DEFAULT_STROKE_OPACITY = 60;
+const DEFAULT_STROKE_WIDTH = 2;
+const DEFAULT_TEXT_COLOR = '#ffffff';
+const DEFAULT_TEXT_SIZE = 18;
+
+const MIN_FRAME_SIZE = 40; // Меньше - считаем кликом, фрейм не создаём
+const BORDER_HIT_WIDTH = 10; // Невидимая рамка для захвата фрейма
+const ZOOM_PADDING = 0.9; // Фрейм занимает 90% экрана после "zoom to frame"
+const ZOOM_DURATION = 400;
+
+// Keys whose change can move an object in or out of a frame
+const GEOMETRY_KEYS = ['x', 'y', 'width', 'height', 'scale', 'rotation', 'textWidth', 'baseWidth', 'baseHeight'];
+
+/**
+ * CSS color from hex + opacity percent
+ */
+function toRgba(hex, opacity) {
+  const value = (hex || '#ffffff').replace('#', '');
+  const full = value.length === 3 ? value.split('').map(c => c + c).join('') : value;
+  const num = parseInt(full, 16) || 0;
+  const alpha = Math.max(0, Math.min(100, opacity ?? 100)) / 100;
+  return `rgba(${(num >> 16) & 255}, ${(num >> 8) & 255}, ${num & 255}, ${alpha})`;
+}
+
+function containsBounds(outer, inner) {
+  return inner.left >= outer.left && inner.right <= outer.right &&
+    inner.top >= outer.top && inner.bottom <= outer.bottom;
+}
+
+// ==========================================
+// FrameManager - drawing tool, membership and cascades
+// ==========================================
+
+class FrameManager {
+  constructor() {
+    this.layer = null;
+    this.enabled = false;
+    this.isDrawing = false;
+    this.drawState = null; // { start, previewEl }
+
+    // childId -> frameId, frameId -> { x, y } last known position (for move deltas)
+    this._childToFrame = new Map();
+    this._positions = new Map();
+    this._registry = null;
+    this._unsubscribe = null;
+    this._cascading = false; // Our own child updates must not re-trigger membership
+
+    this._onMouseMove = this._onMouseMove.bind(this);
+    this._onMouseUp = this._onMouseUp.bind(this);
+    this._onKeyDown = this._onKeyDown.bind(this);
+    this._onGestureMove = this._onGestureMove.bind(this);
+    this._handleRegistryChange = this._handleRegistryChange.bind(this);
+  }
+
+  init(retryCount = 0) {
+    // Frames are part of the shapes feature
+    if (window.WBE_isFeatureEnabled && !window.WBE_isFeatureEnabled('shapes')) {
+      console.log(`[${MODULE_NAME}] Disabled in settings`);
+      return;
+    }
+
+    if (!window.Whiteboard?.layer?.element) {
+      if (retryCount < 10) {
+        if (retryCount === 0) {
+          console.log(`[${MODULE_NAME}] Waiting for Whiteboard...`);
+        }
+        setTimeout(() => this.init(retryCount + 1), 500);
+      } else {
+        console.log(`[${MODULE_NAME}] Whiteboard not available (no active scene?). Will init on canvasReady.`);
+        Hooks.once('canvasReady', () => this.init(0));
+      }
+      return;
+    }
+
+    this.layer = window.Whiteboard.layer.element;
+    this._initStyles();
+    this._registerObjectType();
+    this._subscribeRegistry();
+    this._setupEventListeners();
+    this._addToolbarButton();
+
+    Hooks.on('canvasReady', () => this._onCanvasReady());
+
+    console.log(`[${MODULE_NAME}] Initialized`);
+  }
+
+  _initStyles() {
+    if (document.getElementById('wbe-frames-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'wbe-frames-styles';
+    style.textContent = `
+      /* Frame interior lets clicks through to its children and the canvas */
+      .wbe-frame-container {
+        pointer-events: none !important;
+      }
+
+      /* Contents of a hidden frame */
+      .wbe-frame-hidden-child {
+        display: none !important;
+      }
+
+      #board.wbe-frame-crosshair,
+      #board.wbe-frame-crosshair *,
+      #whiteboard-experience-layer.wbe-frame-crosshair,
+      #whiteboard-experience-layer.wbe-frame-crosshair * {
+        cursor: crosshair !important;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  /**
+   * Handle scene change - rebuild membership index
+   */
+  _onCanvasReady() {
+    const newLayer = window.Whiteboard?.layer?.element;
+    if (newLayer && newLayer !== this.layer) {
+      this._cancelDrawing();
+      this.layer = newLayer;
+    }
+    this._subscribeRegistry();
+  }
+
+  _registerObjectType() {
+    if (!window.Whiteboard?.registerObjectType) {
+      console.warn(`[${MODULE_NAME}] registerObjectType not available`);
+      return;
+    }
+
+    window.Whiteboard.registerObjectType('frame', {
+      ViewClass: FrameView,
+      PanelClass: FramePanel,
+      zBand: FRAME_Z_BAND
+    });
+
+    // Storage type is registered in 'init' hook (before WBE loads data)
+    console.log(`[${MODULE_NAME}] Object type 'frame' registered`);
+  }
+
+  _setupEventListeners() {
+    window.addEventListener('keydown', this._onKeyDown);
+    // Carry children along with DOM-only drags of their frame
+    window.addEventListener('mousemove', this._onGestureMove);
+  }
+
+  _addToolbarButton() {
+    if (!window.WBEToolbar?.registerTool) {
+      console.warn(`[${MODULE_NAME}] WBEToolbar not available, retrying...`);
+      setTimeout(() => this._addToolbarButton(), 500);
+      return;
+    }
+
+    window.WBEToolbar.registerTool({
+      id: TOOL_ID,
+      title: 'Frame (B)',
+      icon: 'fa-regular fa-square-full',
+      group: 'shapes',
+      type: 'tool',
+      onActivate: () => this.enableTool(),
+      onDeactivate: () => this.disableTool()
+    });
+  }
+
+  enableTool() {
+    this.enabled = true;
+    document.getElementById('board')?.classList.add('wbe-frame-crosshair');
+    this.layer?.classList.add('wbe-frame-crosshair');
+  }
+
+  disableTool() {
+    this._cancelDrawing();
+    this.enabled = false;
+    document.getElementById('board')?.classList.remove('wbe-frame-crosshair');
+    this.layer?.classList.remove('wbe-frame-crosshair');
+  }
+
+  // ==========================================
+  // Membership index
+  // ==========================================
+
+  /**
+   * Subscribe to the current Registry and rebuild the child index from scratch
+   */
+  _subscribeRegistry() {
+    const registry = window.Whiteboard?.registry;
+    if (!registry) return;
+
+    if (registry !== this._registry) {
+      this._unsubscribe?.();
+      this._registry = registry;
+      this._unsubscribe = registry.subscribe(this._handleRegistryChange);
+    }
+
+    this._childToFrame.clear();
+    this._positions.clear();
+    for (const obj of registry.getAll()) {
+      if (obj.type === 'frame') this._indexFrame(obj);
+    }
+  }
+
+  _indexFrame(frame) {
+    this._unindexFrame(frame.id);
+    this._positions.set(frame.id, { x: frame.x, y: frame.y });
+    for (const childId of frame.childIds || []) {
+      this._childToFrame.set(childId, frame.id);
+    }
+  }
+
+  _unindexFrame(frameId) {
+    for (const [childId, ownerId] of this._childToFrame) {
+      if (ownerId === frameId) this._childToFrame.delete(childId);
+    }
+    this._positions.delete(frameId);
+  }
+
+  /**
+   * ID of the frame that owns an object
+   * @param {string} objectId
+   * @returns {string|null}
+   */
+  getFrameOf(objectId) {
+    return this._childToFrame.get(objectId) || null;
+  }
+
+  /**
+   * Children of frames currently moved by a DOM-only drag
+   * (connectors reroute to them during the gesture)
+   * @returns {Array<string>}
+   */
+  getCarriedIds() {
+    const ids = [];
+    for (const frameId of this._getMovingFrameIds()) {
+      const frame = this._registry?.get(frameId);
+      ids.push(...(frame?.childIds || []));
+    }
+    return ids;
+  }
+
+  _handleRegistryChange({ id, type, data, source, changes }) {
+    if (!id) return;
+
+    if (type === 'deleted') {
+      if (this._positions.has(id)) {
+        this._onFrameDeleted(id);
+      } else if (this._childToFrame.has(id)) {
+        this._onChildDeleted(id, source);
+      }
+      return;
+    }
+
+    if (type !== 'created' && type !== 'updated') return;
+    if (!data) return;
+
+    const wb = window.Whiteboard;
+    // Remote clients get the cascade results via socket; undo/redo and DB loading restore them
+    const isLocal = source === 'local' && !wb?.persistence?._isLoading && !wb?.history?._isApplying;
+
+    if (data.type === 'frame') {
+      this._onFrameChange(data, type, changes, isLocal);
+      return;
+    }
+
+    // Hidden frames keep hiding children that are re-rendered or re-synced
+    this._applyChildVisibility(id);
+
+    if (!isLocal || this._cascading || data.type === 'connector') return;
+    if (type === 'created' || (changes && GEOMETRY_KEYS.some(key => key in changes))) {
+      this._recomputeMembership([id]);
+    }
+  }
+
+  _onFrameChange(frame, type, changes, isLocal) {
+    const previous = this._positions.get(frame.id);
+    const previousChildIds = new Set(
+      Array.from(this._childToFrame).filter(([, ownerId]) => ownerId === frame.id).map(([childId]) => childId)
+    );
+    this._indexFrame(frame);
+
+    // Children that left this frame become visible again
+    for (const childId of previousChildIds) {
+      if (!this._childToFrame.has(childId)) this._setChildHidden(childId, false);
+    }
+    if (type === 'created' || !changes || 'hidden' in changes || 'childIds' in changes) {
+      for (const childId of frame.childIds || []) this._applyChildVisibility(childId);
+    }
+
+    if (!isLocal) return;
+
+    if (type === 'created') {
+      this._recomputeMembership();
+      return;
+    }
+    if (!changes) return;
+
+    const resized = ['width', 'height', 'scale', 'rotation'].some(key => key in changes);
+    if (!resized && previous && ('x' in changes || 'y' in changes)) {
+      this._moveChildren(frame, frame.x - previous.x, frame.y - previous.y);
+    }
+    if ('frozen' in changes) {
+      this._freezeChildren(frame, frame.frozen);
+    }
+    if (resized || 'hidden' in changes) {
+      this._recomputeMembership();
+    }
+  }
+
+  /**
+   * Frame removed - its children stay on the board, visible and ownerless
+   */
+  _onFrameDeleted(frameId) {
+    const childIds = Array.from(this._childToFrame)
+      .filter(([, ownerId]) => ownerId === frameId)
+      .map(([childId]) => childId);
+    this._unindexFrame(frameId);
+    for (const childId of childIds) this._setChildHidden(childId, false);
+  }
+
+  /**
+   * Child removed - drop it from its frame's list
+   * Only the client that deleted the object does this; others get the result via socket
+   */
+  _onChildDeleted(childId, source) {
+    const frameId = this._childToFrame.get(childId);
+    this._childToFrame.delete(childId);
+
+    const wb = window.Whiteboard;
+    if (source !== 'local' || wb?.persistence?._isLoading || wb?.history?._isApplying) return;
+
+    const frame = wb.registry.get(frameId);
+    if (!frame) return;
+    wb.registry.update(frameId, { childIds: frame.childIds.filter(cid => cid !== childId) }, 'local');
+  }
+
+  /**
+   * Re-assign objects to the topmost visible frame that fully contains them
+   * @param {Array<string>|null} objectIds - objects to check (null = all)
+   */
+  _recomputeMembership(objectIds = null) {
+    const registry = this._registry;
+    if (!registry) return;
+
+    const frames = registry.getAll()
+      .filter(obj => obj.type === 'frame')
+      .sort((a, b) => (b.zIndex ?? 0) - (a.zIndex ?? 0));
+    if (frames.length === 0 && this._childToFrame.size === 0) return;
+
+    const frameBounds = new Map(frames.map(frame => [frame.id, getWorldBounds(frame)]));
+    const nextChildIds = new Map(frames.map(frame => [frame.id, new Set(frame.childIds || [])]));
+
+    const candidates = objectIds
+      ? objectIds.map(id => registry.get(id)).filter(Boolean)
+      : registry.getAll();
+
+    for (const obj of candidates) {
+      if (obj.type === 'frame' || obj.type === 'connector') continue;
+
+      const currentId = this._childToFrame.get(obj.id) || null;
+      const current = currentId ? registry.get(currentId) : null;
+      // Contents of a hidden frame stay where they are
+      if (current?.hidden) continue;
+
+      const bounds = getWorldBounds(obj);
+      let ownerId = null;
+      if (bounds) {
+        for (const frame of frames) {
+          const outer = frameBounds.get(frame.id);
+          if (!frame.hidden && outer && containsBounds(outer, bounds)) {
+            ownerId = frame.id;
+            break;
+          }
+        }
+      }
+
+      if (ownerId === currentId) continue;
+      if (currentId) nextChildIds.get(currentId)?.delete(obj.id);
+      if (ownerId) nextChildIds.get(ownerId).add(obj.id);
+    }
+
+    for (const frame of frames) {
+      const next = Array.from(nextChildIds.get(frame.id));
+      const prev = frame.childIds || [];
+      const changed = next.length !== prev.length || next.some(childId => !prev.includes(childId));
+      if (changed) {
+        registry.update(frame.id, { childIds: next }, 'local');
+      }
+    }
+  }
+
+  // ==========================================
+  // Cascades
+  // ==========================================
+
+  _moveChildren(frame, dx, dy) {
+    if (!dx && !dy) return;
+    const im = window.Whiteboard?.interaction;
+    const mass = im?.massSelection;
+    // Group scale repositions every selected object itself
+    if (mass?.isScaling) return;
+
+    this._cascading = true;
+    try {
+      for (const childId of frame.childIds || []) {
+        // Selected children were moved together with the frame already
+        if (mass?.selectedIds?.has(childId)) continue;
+        const child = this._registry.get(childId);
+        if (!child || child.x === undefined) continue;
+        this._registry.update(childId, { x: child.x + dx, y: child.y + dy }, 'local');
+      }
+    } finally {
+      this._cascading = false;
+    }
+  }
+
+  _freezeChildren(frame, frozen) {
+    for (const childId of frame.childIds || []) {
+      const child = this._registry.get(childId);
+      if (!child || !child.getCapabilities?.().freezable) continue;
+      if (!!child.frozen === !!frozen) continue;
+      this._registry.update(childId, { frozen: !!frozen }, 'local');
+    }
+  }
+
+  _applyChildVisibility(childId) {
+    const frameId = this._childToFrame.get(childId);
+    const frame = frameId ? this._registry?.get(frameId) : null;
+    this._setChildHidden(childId, !!frame?.hidden);
+  }
+
+  _setChildHidden(childId, hidden) {
+    const container = window.Whiteboard?.layer?.getObjectContainer(childId);
+    if (!container) return;
+    container.classList.toggle('wbe-frame-hidden-child', hidden);
+
+    // Hidden objects can't stay selected
+    const im = window.Whiteboard?.interaction;
+    if (hidden && im?.selectedId === childId) {
+      im._deselect();
+    }
+  }
+
+  /**
+   * IDs of frames currently moved by a DOM-only drag
+   * @returns {Array<string>}
+   */
+  _getMovingFrameIds() {
+    const im = window.Whiteboard?.interaction;
+    if (!im || this._positions.size === 0) return [];
+
+    const ids = [];
+    if (im.dragState?.id && this._positions.has(im.dragState.id)) {
+      ids.push(im.dragState.id);
+    }
+    const mass = im.massSelection;
+    if (mass?.isDragging) {
+      for (const id of mass.selectedIds) {
+        if (this._positions.has(id)) ids.push(id);
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Preview: children follow the frame container while the drag only moves the DOM
+   */
+  _onGestureMove() {
+    const frameIds = this._getMovingFrameIds();
+    if (frameIds.length === 0) return;
+
+    const wb = window.Whiteboard;
+    const mass = wb.interaction.massSelection;
+    for (const frameId of frameIds) {
+      const frame = wb.registry.get(frameId);
+      const container = wb.layer?.getObjectContainer(frameId);
+      if (!frame || !container) continue;
+
+      const dx = parseFloat(container.style.left) - frame.x;
+      const dy = parseFloat(container.style.top) - frame.y;
+      if (Number.isNaN(dx) || Number.isNaN(dy)) continue;
+
+      for (const childId of frame.childIds || []) {
+        if (mass?.isDragging && mass.selectedIds.has(childId)) continue;
+        const child = wb.registry.get(childId);
+        if (!child || child.x === undefined) continue;
+        wb.layer._updateDOMDuringDrag(childId, child.x + dx, child.y + dy);
+      }
+    }
+  }
+
+  // ==========================================
+  // Zoom to frame
+  // ==========================================
+
+  /**
+   * Pan and zoom the canvas so the frame fills the screen
+   * @param {string} frameId
+   */
+  zoomToFrame(frameId) {
+    const frame = this._registry?.get(frameId);
+    if (!frame || typeof canvas === 'undefined' || !canvas?.animatePan) return;
+
+    const bounds = getWorldBounds(frame);
+    if (!bounds) return;
+    const width = Math.max(1, bounds.right - bounds.left);
+    const height = Math.max(1, bounds.bottom - bounds.top);
+
+    const minZoom = CONFIG?.Canvas?.minZoom ?? 0.1;
+    const maxZoom = CONFIG?.Canvas?.maxZoom ?? 3;
+    const scale = Math.max(minZoom, Math.min(maxZoom,
+      Math.min(window.innerWidth * ZOOM_PADDING / width, window.innerHeight * ZOOM_PADDING / height)
+    ));
+
+    canvas.animatePan({ x: bounds.centerX, y: bounds.centerY, scale, duration: ZOOM_DURATION });
+  }
+
+  // ==========================================
+  // Drawing
+  // ==========================================
+
+  _getWorldCoords(e) {
+    const rect = this.layer.getBoundingClientRect();
+    const scale = canvas?.stage?.worldTransform?.a || 1;
+    return {
+      x: (e.clientX - rect.left) / scale,
+      y: (e.clientY - rect.top) / scale
+    };
+  }
+
+  _onMouseDown(e) {
+    if (!this.enabled || e.button !== 0) return;
+
+    const im = window.Whiteboard?.interaction;
+    if (im?.selectedId) {
+      im._deselect();
+    }
+    if (canvas?.controls?.select) {
+      canvas.controls.select.visible = false;
+    }
+
+    const previewEl = document.createElement('div');
+    previewEl.className = 'wbe-frame-draw-preview';
+    previewEl.style.cssText = `
+      position: absolute;
+      border: 2px dashed #4a9eff;
+      background: rgba(74, 158, 255, 0.06);
+      pointer-events: none;
+      z-index: 99998;
+    `;
+    this.layer.appendChild(previewEl);
+
+    this.isDrawing = true;
+    this.drawState = { start: this._getWorldCoords(e), previewEl };
+    this._updatePreview(this.drawState.start);
+
+    window.addEventListener('mousemove', this._onMouseMove);
+    window.addEventListener('mouseup', this._onMouseUp);
+  }
+
+  _onMouseMove(e) {
+    if (!this.isDrawing || !this.drawState) return;
+    this._updatePreview(this._getWorldCoords(e));
+  }
+
+  _updatePreview(current) {
+    const rect = this._rectFrom(this.drawState.start, current);
+    Object.assign(this.drawState.previewEl.style, {
+      left: `${rect.x}px`,
+      top: `${rect.y}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+  }
+
+  _rectFrom(a, b) {
+    return {
+      x: Math.round(Math.min(a.x, b.x)),
+      y: Math.round(Math.min(a.y, b.y)),
+      width: Math.round(Math.abs(b.x - a.x)),
+      height: Math.round(Math.abs(b.y - a.y))
+    };
+  }
+
+  _onMouseUp(e) {
+    if (!this.isDrawing || !this.drawState) return;
+
+    const rect = this._rectFrom(this.drawState.start, this._getWorldCoords(e));
+    this._cancelDrawing();
+
+    if (rect.width < MIN_FRAME_SIZE || rect.height < MIN_FRAME_SIZE) return;
+
+    const frames = this._registry?.getAll().filter(obj => obj.type === 'frame') || [];
+    const im = window.Whiteboard?.interaction;
+    if (im?._createObjectAt) {
+      im._createObjectAt('frame', 0, 0, { ...rect, title: `${DEFAULT_TITLE} ${frames.length + 1}` });
+    }
+    // One frame per drag - back to selection
+    window.WBEToolbar?.deactivateAllTools?.();
+  }
+
+  _cancelDrawing() {
+    window.removeEventListener('mousemove', this._onMouseMove);
+    window.removeEventListener('mouseup', this._onMouseUp);
+    if (this.drawState) {
+      this.drawState.previewEl?.remove();
+      this.drawState = null;
+    }
+    if (this.isDrawing && canvas?.controls?.select) {
+      canvas.controls.select.visible = true;
+    }
+    this.isDrawing = false;
+  }
+
+  _onKeyDown(e) {
+    if (this._isInputFocused()) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.code !== 'KeyB') return;
+
+    e.preventDefault();
+    // Toggle via toolbar to keep UI in sync
+    if (this.enabled) {
+      window.WBEToolbar?.deactivateAllTools?.();
+    } else if (window.WBEToolbar?.activateTool) {
+      window.WBEToolbar.activateTool(TOOL_ID);
+    } else {
+      this.enableTool();
+    }
+  }
+
+  _isInputFocused() {
+    const active = document.activeElement;
+    return active?.tagName === 'INPUT' ||
+      active?.tagName === 'TEXTAREA' ||
+      active?.isContentEditable;
+  }
+
+  destroy() {
+    this.disableTool();
+    window.removeEventListener('keydown', this._onKeyDown);
+    window.removeEventListener('mousemove', this._onGestureMove);
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+  }
+}
+
+
+// ==========================================
+// FrameView - Model + View
+// ==========================================
+
+class FrameView {
+  constructor(data) {
+    this.id = data.id || `frame-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
+    this.type = 'frame';
+
+    this.x = data.x || 0;
+    this.y = data.y || 0;
+    this.width = data.width || 480;
+    this.height = data.height || 320;
+    this.scale = data.scale !== undefined ? data.scale : 1;
+
+    this.title = data.title !== undefined ? data.title : DEFAULT_TITLE;
+    this.textColor = data.textColor || DEFAULT_TEXT_COLOR;
+    this.textSize = data.textSize || DEFAULT_TEXT_SIZE;
+    this.fontFamily = data.fontFamily || 'Arial';
+    this.fontWeight = data.fontWeight || 'bold';
+    this.fontStyle = data.fontStyle || 'normal';
+
+    this.fillColor = data.fillColor || DEFAULT_FILL_COLOR;
+    this.fillOpacity = data.fillOpacity !== undefined ? data.fillOpacity : DEFAULT_FILL_OPACITY;
+    this.strokeColor = data.strokeColor || DEFAULT_STROKE_COLOR;
+    this.strokeOpacity = data.strokeOpacity !== undefined ? data.strokeOpacity : DEFAULT_STROKE_OPACITY;
+    this.strokeWidth = data.strokeWidth !== undefined ? data.strokeWidth : DEFAULT_STROKE_WIDTH;
+
+    // Owned objects (maintained by FrameManager)
+    this.childIds = Array.isArray(data.childIds) ? [...data.childIds] : [];
+    this.hidden = data.hidden || false;
+    this.frozen = data.frozen || false;
+
+    this.selected = data.selected || false;
+    this.rank = data.rank || data.zIndexRank || '';
+    this.zIndex = data.zIndex;
+    this.groupId = data.groupId || null;
+    this.groupName = data.groupName || '';
+    this.name = data.name || '';
+
+    this.element = null;
+    this.bodyElement = null;
+    this.titleElement = null;
+    this.isEditing = false;
+  }
+
+  // ==========================================
+  // WBE Interface Methods (required)
+  // ==========================================
+
+  getSerializationKey() {
+    return 'frame';
+  }
+
+  getSearchableFields() {
+    return ['title'];
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      x: this.x,
+      y: this.y,
+      width: this.width,
+      height: this.height,
+      scale: this.scale,
+      title: this.title,
+      textColor: this.textColor,
+      textSize: this.textSize,
+      fontFamily: this.fontFamily,
+      fontWeight: this.fontWeight,
+      fontStyle: this.fontStyle,
+      fillColor: this.fillColor,
+      fillOpacity: this.fillOpacity,
+      strokeColor: this.strokeColor,
+      strokeOpacity: this.strokeOpacity,
+      strokeWidth: this.strokeWidth,
+      childIds: [...this.childIds],
+      hidden: this.hidden,
+      frozen: this.frozen,
+      rank: this.rank,
+      groupId: this.groupId,
+      groupName: this.groupName,
+      name: this.name
+    };
+  }
+
+  updateClickTarget(_container) {
+    // Hit areas are the title and the border strip
+  }
+
+  getContainerSelector() {
+    return '.wbe-frame-container';
+  }
+
+  usesTransformScale() {
+    return false;
+  }
+
+  /**
+   * Group scale resizes the frame instead of scaling its title and border
+   */
+  applyGroupScale(scaleFactor, pivotX, pivotY, startData) {
+    const width = startData.width ?? this.width;
+    const height = startData.height ?? this.height;
+    return {
+      x: pivotX + (startData.x - pivotX) * scaleFactor,
+      y: pivotY + (startData.y - pivotY) * scaleFactor,
+      width: Math.max(MIN_FRAME_SIZE, width * scaleFactor),
+      height: Math.max(MIN_FRAME_SIZE, height * scaleFactor)
+    };
+  }
+
+  isFrozen() {
+    return this.frozen === true;
+  }
+
+  getCapabilities() {
+    return {
+      scalable: false,
+      draggable: true,
+      freezable: true,
+      editable: true,
+      stretchX: true,
+      stretchY: true
+    };
+  }
+
+  canEdit() {
+    return true;
+  }
+
+  getCopyData(_layer) {
+    // A pasted frame captures whatever lies under it, not the original's children
+    return { ...this.toJSON(), childIds: [] };
+  }
+
+  getElementForHitTest(layer) {
+    return layer?.getObjectContainer(this.id) || this.element;
+  }
+
+  /**
+   * Geometric hit-test would use the whole area - frames are hit only via title/border
+   */
+  excludeFromGeometricHitTest() {
+    return true;
+  }
+
+  onCreated(_interactionManager, _options) {
+    // Membership is assigned by FrameManager on the 'created' event
+  }
+
+  render() {
+    this.element = document.createElement('div');
+    this.element.id = this.id;
+    this.element.className = 'wbe-frame-container';
+    this.element.dataset.objectType = 'frame';
+    this.element.style.cssText = `
+      position: absolute;
+      left: ${Math.round(this.x)}px;
+      top: ${Math.round(this.y)}px;
+      width: ${this.width}px;
+      height: ${this.height}px;
+      transform-origin: center;
+      overflow: visible;
+    `;
+
+    this.bodyElement = document.createElement('div');
+    this.bodyElement.className = 'wbe-frame-body';
+    this.bodyElement.style.cssText = `
+      position: absolute;
+      inset: 0;
+      box-sizing: border-box;
+      border-radius: 6px;
+      pointer-events: none;
+    `;
+    this.element.appendChild(this.bodyElement);
+
+    // Invisible border strip - grabs the frame without blocking its interior
+    for (const side of ['top', 'right', 'bottom', 'left']) {
+      const strip = document.createElement('div');
+      strip.className = 'wbe-frame-hit';
+      const horizontal = side === 'top' || side === 'bottom';
+      strip.style.cssText = `
+        position: absolute;
+        ${side}: -${BORDER_HIT_WIDTH / 2}px;
+        ${horizontal ? 'left: 0; right: 0;' : 'top: 0; bottom: 0;'}
+        ${horizontal ? 'height' : 'width'}: ${BORDER_HIT_WIDTH}px;
+        pointer-events: auto;
+      `;
+      this.element.appendChild(strip);
+    }
+
+    this.titleElement = document.createElement('div');
+    this.titleElement.className = 'wbe-frame-title';
+    this.titleElement.style.cssText = `
+      position: absolute;
+      left: 0;
+      bottom: 100%;
+      max-width: 100%;
+      padding: 0 2px 4px;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: pre;
+      pointer-events: auto;
+      user-select: none;
+      outline: none;
+    `;
+    this.element.appendChild(this.titleElement);
+
+    this.updateElement(this.element, null);
+
+    return this.element;
+  }
+
+  /**
+   * Update internal state from data (called by WBE on sync/load)
+   */
+  updateFromData(data) {
+    const keys = [
+      'x', 'y', 'width', 'height', 'scale', 'title', 'textColor', 'textSize', 'fontFamily',
+      'fontWeight', 'fontStyle', 'fillColor', 'fillOpacity', 'strokeColor', 'strokeOpacity',
+      'strokeWidth', 'hidden', 'frozen', 'selected', 'rank', 'zIndex', 'groupId', 'groupName', 'name'
+    ];
+    for (const key of keys) {
+      if (data[key] !== undefined) this[key] = data[key];
+    }
+    if (Array.isArray(data.childIds)) this.childIds = [...data.childIds];
+    if (data.zIndexRank !== undefined) this.rank = data.zIndexRank; // Legacy support
+  }
+
+  /**
+   * Update DOM element from changes (called by WBE after registry update)
+   * @param {HTMLElement} container - the container element
+   * @param {Object} changes - changed properties
+   */
+  updateElement(container, changes) {
+    if (!container) return;
+
+    if (!changes || 'x' in changes || 'y' in changes) {
+      container.style.left = `${Math.round(this.x)}px`;
+      container.style.top = `${Math.round(this.y)}px`;
+    }
+    if (!changes || 'width' in changes || 'height' in changes) {
+      container.style.width = `${this.width}px`;
+      container.style.height = `${this.height}px`;
+    }
+    if (!changes || 'scale' in changes) {
+      const scale = this.scale !== undefined ? this.scale : 1;
+      container.style.transform = scale !== 1 ? `scale(${scale})` : '';
+    }
+
+    const styleKeys = ['fillColor', 'fillOpacity', 'strokeColor', 'strokeOpacity', 'strokeWidth', 'hidden'];
+    if (!changes || styleKeys.some(key => key in changes)) {
+      this._updateBodyElement(container);
+    }
+
+    const titleKeys = ['title', 'textColor', 'textSize', 'fontFamily', 'fontWeight', 'fontStyle', 'hidden'];
+    if (!changes || titleKeys.some(key => key in changes)) {
+      this._updateTitleElement(container);
+    }
+
+    // Frozen - only the unfreeze icon stays clickable
+    if (!changes || 'frozen' in changes) {
+      container.querySelectorAll('.wbe-frame-hit, .wbe-frame-title').forEach(el => {
+        el.style.pointerEvents = this.frozen ? 'none' : 'auto';
+      });
+      if (this.frozen) {
+        this._showUnfreezeIcon(container);
+        if (this.selected) {
+          this.selected = false;
+          window.Whiteboard?.interaction?._deselect?.();
+        }
+      } else {
+        this._hideUnfreezeIcon(container);
+      }
+    }
+  }
+
+  _updateBodyElement(container) {
+    const body = container.querySelector('.wbe-frame-body');
+    if (!body) return;
+    // Hidden frame: faint dashed outline marks where the contents are
+    body.style.background = this.hidden ? 'transparent' : toRgba(this.fillColor, this.fillOpacity);
+    body.style.border = `${Math.max(1, this.strokeWidth)}px ${this.hidden ? 'dashed' : 'solid'} ${toRgba(this.strokeColor, this.hidden ? this.strokeOpacity / 2 : this.strokeOpacity)}`;
+  }
+
+  _updateTitleElement(container) {
+    const titleEl = container.querySelector('.wbe-frame-title');
+    if (!titleEl) return;
+    titleEl.style.color = this.textColor;
+    titleEl.style.fontSize = `${this.textSize}px`;
+    titleEl.style.fontFamily = this.fontFamily;
+    titleEl.style.fontWeight = this.fontWeight;
+    titleEl.style.fontStyle = this.fontStyle;
+    titleEl.style.opacity = this.hidden ? '0.6' : '1';
+    if (this.isEditing) return;
+
+    titleEl.textContent = this.title || DEFAULT_TITLE;
+    if (this.hidden) {
+      const icon = document.createElement('i');
+      icon.className = 'fas fa-eye-slash';
+      icon.style.cssText = 'margin-left: 6px; font-size: 0.8em;';
+      titleEl.appendChild(icon);
+    }
+  }
+
+  /**
+   * Show unfreeze icon on frozen frame (WBE style)
+   * Uses wbe-unfreeze-icon class so WBE's UnfreezeIconHandler handles events
+   */
+  _showUnfreezeIcon(container) {
+    if (!container || container.querySelector('.wbe-unfreeze-icon')) return;
+
+    const iconSize = 12;
+    const iconOffset = 8;
+
+    const icon = document.createElement('div');
+    icon.className = 'wbe-unfreeze-icon';
+    icon.dataset.objectId = this.id; // For WBE handler to find the object
+    icon.style.cssText = `
+      position: absolute;
+      left: -${iconOffset}px;
+      top: -${iconOffset}px;
+      width: ${iconSize}px;
+      height: ${iconSize}px;
+      background: rgba(255, 255, 255, 0.9);
+      border-radius: 2px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      cursor: pointer;
+      z-index: 1002;
+      pointer-events: auto !important;
+      box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2);
+      opacity: .5;
+    `;
+
+    const unlockIcon = document.createElement('i');
+    unlockIcon.className = 'fas fa-unlock';
+    unlockIcon.style.cssText = `color: #666666; font-size: ${iconSize * 0.67}px;`;
+    icon.appendChild(unlockIcon);
+
+    // Progress ring (UnfreezeIconHandler animates it while holding)
+    const progressRing = document.createElement('div');
+    progressRing.className = 'wbe-unfreeze-progress';
+    progressRing.style.cssText = `
+      position: absolute;
+      top: 50%;
+      left: 50%;
+      width: ${iconSize * 1.25}px;
+      height: ${iconSize * 1.25}px;
+      transform: translate(-50%, -50%) rotate(-90deg);
+      border: 3px solid transparent;
+      border-top-color: #4a9eff;
+      border-radius: 50%;
+      opacity: 0;
+      transition: opacity 0.2s ease;
+      pointer-events: none;
+    `;
+    icon.appendChild(progressRing);
+
+    container.appendChild(icon);
+    container._unfreezeIcon = icon;
+  }
+
+  _hideUnfreezeIcon(container) {
+    const icon = container?.querySelector('.wbe-unfreeze-icon');
+    if (icon) icon.remove();
+    if (container) container._unfreezeIcon = null;
+  }
+
+  /**
+   * Enter title editing mode (double-click)
+   */
+  startEditing() {
+    // Block editing while a drawing tool is active
+    if (window.WBE_Frames?.enabled || window.WBE_Connectors?.enabled || window.WBE_Shapes?.enabled) return;
+    if (this.isEditing) return;
+
+    const titleEl = this.titleElement;
+    if (!titleEl) return;
+
+    this.isEditing = true;
+    titleEl.textContent = this.title;
+    titleEl.style.minWidth = '1em';
+    titleEl.style.userSelect = 'text';
+    titleEl.style.cursor = 'text';
+    titleEl.contentEditable = 'true';
+    titleEl.focus();
+
+    const range = document.createRange();
+    range.selectNodeContents(titleEl);
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+
+    // Register as being edited (WBE finishes editing on outside clicks)
+    if (window.Whiteboard?.interaction) {
+      window.Whiteboard.interaction._editingObject = this;
+    }
+
+    this._onTitleKeyDown = (e) => {
+      // Single-line title: Enter commits
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        titleEl.blur();
+      }
+    };
+    titleEl.addEventListener('keydown', this._onTitleKeyDown);
+    titleEl.addEventListener('blur', () => this.finishEditing(), { once: true });
+  }
+
+  /**
+   * Finish title editing mode
+   */
+  finishEditing() {
+    if (!this.isEditing) return;
+
+    const titleEl = this.titleElement;
+    this.isEditing = false;
+    if (!titleEl) return;
+
+    titleEl.contentEditable = 'false';
+    titleEl.style.minWidth = '';
+    titleEl.style.userSelect = 'none';
+    titleEl.style.cursor = '';
+    if (this._onTitleKeyDown) {
+      titleEl.removeEventListener('keydown', this._onTitleKeyDown);
+      this._onTitleKeyDown = null;
+    }
+
+    if (window.Whiteboard?.interaction?._editingObject === this) {
+      window.Whiteboard.interaction._editingObject = null;
+    }
+
+    const newTitle = (titleEl.textContent || '').trim() || DEFAULT_TITLE;
+    if (newTitle !== this.title && window.Whiteboard?.registry) {
+      window.Whiteboard.registry.update(this.id, { title: newTitle }, 'local');
+    } else {
+      this._updateTitleElement(this.element);
+    }
+  }
+
+  destroy() {
+    if (this.element?.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+    this.element = null;
+    this.bodyElement = null;
+    this.titleElement = null;
+  }
+}
+
+// ==========================================
+// FramePanel - uses WBE BasePanelView for consistent UI
+// ==========================================
+
+class FramePanel {
+  constructor(registry, layer) {
+    this.registry = registry;
+    this.layer = layer;
+    this.frameId = null;
+    this.view = null;
+    this._outsideClickHandler = null;
+  }
+
+  show(frameId) {
+    const obj = this.registry.get(frameId);
+    if (!obj || obj.type !== 'frame') return;
+
+    this.hide();
+    this.frameId = frameId;
+
+    const container = this.layer?.getObjectContainer(frameId);
+    if (!container) return;
+
+    this._createPanel(container, obj);
+  }
+
+  _createPanel(container, obj) {
+    const BasePanelView = window.WBE_BasePanelView;
+    if (!BasePanelView) {
+      console.warn(`[${MODULE_NAME}] BasePanelView not available`);
+      return;
+    }
+
+    this.view = new BasePanelView();
+    this.view.createPanel();
+
+    const update = (changes) => this.registry.update(this.frameId, changes, 'local');
+
+    const titleBtn = this.view.makeToolbarButton('Title', 'fas fa-font', () => {
+      const current = this.registry.get(this.frameId);
+      this.view.openTextSubpanel(titleBtn, {
+        textColor: current?.textColor || DEFAULT_TEXT_COLOR,
+        textSize: current?.textSize || DEFAULT_TEXT_SIZE,
+        fontWeight: current?.fontWeight || 'bold',
+        fontStyle: current?.fontStyle || 'normal',
+        fontFamily: current?.fontFamily || 'Arial'
+      }, (changes) => {
+        // Title is a single line - alignment/line height don't apply
+        const titleKeys = ['textColor', 'textSize', 'fontWeight', 'fontStyle', 'fontFamily'];
+        const titleChanges = Object.fromEntries(Object.entries(changes).filter(([key]) => titleKeys.includes(key)));
+        if (Object.keys(titleChanges).length > 0) update(titleChanges);
+      });
+    });
+    this.view.toolbar.appendChild(titleBtn);
+
+    const fillBtn = this.view.makeToolbarButton('Fill', 'fas fa-fill-drip', () => {
+      const current = this.registry.get(this.frameId);
+      this.view.openBackgroundSubpanel(fillBtn, {
+        color: current?.fillColor,
+        opacity: current?.fillOpacity
+      }, (color, opacity) => {
+        update({ fillColor: color, fillOpacity: opacity });
+      });
+    });
+    this.view.toolbar.appendChild(fillBtn);
+
+    const borderBtn = this.view.makeToolbarButton('Border', 'fas fa-border-all', () => {
+      const current = this.registry.get(this.frameId);
+      this.view.openBorderSubpanel(borderBtn, {
+        color: current?.strokeColor,
+        opacity: current?.strokeOpacity,
+        width: current?.strokeWidth
+      }, (color, opacity, width) => {
+        update({ strokeColor: color, strokeOpacity: opacity, strokeWidth: width });
+      });
+    });
+    this.view.toolbar.appendChild(borderBtn);
+
+    const hideBtn = this.view.makeToolbarButton(
+      obj.hidden ? 'Show Contents' : 'Hide Contents',
+      obj.hidden ? 'fas fa-eye-slash' : 'fas fa-eye',
+      () => {
+        const current = this.registry.get(this.frameId);
+        update({ hidden: !current?.hidden });
+        this.hide();
+      }
+    );
+    this.view.toolbar.appendChild(hideBtn);
+
+    const zoomBtn = this.view.makeToolbarButton('Zoom to Frame', 'fas fa-expand', () => {
+      const frameId = this.frameId;
+      this.hide();
+      window.WBE_Frames?.zoomToFrame(frameId);
+    });
+    this.view.toolbar.appendChild(zoomBtn);
+
+    // Lock toggle (children follow)
+    const lockBtn = this.view.makeLockButton(obj.frozen, (newFrozenState) => {
+      update({ frozen: newFrozenState });
+      this.hide();
+    });
+    this.view.toolbar.appendChild(lockBtn);
+
+    document.body.appendChild(this.view.panel);
+    this.view.positionNear(container);
+
+    // Close on outside click
+    setTimeout(() => {
+      this._outsideClickHandler = (e) => {
+        if (!this.view?.isClickInside(e)) {
+          this.hide();
+        }
+      };
+      document.addEventListener('mousedown', this._outsideClickHandler);
+    }, 100);
+  }
+
+  hide() {
+    if (this._outsideClickHandler) {
+      document.removeEventListener('mousedown', this._outsideClickHandler);
+      this._outsideClickHandler = null;
+    }
+    if (this.view) {
+      this.view.destroy();
+      this.view = null;
+    }
+    this.frameId = null;
+  }
+
+  updatePosition() {
+    if (!this.frameId || !this.view?.panel) return;
+    const container = this.layer?.getObjectContainer(this.frameId);
+    if (container) {
+      this.view.positionNear(container);
+    }
+  }
+}
+
+// ==========================================
+// Initialization
+// ==========================================
+
+const frameManager = new FrameManager();
+
+if (typeof Hooks !== 'undefined') {
+  // Register storage type EARLY (before WBE loads data in 'ready')
+  Hooks.once('init', () => {
+    if (window.Whiteboard?.registerStorageType) {
+      window.Whiteboard.registerStorageType('frame', 'frames');
+      console.log(`[${MODULE_NAME}] Queued storage type 'frame' -> 'frames'`);
+    }
+  });
+
+  Hooks.once('ready', () => {
+    setTimeout(() => frameManager.init(), 200);
+  });
+} else {
+  setTimeout(() => frameManager.init(), 1000);
+}
+
+export { FrameManager, FrameView, FramePanel };
+export default frameManager;
+
+window.WBE_Frames = frameManager;
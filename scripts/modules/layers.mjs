@@ -0,0 +1,747 @@
+/**
+ * Layers Panel Module for Whiteboard Experience
+ *
+ * Панель слоёв: все объекты доски в порядке z (сверху - ближайший к зрителю), чтобы
+ * достать объект, закопанный под замороженным фоном
+ *
+ * Архитектура:
+ * - Порядок берётся из ZIndexModel (getAllSorted), строки перестраиваются по событиям Registry
+ *   (не чаще раза за кадр); смена выделения только перекрашивает строки
+ * - Выделение синхронно в обе стороны: клик по строке -> InteractionManager._select,
+ *   Shift/Ctrl+клик -> MassSelectionController.toggleObject; выделение на доске подсвечивает строки
+ * - Перетаскивание строки пишет новый дробный rank (rankBetween соседей) через
+ *   Registry.setRank - сокет, сохранение и undo работают как для PageUp/PageDown.
+ *   Объекты не покидают свою z-полосу (фреймы всегда под остальными)
+ * - Имя (поле name) задаётся двойным кликом; заморозка и удаление - кнопками строки
+ */
+
+import { rankBetween, rankBefore } from './fractional-index.mjs';
+
+const MODULE_NAME = 'WBE-Layers';
+const TOOL_ID = 'wbe-layers';
+const PANEL_ID = 'wbe-layers-panel';
+const STORAGE_KEY = 'wbe-layers-visible';
+
+const SCREEN_MARGIN = 12;
+const MAX_NAME_LENGTH = 60;
+const SNIPPET_LENGTH = 40;
+
+const TYPE_ICONS = {
+  image: 'fa-solid fa-image',
+  text: 'fa-solid fa-font',
+  shape: 'fa-solid fa-shapes',
+  connector: 'fa-solid fa-diagram-project',
+  frame: 'fa-solid fa-object-group',
+  note: 'fa-solid fa-note-sticky'
+};
+const TYPE_LABELS = {
+  image: 'Image',
+  text: 'Text',
+  shape: 'Shape',
+  connector: 'Connector',
+  frame: 'Frame',
+  note: 'Note'
+};
+
+// Changes that alter a row (selection is handled separately)
+const ROW_FIELDS = ['name', 'frozen', 'hidden', 'childIds', 'text', 'title', 'label', 'src', 'shapeType', 'rank'];
+
+/**
+ * Plain-text preview of an object's content
+ */
+function getSnippet(obj) {
+  let text = obj.title ?? obj.label ?? obj.text ?? '';
+  if (typeof text !== 'string') return '';
+  if (/<[a-z][\s\S]*>/i.test(text)) {
+    // Inert document: a detached div would still load <img> and run its onerror
+    text = new DOMParser().parseFromString(text, 'text/html').body.textContent || '';
+  }
+  text = text.replace(/\s+/g, ' ').trim();
+  return text.length > SNIPPET_LENGTH ? `${text.slice(0, SNIPPET_LENGTH)}…` : text;
+}
+
+class LayersPanel {
+  constructor() {
+    this.visible = false;
+    this.element = null;
+    this.list = null;
+    this._countEl = null;
+
+    this._registry = null;
+    this._unsubscribe = null;
+    this._pages = null;
+    this._unsubscribePages = null;
+    this._frame = null;
+    this._rowsDirty = false;
+    this._renamingId = null;
+    this._dragIds = null; // Ids being dragged (the row or the whole mass selection)
+
+    this._handleRegistryChange = this._handleRegistryChange.bind(this);
+    this._updatePosition = this._updatePosition.bind(this);
+  }
+
+  init(retryCount = 0) {
+    if (!window.Whiteboard?.registry || !window.Whiteboard?.interaction) {
+      if (retryCount < 10) {
+        if (retryCount === 0) {
+          console.log(`[${MODULE_NAME}] Waiting for Whiteboard...`);
+        }
+        setTimeout(() => this.init(retryCount + 1), 500);
+      } else {
+        console.log(`[${MODULE_NAME}] Whiteboard not available (no active scene?). Will init on canvasReady.`);
+        Hooks.once('canvasReady', () => this.init(0));
+      }
+      return;
+    }
+
+    this._initStyles();
+    window.Whiteboard.registerUISelector?.(`#${PANEL_ID}`);
+    window.Whiteboard.registerUISelector?.(`#${PANEL_ID} *`);
+    this._subscribe();
+    this._addToolbarButton();
+
+    Hooks.on('canvasReady', () => {
+      this._subscribe();
+      this._scheduleRender(true);
+    });
+    Hooks.on('collapseSidebar', () => this._updatePosition());
+    window.addEventListener('resize', this._updatePosition);
+
+    this.setVisible(localStorage.getItem(STORAGE_KEY) === 'true');
+    console.log(`[${MODULE_NAME}] Initialized`);
+  }
+
+  _initStyles() {
+    if (document.getElementById('wbe-layers-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'wbe-layers-styles';
+    style.textContent = `
+      #${PANEL_ID} {
+        position: fixed;
+        top: ${SCREEN_MARGIN}px;
+        right: ${SCREEN_MARGIN}px;
+        z-index: 100;
+        width: 260px;
+        max-height: calc(100vh - 220px);
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        padding: 8px;
+        background: rgba(30, 30, 30, 0.95);
+        border: 1px solid rgba(255, 255, 255, 0.1);
+        border-radius: 6px;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.4);
+        color: #e0e0e0;
+        font-size: 12px;
+      }
+
+      #${PANEL_ID} .wbe-layers-title {
+        display: flex;
+        justify-content: space-between;
+        font-size: 11px;
+        color: rgba(255, 255, 255, 0.6);
+        text-transform: uppercase;
+        letter-spacing: 0.5px;
+      }
+
+      #${PANEL_ID} .wbe-layers-list {
+        display: flex;
+        flex-direction: column;
+        overflow-y: auto;
+      }
+
+      #${PANEL_ID} .wbe-layer-row {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        min-height: 28px;
+        padding: 2px 4px;
+        border-top: 2px solid transparent;
+        border-bottom: 2px solid transparent;
+        border-radius: 4px;
+        cursor: pointer;
+      }
+
+      #${PANEL_ID} .wbe-layer-row:hover {
+        background: rgba(255, 255, 255, 0.08);
+      }
+
+      #${PANEL_ID} .wbe-layer-row.selected {
+        background: rgba(28, 134, 255, 0.35);
+      }
+
+      #${PANEL_ID} .wbe-layer-row.frozen .wbe-layer-label,
+      #${PANEL_ID} .wbe-layer-row.hidden-object .wbe-layer-label {
+        opacity: 0.5;
+      }
+
+      #${PANEL_ID} .wbe-layer-row.drop-above {
+        border-top-color: #1c86ff;
+      }
+
+      #${PANEL_ID} .wbe-layer-row.drop-below {
+        border-bottom-color: #1c86ff;
+      }
+
+      #${PANEL_ID} .wbe-layer-thumb {
+        flex: none;
+        width: 24px;
+        height: 24px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        border-radius: 3px;
+        background: rgba(255, 255, 255, 0.06);
+        color: rgba(255, 255, 255, 0.7);
+        overflow: hidden;
+      }
+
+      #${PANEL_ID} .wbe-layer-thumb img {
+        width: 100%;
+        height: 100%;
+        object-fit: cover;
+      }
+
+      #${PANEL_ID} .wbe-layer-label {
+        flex: 1;
+        min-width: 0;
+        display: flex;
+        flex-direction: column;
+      }
+
+      #${PANEL_ID} .wbe-layer-name,
+      #${PANEL_ID} .wbe-layer-snippet {
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      #${PANEL_ID} .wbe-layer-snippet {
+        color: rgba(255, 255, 255, 0.45);
+        font-size: 11px;
+      }
+
+      #${PANEL_ID} .wbe-layer-state {
+        flex: none;
+        width: 14px;
+        color: rgba(255, 255, 255, 0.45);
+        font-size: 11px;
+        text-align: center;
+      }
+
+      #${PANEL_ID} input {
+        width: 100%;
+        padding: 1px 4px;
+        border: 1px solid rgba(255, 255, 255, 0.3);
+        border-radius: 3px;
+        background: rgba(0, 0, 0, 0.3);
+        color: #fff;
+        font-size: 12px;
+      }
+
+      #${PANEL_ID} button {
+        flex: none;
+        width: auto;
+        height: auto;
+        margin: 0;
+        padding: 2px 4px;
+        border: none;
+        background: none;
+        color: rgba(255, 255, 255, 0.6);
+        font-size: 11px;
+        line-height: 1;
+        cursor: pointer;
+      }
+
+      #${PANEL_ID} button:hover {
+        color: #fff;
+      }
+
+      #${PANEL_ID} button.on {
+        color: #ffb74d;
+      }
+
+      #${PANEL_ID} .wbe-layers-hint {
+        color: rgba(255, 255, 255, 0.45);
+        font-size: 11px;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  _addToolbarButton() {
+    if (!window.WBEToolbar?.registerTool) {
+      console.warn(`[${MODULE_NAME}] WBEToolbar not available, retrying...`);
+      setTimeout(() => this._addToolbarButton(), 500);
+      return;
+    }
+
+    window.WBEToolbar.registerTool({
+      id: TOOL_ID,
+      title: 'Layers',
+      icon: 'fa-solid fa-layer-group',
+      group: 'objects',
+      type: 'toggle',
+      onToggle: (isActive) => this.setVisible(isActive)
+    });
+    window.WBEToolbar.setToggleState?.(TOOL_ID, this.visible);
+  }
+
+  /**
+   * @param {boolean} value - show the panel (remembered per client)
+   */
+  setVisible(value) {
+    this.visible = !!value;
+    localStorage.setItem(STORAGE_KEY, this.visible);
+
+    if (!this.visible) {
+      this.element?.remove();
+      this.element = null;
+      this.list = null;
+      this._renamingId = null;
+      return;
+    }
+    if (!this.element) this._createElement();
+    this._updatePosition();
+    this._scheduleRender(true);
+  }
+
+  _createElement() {
+    this.element = document.createElement('div');
+    this.element.id = PANEL_ID;
+
+    const title = document.createElement('div');
+    title.className = 'wbe-layers-title';
+    const titleText = document.createElement('span');
+    titleText.textContent = 'Layers';
+    this._countEl = document.createElement('span');
+    title.append(titleText, this._countEl);
+
+    this.list = document.createElement('div');
+    this.list.className = 'wbe-layers-list';
+
+    const hint = document.createElement('div');
+    hint.className = 'wbe-layers-hint';
+    hint.textContent = 'Top of the list is in front. Drag to reorder, double-click to rename, Shift/Ctrl+click to add to the selection.';
+
+    this.element.append(title, this.list, hint);
+    document.body.appendChild(this.element);
+  }
+
+  /**
+   * Keep clear of the Foundry sidebar (same as the minimap)
+   */
+  _updatePosition() {
+    if (!this.element) return;
+    const rect = document.getElementById('sidebar')?.getBoundingClientRect();
+    const covered = rect && rect.width > 0 && rect.left < window.innerWidth && rect.top < SCREEN_MARGIN + 40;
+    const right = covered ? window.innerWidth - rect.left + SCREEN_MARGIN : SCREEN_MARGIN;
+    this.element.style.right = `${Math.max(SCREEN_MARGIN, right)}px`;
+  }
+
+  // ==========================================
+  // Registry tracking
+  // ==========================================
+
+  _subscribe() {
+    const wb = window.Whiteboard;
+    if (wb?.registry && wb.registry !== this._registry) {
+      this._unsubscribe?.();
+      this._registry = wb.registry;
+      this._unsubscribe = wb.registry.subscribe(this._handleRegistryChange);
+    }
+    if (wb?.pages && wb.pages !== this._pages) {
+      this._unsubscribePages?.();
+      this._pages = wb.pages;
+      // Page switch replaces the registry contents without per-object events
+      this._unsubscribePages = wb.pages.subscribe(() => this._scheduleRender(true));
+    }
+  }
+
+  _handleRegistryChange({ type, changes }) {
+    if (!this.element) return;
+    if (type !== 'updated' || !changes) {
+      this._scheduleRender(true);
+      return;
+    }
+    const keys = Object.keys(changes);
+    if (keys.some(key => ROW_FIELDS.includes(key))) {
+      this._scheduleRender(true);
+    } else if ('selected' in changes || 'massSelected' in changes) {
+      this._scheduleRender(false);
+    }
+  }
+
+  /**
+   * @param {boolean} rows - rebuild rows (else only selection highlight)
+   */
+  _scheduleRender(rows) {
+    if (rows) this._rowsDirty = true;
+    if (!this.element || this._frame !== null) return;
+    this._frame = requestAnimationFrame(() => {
+      this._frame = null;
+      if (this._rowsDirty) {
+        this._rowsDirty = false;
+        this._renderRows();
+      }
+      this._syncSelection();
+    });
+  }
+
+  /**
+   * Objects from front to back
+   * @returns {Array<Object>}
+   */
+  _getOrderedObjects() {
+    const registry = this._registry;
+    if (!registry) return [];
+    return registry.zIndexModel.getAllSorted()
+      .map(entry => registry.get(entry.id))
+      .filter(Boolean)
+      .reverse();
+  }
+
+  // ==========================================
+  // Rendering
+  // ==========================================
+
+  _renderRows() {
+    if (!this.list) return;
+    // A re-render would drop the rename input
+    if (this._renamingId && this._registry?.get(this._renamingId)) return;
+    this._renamingId = null;
+
+    const scrollTop = this.list.scrollTop;
+    const objects = this._getOrderedObjects();
+    this._countEl.textContent = String(objects.length);
+    this.list.replaceChildren(...objects.map(obj => this._createRow(obj)));
+    this.list.scrollTop = scrollTop;
+  }
+
+  _createRow(obj) {
+    const row = document.createElement('div');
+    row.className = 'wbe-layer-row';
+    row.dataset.id = obj.id;
+    row.draggable = true;
+    row.classList.toggle('frozen', !!obj.frozen);
+    const hidden = this._isHidden(obj);
+    row.classList.toggle('hidden-object', hidden);
+
+    row.appendChild(this._createThumb(obj));
+
+    const label = document.createElement('div');
+    label.className = 'wbe-layer-label';
+    if (this._renamingId === obj.id) {
+      label.appendChild(this._createRenameInput(obj));
+    } else {
+      const snippet = obj.type === 'image' ? '' : getSnippet(obj);
+      const name = document.createElement('span');
+      name.className = 'wbe-layer-name';
+      name.textContent = obj.name || snippet || TYPE_LABELS[obj.type] || obj.type;
+      label.appendChild(name);
+      if (obj.name && snippet) {
+        const sub = document.createElement('span');
+        sub.className = 'wbe-layer-snippet';
+        sub.textContent = snippet;
+        label.appendChild(sub);
+      }
+      label.title = 'Double-click to rename';
+    }
+    row.appendChild(label);
+
+    const visibility = document.createElement('i');
+    const contentsHidden = obj.type === 'frame' && !!obj.hidden;
+    visibility.className = `wbe-layer-state fa-solid ${hidden || contentsHidden ? 'fa-eye-slash' : 'fa-eye'}`;
+    visibility.title = hidden ? 'Hidden (inside a hidden frame)' : (contentsHidden ? 'Contents hidden' : 'Visible');
+    row.appendChild(visibility);
+
+    // Not every type can be frozen (text and connectors have no lock)
+    if ('frozen' in obj) {
+      const lockBtn = this._createButton(
+        obj.frozen ? 'fa-solid fa-lock' : 'fa-solid fa-lock-open',
+        obj.frozen ? 'Frozen - click to unfreeze' : 'Freeze',
+        () => this.toggleFrozen(obj.id)
+      );
+      lockBtn.classList.toggle('on', !!obj.frozen);
+      row.appendChild(lockBtn);
+    }
+    row.appendChild(this._createButton('fa-solid fa-trash', 'Delete', () => this.deleteObject(obj.id)));
+
+    row.addEventListener('click', (e) => this._onRowClick(e, obj.id));
+    label.addEventListener('dblclick', (e) => {
+      e.stopPropagation();
+      this._renamingId = obj.id;
+      row.replaceWith(this._createRow(obj));
+    });
+    row.addEventListener('dragstart', (e) => this._onDragStart(e, obj.id));
+    row.addEventListener('dragover', (e) => this._onDragOver(e, row));
+    row.addEventListener('dragleave', () => row.classList.remove('drop-above', 'drop-below'));
+    row.addEventListener('drop', (e) => this._onDrop(e, row));
+    row.addEventListener('dragend', () => this._endDrag());
+    return row;
+  }
+
+  _createThumb(obj) {
+    const thumb = document.createElement('div');
+    thumb.className = 'wbe-layer-thumb';
+    if (obj.type === 'image' && obj.src) {
+      const img = document.createElement('img');
+      img.loading = 'lazy';
+      img.draggable = false;
+      img.src = obj.src;
+      thumb.appendChild(img);
+    } else {
+      const icon = document.createElement('i');
+      icon.className = TYPE_ICONS[obj.type] || 'fa-solid fa-cube';
+      if (obj.type === 'note' && obj.color) icon.style.color = obj.color;
+      thumb.appendChild(icon);
+    }
+    return thumb;
+  }
+
+  _createRenameInput(obj) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = obj.name || '';
+    input.placeholder = getSnippet(obj) || TYPE_LABELS[obj.type] || obj.type;
+
+    let done = false;
+    const finish = (apply) => {
+      if (done) return;
+      done = true;
+      this._renamingId = null;
+      if (apply) this.renameObject(obj.id, input.value);
+      this._scheduleRender(true);
+    };
+    input.addEventListener('keydown', (e) => {
+      e.stopPropagation(); // Delete/Backspace must not delete the selected object
+      if (e.key === 'Enter') finish(true);
+      else if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+    input.addEventListener('click', (e) => e.stopPropagation());
+    requestAnimationFrame(() => {
+      input.focus();
+      input.select();
+    });
+    return input;
+  }
+
+  _createButton(icon, title, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.title = title;
+    button.innerHTML = `<i class="${icon}"></i>`;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+
+  /**
+   * Hidden on the board (e.g. contents of a hidden frame) - same check as selectAll
+   */
+  _isHidden(obj) {
+    const container = window.Whiteboard?.layer?.getObjectContainer(obj.id);
+    return !!container && container.offsetParent === null;
+  }
+
+  _syncSelection() {
+    if (!this.list) return;
+    for (const row of this.list.children) {
+      const obj = this._registry?.get(row.dataset.id);
+      row.classList.toggle('selected', !!(obj?.selected || obj?.massSelected));
+    }
+  }
+
+  // ==========================================
+  // Selection (panel -> board)
+  // ==========================================
+
+  _onRowClick(e, id) {
+    const im = window.Whiteboard?.interaction;
+    const obj = this._registry?.get(id);
+    if (!im || !obj) return;
+    if (obj.isFrozen?.()) {
+      ui.notifications?.info('WBE: the object is frozen - unfreeze it to select');
+      return;
+    }
+
+    if (e.shiftKey || e.ctrlKey || e.metaKey) {
+      this._toggleInSelection(id);
+    } else {
+      im._select(id);
+    }
+  }
+
+  /**
+   * Add/remove an object to the mass selection (a single selection becomes a mass one)
+   */
+  _toggleInSelection(id) {
+    const im = window.Whiteboard.interaction;
+    const mass = im.massSelection;
+    if (!mass) return;
+
+    const singleId = im.selectedId;
+    if (singleId) {
+      im._deselect();
+      if (singleId !== id) mass.toggleObject(singleId, true);
+    }
+    if (singleId === id) return;
+    mass.toggleObject(id);
+  }
+
+  // ==========================================
+  // Actions
+  // ==========================================
+
+  renameObject(id, name) {
+    const obj = this._registry?.get(id);
+    if (!obj) return;
+    const clean = String(name ?? '').trim().slice(0, MAX_NAME_LENGTH);
+    if (clean === (obj.name || '')) return;
+    this._registry.update(id, { name: clean }, 'local');
+  }
+
+  toggleFrozen(id) {
+    const obj = this._registry?.get(id);
+    if (!obj) return;
+    const frozen = !obj.frozen;
+    const im = window.Whiteboard?.interaction;
+    // Frozen objects cannot stay selected
+    if (frozen && im?.selectedId === id) im._deselect();
+    if (frozen && im?.massSelection?.selectedIds.has(id)) im.massSelection.toggleObject(id, false);
+    this._registry.update(id, { frozen }, 'local');
+  }
+
+  deleteObject(id) {
+    const obj = this._registry?.get(id);
+    if (!obj) return;
+    const im = window.Whiteboard?.interaction;
+    // Row of a mass selection deletes the whole selection (like the Delete key)
+    if (im?.massSelection?.selectedIds.has(id)) {
+      im.massSelection.deleteSelected();
+      return;
+    }
+    if (im?.selectedId === id) im._deselect();
+    this._registry.unregister(id, 'local');
+  }
+
+  // ==========================================
+  // Reorder by drag
+  // ==========================================
+
+  _onDragStart(e, id) {
+    const mass = window.Whiteboard?.interaction?.massSelection;
+    this._dragIds = mass?.selectedIds.has(id) ? [...mass.selectedIds] : [id];
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', id);
+  }
+
+  _onDragOver(e, row) {
+    if (!this._dragIds || this._dragIds.includes(row.dataset.id)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    const rect = row.getBoundingClientRect();
+    const above = e.clientY < rect.top + rect.height / 2;
+    row.classList.toggle('drop-above', above);
+    row.classList.toggle('drop-below', !above);
+  }
+
+  _onDrop(e, row) {
+    e.preventDefault();
+    const above = row.classList.contains('drop-above');
+    row.classList.remove('drop-above', 'drop-below');
+    const ids = this._dragIds;
+    this._dragIds = null;
+    if (!ids || ids.includes(row.dataset.id)) return;
+    this.moveObjects(ids, row.dataset.id, above ? 'above' : 'below');
+  }
+
+  _endDrag() {
+    this._dragIds = null;
+    this.list?.querySelectorAll('.drop-above, .drop-below')
+      .forEach(el => el.classList.remove('drop-above', 'drop-below'));
+  }
+
+  /**
+   * Put objects right in front of / behind a target, keeping their own order
+   * Ranks are fractional: only the moved objects get new ranks
+   * @param {Array<string>} ids - Objects to move
+   * @param {string} targetId - Object they are dropped at
+   * @param {'above'|'below'} position - 'above' = in front of the target
+   */
+  moveObjects(ids, targetId, position) {
+    const registry = this._registry;
+    const model = registry?.zIndexModel;
+    if (!model || !registry.get(targetId)) return;
+
+    const moving = new Set(ids);
+    const band = model._band(registry.get(targetId).type);
+    if (ids.some(id => model._band(registry.get(id)?.type) !== band)) {
+      ui.notifications?.warn('WBE: frames always stay beneath other objects');
+      return;
+    }
+
+    // Back-to-front order without the moved objects
+    const sorted = model.getAllSorted();
+    const rest = sorted.filter(entry => !moving.has(entry.id));
+    const targetIndex = rest.findIndex(entry => entry.id === targetId);
+    const lowerEntry = position === 'above' ? rest[targetIndex] : rest[targetIndex - 1];
+    const upperEntry = position === 'above' ? rest[targetIndex + 1] : rest[targetIndex];
+    const sameBand = (entry) => entry && model._band(entry.type) === band;
+
+    let lower = sameBand(lowerEntry) ? lowerEntry.rank : '';
+    const upper = sameBand(upperEntry) ? upperEntry.rank : '';
+    const orderedIds = sorted.filter(entry => moving.has(entry.id)).map(entry => entry.id);
+
+    const history = window.Whiteboard?.interaction?.history;
+    history?.beginTransaction();
+    try {
+      for (const id of orderedIds) {
+        // Duplicate ranks (old data) leave no room between them
+        const rank = lower && upper && lower >= upper ? rankBefore(upper) : rankBetween(lower, upper);
+        registry.setRank(id, rank);
+        lower = rank;
+      }
+    } finally {
+      history?.endTransaction();
+    }
+  }
+
+  destroy() {
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+    this._unsubscribePages?.();
+    this._unsubscribePages = null;
+    window.removeEventListener('resize', this._updatePosition);
+    if (this._frame !== null) {
+      cancelAnimationFrame(this._frame);
+      this._frame = null;
+    }
+    this.element?.remove();
+    this.element = null;
+    this.list = null;
+  }
+}
+
+// ==========================================
+// Initialization
+// ==========================================
+
+const layersPanel = new LayersPanel();
+
+if (typeof Hooks !== 'undefined') {
+  Hooks.once('ready', () => {
+    setTimeout(() => layersPanel.init(), 200);
+  });
+} else {
+  setTimeout(() => layersPanel.init(), 1000);
+}
+
+export { LayersPanel };
+export default layersPanel;
+
+window.WBE_Layers = layersPanel;
@@ -0,0 +1,696 @@
+/**
+ * Minimap Module for Whiteboard Experience
+ *
+ * Миникарта в углу экрана: упрощённые прямоугольники всех объектов, текущий вид
+ * и виды других пользователей. Клик или перетаскивание по карте двигает канвас
+ *
+ * Архитектура:
+ * - Прямоугольники объектов кэшируются по событиям ObjectRegistry (created/updated/deleted),
+ *   слой объектов перерисовывается только когда кэш изменился (не каждый кадр)
+ * - Виды (свой и чужие) рисуются на отдельном canvas поверх - пан/зум не трогает слой объектов
+ * - Свой вид рассылается через сокет модуля (троттлинг VIEWPORT_THROTTLE_MS), только
+ *   пользователям той же сцены и страницы; уважает настройку broadcastCursor
+ * - Видимость карты - клиентская (localStorage), переключается кнопкой в тулбаре
+ */
+
+import { getWorldBounds } from './connectors.mjs';
+
+const MODULE_NAME = 'WBE-Minimap';
+const MODULE_ID = 'whiteboard-experience';
+const TOOL_ID = 'wbe-minimap';
+const MINIMAP_ID = 'wbe-minimap';
+const STORAGE_KEY = 'wbe-minimap-visible';
+
+// Socket action (handled via Whiteboard.registerSocketHandler)
+const VIEWPORT_ACTION = 'minimapViewport';
+
+const MAP_WIDTH = 240;
+const MAP_HEIGHT = 160;
+const MAP_PADDING = 8; // px inside the map around the content
+const SCREEN_MARGIN = 12;
+const VIEWPORT_THROTTLE_MS = 150;
+const MIN_RECT_PX = 2; // Tiny objects stay visible on a huge board
+const DEFAULT_USER_COLOR = '#4a9eff';
+
+// Fill colors when the object has none of its own
+const TYPE_COLORS = {
+  image: 'rgba(120, 170, 230, 0.85)',
+  text: 'rgba(200, 200, 200, 0.85)',
+  shape: 'rgba(160, 160, 160, 0.85)',
+  note: 'rgba(255, 214, 102, 0.9)',
+  default: 'rgba(180, 180, 180, 0.85)'
+};
+const FRAME_STROKE = 'rgba(255, 255, 255, 0.55)';
+const CONNECTOR_STROKE = 'rgba(255, 255, 255, 0.35)';
+const SELECTED_STROKE = '#1c86ff';
+
+function getSetting(key, fallback) {
+  try {
+    return game.settings.get(MODULE_ID, key);
+  } catch {
+    return fallback;
+  }
+}
+
+function getUserColor(user) {
+  const color = user?.color;
+  if (!color) return DEFAULT_USER_COLOR;
+  return color.css || String(color);
+}
+
+/**
+ * Own color of an object if it is a plain visible color, else null
+ */
+function pickFillColor(obj) {
+  const color = obj.fillColor ?? obj.color ?? obj.backgroundColor;
+  if (typeof color !== 'string' || !color || color === 'transparent') return null;
+  if (obj.type === 'text' || obj.type === 'connector') return null; // text color is the glyphs, not the box
+  return color;
+}
+
+class MinimapManager {
+  constructor() {
+    this.visible = false;
+    this.element = null;
+    this._objectsCanvas = null; // Cached: objects only
+    this._viewCanvas = null; // Viewports on top, redrawn on pan
+
+    // id -> { left, top, right, bottom, z, type, color, selected } (connectors: { type, sourceId, targetId, sourcePoint, targetPoint, z })
+    this._items = new Map();
+    // userId -> { left, top, right, bottom }
+    this._remoteViews = new Map();
+
+    this._registry = null;
+    this._unsubscribe = null;
+    this._pages = null;
+    this._unsubscribePages = null;
+
+    this._extents = null; // World rect mapped onto the map
+    this._objectsDirty = true;
+    this._frame = null;
+    this._viewportTimer = null;
+    this._viewportDirty = false;
+    this._viewportHidden = true;
+    this._panning = false;
+
+    this._handleRegistryChange = this._handleRegistryChange.bind(this);
+    this._onPointerDown = this._onPointerDown.bind(this);
+    this._onPointerMove = this._onPointerMove.bind(this);
+    this._onPointerUp = this._onPointerUp.bind(this);
+    this._updatePosition = this._updatePosition.bind(this);
+  }
+
+  init(retryCount = 0) {
+    if (!window.Whiteboard?.registry) {
+      if (retryCount < 10) {
+        if (retryCount === 0) {
+          console.log(`[${MODULE_NAME}] Waiting for Whiteboard...`);
+        }
+        setTimeout(() => this.init(retryCount + 1), 500);
+      } else {
+        console.log(`[${MODULE_NAME}] Whiteboard not available (no active scene?). Will init on canvasReady.`);
+        Hooks.once('canvasReady', () => this.init(0));
+      }
+      return;
+    }
+
+    this._initStyles();
+    window.Whiteboard.registerUISelector?.(`#${MINIMAP_ID}`);
+    window.Whiteboard.registerUISelector?.(`#${MINIMAP_ID} *`);
+    window.Whiteboard.registerSocketHandler?.(VIEWPORT_ACTION, (payload) => this._onRemoteViewport(payload), { anyScene: true });
+
+    this._subscribe();
+    this._addToolbarButton();
+
+    Hooks.on('canvasPan', () => this._onCanvasPan());
+    Hooks.on('canvasReady', () => this._onCanvasReady());
+    Hooks.on('collapseSidebar', () => this._updatePosition());
+    Hooks.on('userConnected', (user, connected) => this._onUserConnected(user, connected));
+    window.addEventListener('resize', this._updatePosition);
+
+    this.setVisible(localStorage.getItem(STORAGE_KEY) === 'true');
+    this._sendViewport({ request: true });
+
+    console.log(`[${MODULE_NAME}] Initialized`);
+  }
+
+  _initStyles() {
+    if (document.getElementById('wbe-minimap-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'wbe-minimap-styles';
+    style.textContent = `
+      #${MINIMAP_ID} {
+        position: fixed;
+        bottom: ${SCREEN_MARGIN}px;
+        right: ${SCREEN_MARGIN}px;
+        z-index: 100;
+        width: ${MAP_WIDTH}px;
+        height: ${MAP_HEIGHT}px;
+        background: rgba(30, 30, 30, 0.9);
+        border: 1px solid rgba(255, 255, 255, 0.15);
+        border-radius: 6px;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.4);
+        overflow: hidden;
+        cursor: pointer;
+        user-select: none;
+      }
+
+      #${MINIMAP_ID}.panning {
+        cursor: grabbing;
+      }
+
+      #${MINIMAP_ID} canvas {
+        position: absolute;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  _addToolbarButton() {
+    if (!window.WBEToolbar?.registerTool) {
+      console.warn(`[${MODULE_NAME}] WBEToolbar not available, retrying...`);
+      setTimeout(() => this._addToolbarButton(), 500);
+      return;
+    }
+
+    window.WBEToolbar.registerTool({
+      id: TOOL_ID,
+      title: 'Minimap',
+      icon: 'fa-solid fa-map',
+      group: 'board',
+      type: 'toggle',
+      onToggle: (isActive) => this.setVisible(isActive)
+    });
+    window.WBEToolbar.setToggleState?.(TOOL_ID, this.visible);
+  }
+
+  /**
+   * @param {boolean} value - show the minimap (remembered per client)
+   */
+  setVisible(value) {
+    this.visible = !!value;
+    localStorage.setItem(STORAGE_KEY, this.visible);
+
+    if (!this.visible) {
+      this.element?.remove();
+      this.element = null;
+      this._objectsCanvas = null;
+      this._viewCanvas = null;
+      return;
+    }
+    if (!this.element) this._createElement();
+    this._updatePosition();
+    this._rebuild();
+  }
+
+  _createElement() {
+    this.element = document.createElement('div');
+    this.element.id = MINIMAP_ID;
+    this.element.title = 'Click or drag to move the view';
+
+    const ratio = window.devicePixelRatio || 1;
+    const makeCanvas = () => {
+      const el = document.createElement('canvas');
+      el.width = Math.round(MAP_WIDTH * ratio);
+      el.height = Math.round(MAP_HEIGHT * ratio);
+      el.getContext('2d').setTransform(ratio, 0, 0, ratio, 0, 0);
+      this.element.appendChild(el);
+      return el;
+    };
+    this._objectsCanvas = makeCanvas();
+    this._viewCanvas = makeCanvas();
+
+    this.element.addEventListener('pointerdown', this._onPointerDown);
+    this.element.addEventListener('pointermove', this._onPointerMove);
+    this.element.addEventListener('pointerup', this._onPointerUp);
+    this.element.addEventListener('pointercancel', this._onPointerUp);
+    this.element.addEventListener('contextmenu', (e) => e.preventDefault());
+    document.body.appendChild(this.element);
+  }
+
+  /**
+   * Keep clear of the Foundry sidebar (its width depends on version and collapse state)
+   */
+  _updatePosition() {
+    if (!this.element) return;
+    const sidebar = document.getElementById('sidebar');
+    const rect = sidebar?.getBoundingClientRect();
+    const covered = rect && rect.width > 0 && rect.left < window.innerWidth && rect.bottom > window.innerHeight - MAP_HEIGHT;
+    const right = covered ? window.innerWidth - rect.left + SCREEN_MARGIN : SCREEN_MARGIN;
+    this.element.style.right = `${Math.max(SCREEN_MARGIN, right)}px`;
+  }
+
+  // ==========================================
+  // Registry / page tracking
+  // ==========================================
+
+  _subscribe() {
+    const wb = window.Whiteboard;
+    if (wb?.registry && wb.registry !== this._registry) {
+      this._unsubscribe?.();
+      this._registry = wb.registry;
+      this._unsubscribe = wb.registry.subscribe(this._handleRegistryChange);
+    }
+    if (wb?.pages && wb.pages !== this._pages) {
+      this._unsubscribePages?.();
+      this._pages = wb.pages;
+      let lastPageId = wb.pages.currentPageId;
+      this._unsubscribePages = wb.pages.subscribe(({ currentPageId }) => {
+        // Page switch swaps the whole registry without per-object events
+        if (currentPageId === lastPageId) return;
+        lastPageId = currentPageId;
+        this._remoteViews.clear();
+        this._rebuild();
+        this._sendViewport({ request: true });
+      });
+    }
+  }
+
+  _handleRegistryChange({ id, type, data, changes }) {
+    if (type === 'zIndexBatchUpdate') {
+      for (const changedId of changes?.changedIds || []) {
+        const item = this._items.get(changedId);
+        const obj = this._registry?.get(changedId);
+        if (item && obj) item.z = obj.zIndex ?? 0;
+      }
+      this._scheduleDraw(true);
+      return;
+    }
+    if (!id) return;
+
+    if (type === 'deleted') {
+      if (!this._items.delete(id)) return;
+    } else if (type === 'created' || type === 'updated') {
+      const obj = data || this._registry?.get(id);
+      if (!obj) return;
+      this._setItem(obj);
+    } else {
+      return;
+    }
+    this._scheduleDraw(true);
+  }
+
+  _setItem(obj) {
+    const z = obj.zIndex ?? 0;
+    if (obj.type === 'connector') {
+      this._items.set(obj.id, {
+        type: 'connector',
+        z,
+        sourceId: obj.sourceId || null,
+        targetId: obj.targetId || null,
+        sourcePoint: obj.sourcePoint || null,
+        targetPoint: obj.targetPoint || null
+      });
+      return;
+    }
+
+    const bounds = this._getModelBounds(obj);
+    if (!bounds) {
+      this._items.delete(obj.id);
+      return;
+    }
+    this._items.set(obj.id, {
+      ...bounds,
+      type: obj.type,
+      z,
+      color: pickFillColor(obj),
+      selected: !!(obj.selected || obj.massSelected)
+    });
+  }
+
+  /**
+   * Axis-aligned world bounds from model values (the DOM may not be synced yet when
+   * the Registry event fires); rotated objects get the box around the rotated rect
+   */
+  _getModelBounds(obj) {
+    if (!Number.isFinite(obj.x) || !Number.isFinite(obj.y)) {
+      const bounds = getWorldBounds(obj);
+      return bounds ? { left: bounds.left, top: bounds.top, right: bounds.right, bottom: bounds.bottom } : null;
+    }
+    const scale = obj.scale !== undefined ? obj.scale : 1;
+    const width = (obj.width || 0) * scale;
+    const height = (obj.height || 0) * scale;
+    const centerX = obj.x + (obj.width || 0) / 2;
+    const centerY = obj.y + (obj.height || 0) / 2;
+
+    const angle = (obj.rotation || 0) * Math.PI / 180;
+    const cos = Math.abs(Math.cos(angle));
+    const sin = Math.abs(Math.sin(angle));
+    const halfW = (width * cos + height * sin) / 2;
+    const halfH = (width * sin + height * cos) / 2;
+    return {
+      left: centerX - halfW,
+      top: centerY - halfH,
+      right: centerX + halfW,
+      bottom: centerY + halfH
+    };
+  }
+
+  _rebuild() {
+    this._items.clear();
+    for (const obj of this._registry?.getAll() || []) this._setItem(obj);
+    this._scheduleDraw(true);
+  }
+
+  _onCanvasReady() {
+    this._subscribe();
+    this._remoteViews.clear();
+    this._rebuild();
+    this._viewportHidden = true;
+    this._sendViewport({ request: true });
+  }
+
+  _onCanvasPan() {
+    this._queueViewport();
+    this._scheduleDraw(false);
+  }
+
+  _onUserConnected(user, connected) {
+    if (!connected && this._remoteViews.delete(user.id)) this._scheduleDraw(false);
+  }
+
+  // ==========================================
+  // Viewport broadcast
+  // ==========================================
+
+  /**
+   * Visible world rect of the board
+   * @returns {{left, top, right, bottom}|null}
+   */
+  _getViewRect() {
+    const t = canvas?.stage?.worldTransform;
+    if (!t?.a) return null;
+    const board = document.getElementById('board');
+    const rect = board?.getBoundingClientRect();
+    const width = rect?.width || window.innerWidth;
+    const height = rect?.height || window.innerHeight;
+    const left = ((rect?.left || 0) - t.tx) / t.a;
+    const top = ((rect?.top || 0) - t.ty) / t.d;
+    return { left, top, right: left + width / t.a, bottom: top + height / t.d };
+  }
+
+  /**
+   * Throttle: send now, then at most once per VIEWPORT_THROTTLE_MS (trailing update kept)
+   */
+  _queueViewport() {
+    if (this._viewportTimer !== null) {
+      this._viewportDirty = true;
+      return;
+    }
+    this._sendViewport();
+    this._viewportTimer = setTimeout(() => {
+      this._viewportTimer = null;
+      if (this._viewportDirty) {
+        this._viewportDirty = false;
+        this._queueViewport();
+      }
+    }, VIEWPORT_THROTTLE_MS);
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.request] - ask users on the same page to answer with their viewports
+   */
+  _sendViewport({ request = false } = {}) {
+    const socket = window.Whiteboard?.socket;
+    if (!socket || !canvas?.scene) return;
+
+    const view = getSetting('broadcastCursor', true) ? this._getViewRect() : null;
+    if (!view) {
+      if (request || !this._viewportHidden) socket.emit(VIEWPORT_ACTION, { hidden: true, request }, { quiet: true });
+      this._viewportHidden = true;
+      return;
+    }
+    const round = (v) => Math.round(v);
+    socket.emit(VIEWPORT_ACTION, {
+      left: round(view.left),
+      top: round(view.top),
+      right: round(view.right),
+      bottom: round(view.bottom),
+      request
+    }, { quiet: true });
+    this._viewportHidden = false;
+  }
+
+  /**
+   * Share My Cursor changed - hide or re-send the viewport right away
+   */
+  onBroadcastChange() {
+    this._sendViewport();
+  }
+
+  _onRemoteViewport({ userId, sceneId, pageId, hidden, request, left, top, right, bottom }) {
+    if (!userId || userId === game.user?.id) return;
+
+    // Registered for any scene: a user who left our scene/page takes their rect along
+    const samePage = sceneId === canvas?.scene?.id &&
+      (pageId || 'main') === (window.Whiteboard?.pages?.currentPageId || 'main');
+    if (!samePage || hidden || ![left, top, right, bottom].every(Number.isFinite)) {
+      if (this._remoteViews.delete(userId)) this._scheduleDraw(false);
+    } else {
+      this._remoteViews.set(userId, { left, top, right, bottom });
+      this._scheduleDraw(false);
+    }
+
+    if (request && samePage) this._sendViewport();
+  }
+
+  // ==========================================
+  // Drawing
+  // ==========================================
+
+  /**
+   * @param {boolean} objectsChanged - repaint the cached object layer too
+   */
+  _scheduleDraw(objectsChanged) {
+    if (objectsChanged) this._objectsDirty = true;
+    if (!this.element || this._frame !== null) return;
+    this._frame = requestAnimationFrame(() => {
+      this._frame = null;
+      this._draw();
+    });
+  }
+
+  _draw() {
+    if (!this.element) return;
+    if (this._objectsDirty) {
+      this._objectsDirty = false;
+      this._extents = this._computeExtents();
+      this._drawObjects();
+    }
+    this._drawViewports();
+  }
+
+  /**
+   * World rect shown on the map: the scene plus everything placed outside it
+   */
+  _computeExtents() {
+    const sceneRect = canvas?.dimensions?.sceneRect;
+    let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+    if (sceneRect) {
+      left = sceneRect.x;
+      top = sceneRect.y;
+      right = sceneRect.x + sceneRect.width;
+      bottom = sceneRect.y + sceneRect.height;
+    }
+    for (const item of this._items.values()) {
+      if (item.type === 'connector') continue;
+      left = Math.min(left, item.left);
+      top = Math.min(top, item.top);
+      right = Math.max(right, item.right);
+      bottom = Math.max(bottom, item.bottom);
+    }
+    if (!Number.isFinite(left)) return { left: 0, top: 0, right: 1, bottom: 1, scale: 1, offsetX: 0, offsetY: 0 };
+
+    const width = Math.max(1, right - left);
+    const height = Math.max(1, bottom - top);
+    const scale = Math.min((MAP_WIDTH - MAP_PADDING * 2) / width, (MAP_HEIGHT - MAP_PADDING * 2) / height);
+    return {
+      left,
+      top,
+      right,
+      bottom,
+      scale,
+      // Center the content inside the map
+      offsetX: (MAP_WIDTH - width * scale) / 2,
+      offsetY: (MAP_HEIGHT - height * scale) / 2
+    };
+  }
+
+  _toMap(x, y) {
+    const e = this._extents;
+    return { x: e.offsetX + (x - e.left) * e.scale, y: e.offsetY + (y - e.top) * e.scale };
+  }
+
+  _toWorld(mapX, mapY) {
+    const e = this._extents;
+    return { x: e.left + (mapX - e.offsetX) / e.scale, y: e.top + (mapY - e.offsetY) / e.scale };
+  }
+
+  _mapRect(bounds) {
+    const a = this._toMap(bounds.left, bounds.top);
+    const b = this._toMap(bounds.right, bounds.bottom);
+    const width = Math.max(MIN_RECT_PX, b.x - a.x);
+    const height = Math.max(MIN_RECT_PX, b.y - a.y);
+    return { x: a.x, y: a.y, width, height };
+  }
+
+  _drawObjects() {
+    const ctx = this._objectsCanvas?.getContext('2d');
+    if (!ctx) return;
+    ctx.clearRect(0, 0, MAP_WIDTH, MAP_HEIGHT);
+
+    const sceneRect = canvas?.dimensions?.sceneRect;
+    if (sceneRect) {
+      const r = this._mapRect({ left: sceneRect.x, top: sceneRect.y, right: sceneRect.x + sceneRect.width, bottom: sceneRect.y + sceneRect.height });
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.04)';
+      ctx.fillRect(r.x, r.y, r.width, r.height);
+    }
+
+    const items = [...this._items.values()].sort((a, b) => a.z - b.z);
+    ctx.lineWidth = 1;
+    for (const item of items) {
+      if (item.type === 'connector') {
+        this._drawConnector(ctx, item);
+        continue;
+      }
+      const r = this._mapRect(item);
+      if (item.type === 'frame') {
+        ctx.strokeStyle = FRAME_STROKE;
+        ctx.strokeRect(r.x + 0.5, r.y + 0.5, r.width - 1, r.height - 1);
+      } else {
+        ctx.fillStyle = item.color || TYPE_COLORS[item.type] || TYPE_COLORS.default;
+        ctx.fillRect(r.x, r.y, r.width, r.height);
+      }
+      if (item.selected) {
+        ctx.strokeStyle = SELECTED_STROKE;
+        ctx.strokeRect(r.x - 0.5, r.y - 0.5, r.width + 1, r.height + 1);
+      }
+    }
+  }
+
+  _drawConnector(ctx, item) {
+    const endpoint = (objId, point) => {
+      const target = objId ? this._items.get(objId) : null;
+      if (target && target.type !== 'connector') {
+        return this._toMap((target.left + target.right) / 2, (target.top + target.bottom) / 2);
+      }
+      return point ? this._toMap(point.x, point.y) : null;
+    };
+    const from = endpoint(item.sourceId, item.sourcePoint);
+    const to = endpoint(item.targetId, item.targetPoint);
+    if (!from || !to) return;
+
+    ctx.strokeStyle = CONNECTOR_STROKE;
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+  }
+
+  _drawViewports() {
+    const ctx = this._viewCanvas?.getContext('2d');
+    if (!ctx || !this._extents) return;
+    ctx.clearRect(0, 0, MAP_WIDTH, MAP_HEIGHT);
+    ctx.lineWidth = 1.5;
+
+    for (const [userId, view] of this._remoteViews) {
+      const r = this._mapRect(view);
+      ctx.strokeStyle = getUserColor(game.users?.get(userId));
+      ctx.strokeRect(r.x, r.y, r.width, r.height);
+    }
+
+    const own = this._getViewRect();
+    if (own) {
+      const r = this._mapRect(own);
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+      ctx.fillRect(r.x, r.y, r.width, r.height);
+      ctx.strokeStyle = '#ffffff';
+      ctx.strokeRect(r.x, r.y, r.width, r.height);
+    }
+  }
+
+  // ==========================================
+  // Navigation
+  // ==========================================
+
+  _onPointerDown(e) {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    this._panning = true;
+    this.element.classList.add('panning');
+    this.element.setPointerCapture?.(e.pointerId);
+    this._panTo(e);
+  }
+
+  _onPointerMove(e) {
+    if (!this._panning) return;
+    this._panTo(e);
+  }
+
+  _onPointerUp(e) {
+    if (!this._panning) return;
+    this._panning = false;
+    this.element?.classList.remove('panning');
+    this.element?.releasePointerCapture?.(e.pointerId);
+  }
+
+  /**
+   * Center the canvas on the world point under the pointer
+   */
+  _panTo(e) {
+    if (!this._extents || !canvas?.pan) return;
+    const rect = this.element.getBoundingClientRect();
+    const { x, y } = this._toWorld(e.clientX - rect.left, e.clientY - rect.top);
+    canvas.pan({ x, y });
+  }
+
+  destroy() {
+    this._emitHidden();
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+    this._unsubscribePages?.();
+    this._unsubscribePages = null;
+    window.removeEventListener('resize', this._updatePosition);
+    clearTimeout(this._viewportTimer);
+    if (this._frame !== null) {
+      cancelAnimationFrame(this._frame);
+      this._frame = null;
+    }
+    this.element?.remove();
+    this.element = null;
+    this._items.clear();
+    this._remoteViews.clear();
+  }
+
+  _emitHidden() {
+    if (this._viewportHidden) return;
+    window.Whiteboard?.socket?.emit(VIEWPORT_ACTION, { hidden: true }, { quiet: true });
+    this._viewportHidden = true;
+  }
+}
+
+// ==========================================
+// Initialization
+// ==========================================
+
+const minimapManager = new MinimapManager();
+
+if (typeof Hooks !== 'undefined') {
+  Hooks.once('ready', () => {
+    setTimeout(() => minimapManager.init(), 200);
+  });
+} else {
+  setTimeout(() => minimapManager.init(), 1000);
+}
+
+export { MinimapManager };
+export default minimapManager;
+
+window.WBE_Minimap = minimapManager;
@@ -19,14 +19,21 @@
  * - 700: MassSelectionDragHandler - Drag inside mass selection bounding box
  * - 695: MassSelectionClearHandler - Click outside mass selection bounding box
  * - 660: ShapeDrawHandler - Shape drawing tool active
+ * - 658: FrameDrawHandler - Frame tool active
+ * - 657: NoteCreateHandler - Sticky note tool active
+ * - 656: EphemeralDrawHandler - Laser pointer / ephemeral pen active
+ * - 655: ConnectorDrawHandler - Connector tool active
+ * - 654: TemplateStampHandler - Template picked in the templates panel
  * - 650: MassSelectionStartHandler - Start mass selection (Shift+drag or toggle mode)
  * - 600: TextModeCreateHandler - Create text in text mode
  * 
  * LOW PRIORITY (500-100):
  * - 500: WidthResizeHandler - Text width resize handle
+ * - 460: LineEndpointHandler - Line/arrow endpoint handles
  * - 450: CropHandleHandler - Image crop handles (rect and circle)
  * - 400: ScaleHandleHandler - Scale resize handle
  * - 350: CircleCropDragHandler - Drag image inside circle crop
+ * - 320: GroupSelectHandler - Click on a group member selects and drags the whole group
  * - 300: ObjectDragHandler - Regular object drag
  * - 100: CanvasDeselectHandler - Click on empty canvas
  * 
@@ -154,7 +161,7 @@ export const EditImmunityHandler = {
  * 
  * Handles right mouse button clicks:
  * - In text mode: exits text mode
- * - With shape tool active: exits shape tool
+ * - With a drawing tool active (shape, connector): exits the tool
  * - Otherwise: starts canvas pan
  * 
  * Requirements: 3.3, 6.3
@@ -173,7 +180,7 @@ export const RightClickHandler = {
   },
 
   /**
-   * Handle right click - exit text mode, exit shape tool, or start pan
+   * Handle right click - exit text mode, exit drawing tool, or start pan
    * @param {EventContext} ctx - Event context
    * @returns {boolean} True if handled
    */
@@ -186,9 +193,10 @@ export const RightClickHandler = {
       return true;
     }
     
-    // If shape tool is active, right click exits shape tool
+    // If a drawing tool is active, right click exits it
     const activeTool = window.WBEToolbar?.getActiveTool?.();
-    if (activeTool?.startsWith('wbe-shape-')) {
+    if (activeTool?.startsWith('wbe-shape-') || activeTool === 'wbe-connector' || activeTool === 'wbe-frame' || activeTool === 'wbe-note' ||
+        activeTool === 'wbe-laser' || activeTool === 'wbe-ink' || activeTool === 'wbe-templates') {
       window.WBEToolbar.deactivateAllTools();
       return true;
     }
@@ -373,6 +381,7 @@ export const MassSelectionClearHandler = {
  * - If object is already in mass selection: removes it
  * - If object is not in mass selection: adds it
  * - If single object is selected (not mass): converts to mass selection with both objects
+ * - Members of a group (not entered by double-click) are added/removed together
  */
 export const ShiftClickAddHandler = {
   name: 'shiftClickAdd',
@@ -417,13 +426,22 @@ export const ShiftClickAddHandler = {
   handle(ctx) {
     ctx.consume();
     
-    const clickedId = ctx.hitResult.object.id;
+    const clickedObj = ctx.hitResult.object;
+    const clickedId = clickedObj.id;
     const massSelection = ctx.massSelection;
     const im = ctx.im;
+
+    // Whole group is toggled unless the user has entered it
+    const groupId = clickedObj.groupId;
+    const clickedIds = groupId && massSelection.enteredGroupId !== groupId
+      ? massSelection.getGroupMembers(groupId).filter(obj => !obj.isFrozen?.()).map(obj => obj.id)
+      : [clickedId];
     
     // Case 1: Object is already in mass selection - toggle it
     if (massSelection.selectedIds.has(clickedId)) {
-      massSelection.toggleObject(clickedId, false); // Remove
+      for (const id of clickedIds) {
+        massSelection.toggleObject(id, false); // Remove
+      }
       
       // If only 1 object left, convert to single selection
       if (massSelection.selectedIds.size === 1) {
@@ -448,19 +466,27 @@ export const ShiftClickAddHandler = {
       
       // Add both objects to mass selection (toggleObject calls _updateBoundingBox)
       massSelection.toggleObject(previousId, true);
-      massSelection.toggleObject(clickedId, true);
+      for (const id of clickedIds) {
+        massSelection.toggleObject(id, true);
+      }
       return true;
     }
     
     // Case 3: Mass selection exists - add clicked object
     if (massSelection.selectedIds.size > 0) {
-      massSelection.toggleObject(clickedId, true);
+      for (const id of clickedIds) {
+        massSelection.toggleObject(id, true);
+      }
       return true;
     }
     
-    // Case 4: Nothing selected - just select the clicked object normally
+    // Case 4: Nothing selected - just select the clicked object (or its group) normally
     // (This shouldn't happen often, but handle it gracefully)
-    im._select(clickedId);
+    if (clickedIds.length > 1) {
+      massSelection.selectGroup(groupId);
+    } else {
+      im._select(clickedId);
+    }
     return true;
   }
 };
@@ -648,6 +674,189 @@ export const ShapeDrawHandler = {
   }
 };
 
+/**
+ * FrameDrawHandler (priority 658)
+ * 
+ * Handles frame drawing when the frame tool is active in WBE Toolbar.
+ * Frames are usually drawn around existing objects, so it starts on objects too.
+ */
+export const FrameDrawHandler = {
+  name: 'frameDraw',
+  priority: 658,
+
+  /**
+   * Check if the frame tool is active
+   * @param {EventContext} ctx - Event context
+   * @returns {boolean} True if frame tool is active
+   */
+  canHandle(ctx) {
+    if (ctx.button !== 0) return false;
+    if (ctx.target?.closest?.('.wbe-unfreeze-icon')) return false;
+    return window.WBEToolbar?.getActiveTool?.() === 'wbe-frame';
+  },
+
+  /**
+   * Start frame drawing
+   * @param {EventContext} ctx - Event context
+   * @returns {boolean} True if handled
+   */
+  handle(ctx) {
+    const frameManager = window.WBE_Frames;
+    if (!frameManager) return false;
+
+    frameManager._onMouseDown(ctx.event);
+    ctx.consume();
+    return true;
+  }
+};
+
+/**
+ * NoteCreateHandler (priority 657)
+ * 
+ * Places a sticky note when the note tool is active in WBE Toolbar.
+ * Like the text tool, a note can be placed over other objects.
+ */
+export const NoteCreateHandler = {
+  name: 'noteCreate',
+  priority: 657,
+
+  /**
+   * Check if the note tool is active
+   * @param {EventContext} ctx - Event context
+   * @returns {boolean} True if note tool is active
+   */
+  canHandle(ctx) {
+    if (ctx.button !== 0) return false;
+    if (ctx.hitResult?.type === 'ui') return false;
+    return window.WBEToolbar?.getActiveTool?.() === 'wbe-note';
+  },
+
+  /**
+   * Create a note at the cursor and start editing it
+   * @param {EventContext} ctx - Event context
+   * @returns {boolean} True if handled
+   */
+  handle(ctx) {
+    const noteManager = window.WBE_Notes;
+    if (!noteManager) return false;
+
+    ctx.consume();
+    noteManager.createNoteAt(ctx.clientX, ctx.clientY);
+    return true;
+  }
+};
+
+/**
+ * EphemeralDrawHandler (priority 656)
+ * 
+ * Draws laser pointer / ephemeral pen strokes. Strokes are not board objects,
+ * so drawing over existing objects must not select or drag them.
+ */
+export const EphemeralDrawHandler = {
+  name: 'ephemeralDraw',
+  priority: 656,
+
+  /**
+   * Check if an ephemeral tool is active
+   * @param {EventContext} ctx - Event context
+   * @returns {boolean} True if laser or ephemeral pen is active
+   */
+  canHandle(ctx) {
+    if (ctx.button !== 0) return false;
+    if (ctx.hitResult?.type === 'ui') return false;
+    const activeTool = window.WBEToolbar?.getActiveTool?.();
+    return activeTool === 'wbe-laser' || activeTool === 'wbe-ink';
+  },
+
+  /**
+   * Start an ephemeral stroke
+   * @param {EventContext} ctx - Event context
+   * @returns {boolean} True if handled
+   */
+  handle(ctx) {
+    const ephemeral = window.WBE_Ephemeral;
+    if (!ephemeral) return false;
+
+    ctx.consume();
+    ephemeral._onMouseDown(ctx.event);
+    return true;
+  }
+};
+
+/**
+ * TemplateStampHandler (priority 654)
+ * 
+ * Stamps the picked template at the cursor. Only while a template is picked in the
+ * templates panel - otherwise clicks select objects as usual (to save a new template).
+ */
+export const TemplateStampHandler = {
+  name: 'templateStamp',
+  priority: 654,
+
+  /**
+   * Check if a template is ready to be stamped
+   * @param {EventContext} ctx - Event context
+   * @returns {boolean} True if templates tool is active with a picked template
+   */
+  canHandle(ctx) {
+    if (ctx.button !== 0) return false;
+    if (ctx.hitResult?.type === 'ui') return false;
+    if (window.WBEToolbar?.getActiveTool?.() !== 'wbe-templates') return false;
+    return !!window.WBE_Templates?.armedId;
+  },
+
+  /**
+   * Place the template centered at the cursor
+   * @param {EventContext} ctx - Event context
+   * @returns {boolean} True if handled
+   */
+  handle(ctx) {
+    const templates = window.WBE_Templates;
+    if (!templates) return false;
+
+    ctx.consume();
+    templates.stampAt(ctx.clientX, ctx.clientY);
+    return true;
+  }
+};
+
+/**
+ * ConnectorDrawHandler (priority 655)
+ * 
+ * Handles connector drawing when the connector tool is active in WBE Toolbar.
+ * Starts on objects too (they become the connector source), so it must run before
+ * MassSelectionStartHandler (650) and ObjectDragHandler.
+ */
+export const ConnectorDrawHandler = {
+  name: 'connectorDraw',
+  priority: 655,
+
+  /**
+   * Check if the connector tool is active
+   * @param {EventContext} ctx - Event context
+   * @returns {boolean} True if connector tool is active
+   */
+  canHandle(ctx) {
+    if (ctx.button !== 0) return false;
+    if (ctx.target?.closest?.('.wbe-unfreeze-icon')) return false;
+    return window.WBEToolbar?.getActiveTool?.() === 'wbe-connector';
+  },
+
+  /**
+   * Start connector drawing
+   * @param {EventContext} ctx - Event context
+   * @returns {boolean} True if handled
+   */
+  handle(ctx) {
+    const connectorManager = window.WBE_Connectors;
+    if (!connectorManager) return false;
+
+    connectorManager._onMouseDown(ctx.event);
+    ctx.consume();
+    return true;
+  }
+};
+
 /**
  * UnfreezeIconHandler (priority 550)
  * 
@@ -701,6 +910,11 @@ export function getMediumPriorityMouseDownHandlers() {
     MassSelectionClearHandler,
     ShiftClickAddHandler,
     ShapeDrawHandler,
+    FrameDrawHandler,
+    NoteCreateHandler,
+    EphemeralDrawHandler,
+    ConnectorDrawHandler,
+    TemplateStampHandler,
     MassSelectionStartHandler,
     TextModeCreateHandler
   ];
@@ -909,6 +1123,48 @@ export const StretchResizeHandler = {
   }
 };
 
+/**
+ * LineEndpointHandler (priority 460)
+ * 
+ * Handles drag of line/arrow endpoint handles (rendered inside the shape container).
+ * Priority above stretch/scale handles and ObjectDragHandler, which would otherwise
+ * treat the click as a regular object drag.
+ */
+export const LineEndpointHandler = {
+  name: 'lineEndpoint',
+  priority: 460,
+
+  /**
+   * Check if clicking on a line endpoint handle
+   * @param {EventContext} ctx - Event context
+   * @returns {boolean} True if clicking on endpoint handle
+   */
+  canHandle(ctx) {
+    // Only left click
+    if (ctx.button !== 0) return false;
+    
+    const target = ctx.target;
+    if (!target || typeof target.closest !== 'function') return false;
+    
+    return !!target.closest('.wbe-line-endpoint-handle') && !!window.WBE_Shapes;
+  },
+
+  /**
+   * Start endpoint drag
+   * @param {EventContext} ctx - Event context
+   * @returns {boolean} True if handled
+   */
+  handle(ctx) {
+    const handle = ctx.target.closest('.wbe-line-endpoint-handle');
+    if (!handle) return false;
+    
+    // Delegate to ShapesManager
+    ctx.consume();
+    window.WBE_Shapes.startEndpointDrag(handle.dataset.objectId, Number(handle.dataset.endpoint), ctx.event);
+    return true;
+  }
+};
+
 /**
  * ScaleHandleHandler (priority 400)
  * 
@@ -1019,6 +1275,73 @@ export const CircleCropDragHandler = {
   }
 };
 
+/**
+ * GroupSelectHandler (priority 320)
+ * 
+ * Click on a member of a persistent group (Ctrl+G) selects all its members
+ * as a mass selection and starts dragging them together.
+ * Skipped for the group entered by double-click - its members behave as single objects.
+ * 
+ * Priority 320 > ObjectDragHandler (300) so group members never start a single-object drag.
+ */
+export const GroupSelectHandler = {
+  name: 'groupSelect',
+  priority: 320,
+
+  /**
+   * Check if clicking on a member of a (not entered) group
+   * @param {EventContext} ctx - Event context
+   * @returns {boolean} True if should handle
+   */
+  canHandle(ctx) {
+    // Only left click without Shift (Shift+click is ShiftClickAddHandler)
+    if (ctx.button !== 0 || ctx.shiftKey) return false;
+    if (!ctx.massSelection) return false;
+
+    const hitResult = ctx.hitResult;
+    if (hitResult.type !== 'object') return false;
+
+    const obj = hitResult.object;
+    if (!obj?.groupId) return false;
+    if (obj.isFrozen?.()) return false;
+    if (obj.isEnabled && !obj.isEnabled()) return false;
+
+    return ctx.massSelection.enteredGroupId !== obj.groupId;
+  },
+
+  /**
+   * Handle click - select whole group and start mass drag
+   * @param {EventContext} ctx - Event context
+   * @returns {boolean} True if handled
+   */
+  handle(ctx) {
+    ctx.consume();
+    const obj = ctx.hitResult.object;
+    const massSelection = ctx.massSelection;
+
+    // Finish any active editing (shapes, etc.) before selecting the group
+    if (ctx.im._editingObject?.finishEditing) {
+      ctx.im._editingObject.finishEditing();
+      ctx.im._editingObject = null;
+    }
+
+    massSelection.selectGroup(obj.groupId);
+
+    if (massSelection.selectedIds.size >= 2) {
+      massSelection.startMassDrag(ctx.event);
+      return true;
+    }
+
+    // Other members are frozen or gone - behave like a regular object
+    massSelection.clear();
+    ctx.im._select(obj.id);
+    if (obj.getCapabilities?.()?.draggable !== false) {
+      ctx.im._startDrag(obj.id, ctx.event);
+    }
+    return true;
+  }
+};
+
 /**
  * ObjectDragHandler (priority 300)
  * 
@@ -1092,6 +1415,11 @@ export const ObjectDragHandler = {
     }
     
     ctx.im._select(id);
+
+    // Select only (e.g. connectors attached to objects move with them)
+    const caps = ctx.hitResult.object.getCapabilities?.();
+    if (caps?.draggable === false) return true;
+
     ctx.im._startDrag(id, ctx.event);
     return true;
   }
@@ -1142,10 +1470,12 @@ export const CanvasDeselectHandler = {
 export function getLowPriorityMouseDownHandlers() {
   return [
     WidthResizeHandler,
+    LineEndpointHandler,
     StretchResizeHandler,  // Unified stretch handles (width/height)
     CropHandleHandler,
     ScaleHandleHandler,
     CircleCropDragHandler,
+    GroupSelectHandler,
     ObjectDragHandler,
     CanvasDeselectHandler
   ];
@@ -0,0 +1,846 @@
+/**
+ * Sticky Notes Module for Whiteboard Experience
+ *
+ * Стикеры - квадратные заметки фиксированного размера (аспекты, улики, идеи игроков)
+ *
+ * Архитектура:
+ * - Размер заметки постоянный (NOTE_SIZE), меняется только scale (как у текста)
+ * - textSize - максимальный размер шрифта; фактический подбирается локально
+ *   под содержимое (_fitText) и не синхронизируется
+ * - Вставка многострочного текста при активном инструменте (или выбранной
+ *   заметке) создаёт по заметке на строку - см. pasteLinesAsNotes()
+ */
+
+import { ShapeView } from './shapes.mjs';
+
+const MODULE_NAME = 'WBE-Notes';
+const TOOL_ID = 'wbe-note';
+
+// Palette (first one is the default)
+const NOTE_COLORS = {
+  yellow: '#fff176',
+  orange: '#ffcc80',
+  pink: '#f8bbd0',
+  purple: '#d1c4e9',
+  blue: '#b3e5fc',
+  green: '#c5e1a5'
+};
+
+const NOTE_SIZE = 200;
+const NOTE_PADDING = 14;
+const FOLD_SIZE = 22; // Загнутый угол (правый нижний)
+const DEFAULT_TEXT_COLOR = '#1a1a1a';
+const DEFAULT_TEXT_SIZE = 28; // Upper bound for auto-fit
+const MIN_FONT_SIZE = 8;
+const PASTE_GAP = 20; // Расстояние между заметками при вставке списка
+
+/**
+ * Darker shade of a hex color (folded corner)
+ */
+function shadeColor(hex, factor = 0.8) {
+  const value = (hex || NOTE_COLORS.yellow).replace('#', '');
+  const full = value.length === 3 ? value.split('').map(c => c + c).join('') : value;
+  const num = parseInt(full, 16) || 0;
+  const channel = (shift) => Math.round(((num >> shift) & 255) * factor);
+  return `rgb(${channel(16)}, ${channel(8)}, ${channel(0)})`;
+}
+
+// ==========================================
+// NoteManager - tool, hotkey and list paste
+// ==========================================
+
+class NoteManager {
+  constructor() {
+    this.layer = null;
+    this.enabled = false;
+    this.lastColor = NOTE_COLORS.yellow; // New notes take the last picked color
+
+    this._onKeyDown = this._onKeyDown.bind(this);
+  }
+
+  init(retryCount = 0) {
+    // Notes are text objects in practice
+    if (window.WBE_isFeatureEnabled && !window.WBE_isFeatureEnabled('texts')) {
+      console.log(`[${MODULE_NAME}] Disabled in settings`);
+      return;
+    }
+
+    if (!window.Whiteboard?.layer?.element) {
+      if (retryCount < 10) {
+        if (retryCount === 0) {
+          console.log(`[${MODULE_NAME}] Waiting for Whiteboard...`);
+        }
+        setTimeout(() => this.init(retryCount + 1), 500);
+      } else {
+        console.log(`[${MODULE_NAME}] Whiteboard not available (no active scene?). Will init on canvasReady.`);
+        Hooks.once('canvasReady', () => this.init(0));
+      }
+      return;
+    }
+
+    this.layer = window.Whiteboard.layer.element;
+    this._initStyles();
+    this._registerObjectType();
+    window.addEventListener('keydown', this._onKeyDown);
+    this._addToolbarButton();
+
+    Hooks.on('canvasReady', () => {
+      this.layer = window.Whiteboard?.layer?.element || this.layer;
+    });
+
+    console.log(`[${MODULE_NAME}] Initialized`);
+  }
+
+  _initStyles() {
+    if (document.getElementById('wbe-notes-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'wbe-notes-styles';
+    style.textContent = `
+      #board.wbe-note-crosshair,
+      #board.wbe-note-crosshair *,
+      #whiteboard-experience-layer.wbe-note-crosshair,
+      #whiteboard-experience-layer.wbe-note-crosshair * {
+        cursor: crosshair !important;
+      }
+
+      .wbe-note-text:empty::before {
+        content: attr(data-placeholder);
+        opacity: 0.4;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  _registerObjectType() {
+    if (!window.Whiteboard?.registerObjectType) {
+      console.warn(`[${MODULE_NAME}] registerObjectType not available`);
+      return;
+    }
+
+    window.Whiteboard.registerObjectType('note', {
+      ViewClass: NoteView,
+      PanelClass: NotePanel
+    });
+
+    // Storage type is registered in 'init' hook (before WBE loads data)
+    console.log(`[${MODULE_NAME}] Object type 'note' registered`);
+  }
+
+  _addToolbarButton() {
+    if (!window.WBEToolbar?.registerTool) {
+      console.warn(`[${MODULE_NAME}] WBEToolbar not available, retrying...`);
+      setTimeout(() => this._addToolbarButton(), 500);
+      return;
+    }
+
+    window.WBEToolbar.registerTool({
+      id: TOOL_ID,
+      title: 'Sticky Note (N)',
+      icon: 'fa-solid fa-note-sticky',
+      group: 'create',
+      type: 'tool',
+      onActivate: () => this.enableTool(),
+      onDeactivate: () => this.disableTool()
+    });
+  }
+
+  enableTool() {
+    this.enabled = true;
+    document.getElementById('board')?.classList.add('wbe-note-crosshair');
+    this.layer?.classList.add('wbe-note-crosshair');
+  }
+
+  disableTool() {
+    this.enabled = false;
+    document.getElementById('board')?.classList.remove('wbe-note-crosshair');
+    this.layer?.classList.remove('wbe-note-crosshair');
+  }
+
+  _getWorldCoords(clientX, clientY) {
+    const rect = this.layer.getBoundingClientRect();
+    const scale = canvas?.stage?.worldTransform?.a || 1;
+    return {
+      x: (clientX - rect.left) / scale,
+      y: (clientY - rect.top) / scale
+    };
+  }
+
+  /**
+   * Create a note centered at the cursor and start typing (like the text tool)
+   * @param {number} clientX
+   * @param {number} clientY
+   * @returns {NoteView|null}
+   */
+  createNoteAt(clientX, clientY) {
+    const im = window.Whiteboard?.interaction;
+    if (!im?._createObjectAt || !this.layer) return null;
+
+    im._deselect();
+    const center = this._getWorldCoords(clientX, clientY);
+    // Zoomed out: enlarge the note so it stays readable (same rule as new texts)
+    const canvasScale = canvas?.stage?.scale?.x || 1;
+    const note = im._createObjectAt('note', 0, 0, {
+      x: Math.round(center.x - NOTE_SIZE / 2),
+      y: Math.round(center.y - NOTE_SIZE / 2),
+      scale: Math.max(1, 1 / canvasScale),
+      color: this.lastColor
+    });
+
+    // One note per click - back to selection (same as the text tool)
+    window.WBEToolbar?.deactivateAllTools?.();
+    note?.startEditing();
+    return note;
+  }
+
+  /**
+   * Paste plain text as one note per line
+   * Only while the note tool is active or a note is selected - otherwise it is a normal text paste
+   * @param {string} text - clipboard text
+   * @returns {boolean} true if handled
+   */
+  pasteLinesAsNotes(text) {
+    const wb = window.Whiteboard;
+    const im = wb?.interaction;
+    if (!im || !wb.registry || !this.layer) return false;
+
+    const selected = im.selectedId ? wb.registry.get(im.selectedId) : null;
+    if (!this.enabled && selected?.type !== 'note') return false;
+
+    const lines = (text || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (lines.length === 0) return false;
+
+    const origin = this._getWorldCoords(
+      im.lastMouseX ?? window.innerWidth / 2,
+      im.lastMouseY ?? window.innerHeight / 2
+    );
+    const columns = Math.ceil(Math.sqrt(lines.length));
+    const step = NOTE_SIZE + PASTE_GAP;
+    const color = selected?.type === 'note' ? selected.color : this.lastColor;
+
+    im._deselect();
+    im.history?.beginTransaction();
+    const ids = [];
+    try {
+      lines.forEach((line, index) => {
+        const note = new NoteView({
+          x: Math.round(origin.x + (index % columns) * step),
+          y: Math.round(origin.y + Math.floor(index / columns) * step),
+          text: line,
+          color
+        });
+        wb.registry.register(note, 'local');
+        ids.push(note.id);
+      });
+    } finally {
+      im.history?.endTransaction();
+    }
+
+    if (ids.length === 1) {
+      im._select(ids[0]);
+    } else if (im.massSelection) {
+      for (const id of ids) im.massSelection.toggleObject(id, true);
+    }
+    window.WBEToolbar?.deactivateAllTools?.();
+    ui?.notifications?.info?.(`Pasted ${ids.length} note(s)`);
+    return true;
+  }
+
+  _onKeyDown(e) {
+    if (this._isInputFocused()) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.code !== 'KeyN') return;
+
+    e.preventDefault();
+    // Toggle via toolbar to keep UI in sync
+    if (this.enabled) {
+      window.WBEToolbar?.deactivateAllTools?.();
+    } else if (window.WBEToolbar?.activateTool) {
+      window.WBEToolbar.activateTool(TOOL_ID);
+    } else {
+      this.enableTool();
+    }
+  }
+
+  _isInputFocused() {
+    const active = document.activeElement;
+    return active?.tagName === 'INPUT' ||
+      active?.tagName === 'TEXTAREA' ||
+      active?.isContentEditable;
+  }
+
+  destroy() {
+    this.disableTool();
+    window.removeEventListener('keydown', this._onKeyDown);
+  }
+}
+
+
+// ==========================================
+// NoteView - Model + View
+// ==========================================
+
+class NoteView {
+  constructor(data) {
+    this.id = data.id || `note-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
+    this.type = 'note';
+
+    this.x = data.x || 0;
+    this.y = data.y || 0;
+    // Fixed size - notes are resized with scale only
+    this.width = NOTE_SIZE;
+    this.height = NOTE_SIZE;
+    this.scale = data.scale !== undefined ? data.scale : 1;
+
+    this.text = data.text || '';
+    this.color = data.color || NOTE_COLORS.yellow;
+    this.textColor = data.textColor || DEFAULT_TEXT_COLOR;
+    this.textSize = data.textSize || DEFAULT_TEXT_SIZE;
+    this.textAlign = data.textAlign || 'center';
+    this.fontFamily = data.fontFamily || 'Arial';
+    this.fontWeight = data.fontWeight || 'normal';
+    this.fontStyle = data.fontStyle || 'normal';
+
+    this.frozen = data.frozen || false;
+    this.selected = data.selected || false;
+    this.rank = data.rank || data.zIndexRank || '';
+    this.zIndex = data.zIndex;
+    this.groupId = data.groupId || null;
+    this.groupName = data.groupName || '';
+    this.name = data.name || '';
+
+    this.element = null;
+    this.textElement = null;
+    this.isEditing = false;
+    this._fitFrame = null;
+  }
+
+  // ==========================================
+  // WBE Interface Methods (required)
+  // ==========================================
+
+  getSerializationKey() {
+    return 'note';
+  }
+
+  getSearchableFields() {
+    return ['text'];
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.type,
+      x: this.x,
+      y: this.y,
+      scale: this.scale,
+      text: this.text,
+      color: this.color,
+      textColor: this.textColor,
+      textSize: this.textSize,
+      textAlign: this.textAlign,
+      fontFamily: this.fontFamily,
+      fontWeight: this.fontWeight,
+      fontStyle: this.fontStyle,
+      frozen: this.frozen,
+      rank: this.rank,
+      groupId: this.groupId,
+      groupName: this.groupName,
+      name: this.name
+    };
+  }
+
+  updateClickTarget(_container) {
+    // Whole note is the click target
+  }
+
+  getContainerSelector() {
+    return '.wbe-note-container';
+  }
+
+  usesTransformScale() {
+    return true;
+  }
+
+  /**
+   * Apply group scale transformation (for mass selection scaling)
+   * Container uses transform-origin: center, so the visual center is scaled around the pivot
+   */
+  applyGroupScale(scaleFactor, pivotX, pivotY, startData) {
+    const centerX = pivotX + (startData.x + NOTE_SIZE / 2 - pivotX) * scaleFactor;
+    const centerY = pivotY + (startData.y + NOTE_SIZE / 2 - pivotY) * scaleFactor;
+    return {
+      x: centerX - NOTE_SIZE / 2,
+      y: centerY - NOTE_SIZE / 2,
+      scale: startData.scale * scaleFactor
+    };
+  }
+
+  isFrozen() {
+    return this.frozen === true;
+  }
+
+  getCapabilities() {
+    return {
+      scalable: true,
+      draggable: true,
+      freezable: true,
+      editable: true,
+      stretchX: false,
+      stretchY: false
+    };
+  }
+
+  canEdit() {
+    return true;
+  }
+
+  getCopyData(_layer) {
+    return this.toJSON();
+  }
+
+  getElementForHitTest(layer) {
+    return layer?.getObjectContainer(this.id) || this.element;
+  }
+
+  onCreated(_interactionManager, _options) {
+    // Notes don't need special post-creation logic
+  }
+
+  render() {
+    this.element = document.createElement('div');
+    this.element.id = this.id;
+    this.element.className = 'wbe-note-container';
+    this.element.dataset.objectType = 'note';
+    // drop-shadow follows the folded corner (box-shadow would stay square)
+    this.element.style.cssText = `
+      position: absolute;
+      left: ${Math.round(this.x)}px;
+      top: ${Math.round(this.y)}px;
+      width: ${NOTE_SIZE}px;
+      height: ${NOTE_SIZE}px;
+      pointer-events: auto;
+      transform-origin: center;
+      filter: drop-shadow(2px 4px 6px rgba(0, 0, 0, 0.35));
+    `;
+
+    const body = document.createElement('div');
+    body.className = 'wbe-note-body';
+    body.style.cssText = `
+      position: absolute;
+      inset: 0;
+      display: flex;
+      align-items: center;
+      padding: ${NOTE_PADDING}px;
+      box-sizing: border-box;
+      clip-path: polygon(0 0, 100% 0, 100% calc(100% - ${FOLD_SIZE}px), calc(100% - ${FOLD_SIZE}px) 100%, 0 100%);
+    `;
+    this.element.appendChild(body);
+
+    const fold = document.createElement('div');
+    fold.className = 'wbe-note-fold';
+    fold.style.cssText = `
+      position: absolute;
+      right: 0;
+      bottom: 0;
+      width: ${FOLD_SIZE}px;
+      height: ${FOLD_SIZE}px;
+      pointer-events: none;
+    `;
+    this.element.appendChild(fold);
+
+    this.textElement = document.createElement('div');
+    this.textElement.className = 'wbe-note-text';
+    this.textElement.dataset.placeholder = 'Type...';
+    this.textElement.style.cssText = `
+      width: 100%;
+      max-height: 100%;
+      overflow: hidden;
+      white-space: pre-wrap;
+      overflow-wrap: break-word;
+      line-height: 1.2;
+      user-select: none;
+      outline: none;
+    `;
+    body.appendChild(this.textElement);
+
+    this.updateElement(this.element, null);
+
+    return this.element;
+  }
+
+  /**
+   * Update internal state from data (called by WBE on sync/load)
+   */
+  updateFromData(data) {
+    const keys = [
+      'x', 'y', 'scale', 'text', 'color', 'textColor', 'textSize', 'textAlign', 'fontFamily',
+      'fontWeight', 'fontStyle', 'frozen', 'selected', 'rank', 'zIndex', 'groupId', 'groupName', 'name'
+    ];
+    for (const key of keys) {
+      if (data[key] !== undefined) this[key] = data[key];
+    }
+    if (data.zIndexRank !== undefined) this.rank = data.zIndexRank; // Legacy support
+  }
+
+  /**
+   * Update DOM element from changes (called by WBE after registry update)
+   * @param {HTMLElement} container - the container element
+   * @param {Object} changes - changed properties
+   */
+  updateElement(container, changes) {
+    if (!container) return;
+
+    if (!changes || 'x' in changes || 'y' in changes) {
+      container.style.left = `${Math.round(this.x)}px`;
+      container.style.top = `${Math.round(this.y)}px`;
+    }
+    if (!changes || 'scale' in changes) {
+      const scale = this.scale !== undefined ? this.scale : 1;
+      container.style.transform = scale !== 1 ? `scale(${scale})` : '';
+    }
+
+    if (!changes || 'color' in changes) {
+      const body = container.querySelector('.wbe-note-body');
+      const fold = container.querySelector('.wbe-note-fold');
+      if (body) body.style.background = this.color;
+      if (fold) fold.style.background = `linear-gradient(to bottom right, ${shadeColor(this.color)} 50%, transparent 50%)`;
+    }
+
+    const textKeys = ['text', 'textColor', 'textSize', 'textAlign', 'fontFamily', 'fontWeight', 'fontStyle'];
+    if (!changes || textKeys.some(key => key in changes)) {
+      this._updateTextElement(container);
+    }
+
+    // Frozen - show/hide unfreeze icon and deselect
+    if (!changes || 'frozen' in changes) {
+      container.style.pointerEvents = this.frozen ? 'none' : 'auto';
+      if (this.frozen) {
+        this._showUnfreezeIcon(container);
+        if (this.selected) {
+          this.selected = false;
+          window.Whiteboard?.interaction?._deselect?.();
+        }
+      } else {
+        this._hideUnfreezeIcon(container);
+      }
+    }
+  }
+
+  _updateTextElement(container) {
+    const textEl = container.querySelector('.wbe-note-text');
+    if (!textEl) return;
+    textEl.style.color = this.textColor;
+    textEl.style.textAlign = this.textAlign;
+    textEl.style.fontFamily = this.fontFamily;
+    textEl.style.fontWeight = this.fontWeight;
+    textEl.style.fontStyle = this.fontStyle;
+    if (!this.isEditing) {
+      textEl.textContent = this.text;
+    }
+    this._scheduleFit();
+  }
+
+  /**
+   * Fit after layout - render() runs before the container is attached
+   */
+  _scheduleFit() {
+    if (this._fitFrame !== null) return;
+    this._fitFrame = requestAnimationFrame(() => {
+      this._fitFrame = null;
+      this._fitText();
+    });
+  }
+
+  /**
+   * Shrink the font from textSize until the text fits the note
+   */
+  _fitText() {
+    const textEl = this.textElement;
+    if (!textEl?.isConnected) return;
+
+    const overflows = () => textEl.scrollHeight > textEl.clientHeight + 1 || textEl.scrollWidth > textEl.clientWidth + 1;
+    let size = this.textSize;
+    textEl.style.fontSize = `${size}px`;
+    while (size > MIN_FONT_SIZE && overflows()) {
+      size -= 1;
+      textEl.style.fontSize = `${size}px`;
+    }
+  }
+
+  // Same unfreeze icon as shapes (handled by WBE's UnfreezeIconHandler)
+  _showUnfreezeIcon(container) {
+    ShapeView.prototype._showUnfreezeIcon.call(this, container);
+  }
+
+  _hideUnfreezeIcon(container) {
+    ShapeView.prototype._hideUnfreezeIcon.call(this, container);
+  }
+
+  /**
+   * Enter text editing mode (double-click, or right after creation)
+   */
+  startEditing() {
+    if (this.isEditing || this.frozen) return;
+
+    const textEl = this.textElement;
+    if (!textEl) return;
+
+    this.isEditing = true;
+    textEl.style.userSelect = 'text';
+    textEl.style.cursor = 'text';
+    textEl.contentEditable = 'true';
+    textEl.focus();
+
+    const range = document.createRange();
+    range.selectNodeContents(textEl);
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+
+    // Register as being edited (WBE finishes editing on outside clicks)
+    if (window.Whiteboard?.interaction) {
+      window.Whiteboard.interaction._editingObject = this;
+    }
+
+    this._onTextKeyDown = (e) => {
+      // Enter commits, Shift+Enter - new line (same as text objects)
+      if ((e.key === 'Enter' && !e.shiftKey) || e.key === 'Escape') {
+        e.preventDefault();
+        textEl.blur();
+      }
+    };
+    // Shrink while typing
+    this._onTextInput = () => this._fitText();
+    // Keep the note plain text - no formatting from other apps
+    this._onTextPaste = (e) => {
+      e.preventDefault();
+      const pasted = (e.clipboardData || window.clipboardData)?.getData('text/plain') || '';
+      document.execCommand('insertText', false, pasted);
+    };
+    textEl.addEventListener('keydown', this._onTextKeyDown);
+    textEl.addEventListener('input', this._onTextInput);
+    textEl.addEventListener('paste', this._onTextPaste);
+    textEl.addEventListener('blur', () => this.finishEditing(), { once: true });
+  }
+
+  /**
+   * Finish text editing mode
+   */
+  finishEditing() {
+    if (!this.isEditing) return;
+
+    const textEl = this.textElement;
+    this.isEditing = false;
+    if (!textEl) return;
+
+    textEl.contentEditable = 'false';
+    textEl.style.userSelect = 'none';
+    textEl.style.cursor = '';
+    textEl.removeEventListener('keydown', this._onTextKeyDown);
+    textEl.removeEventListener('input', this._onTextInput);
+    textEl.removeEventListener('paste', this._onTextPaste);
+    this._onTextKeyDown = this._onTextInput = this._onTextPaste = null;
+
+    if (window.Whiteboard?.interaction?._editingObject === this) {
+      window.Whiteboard.interaction._editingObject = null;
+    }
+
+    const newText = (textEl.innerText || '').replace(/\n+$/, '');
+    if (newText !== this.text && window.Whiteboard?.registry) {
+      window.Whiteboard.registry.update(this.id, { text: newText }, 'local');
+    } else {
+      this._updateTextElement(this.element);
+    }
+  }
+
+  destroy() {
+    if (this._fitFrame !== null) {
+      cancelAnimationFrame(this._fitFrame);
+      this._fitFrame = null;
+    }
+    if (this.element?.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+    this.element = null;
+    this.textElement = null;
+  }
+}
+
+// ==========================================
+// NotePanel - uses WBE BasePanelView for consistent UI
+// ==========================================
+
+class NotePanel {
+  constructor(registry, layer) {
+    this.registry = registry;
+    this.layer = layer;
+    this.noteId = null;
+    this.view = null;
+    this._outsideClickHandler = null;
+  }
+
+  show(noteId) {
+    const obj = this.registry.get(noteId);
+    if (!obj || obj.type !== 'note') return;
+
+    this.hide();
+    this.noteId = noteId;
+
+    const container = this.layer?.getObjectContainer(noteId);
+    if (!container) return;
+
+    this._createPanel(container, obj);
+  }
+
+  _createPanel(container, obj) {
+    const BasePanelView = window.WBE_BasePanelView;
+    if (!BasePanelView) {
+      console.warn(`[${MODULE_NAME}] BasePanelView not available`);
+      return;
+    }
+
+    this.view = new BasePanelView();
+    this.view.createPanel();
+
+    const update = (changes) => this.registry.update(this.noteId, changes, 'local');
+
+    const colorBtn = this.view.makeToolbarButton('Color', 'fas fa-palette', () => {
+      this._openColorSubpanel(colorBtn);
+    });
+    this.view.toolbar.appendChild(colorBtn);
+
+    // Text size is the largest size - long text shrinks below it
+    const textBtn = this.view.makeToolbarButton('Text', 'fas fa-font', () => {
+      const current = this.registry.get(this.noteId);
+      this.view.openTextSubpanel(textBtn, {
+        textColor: current?.textColor || DEFAULT_TEXT_COLOR,
+        textSize: current?.textSize || DEFAULT_TEXT_SIZE,
+        textAlign: current?.textAlign || 'center',
+        fontWeight: current?.fontWeight || 'normal',
+        fontStyle: current?.fontStyle || 'normal',
+        fontFamily: current?.fontFamily || 'Arial'
+      }, (changes) => {
+        const textKeys = ['textColor', 'textSize', 'textAlign', 'fontWeight', 'fontStyle', 'fontFamily'];
+        const textChanges = Object.fromEntries(Object.entries(changes).filter(([key]) => textKeys.includes(key)));
+        if (Object.keys(textChanges).length > 0) update(textChanges);
+      });
+    });
+    this.view.toolbar.appendChild(textBtn);
+
+    // Lock toggle
+    const lockBtn = this.view.makeLockButton(obj.frozen, (newFrozenState) => {
+      update({ frozen: newFrozenState });
+      this.hide();
+    });
+    this.view.toolbar.appendChild(lockBtn);
+
+    document.body.appendChild(this.view.panel);
+    this.view.positionNear(container);
+
+    // Close on outside click
+    setTimeout(() => {
+      this._outsideClickHandler = (e) => {
+        if (!this.view?.isClickInside(e)) {
+          this.hide();
+        }
+      };
+      document.addEventListener('mousedown', this._outsideClickHandler);
+    }, 100);
+  }
+
+  /**
+   * Palette swatches + custom color picker
+   */
+  _openColorSubpanel(button) {
+    if (this.view.activeButton === button) {
+      this.view.closeSubpanel();
+      return;
+    }
+
+    const current = this.registry.get(this.noteId);
+    if (!current) return;
+
+    const setColor = (color) => {
+      this.registry.update(this.noteId, { color }, 'local');
+      if (window.WBE_Notes) window.WBE_Notes.lastColor = color;
+    };
+
+    const content = document.createElement('div');
+    content.style.cssText = 'display: flex; align-items: center; gap: 6px;';
+
+    for (const [name, color] of Object.entries(NOTE_COLORS)) {
+      const swatch = document.createElement('button');
+      swatch.type = 'button';
+      swatch.title = name.charAt(0).toUpperCase() + name.slice(1);
+      swatch.style.cssText = `
+        width: 22px;
+        height: 22px;
+        padding: 0;
+        border-radius: 4px;
+        border: 2px solid ${current.color === color ? '#4a9eff' : '#d0d0d0'};
+        background: ${color};
+        cursor: pointer;
+      `;
+      swatch.addEventListener('click', () => {
+        setColor(color);
+        content.querySelectorAll('button').forEach(btn => { btn.style.borderColor = '#d0d0d0'; });
+        swatch.style.borderColor = '#4a9eff';
+      });
+      content.appendChild(swatch);
+    }
+
+    const custom = this.view.makeColorSwatchWithPicker(current.color, 22, (hex) => setColor(hex));
+    custom.title = 'Custom color';
+    content.appendChild(custom);
+
+    this.view.openSubpanel(button, content);
+  }
+
+  hide() {
+    if (this._outsideClickHandler) {
+      document.removeEventListener('mousedown', this._outsideClickHandler);
+      this._outsideClickHandler = null;
+    }
+    if (this.view) {
+      this.view.destroy();
+      this.view = null;
+    }
+    this.noteId = null;
+  }
+
+  updatePosition() {
+    if (!this.noteId || !this.view?.panel) return;
+    const container = this.layer?.getObjectContainer(this.noteId);
+    if (container) {
+      this.view.positionNear(container);
+    }
+  }
+}
+
+// ==========================================
+// Initialization
+// ==========================================
+
+const noteManager = new NoteManager();
+
+if (typeof Hooks !== 'undefined') {
+  // Register storage type EARLY (before WBE loads data in 'ready')
+  Hooks.once('init', () => {
+    if (window.Whiteboard?.registerStorageType) {
+      window.Whiteboard.registerStorageType('note', 'notes');
+      console.log(`[${MODULE_NAME}] Queued storage type 'note' -> 'notes'`);
+    }
+  });
+
+  Hooks.once('ready', () => {
+    setTimeout(() => noteManager.init(), 200);
+  });
+} else {
+  setTimeout(() => noteManager.init(), 1000);
+}
+
+export { NoteManager, NoteView, NotePanel, NOTE_COLORS };
+export default noteManager;
+
+window.WBE_Notes = noteManager;
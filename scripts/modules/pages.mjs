@@ -0,0 +1,331 @@
+/**
+ * Page Strip Module for Whiteboard Experience
+ *
+ * Полоска вкладок страниц сцены (подготовка, бой, эпилог) внизу экрана
+ *
+ * Архитектура:
+ * - Логика страниц (хранение, переключение, "все на эту страницу") - в PageController
+ *   (Whiteboard.pages); модуль только рисует вкладки и зовёт его методы
+ * - Игроки видят полоску, только когда страниц больше одной
+ * - GM: "+" добавляет страницу, двойной клик - переименовать, корзина (два клика) - удалить,
+ *   замок - держать всех игроков на текущей странице
+ */
+
+const MODULE_NAME = 'WBE-Pages';
+const STRIP_ID = 'wbe-page-strip';
+const DELETE_CONFIRM_MS = 3000; // Second click on the trash icon within this time deletes
+
+class PageStrip {
+  constructor() {
+    this.element = null;
+    this._state = null;
+    this._renamingId = null;
+    this._confirmDeleteId = null;
+    this._confirmTimer = null;
+  }
+
+  init(retryCount = 0) {
+    if (!window.Whiteboard?.pages) {
+      if (retryCount < 10) {
+        if (retryCount === 0) {
+          console.log(`[${MODULE_NAME}] Waiting for Whiteboard...`);
+        }
+        setTimeout(() => this.init(retryCount + 1), 500);
+      } else {
+        console.log(`[${MODULE_NAME}] Whiteboard not available (no active scene?). Will init on canvasReady.`);
+        Hooks.once('canvasReady', () => this.init(0));
+      }
+      return;
+    }
+
+    this._initStyles();
+    window.Whiteboard.registerUISelector?.(`#${STRIP_ID}`);
+    window.Whiteboard.registerUISelector?.(`#${STRIP_ID} *`);
+    window.Whiteboard.pages.subscribe((state) => this.render(state));
+    this.render();
+
+    console.log(`[${MODULE_NAME}] Initialized`);
+  }
+
+  _initStyles() {
+    if (document.getElementById('wbe-pages-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'wbe-pages-styles';
+    style.textContent = `
+      #${STRIP_ID} {
+        position: fixed;
+        left: 50%;
+        bottom: 84px;
+        transform: translateX(-50%);
+        z-index: 100;
+        display: flex;
+        align-items: center;
+        gap: 2px;
+        max-width: 70vw;
+        padding: 4px;
+        background: rgba(30, 30, 30, 0.95);
+        border: 1px solid rgba(255, 255, 255, 0.1);
+        border-radius: 6px;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.4);
+        color: #e0e0e0;
+        font-size: 12px;
+        overflow-x: auto;
+      }
+
+      #${STRIP_ID} .wbe-page-tab {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        padding: 4px 10px;
+        border-radius: 4px;
+        white-space: nowrap;
+        cursor: pointer;
+        user-select: none;
+      }
+
+      #${STRIP_ID} .wbe-page-tab:hover {
+        background: rgba(255, 255, 255, 0.08);
+      }
+
+      #${STRIP_ID} .wbe-page-tab.active {
+        background: rgba(28, 134, 255, 0.35);
+        color: #fff;
+      }
+
+      #${STRIP_ID} .wbe-page-tab.blocked {
+        opacity: 0.45;
+        cursor: not-allowed;
+      }
+
+      #${STRIP_ID} .wbe-page-tab i {
+        font-size: 10px;
+      }
+
+      #${STRIP_ID} input {
+        width: 110px;
+        padding: 1px 4px;
+        border: 1px solid rgba(255, 255, 255, 0.3);
+        border-radius: 3px;
+        background: rgba(0, 0, 0, 0.3);
+        color: #fff;
+        font-size: 12px;
+      }
+
+      #${STRIP_ID} button {
+        width: auto;
+        height: auto;
+        margin: 0;
+        padding: 3px 6px;
+        border: none;
+        border-radius: 4px;
+        background: none;
+        color: rgba(255, 255, 255, 0.6);
+        font-size: 11px;
+        line-height: 1;
+        cursor: pointer;
+      }
+
+      #${STRIP_ID} button:hover {
+        background: rgba(255, 255, 255, 0.12);
+        color: #fff;
+      }
+
+      #${STRIP_ID} button.on {
+        color: #ffb74d;
+      }
+
+      #${STRIP_ID} button.confirm {
+        color: #ff5252;
+      }
+
+      #${STRIP_ID} .wbe-page-separator {
+        width: 1px;
+        align-self: stretch;
+        margin: 2px 4px;
+        background: rgba(255, 255, 255, 0.15);
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  /**
+   * Re-render tabs
+   * @param {Object} [state] - { pages, currentPageId, forcedPageId } from PageController
+   */
+  render(state = null) {
+    const controller = window.Whiteboard?.pages;
+    if (!controller) return;
+    this._state = state || {
+      pages: controller.getPages(),
+      currentPageId: controller.currentPageId,
+      forcedPageId: controller.getForcedPageId()
+    };
+    const { pages, currentPageId, forcedPageId } = this._state;
+    const isGM = !!game.user?.isGM;
+
+    // A single page needs no navigation (GM still gets "+")
+    if (!canvas?.scene || (!isGM && pages.length < 2)) {
+      this.element?.remove();
+      this.element = null;
+      return;
+    }
+
+    if (!this.element) {
+      this.element = document.createElement('div');
+      this.element.id = STRIP_ID;
+      document.body.appendChild(this.element);
+    }
+    this.element.replaceChildren();
+
+    for (const page of pages) {
+      this.element.appendChild(this._createTab(page, { currentPageId, forcedPageId, isGM }));
+    }
+
+    if (isGM) {
+      const addBtn = this._createButton('fa-solid fa-plus', 'Add page', async () => {
+        const pageId = await controller.createPage();
+        if (pageId) controller.switchTo(pageId);
+      });
+      this.element.appendChild(addBtn);
+
+      if (pages.length > 1) {
+        const separator = document.createElement('div');
+        separator.className = 'wbe-page-separator';
+        this.element.appendChild(separator);
+
+        const isForced = forcedPageId === currentPageId;
+        const lockBtn = this._createButton(
+          isForced ? 'fa-solid fa-lock' : 'fa-solid fa-lock-open',
+          isForced ? 'Players follow you - click to let them switch pages' : 'Keep all players on this page (they follow your switches)',
+          () => controller.setForcedPage(isForced ? null : currentPageId)
+        );
+        lockBtn.classList.toggle('on', isForced);
+        this.element.appendChild(lockBtn);
+      }
+    }
+  }
+
+  _createTab(page, { currentPageId, forcedPageId, isGM }) {
+    const controller = window.Whiteboard.pages;
+    const tab = document.createElement('div');
+    tab.className = 'wbe-page-tab';
+    const isActive = page.id === currentPageId;
+    tab.classList.toggle('active', isActive);
+    const isBlocked = !isGM && forcedPageId && forcedPageId !== page.id;
+    tab.classList.toggle('blocked', !!isBlocked);
+
+    if (forcedPageId === page.id) {
+      const lock = document.createElement('i');
+      lock.className = 'fa-solid fa-lock';
+      lock.title = 'The GM keeps everyone on this page';
+      tab.appendChild(lock);
+    }
+
+    if (this._renamingId === page.id) {
+      tab.appendChild(this._createRenameInput(page));
+      return tab;
+    }
+
+    const label = document.createElement('span');
+    label.textContent = page.name;
+    tab.appendChild(label);
+
+    tab.addEventListener('click', () => {
+      if (!isActive) controller.switchTo(page.id);
+    });
+
+    if (isGM) {
+      tab.title = 'Double-click to rename';
+      tab.addEventListener('dblclick', () => {
+        this._renamingId = page.id;
+        this.render();
+      });
+
+      if (isActive && controller.canDelete(page.id)) {
+        const confirming = this._confirmDeleteId === page.id;
+        const deleteBtn = this._createButton(
+          'fa-solid fa-trash',
+          confirming ? 'Click again to delete the page and everything on it' : 'Delete page',
+          () => this._onDeleteClick(page.id)
+        );
+        deleteBtn.classList.toggle('confirm', confirming);
+        tab.appendChild(deleteBtn);
+      }
+    }
+    return tab;
+  }
+
+  _createRenameInput(page) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = page.name;
+
+    let done = false;
+    const finish = (apply) => {
+      if (done) return;
+      done = true;
+      this._renamingId = null;
+      if (apply && input.value.trim() && input.value.trim() !== page.name) {
+        window.Whiteboard.pages.renamePage(page.id, input.value);
+      }
+      this.render();
+    };
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') finish(true);
+      else if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+    requestAnimationFrame(() => {
+      input.focus();
+      input.select();
+    });
+    return input;
+  }
+
+  _onDeleteClick(pageId) {
+    clearTimeout(this._confirmTimer);
+    if (this._confirmDeleteId === pageId) {
+      this._confirmDeleteId = null;
+      window.Whiteboard.pages.deletePage(pageId);
+      return;
+    }
+    this._confirmDeleteId = pageId;
+    this._confirmTimer = setTimeout(() => {
+      this._confirmDeleteId = null;
+      this.render();
+    }, DELETE_CONFIRM_MS);
+    this.render();
+  }
+
+  _createButton(icon, title, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.title = title;
+    button.innerHTML = `<i class="${icon}"></i>`;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+}
+
+// ==========================================
+// Initialization
+// ==========================================
+
+const pageStrip = new PageStrip();
+
+if (typeof Hooks !== 'undefined') {
+  Hooks.once('ready', () => {
+    setTimeout(() => pageStrip.init(), 200);
+  });
+} else {
+  setTimeout(() => pageStrip.init(), 1000);
+}
+
+export { PageStrip };
+export default pageStrip;
+
+window.WBE_Pages = pageStrip;
@@ -0,0 +1,533 @@
+/**
+ * Presence Module for Whiteboard Experience
+ *
+ * Курсоры других пользователей и индикаторы "кто что выделил/редактирует"
+ *
+ * Архитектура:
+ * - Позиция указателя в мировых координатах рассылается через сокет модуля
+ *   (троттлинг CURSOR_THROTTLE_MS), никогда не сохраняется и не попадает в Registry
+ * - Выделение/редактирование рассылается при изменении (selected/massSelected, начало
+ *   и конец редактирования) и повторно - когда подключается новый пользователь
+ * - Всё рисуется в отдельном оверлее внутри WBE-слоя (мировые координаты),
+ *   подписи компенсируют зум канваса
+ * - Настройки клиента: showRemoteCursors (видеть чужие курсоры) и
+ *   broadcastCursor (делиться своим)
+ */
+
+import { getWorldBounds } from './connectors.mjs';
+
+const MODULE_NAME = 'WBE-Presence';
+const MODULE_ID = 'whiteboard-experience';
+
+// Socket actions (handled via Whiteboard.registerSocketHandler)
+const CURSOR_ACTION = 'presenceCursor';
+const SELECTION_ACTION = 'presenceSelection';
+
+const CURSOR_THROTTLE_MS = 50; // ~20 updates per second
+const CURSOR_IDLE_MS = 10000; // Неподвижный курсор гаснет
+const IDLE_CHECK_MS = 2000;
+const SELECTION_DEBOUNCE_MS = 80;
+const OUTLINE_PADDING = 4;
+const DEFAULT_USER_COLOR = '#4a9eff';
+
+function getSetting(key, fallback) {
+  try {
+    return game.settings.get(MODULE_ID, key);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Foundry user color as CSS (Color object in v12+, string before)
+ */
+function getUserColor(user) {
+  const color = user?.color;
+  if (!color) return DEFAULT_USER_COLOR;
+  return color.css || String(color);
+}
+
+class PresenceManager {
+  constructor() {
+    this.layer = null;
+    this.overlay = null;
+    this.showCursors = true;
+    this.broadcast = true;
+
+    // userId -> { el, lastSeen }
+    this._cursors = new Map();
+    // userId -> { ids: Array<string>, editingId: string|null }
+    this._selections = new Map();
+
+    this._registry = null;
+    this._unsubscribe = null;
+    this._lastClient = null; // Last pointer position (screen)
+    this._pointerOnBoard = false;
+    this._cursorHidden = true; // Last broadcast was "hidden"
+    this._cursorTimer = null;
+    this._cursorDirty = false;
+    this._selectionTimer = null;
+    this._lastSelectionKey = '';
+    this._refreshFrame = null;
+    this._idleInterval = null;
+
+    this._onMouseMove = this._onMouseMove.bind(this);
+    this._onMouseLeave = this._onMouseLeave.bind(this);
+    this._scheduleSelectionBroadcast = this._scheduleSelectionBroadcast.bind(this);
+    this._handleRegistryChange = this._handleRegistryChange.bind(this);
+  }
+
+  init(retryCount = 0) {
+    if (!window.Whiteboard?.layer?.element) {
+      if (retryCount < 10) {
+        if (retryCount === 0) {
+          console.log(`[${MODULE_NAME}] Waiting for Whiteboard...`);
+        }
+        setTimeout(() => this.init(retryCount + 1), 500);
+      } else {
+        console.log(`[${MODULE_NAME}] Whiteboard not available (no active scene?). Will init on canvasReady.`);
+        Hooks.once('canvasReady', () => this.init(0));
+      }
+      return;
+    }
+
+    this.layer = window.Whiteboard.layer.element;
+    this.showCursors = getSetting('showRemoteCursors', true);
+    this.broadcast = getSetting('broadcastCursor', true);
+
+    this._createOverlay();
+    this._subscribeRegistry();
+
+    window.Whiteboard.registerSocketHandler?.(CURSOR_ACTION, (payload) => this._onRemoteCursor(payload));
+    window.Whiteboard.registerSocketHandler?.(SELECTION_ACTION, (payload) => this._onRemoteSelection(payload));
+
+    window.addEventListener('mousemove', this._onMouseMove, { passive: true });
+    document.documentElement.addEventListener('mouseleave', this._onMouseLeave);
+    // Editing starts on double-click and ends on blur - neither always touches the Registry
+    window.addEventListener('dblclick', this._scheduleSelectionBroadcast);
+    window.addEventListener('focusout', this._scheduleSelectionBroadcast);
+
+    Hooks.on('canvasPan', () => this._onCanvasPan());
+    Hooks.on('canvasReady', () => this._onCanvasReady());
+    Hooks.on('userConnected', (user, connected) => this._onUserConnected(user, connected));
+
+    this._idleInterval = setInterval(() => this._fadeIdleCursors(), IDLE_CHECK_MS);
+
+    console.log(`[${MODULE_NAME}] Initialized`);
+  }
+
+  _createOverlay() {
+    this.overlay = document.createElement('div');
+    this.overlay.id = 'wbe-presence-overlay';
+    this.overlay.style.cssText = `
+      position: absolute;
+      top: 0;
+      left: 0;
+      width: 0;
+      height: 0;
+      overflow: visible;
+      pointer-events: none;
+      z-index: 99997;
+    `;
+    this.overlay.classList.toggle('wbe-presence-hide-cursors', !this.showCursors);
+    this.layer.appendChild(this.overlay);
+
+    if (document.getElementById('wbe-presence-styles')) return;
+    const style = document.createElement('style');
+    style.id = 'wbe-presence-styles';
+    style.textContent = `
+      #wbe-presence-overlay.wbe-presence-hide-cursors .wbe-remote-cursor {
+        display: none !important;
+      }
+
+      .wbe-remote-cursor {
+        transition: left 0.08s linear, top 0.08s linear, opacity 0.3s ease;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  /**
+   * Scene change - new layer, nobody's cursor or selection carries over
+   */
+  _onCanvasReady() {
+    const newLayer = window.Whiteboard?.layer?.element;
+    if (newLayer && newLayer !== this.layer) {
+      this.overlay?.remove();
+      this.layer = newLayer;
+      this._createOverlay();
+    }
+    for (const userId of [...this._cursors.keys()]) this._removeCursor(userId);
+    this._selections.clear();
+    this._lastSelectionKey = '';
+    this._subscribeRegistry();
+    this._scheduleOutlineRefresh();
+  }
+
+  _subscribeRegistry() {
+    const registry = window.Whiteboard?.registry;
+    if (!registry || registry === this._registry) return;
+    this._unsubscribe?.();
+    this._registry = registry;
+    this._unsubscribe = registry.subscribe(this._handleRegistryChange);
+  }
+
+  _handleRegistryChange({ id, type, changes }) {
+    // Own selection changed (or an object appeared/disappeared under it)
+    if (type === 'created' || type === 'deleted' ||
+      (changes && ('selected' in changes || 'massSelected' in changes))) {
+      this._scheduleSelectionBroadcast();
+    }
+
+    // Someone else's selection moved/resized/disappeared
+    for (const selection of this._selections.values()) {
+      if (selection.ids.includes(id)) {
+        this._scheduleOutlineRefresh();
+        break;
+      }
+    }
+  }
+
+  // ==========================================
+  // Settings
+  // ==========================================
+
+  /**
+   * @param {boolean} value - show other users' cursors
+   */
+  setShowCursors(value) {
+    this.showCursors = !!value;
+    this.overlay?.classList.toggle('wbe-presence-hide-cursors', !this.showCursors);
+  }
+
+  /**
+   * @param {boolean} value - share own cursor
+   */
+  setBroadcast(value) {
+    this.broadcast = !!value;
+    if (!this.broadcast) {
+      clearTimeout(this._cursorTimer);
+      this._cursorTimer = null;
+      this._cursorDirty = false;
+      this._emitCursorHidden();
+    }
+  }
+
+  // ==========================================
+  // Own cursor broadcast
+  // ==========================================
+
+  _getWorldCoords(clientX, clientY) {
+    const rect = this.layer.getBoundingClientRect();
+    const scale = canvas?.stage?.worldTransform?.a || 1;
+    return {
+      x: Math.round((clientX - rect.left) / scale),
+      y: Math.round((clientY - rect.top) / scale)
+    };
+  }
+
+  _onMouseMove(e) {
+    this._lastClient = { x: e.clientX, y: e.clientY };
+    // Pointer over sidebar/panels has no meaningful board position
+    this._pointerOnBoard = !!e.target?.closest?.('#board, #whiteboard-experience-layer');
+    this._queueCursor();
+  }
+
+  _onMouseLeave() {
+    this._pointerOnBoard = false;
+    this._queueCursor();
+  }
+
+  /**
+   * Throttle: send now, then at most once per CURSOR_THROTTLE_MS (trailing update kept)
+   */
+  _queueCursor() {
+    if (!this.broadcast || !this.layer) return;
+    if (this._cursorTimer !== null) {
+      this._cursorDirty = true;
+      return;
+    }
+
+    this._sendCursor();
+    this._cursorTimer = setTimeout(() => {
+      this._cursorTimer = null;
+      if (this._cursorDirty) {
+        this._cursorDirty = false;
+        this._queueCursor();
+      }
+    }, CURSOR_THROTTLE_MS);
+  }
+
+  _sendCursor() {
+    const socket = window.Whiteboard?.socket;
+    if (!socket) return;
+
+    if (!this._pointerOnBoard || !this._lastClient) {
+      this._emitCursorHidden();
+      return;
+    }
+    const { x, y } = this._getWorldCoords(this._lastClient.x, this._lastClient.y);
+    socket.emit(CURSOR_ACTION, { x, y }, { quiet: true });
+    this._cursorHidden = false;
+  }
+
+  _emitCursorHidden() {
+    if (this._cursorHidden) return;
+    window.Whiteboard?.socket?.emit(CURSOR_ACTION, { hidden: true }, { quiet: true });
+    this._cursorHidden = true;
+  }
+
+  _onCanvasPan() {
+    // The world point under a still pointer changes while panning/zooming
+    if (this._pointerOnBoard) this._queueCursor();
+    this._updateLabelScale();
+    this._scheduleOutlineRefresh();
+  }
+
+  // ==========================================
+  // Own selection broadcast
+  // ==========================================
+
+  _scheduleSelectionBroadcast() {
+    clearTimeout(this._selectionTimer);
+    this._selectionTimer = setTimeout(() => this._broadcastSelection(), SELECTION_DEBOUNCE_MS);
+  }
+
+  _broadcastSelection(force = false) {
+    this._selectionTimer = null;
+    const wb = window.Whiteboard;
+    if (!wb?.registry || !wb.socket) return;
+
+    const im = wb.interaction;
+    const ids = wb.registry.getAll().filter(obj => obj.selected).map(obj => obj.id).sort();
+    const editingId = im?.editingId || im?._editingObject?.id || null;
+    const key = `${ids.join(',')}|${editingId || ''}`;
+    if (!force && key === this._lastSelectionKey) return;
+
+    this._lastSelectionKey = key;
+    wb.socket.emit(SELECTION_ACTION, { ids, editingId }, { quiet: true });
+  }
+
+  _onUserConnected(user, connected) {
+    if (!connected) {
+      this._removeCursor(user.id);
+      if (this._selections.delete(user.id)) this._scheduleOutlineRefresh();
+      return;
+    }
+    // Newcomer doesn't know what we have selected yet
+    this._broadcastSelection(true);
+  }
+
+  // ==========================================
+  // Remote cursors
+  // ==========================================
+
+  _onRemoteCursor({ userId, x, y, hidden }) {
+    if (!userId || userId === game.user?.id || !this.overlay) return;
+
+    if (hidden) {
+      const cursor = this._cursors.get(userId);
+      if (cursor) cursor.el.style.display = 'none';
+      return;
+    }
+
+    const cursor = this._cursors.get(userId) || this._createCursor(userId);
+    cursor.el.style.display = '';
+    cursor.el.style.opacity = '1';
+    cursor.el.style.left = `${x}px`;
+    cursor.el.style.top = `${y}px`;
+    cursor.lastSeen = Date.now();
+  }
+
+  _createCursor(userId) {
+    const user = game.users?.get(userId);
+    const color = getUserColor(user);
+
+    const el = document.createElement('div');
+    el.className = 'wbe-remote-cursor';
+    el.dataset.userId = userId;
+    el.style.cssText = `
+      position: absolute;
+      left: 0;
+      top: 0;
+      pointer-events: none;
+      transform-origin: 0 0;
+      transform: scale(${this._getInverseScale()});
+    `;
+    el.innerHTML = `
+      <svg width="18" height="18" viewBox="0 0 18 18" style="display: block; filter: drop-shadow(0 1px 2px rgba(0,0,0,0.4));">
+        <path d="M1 1 L1 15 L5 11 L8 17 L10.5 16 L7.5 10 L13 10 Z" fill="${color}" stroke="#ffffff" stroke-width="1.2" stroke-linejoin="round"/>
+      </svg>
+    `;
+
+    const label = document.createElement('div');
+    label.className = 'wbe-remote-cursor-label';
+    label.textContent = user?.name || 'Unknown';
+    label.style.cssText = `
+      position: absolute;
+      left: 14px;
+      top: 16px;
+      padding: 1px 6px;
+      border-radius: 4px;
+      background: ${color};
+      color: #ffffff;
+      font-size: 12px;
+      white-space: nowrap;
+      text-shadow: 0 1px 1px rgba(0, 0, 0, 0.4);
+    `;
+    el.appendChild(label);
+    this.overlay.appendChild(el);
+
+    const cursor = { el, lastSeen: Date.now() };
+    this._cursors.set(userId, cursor);
+    return cursor;
+  }
+
+  _removeCursor(userId) {
+    this._cursors.get(userId)?.el.remove();
+    this._cursors.delete(userId);
+  }
+
+  _fadeIdleCursors() {
+    const now = Date.now();
+    for (const cursor of this._cursors.values()) {
+      if (now - cursor.lastSeen > CURSOR_IDLE_MS) cursor.el.style.opacity = '0';
+    }
+  }
+
+  /**
+   * Cursors and name tags keep their screen size at any zoom
+   */
+  _getInverseScale() {
+    return 1 / (canvas?.stage?.worldTransform?.a || 1);
+  }
+
+  _updateLabelScale() {
+    const transform = `scale(${this._getInverseScale()})`;
+    for (const cursor of this._cursors.values()) {
+      cursor.el.style.transform = transform;
+    }
+  }
+
+  // ==========================================
+  // Remote selection outlines
+  // ==========================================
+
+  _onRemoteSelection({ userId, ids, editingId }) {
+    if (!userId || userId === game.user?.id) return;
+
+    if (!Array.isArray(ids) || (ids.length === 0 && !editingId)) {
+      this._selections.delete(userId);
+    } else {
+      this._selections.set(userId, { ids, editingId: editingId || null });
+    }
+    this._scheduleOutlineRefresh();
+  }
+
+  _scheduleOutlineRefresh() {
+    if (this._refreshFrame !== null) return;
+    this._refreshFrame = requestAnimationFrame(() => {
+      this._refreshFrame = null;
+      this._renderOutlines();
+    });
+  }
+
+  _renderOutlines() {
+    if (!this.overlay) return;
+    this.overlay.querySelectorAll('.wbe-presence-outline').forEach(el => el.remove());
+
+    const registry = window.Whiteboard?.registry;
+    if (!registry) return;
+    const inv = this._getInverseScale();
+
+    for (const [userId, { ids, editingId }] of this._selections) {
+      const user = game.users?.get(userId);
+      const color = getUserColor(user);
+      const outlineIds = editingId && !ids.includes(editingId) ? [...ids, editingId] : ids;
+      let labelled = false;
+
+      for (const id of outlineIds) {
+        const obj = registry.get(id);
+        const bounds = obj ? getWorldBounds(obj) : null;
+        if (!bounds) continue;
+
+        const outline = document.createElement('div');
+        outline.className = 'wbe-presence-outline';
+        outline.dataset.userId = userId;
+        outline.style.cssText = `
+          position: absolute;
+          left: ${bounds.left - OUTLINE_PADDING * inv}px;
+          top: ${bounds.top - OUTLINE_PADDING * inv}px;
+          width: ${bounds.right - bounds.left + OUTLINE_PADDING * 2 * inv}px;
+          height: ${bounds.bottom - bounds.top + OUTLINE_PADDING * 2 * inv}px;
+          box-sizing: border-box;
+          border: ${2 * inv}px ${id === editingId ? 'dashed' : 'solid'} ${color};
+          border-radius: ${4 * inv}px;
+          pointer-events: none;
+        `;
+
+        // One name tag per user (on the edited object if any)
+        if (!labelled && (!editingId || id === editingId)) {
+          const tag = document.createElement('div');
+          tag.textContent = id === editingId ? `${user?.name || 'Unknown'} (editing)` : (user?.name || 'Unknown');
+          tag.style.cssText = `
+            position: absolute;
+            left: -2px;
+            bottom: 100%;
+            padding: 1px 6px;
+            border-radius: 4px 4px 4px 0;
+            background: ${color};
+            color: #ffffff;
+            font-size: 12px;
+            white-space: nowrap;
+            transform-origin: 0 100%;
+            transform: scale(${inv});
+          `;
+          outline.appendChild(tag);
+          labelled = true;
+        }
+        this.overlay.appendChild(outline);
+      }
+    }
+  }
+
+  destroy() {
+    this._emitCursorHidden();
+    window.removeEventListener('mousemove', this._onMouseMove);
+    document.documentElement.removeEventListener('mouseleave', this._onMouseLeave);
+    window.removeEventListener('dblclick', this._scheduleSelectionBroadcast);
+    window.removeEventListener('focusout', this._scheduleSelectionBroadcast);
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+    clearTimeout(this._cursorTimer);
+    clearTimeout(this._selectionTimer);
+    clearInterval(this._idleInterval);
+    if (this._refreshFrame !== null) {
+      cancelAnimationFrame(this._refreshFrame);
+      this._refreshFrame = null;
+    }
+    this.overlay?.remove();
+    this.overlay = null;
+    this._cursors.clear();
+    this._selections.clear();
+  }
+}
+
+// ==========================================
+// Initialization
+// ==========================================
+
+const presenceManager = new PresenceManager();
+
+if (typeof Hooks !== 'undefined') {
+  Hooks.once('ready', () => {
+    setTimeout(() => presenceManager.init(), 200);
+  });
+} else {
+  setTimeout(() => presenceManager.init(), 1000);
+}
+
+export { PresenceManager };
+export default presenceManager;
+
+window.WBE_Presence = presenceManager;
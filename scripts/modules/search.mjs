@@ -0,0 +1,735 @@
+/**
+ * Board Search Module for Whiteboard Experience
+ *
+ * Поиск по тексту объектов доски (Ctrl+F): список найденного, подсветка на доске,
+ * переход к каждому результату по очереди, замена текста
+ *
+ * Архитектура:
+ * - Какие поля искать, объект говорит сам: getSearchableFields() (тексты, надписи фигур,
+ *   заметки, заголовки фреймов, подписи коннекторов; свои типы могут добавить свои поля)
+ * - HTML-текст ищется по textContent, замена идёт только в текстовых узлах - разметка цела
+ * - Результаты пересчитываются по событиям Registry, пока панель открыта
+ * - Подсветка - отдельный оверлей внутри WBE-слоя (мировые координаты), как у presence
+ * - Замена пишет через Registry (source 'local'): сокет, сохранение и undo как у обычной правки;
+ *   "Replace all" - один шаг истории. Объекты, которые сейчас редактируются, пропускаются
+ */
+
+import { getWorldBounds } from './connectors.mjs';
+
+const MODULE_NAME = 'WBE-Search';
+const TOOL_ID = 'wbe-search';
+const PANEL_ID = 'wbe-search-panel';
+const OVERLAY_ID = 'wbe-search-overlay';
+
+const SEARCH_DEBOUNCE_MS = 120;
+const SNIPPET_CONTEXT = 24; // Characters around the match in the result list
+const FIT_PADDING = 0.6; // Hit fills at most 60% of the screen
+const READABLE_ZOOM = 1;
+const PAN_DURATION = 400;
+const HIGHLIGHT_PADDING = 6;
+const HTML_PATTERN = /<[a-z][\s\S]*>/i; // Same check as WhiteboardText rendering
+
+const TYPE_ICONS = {
+  text: 'fa-solid fa-font',
+  shape: 'fa-solid fa-shapes',
+  connector: 'fa-solid fa-diagram-project',
+  frame: 'fa-solid fa-object-group',
+  note: 'fa-solid fa-note-sticky'
+};
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isTypingTarget(target) {
+  if (!target) return false;
+  return target.isContentEditable || target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT';
+}
+
+/**
+ * Parse field HTML into an inert document (no image loads, no event handlers - unlike a detached div)
+ */
+function parseHtml(value) {
+  return new DOMParser().parseFromString(value, 'text/html').body;
+}
+
+/**
+ * Visible text of a field value (HTML or plain)
+ */
+function toPlainText(value) {
+  if (typeof value !== 'string') return '';
+  if (!HTML_PATTERN.test(value)) return value;
+  return parseHtml(value).textContent || '';
+}
+
+/**
+ * Replace matches in a field value; HTML keeps its markup (text nodes only)
+ * @returns {{value: string, count: number}}
+ */
+function replaceInValue(value, regex, replacement) {
+  let count = 0;
+  const replaceText = (text) => text.replace(regex, () => {
+    count++;
+    return replacement;
+  });
+
+  if (!HTML_PATTERN.test(value)) {
+    return { value: replaceText(value), count };
+  }
+  const body = parseHtml(value);
+  const walker = body.ownerDocument.createTreeWalker(body, NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    node.nodeValue = replaceText(node.nodeValue);
+  }
+  return { value: count > 0 ? body.innerHTML : value, count };
+}
+
+class BoardSearch {
+  constructor() {
+    this.panel = null;
+    this.overlay = null;
+    this.query = '';
+    this.matchCase = false;
+    this.results = []; // [{ id, type, fields, text, count }] in reading order
+    this.currentIndex = -1;
+
+    this._registry = null;
+    this._unsubscribe = null;
+    this._searchTimer = null;
+    this._highlightFrame = null;
+    this._input = null;
+    this._replaceInput = null;
+    this._counter = null;
+    this._list = null;
+
+    this._onKeyDown = this._onKeyDown.bind(this);
+    this._handleRegistryChange = this._handleRegistryChange.bind(this);
+  }
+
+  init(retryCount = 0) {
+    if (!window.Whiteboard?.layer?.element || !window.Whiteboard?.registry) {
+      if (retryCount < 10) {
+        if (retryCount === 0) {
+          console.log(`[${MODULE_NAME}] Waiting for Whiteboard...`);
+        }
+        setTimeout(() => this.init(retryCount + 1), 500);
+      } else {
+        console.log(`[${MODULE_NAME}] Whiteboard not available (no active scene?). Will init on canvasReady.`);
+        Hooks.once('canvasReady', () => this.init(0));
+      }
+      return;
+    }
+
+    this._initStyles();
+    window.Whiteboard.registerUISelector?.(`#${PANEL_ID}`);
+    window.Whiteboard.registerUISelector?.(`#${PANEL_ID} *`);
+    this._addToolbarButton();
+    window.addEventListener('keydown', this._onKeyDown);
+
+    Hooks.on('canvasPan', () => this._scheduleHighlight());
+    Hooks.on('canvasReady', () => {
+      // Overlay and subscription belong to the old layer/registry
+      this.overlay?.remove();
+      this.overlay = null;
+      if (this.panel) {
+        this._subscribe();
+        this._scheduleSearch();
+      }
+    });
+
+    console.log(`[${MODULE_NAME}] Initialized`);
+  }
+
+  _initStyles() {
+    if (document.getElementById('wbe-search-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'wbe-search-styles';
+    style.textContent = `
+      #${PANEL_ID} {
+        position: fixed;
+        z-index: 101;
+        width: 280px;
+        max-height: 60vh;
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        padding: 8px;
+        background: rgba(30, 30, 30, 0.95);
+        border: 1px solid rgba(255, 255, 255, 0.1);
+        border-radius: 6px;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.4);
+        color: #e0e0e0;
+        font-size: 12px;
+      }
+
+      #${PANEL_ID} .wbe-search-row {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+      }
+
+      #${PANEL_ID} input[type="text"] {
+        flex: 1;
+        min-width: 0;
+        padding: 4px 6px;
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        border-radius: 4px;
+        background: rgba(0, 0, 0, 0.3);
+        color: #fff;
+        font-size: 12px;
+      }
+
+      #${PANEL_ID} button {
+        width: auto;
+        margin: 0;
+        padding: 4px 7px;
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        border-radius: 4px;
+        background: rgba(255, 255, 255, 0.08);
+        color: #e0e0e0;
+        font-size: 12px;
+        line-height: 1.2;
+        cursor: pointer;
+      }
+
+      #${PANEL_ID} button:hover:not(:disabled) {
+        background: rgba(255, 255, 255, 0.18);
+      }
+
+      #${PANEL_ID} button:disabled {
+        opacity: 0.4;
+        cursor: default;
+      }
+
+      #${PANEL_ID} button.on {
+        border-color: #1c86ff;
+        color: #fff;
+      }
+
+      #${PANEL_ID} .wbe-search-counter {
+        min-width: 44px;
+        color: rgba(255, 255, 255, 0.6);
+        font-size: 11px;
+        text-align: center;
+      }
+
+      #${PANEL_ID} .wbe-search-results {
+        display: flex;
+        flex-direction: column;
+        gap: 2px;
+        overflow-y: auto;
+      }
+
+      #${PANEL_ID} .wbe-search-result {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        padding: 4px 6px;
+        border-radius: 4px;
+        cursor: pointer;
+      }
+
+      #${PANEL_ID} .wbe-search-result:hover {
+        background: rgba(255, 255, 255, 0.08);
+      }
+
+      #${PANEL_ID} .wbe-search-result.current {
+        background: rgba(28, 134, 255, 0.35);
+      }
+
+      #${PANEL_ID} .wbe-search-result i {
+        width: 14px;
+        color: rgba(255, 255, 255, 0.5);
+        text-align: center;
+      }
+
+      #${PANEL_ID} .wbe-search-snippet {
+        flex: 1;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      #${PANEL_ID} mark {
+        padding: 0 1px;
+        border-radius: 2px;
+        background: #ffd54f;
+        color: #000;
+      }
+
+      #${PANEL_ID} .wbe-search-hint {
+        color: rgba(255, 255, 255, 0.45);
+        font-size: 11px;
+      }
+
+      .wbe-search-highlight {
+        position: absolute;
+        box-sizing: border-box;
+        border: 2px solid rgba(255, 213, 79, 0.6);
+        background: rgba(255, 213, 79, 0.08);
+        pointer-events: none;
+      }
+
+      .wbe-search-highlight.current {
+        border-color: #ffb300;
+        background: rgba(255, 213, 79, 0.2);
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  _addToolbarButton() {
+    if (!window.WBEToolbar?.registerTool) {
+      console.warn(`[${MODULE_NAME}] WBEToolbar not available, retrying...`);
+      setTimeout(() => this._addToolbarButton(), 500);
+      return;
+    }
+
+    window.WBEToolbar.registerTool({
+      id: TOOL_ID,
+      title: 'Search (Ctrl+F)',
+      icon: 'fa-solid fa-magnifying-glass',
+      group: 'objects',
+      type: 'button',
+      onClick: () => this.panel ? this.close() : this.open()
+    });
+  }
+
+  _onKeyDown(e) {
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && e.code === 'KeyF') {
+      // Only while the board has focus - Ctrl+F in Foundry windows and text editing stays the browser's
+      const active = document.activeElement;
+      const onBoard = !active || active === document.body ||
+        !!active.closest?.(`#board, #whiteboard-experience-layer, #${PANEL_ID}`);
+      if (!onBoard || (isTypingTarget(e.target) && !this.panel?.contains(e.target))) return;
+      e.preventDefault();
+      this.open();
+      return;
+    }
+    if (e.key === 'Escape' && this.panel?.contains(e.target)) {
+      e.preventDefault();
+      this.close();
+    }
+  }
+
+  // ==========================================
+  // Panel
+  // ==========================================
+
+  open() {
+    if (!this.panel) {
+      this._createPanel();
+      this._subscribe();
+    }
+    this._input.focus();
+    this._input.select();
+    this._runSearch();
+  }
+
+  close() {
+    clearTimeout(this._searchTimer);
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+    this._registry = null;
+    this.panel?.remove();
+    this.panel = null;
+    this.overlay?.remove();
+    this.overlay = null;
+    this.results = [];
+    this.currentIndex = -1;
+  }
+
+  _createPanel() {
+    this.panel = document.createElement('div');
+    this.panel.id = PANEL_ID;
+    const toolbarRect = document.getElementById('wbe-toolbar')?.getBoundingClientRect();
+    this.panel.style.left = `${toolbarRect ? toolbarRect.right + 8 : 160}px`;
+    this.panel.style.top = `${toolbarRect ? toolbarRect.top : 55}px`;
+
+    const searchRow = document.createElement('div');
+    searchRow.className = 'wbe-search-row';
+    this._input = document.createElement('input');
+    this._input.type = 'text';
+    this._input.placeholder = 'Search the board';
+    this._input.value = this.query;
+    this._input.addEventListener('input', () => {
+      this.query = this._input.value;
+      this._scheduleSearch();
+    });
+    this._input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.step(e.shiftKey ? -1 : 1);
+      }
+    });
+    const caseBtn = this._createButton('Aa', 'Match case', () => {
+      this.matchCase = !this.matchCase;
+      caseBtn.classList.toggle('on', this.matchCase);
+      this._runSearch();
+    });
+    caseBtn.classList.toggle('on', this.matchCase);
+    searchRow.append(this._input, caseBtn, this._createButton('<i class="fa-solid fa-xmark"></i>', 'Close (Esc)', () => this.close()));
+
+    const navRow = document.createElement('div');
+    navRow.className = 'wbe-search-row';
+    this._counter = document.createElement('span');
+    this._counter.className = 'wbe-search-counter';
+    this._prevBtn = this._createButton('<i class="fa-solid fa-chevron-up"></i>', 'Previous (Shift+Enter)', () => this.step(-1));
+    this._nextBtn = this._createButton('<i class="fa-solid fa-chevron-down"></i>', 'Next (Enter)', () => this.step(1));
+    navRow.append(this._prevBtn, this._nextBtn, this._counter);
+
+    const replaceRow = document.createElement('div');
+    replaceRow.className = 'wbe-search-row';
+    this._replaceInput = document.createElement('input');
+    this._replaceInput.type = 'text';
+    this._replaceInput.placeholder = 'Replace with';
+    this._replaceBtn = this._createButton('Replace', 'Replace in the current result', () => this.replaceCurrent());
+    this._replaceAllBtn = this._createButton('All', 'Replace in every result (one undo step)', () => this.replaceAll());
+    replaceRow.append(this._replaceInput, this._replaceBtn, this._replaceAllBtn);
+
+    this._list = document.createElement('div');
+    this._list.className = 'wbe-search-results';
+
+    this.panel.append(searchRow, navRow, replaceRow, this._list);
+    document.body.appendChild(this.panel);
+  }
+
+  _createButton(html, title, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.title = title;
+    button.innerHTML = html;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+
+  _subscribe() {
+    const registry = window.Whiteboard?.registry;
+    if (!registry || registry === this._registry) return;
+    this._unsubscribe?.();
+    this._registry = registry;
+    this._unsubscribe = registry.subscribe(this._handleRegistryChange);
+  }
+
+  _handleRegistryChange({ id, type, changes }) {
+    if (type === 'created' || type === 'deleted') {
+      this._scheduleSearch();
+      return;
+    }
+    if (type !== 'updated' || !changes) return;
+    const obj = this._registry?.get(id);
+    const fields = obj?.getSearchableFields?.() || [];
+    if (fields.some(field => field in changes)) {
+      this._scheduleSearch();
+    } else if (this.results.some(result => result.id === id)) {
+      this._scheduleHighlight(); // Moved or resized
+    }
+  }
+
+  // ==========================================
+  // Search
+  // ==========================================
+
+  _buildRegex() {
+    if (!this.query) return null;
+    return new RegExp(escapeRegExp(this.query), this.matchCase ? 'g' : 'gi');
+  }
+
+  _scheduleSearch() {
+    clearTimeout(this._searchTimer);
+    this._searchTimer = setTimeout(() => this._runSearch(), SEARCH_DEBOUNCE_MS);
+  }
+
+  _runSearch() {
+    clearTimeout(this._searchTimer);
+    if (!this.panel) return;
+    const previousId = this.results[this.currentIndex]?.id;
+    this.results = this.search(this.query, { matchCase: this.matchCase });
+    const keptIndex = this.results.findIndex(result => result.id === previousId);
+    this.currentIndex = keptIndex >= 0 ? keptIndex : (this.results.length ? 0 : -1);
+    this._renderResults();
+    this._scheduleHighlight();
+  }
+
+  /**
+   * Find objects whose searchable text contains the query
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {boolean} [options.matchCase=false]
+   * @returns {Array<{id, type, fields: string[], text: string, count: number}>} Top-to-bottom, left-to-right
+   */
+  search(query, { matchCase = false } = {}) {
+    const registry = window.Whiteboard?.registry;
+    if (!query || !registry) return [];
+    const regex = new RegExp(escapeRegExp(query), matchCase ? 'g' : 'gi');
+
+    const results = [];
+    for (const obj of registry.getAll()) {
+      const fields = obj.getSearchableFields?.() || [];
+      let count = 0;
+      let text = '';
+      const matchedFields = [];
+      for (const field of fields) {
+        const plain = toPlainText(obj[field]);
+        const found = plain.match(regex)?.length || 0;
+        if (found === 0) continue;
+        if (!text) text = plain;
+        count += found;
+        matchedFields.push(field);
+      }
+      if (count === 0) continue;
+      const bounds = getWorldBounds(obj);
+      results.push({ id: obj.id, type: obj.type, fields: matchedFields, text, count, top: bounds?.top ?? 0, left: bounds?.left ?? 0 });
+    }
+    // Reading order
+    results.sort((a, b) => (a.top - b.top) || (a.left - b.left));
+    return results.map(({ top, left, ...result }) => result);
+  }
+
+  /**
+   * @param {number} direction - 1 next, -1 previous (wraps around)
+   */
+  step(direction) {
+    if (this.results.length === 0) return;
+    const count = this.results.length;
+    this.goTo(((this.currentIndex < 0 ? 0 : this.currentIndex + direction) % count + count) % count);
+  }
+
+  /**
+   * Make a result current and bring it on screen
+   * @param {number} index
+   */
+  goTo(index) {
+    const result = this.results[index];
+    if (!result) return;
+    this.currentIndex = index;
+    this._renderResults();
+    this._scheduleHighlight();
+
+    const obj = window.Whiteboard?.registry?.get(result.id);
+    const bounds = obj ? getWorldBounds(obj) : null;
+    if (!bounds || !canvas?.animatePan) return;
+
+    const boardRect = document.getElementById('board')?.getBoundingClientRect();
+    const screenW = boardRect?.width || window.innerWidth;
+    const screenH = boardRect?.height || window.innerHeight;
+    const width = Math.max(1, bounds.right - bounds.left);
+    const height = Math.max(1, bounds.bottom - bounds.top);
+    const fitScale = Math.min(screenW * FIT_PADDING / width, screenH * FIT_PADDING / height);
+    const currentScale = canvas.stage?.worldTransform?.a || 1;
+    // Keep the zoom when the hit is readable and fits, zoom in/out otherwise
+    const minZoom = CONFIG?.Canvas?.minZoom ?? 0.1;
+    const maxZoom = CONFIG?.Canvas?.maxZoom ?? 3;
+    const scale = Math.max(minZoom, Math.min(maxZoom, fitScale, Math.max(currentScale, READABLE_ZOOM)));
+    canvas.animatePan({ x: bounds.centerX, y: bounds.centerY, scale, duration: PAN_DURATION });
+  }
+
+  _renderResults() {
+    if (!this._list) return;
+    const total = this.results.length;
+    this._counter.textContent = total ? `${this.currentIndex + 1} / ${total}` : (this.query ? '0 / 0' : '');
+    this._prevBtn.disabled = total === 0;
+    this._nextBtn.disabled = total === 0;
+    this._replaceBtn.disabled = total === 0;
+    this._replaceAllBtn.disabled = total === 0;
+
+    this._list.replaceChildren();
+    if (!this.query) {
+      const hint = document.createElement('div');
+      hint.className = 'wbe-search-hint';
+      hint.textContent = 'Searches texts, shape labels, notes, frame titles and connector labels';
+      this._list.appendChild(hint);
+      return;
+    }
+
+    const regex = this._buildRegex();
+    this.results.forEach((result, index) => {
+      const row = document.createElement('div');
+      row.className = 'wbe-search-result';
+      row.classList.toggle('current', index === this.currentIndex);
+
+      const icon = document.createElement('i');
+      icon.className = TYPE_ICONS[result.type] || 'fa-solid fa-cube';
+      const snippet = document.createElement('span');
+      snippet.className = 'wbe-search-snippet';
+      this._fillSnippet(snippet, result.text, regex);
+      row.append(icon, snippet);
+      if (result.count > 1) row.title = `${result.count} matches`;
+
+      row.addEventListener('click', () => this.goTo(index));
+      this._list.appendChild(row);
+    });
+    this._list.querySelector('.current')?.scrollIntoView({ block: 'nearest' });
+  }
+
+  /**
+   * Text around the first match, matches wrapped in <mark>
+   */
+  _fillSnippet(el, text, regex) {
+    regex.lastIndex = 0;
+    const first = regex.exec(text);
+    const start = first ? Math.max(0, first.index - SNIPPET_CONTEXT) : 0;
+    const part = text.slice(start, start + SNIPPET_CONTEXT * 2 + this.query.length).replace(/\s+/g, ' ');
+    if (start > 0) el.append('…');
+
+    let last = 0;
+    regex.lastIndex = 0;
+    for (const match of part.matchAll(regex)) {
+      el.append(part.slice(last, match.index));
+      const mark = document.createElement('mark');
+      mark.textContent = match[0];
+      el.appendChild(mark);
+      last = match.index + match[0].length;
+    }
+    el.append(part.slice(last));
+  }
+
+  // ==========================================
+  // Board highlight
+  // ==========================================
+
+  _scheduleHighlight() {
+    if (!this.panel || this._highlightFrame !== null) return;
+    this._highlightFrame = requestAnimationFrame(() => {
+      this._highlightFrame = null;
+      this._renderHighlights();
+    });
+  }
+
+  _renderHighlights() {
+    const layer = window.Whiteboard?.layer?.element;
+    if (!this.panel || !layer) return;
+    if (!this.overlay || this.overlay.parentElement !== layer) {
+      this.overlay?.remove();
+      this.overlay = document.createElement('div');
+      this.overlay.id = OVERLAY_ID;
+      this.overlay.style.cssText = `
+        position: absolute;
+        top: 0;
+        left: 0;
+        width: 0;
+        height: 0;
+        overflow: visible;
+        pointer-events: none;
+        z-index: 99996;
+      `;
+      layer.appendChild(this.overlay);
+    }
+    this.overlay.replaceChildren();
+
+    const registry = window.Whiteboard.registry;
+    const inv = 1 / (canvas?.stage?.worldTransform?.a || 1);
+    const pad = HIGHLIGHT_PADDING * inv;
+    this.results.forEach((result, index) => {
+      const obj = registry?.get(result.id);
+      const bounds = obj ? getWorldBounds(obj) : null;
+      if (!bounds) return;
+      const el = document.createElement('div');
+      el.className = 'wbe-search-highlight';
+      el.classList.toggle('current', index === this.currentIndex);
+      el.style.left = `${bounds.left - pad}px`;
+      el.style.top = `${bounds.top - pad}px`;
+      el.style.width = `${bounds.right - bounds.left + pad * 2}px`;
+      el.style.height = `${bounds.bottom - bounds.top + pad * 2}px`;
+      el.style.borderWidth = `${2 * inv}px`;
+      el.style.borderRadius = `${4 * inv}px`;
+      this.overlay.appendChild(el);
+    });
+  }
+
+  // ==========================================
+  // Replace
+  // ==========================================
+
+  replaceCurrent() {
+    const result = this.results[this.currentIndex];
+    if (!result) return;
+    const { replaced, skipped } = this._replaceIn([result]);
+    this._reportReplace(replaced, skipped);
+    this._runSearch();
+  }
+
+  /**
+   * Replace in every result as one undo step
+   */
+  replaceAll() {
+    if (this.results.length === 0) return;
+    const history = window.Whiteboard?.interaction?.history;
+    history?.beginTransaction();
+    let outcome;
+    try {
+      outcome = this._replaceIn(this.results);
+    } finally {
+      history?.endTransaction();
+    }
+    this._reportReplace(outcome.replaced, outcome.skipped);
+    this._runSearch();
+  }
+
+  /**
+   * @returns {{replaced: number, skipped: number}} Matches replaced, objects skipped
+   */
+  _replaceIn(results) {
+    const wb = window.Whiteboard;
+    const regex = this._buildRegex();
+    if (!regex || !wb?.registry) return { replaced: 0, skipped: 0 };
+    const replacement = this._replaceInput?.value ?? '';
+    const im = wb.interaction;
+
+    let replaced = 0;
+    let skipped = 0;
+    for (const result of results) {
+      const obj = wb.registry.get(result.id);
+      if (!obj) continue;
+      // Text being typed in (here or by someone else) would overwrite the change
+      const lockedBy = wb.layer?.getObjectContainer(obj.id)?.dataset.lockedBy;
+      if (im?.editingId === obj.id || (lockedBy && lockedBy !== game.user?.id)) {
+        skipped++;
+        continue;
+      }
+
+      const changes = {};
+      for (const field of obj.getSearchableFields?.() || []) {
+        if (typeof obj[field] !== 'string') continue;
+        regex.lastIndex = 0;
+        const { value, count } = replaceInValue(obj[field], regex, replacement);
+        if (count === 0) continue;
+        changes[field] = value;
+        replaced += count;
+      }
+      if (Object.keys(changes).length > 0) wb.registry.update(obj.id, changes, 'local');
+    }
+    return { replaced, skipped };
+  }
+
+  _reportReplace(replaced, skipped) {
+    if (skipped > 0) {
+      ui.notifications?.warn(`WBE: replaced ${replaced} match(es); ${skipped} object(s) skipped - being edited`);
+    } else if (replaced > 0) {
+      ui.notifications?.info(`WBE: replaced ${replaced} match(es)`);
+    }
+  }
+}
+
+// ==========================================
+// Initialization
+// ==========================================
+
+const boardSearch = new BoardSearch();
+
+if (typeof Hooks !== 'undefined') {
+  Hooks.once('ready', () => {
+    setTimeout(() => boardSearch.init(), 200);
+  });
+} else {
+  setTimeout(() => boardSearch.init(), 1000);
+}
+
+export { BoardSearch };
+export default boardSearch;
+
+window.WBE_Search = boardSearch;
@@ -1,7 +1,7 @@
 /**
  * Shapes Module for Whiteboard Experience
  * 
- * Рисование примитивов: прямоугольник, круг, freehand
+ * Рисование примитивов: прямоугольник, круг, линия/стрелка, freehand
  * 
  * Архитектура:
  * - Автономный модуль, подключается к WBE через window.Whiteboard API
@@ -9,12 +9,15 @@
  * - При завершении жеста создаёт объект в Registry
  */
 
+import snapGrid from './snap-grid.mjs';
+
 const MODULE_NAME = 'WBE-Shapes';
 
 // Shape types
 const SHAPE_TYPES = {
   RECT: 'rect',
   CIRCLE: 'circle',
+  LINE: 'line',
   FREEHAND: 'freehand'
 };
 
@@ -23,6 +26,15 @@ const DEFAULT_STROKE_COLOR = '#ffffff';
 const DEFAULT_STROKE_WIDTH = 2;
 const DEFAULT_FILL_COLOR = 'transparent';
 
+// Line / arrow
+const LINE_CAPS = ['none', 'arrow', 'dot', 'bar'];
+const LINE_DASH_STYLES = ['solid', 'dashed', 'dotted'];
+const DEFAULT_LINE_START_CAP = 'none';
+const DEFAULT_LINE_END_CAP = 'arrow';
+const DEFAULT_LINE_DASH = 'solid';
+const LINE_PADDING = 12; // Отступ контейнера вокруг отрезка (зона клика + место под наконечники)
+const LINE_ANGLE_SNAP = 15; // Shift: угол линии кратен 15°
+
 /**
  * ShapesManager - управление рисованием примитивов
  */
@@ -36,11 +48,14 @@ class ShapesManager {
     this.startPoint = null;
     this.currentElement = null;
     this.freehandPoints = [];
+    this.endpointDrag = null; // { id, index, fixed, current } - drag of a line endpoint handle
 
     this._onMouseDown = this._onMouseDown.bind(this);
     this._onMouseMove = this._onMouseMove.bind(this);
     this._onMouseUp = this._onMouseUp.bind(this);
     this._onKeyDown = this._onKeyDown.bind(this);
+    this._onEndpointMove = this._onEndpointMove.bind(this);
+    this._onEndpointUp = this._onEndpointUp.bind(this);
   }
 
   init(retryCount = 0) {
@@ -75,6 +90,9 @@ class ShapesManager {
     // Re-attach to new layer on scene change
     Hooks.on('canvasReady', () => this._onCanvasReady());
 
+    // Line endpoint handles keep constant screen size on zoom
+    Hooks.on('canvasPan', () => this._refreshEndpointHandles());
+
     console.log(`[${MODULE_NAME}] Initialized`);
   }
   
@@ -187,6 +205,7 @@ class ShapesManager {
     const tools = [
       { id: 'wbe-shape-rect', type: SHAPE_TYPES.RECT, icon: 'fa-solid fa-square', title: 'Rectangle (R)' },
       { id: 'wbe-shape-circle', type: SHAPE_TYPES.CIRCLE, icon: 'fa-solid fa-circle', title: 'Circle (C)' },
+      { id: 'wbe-shape-line', type: SHAPE_TYPES.LINE, icon: 'fa-solid fa-arrow-right-long', title: 'Line / Arrow (L)' },
       { id: 'wbe-shape-freehand', type: SHAPE_TYPES.FREEHAND, icon: 'fa-solid fa-pen', title: 'Freehand (F)' }
     ];
 
@@ -256,6 +275,7 @@ class ShapesManager {
     const classMap = {
       [SHAPE_TYPES.RECT]: 'wbe-shape-crosshair',
       [SHAPE_TYPES.CIRCLE]: 'wbe-shape-crosshair',
+      [SHAPE_TYPES.LINE]: 'wbe-shape-crosshair',
       [SHAPE_TYPES.FREEHAND]: 'wbe-shape-freehand'
     };
     const cursorClass = classMap[toolType];
@@ -295,6 +315,15 @@ class ShapesManager {
     };
   }
   
+  /**
+   * World coords for drawing, on the snap grid when it is on (Alt bypasses it)
+   * Freehand strokes are never snapped
+   */
+  _getDrawCoords(e) {
+    const point = this._getWorldCoords(e);
+    return this.currentTool === SHAPE_TYPES.FREEHAND ? point : snapGrid.snapPoint(point, e);
+  }
+
   /**
    * Get screen-space coordinates relative to layer (for preview SVG)
    * SVG overlay is inside layer which has transform, so we need layer-relative coords
@@ -362,7 +391,7 @@ class ShapesManager {
 
     this.isDrawing = true;
     // Use world coords - SVG is inside layer which has transform applied
-    this.startPoint = this._getWorldCoords(e);
+    this.startPoint = this._getDrawCoords(e);
     this.freehandPoints = [this.startPoint];
 
     this._createTempElement();
@@ -371,7 +400,7 @@ class ShapesManager {
   _onMouseMove(e) {
     if (!this.isDrawing) return;
 
-    const current = this._getWorldCoords(e);
+    const current = this._getDrawCoords(e);
     // Pass shiftKey for proportional constraint
     this._updateTempElement(current, e.shiftKey);
   }
@@ -380,7 +409,7 @@ class ShapesManager {
     if (!this.isDrawing) return;
 
     this.isDrawing = false;
-    const endPoint = this._getWorldCoords(e);
+    const endPoint = this._getDrawCoords(e);
 
     this._createShapeObject(endPoint, e.shiftKey);
 
@@ -426,6 +455,10 @@ class ShapesManager {
         this.currentElement.setAttribute('ry', 0);
         break;
 
+      case SHAPE_TYPES.LINE:
+        this.currentElement = ShapeView._buildLineElement(this.startPoint, this.startPoint, this._getLineDefaults());
+        break;
+
       case SHAPE_TYPES.FREEHAND:
         this.currentElement = document.createElementNS('http://www.w3.org/2000/svg', 'path');
         this.currentElement.setAttribute('d', `M ${x} ${y}`);
@@ -453,7 +486,7 @@ class ShapesManager {
     let { x: cx, y: cy } = current;
 
     // Shift key = proportional constraint (square/circle)
-    if (shiftKey && this.currentTool !== SHAPE_TYPES.FREEHAND) {
+    if (shiftKey && (this.currentTool === SHAPE_TYPES.RECT || this.currentTool === SHAPE_TYPES.CIRCLE)) {
       const dx = cx - sx;
       const dy = cy - sy;
       const size = Math.max(Math.abs(dx), Math.abs(dy));
@@ -484,6 +517,12 @@ class ShapesManager {
         this.currentElement.setAttribute('ry', radiusY);
         break;
 
+      case SHAPE_TYPES.LINE:
+        // Shift key = snap angle to 15° steps
+        const lineEnd = shiftKey ? ShapeView._snapLineAngle(this.startPoint, current) : current;
+        ShapeView._buildLineElement(this.startPoint, lineEnd, this._getLineDefaults(), this.currentElement);
+        break;
+
       case SHAPE_TYPES.FREEHAND:
         // Add point if far enough from last point (reduces jitter)
         // Adjust threshold by canvas scale so smoothing is consistent regardless of zoom
@@ -508,7 +547,7 @@ class ShapesManager {
     let { x: ex, y: ey } = endPoint;
 
     // Shift key = proportional constraint (square/circle)
-    if (shiftKey && this.currentTool !== SHAPE_TYPES.FREEHAND) {
+    if (shiftKey && (this.currentTool === SHAPE_TYPES.RECT || this.currentTool === SHAPE_TYPES.CIRCLE)) {
       const dx = ex - sx;
       const dy = ey - sy;
       const size = Math.max(Math.abs(dx), Math.abs(dy));
@@ -516,6 +555,11 @@ class ShapesManager {
       ey = sy + size * Math.sign(dy || 1);
     }
 
+    // Shift key = snap line angle to 15° steps
+    if (shiftKey && this.currentTool === SHAPE_TYPES.LINE) {
+      ({ x: ex, y: ey } = ShapeView._snapLineAngle(this.startPoint, endPoint));
+    }
+
     if (Math.abs(ex - sx) < 5 && Math.abs(ey - sy) < 5) {
       console.log(`[${MODULE_NAME}] Shape too small, ignoring`);
       return;
@@ -546,6 +590,18 @@ class ShapesManager {
         shapeData.radiusY = Math.abs(ey - sy) / 2;
         break;
 
+      case SHAPE_TYPES.LINE:
+        const lineGeometry = ShapeView._lineGeometry({ x: sx, y: sy }, { x: ex, y: ey });
+        Object.assign(shapeData, this._getLineDefaults(), {
+          width: lineGeometry.width,
+          height: lineGeometry.height,
+          points: lineGeometry.points,
+          // Override worldX/worldY for line (container is padded around the segment)
+          _worldX: lineGeometry.x,
+          _worldY: lineGeometry.y
+        });
+        break;
+
       case SHAPE_TYPES.FREEHAND:
         const minX = Math.min(...this.freehandPoints.map(p => p.x));
         const minY = Math.min(...this.freehandPoints.map(p => p.y));
@@ -581,6 +637,115 @@ class ShapesManager {
     }
   }
 
+  /**
+   * Default style for newly drawn lines
+   */
+  _getLineDefaults() {
+    return {
+      strokeColor: DEFAULT_STROKE_COLOR,
+      strokeWidth: DEFAULT_STROKE_WIDTH,
+      startCap: DEFAULT_LINE_START_CAP,
+      endCap: DEFAULT_LINE_END_CAP,
+      dashStyle: DEFAULT_LINE_DASH
+    };
+  }
+
+  // ==========================================
+  // Line endpoint editing
+  // ==========================================
+
+  /**
+   * Start dragging a line endpoint handle (called from LineEndpointHandler)
+   * @param {string} id - Shape ID
+   * @param {number} index - 0 = start point, 1 = end point
+   * @param {MouseEvent} e
+   */
+  startEndpointDrag(id, index, e) {
+    const obj = window.Whiteboard?.registry?.get(id);
+    if (!obj || obj.shapeType !== SHAPE_TYPES.LINE || obj.isFrozen()) return;
+
+    const endpoints = obj.getLineEndpoints();
+    this.endpointDrag = {
+      id,
+      index,
+      fixed: endpoints[1 - index],
+      current: endpoints[index],
+      moved: false
+    };
+
+    // Panel would jump around while the container is resized
+    window.Whiteboard?.interaction?._hideAllPanels?.();
+
+    window.addEventListener('mousemove', this._onEndpointMove);
+    window.addEventListener('mouseup', this._onEndpointUp);
+    e.preventDefault();
+  }
+
+  _onEndpointMove(e) {
+    const state = this.endpointDrag;
+    if (!state) return;
+
+    const point = snapGrid.snapPoint(this._getWorldCoords(e), e);
+    state.current = e.shiftKey ? ShapeView._snapLineAngle(state.fixed, point) : point;
+    state.moved = true;
+
+    // OPTIMIZATION: Update DOM only, Registry is updated once on mouseup (single socket emit / undo step)
+    const obj = window.Whiteboard?.registry?.get(state.id);
+    const container = window.Whiteboard?.layer?.getObjectContainer(state.id);
+    if (obj && container) {
+      obj.renderLinePreview(container, this._getEndpointDragGeometry(obj));
+      window.Whiteboard.layer.updateSelectionOverlay?.();
+    }
+  }
+
+  _onEndpointUp() {
+    const state = this.endpointDrag;
+    this.endpointDrag = null;
+    window.removeEventListener('mousemove', this._onEndpointMove);
+    window.removeEventListener('mouseup', this._onEndpointUp);
+    if (!state?.moved) return;
+
+    const registry = window.Whiteboard?.registry;
+    const obj = registry?.get(state.id);
+    if (!obj) return;
+
+    registry.update(state.id, this._getEndpointDragGeometry(obj), 'local');
+    window.Whiteboard.layer?.updateSelectionOverlay?.();
+
+    const im = window.Whiteboard.interaction;
+    if (im?.selectedId === state.id) {
+      im._showPanelForObject?.(obj);
+    }
+  }
+
+  /**
+   * New line data for the current endpoint drag
+   * Scale and rotation are baked into points/strokeWidth so both endpoints stay exactly under the cursor
+   */
+  _getEndpointDragGeometry(obj) {
+    const { index, fixed, current } = this.endpointDrag;
+    const start = index === 0 ? current : fixed;
+    const end = index === 0 ? fixed : current;
+    const { x, y, width, height, points } = ShapeView._lineGeometry(start, end);
+    const scale = obj.scale !== undefined ? obj.scale : 1;
+    return {
+      x, y, width, height, points,
+      rotation: 0,
+      scale: 1,
+      strokeWidth: scale === 1 ? obj.strokeWidth : Math.max(1, Math.round(obj.strokeWidth * scale))
+    };
+  }
+
+  /**
+   * Re-apply endpoint handle size for the selected line (after zoom)
+   */
+  _refreshEndpointHandles() {
+    const id = window.Whiteboard?.interaction?.selectedId;
+    const obj = id ? window.Whiteboard.registry?.get(id) : null;
+    if (obj?.type !== 'shape' || obj.shapeType !== SHAPE_TYPES.LINE) return;
+    obj._updateEndpointHandles(window.Whiteboard.layer?.getObjectContainer(id));
+  }
+
   _onKeyDown(e) {
     if (this._isInputFocused()) return;
     if (e.ctrlKey || e.metaKey || e.altKey) return;
@@ -589,6 +754,7 @@ class ShapesManager {
     const toolMap = {
       'KeyS': SHAPE_TYPES.RECT,
       'KeyC': SHAPE_TYPES.CIRCLE,
+      'KeyL': SHAPE_TYPES.LINE,
       'KeyF': SHAPE_TYPES.FREEHAND
     };
 
@@ -621,6 +787,8 @@ class ShapesManager {
   destroy() {
     this.disableTool();
     window.removeEventListener('keydown', this._onKeyDown);
+    window.removeEventListener('mousemove', this._onEndpointMove);
+    window.removeEventListener('mouseup', this._onEndpointUp);
     if (this.svg?.parentNode) {
       this.svg.parentNode.removeChild(this.svg);
     }
@@ -667,6 +835,165 @@ class ShapeView {
     return d;
   }
 
+  /**
+   * Snap the end point so the segment angle is a multiple of LINE_ANGLE_SNAP (length is preserved)
+   * @param {{x: number, y: number}} start
+   * @param {{x: number, y: number}} end
+   * @returns {{x: number, y: number}}
+   */
+  static _snapLineAngle(start, end) {
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const length = Math.hypot(dx, dy);
+    const step = LINE_ANGLE_SNAP * Math.PI / 180;
+    const angle = Math.round(Math.atan2(dy, dx) / step) * step;
+    return {
+      x: start.x + Math.cos(angle) * length,
+      y: start.y + Math.sin(angle) * length
+    };
+  }
+
+  /**
+   * Container geometry for a line between two world points
+   * Container is padded by LINE_PADDING, points are stored relative to it
+   * @returns {{x, y, width, height, points}}
+   */
+  static _lineGeometry(start, end) {
+    const x = Math.min(start.x, end.x) - LINE_PADDING;
+    const y = Math.min(start.y, end.y) - LINE_PADDING;
+    return {
+      x,
+      y,
+      width: Math.abs(end.x - start.x) + LINE_PADDING * 2,
+      height: Math.abs(end.y - start.y) + LINE_PADDING * 2,
+      points: [
+        { x: start.x - x, y: start.y - y },
+        { x: end.x - x, y: end.y - y }
+      ]
+    };
+  }
+
+  /**
+   * Build (or rebuild in place) SVG group for a line: segment + end caps
+   * @param {{x: number, y: number}} start
+   * @param {{x: number, y: number}} end
+   * @param {Object} style - { strokeColor, strokeWidth, startCap, endCap, dashStyle }
+   * @param {SVGGElement} [group] - existing group to rebuild
+   * @returns {SVGGElement}
+   */
+  static _buildLineElement(start, end, style, group = null) {
+    const g = group || document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    g.replaceChildren();
+    g.setAttribute('class', 'wbe-shape-line');
+    if (!start || !end) return g;
+
+    const color = style.strokeColor || DEFAULT_STROKE_COLOR;
+    const sw = style.strokeWidth !== undefined ? style.strokeWidth : DEFAULT_STROKE_WIDTH;
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const length = Math.hypot(dx, dy);
+    // Unit vector start -> end (arbitrary direction for zero-length preview)
+    const ux = length ? dx / length : 1;
+    const uy = length ? dy / length : 0;
+    const capSize = Math.max(8, sw * 3);
+
+    // Pull segment ends back under arrowheads so the line doesn't poke through the tip
+    const inset = (cap) => (cap === 'arrow' ? Math.min(capSize, length / 2) : 0);
+    const startInset = inset(style.startCap);
+    const endInset = inset(style.endCap);
+
+    const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+    line.setAttribute('x1', start.x + ux * startInset);
+    line.setAttribute('y1', start.y + uy * startInset);
+    line.setAttribute('x2', end.x - ux * endInset);
+    line.setAttribute('y2', end.y - uy * endInset);
+    line.setAttribute('stroke', color);
+    line.setAttribute('stroke-width', sw);
+    line.setAttribute('stroke-linecap', 'round');
+    const dashArray = ShapeView._getDashArray(style.dashStyle, sw);
+    if (dashArray) line.setAttribute('stroke-dasharray', dashArray);
+    g.appendChild(line);
+
+    // Caps point outward: -u at start, +u at end
+    const startCap = ShapeView._buildLineCap(style.startCap, start, -ux, -uy, capSize, color, sw);
+    const endCap = ShapeView._buildLineCap(style.endCap, end, ux, uy, capSize, color, sw);
+    if (startCap) g.appendChild(startCap);
+    if (endCap) g.appendChild(endCap);
+
+    return g;
+  }
+
+  /**
+   * SVG stroke-dasharray for a dash style (relies on round line caps)
+   * @param {string} dashStyle - 'solid' | 'dashed' | 'dotted'
+   * @param {number} sw - Stroke width
+   * @returns {string|null} null for solid
+   */
+  static _getDashArray(dashStyle, sw) {
+    if (dashStyle === 'dashed') return `${Math.max(4, sw * 4)} ${Math.max(3, sw * 3)}`;
+    // Zero-length dashes + round caps = dots
+    if (dashStyle === 'dotted') return `0 ${Math.max(4, sw * 2.5)}`;
+    return null;
+  }
+
+  /**
+   * Build SVG element for a single line cap
+   * @param {string} cap - 'none' | 'arrow' | 'dot' | 'bar'
+   * @param {{x: number, y: number}} tip - Endpoint
+   * @param {number} ux - Outward unit vector X
+   * @param {number} uy - Outward unit vector Y
+   * @returns {SVGElement|null}
+   */
+  static _buildLineCap(cap, tip, ux, uy, size, color, sw) {
+    // Normal to the segment
+    const nx = -uy;
+    const ny = ux;
+
+    switch (cap) {
+      case 'arrow': {
+        const baseX = tip.x - ux * size;
+        const baseY = tip.y - uy * size;
+        const half = size * 0.5;
+        const el = document.createElementNS('http://www.w3.org/2000/svg', 'polygon');
+        el.setAttribute('points', [
+          `${tip.x},${tip.y}`,
+          `${baseX + nx * half},${baseY + ny * half}`,
+          `${baseX - nx * half},${baseY - ny * half}`
+        ].join(' '));
+        el.setAttribute('fill', color);
+        el.setAttribute('stroke', color);
+        el.setAttribute('stroke-width', 1);
+        el.setAttribute('stroke-linejoin', 'round');
+        return el;
+      }
+
+      case 'dot': {
+        const el = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        el.setAttribute('cx', tip.x);
+        el.setAttribute('cy', tip.y);
+        el.setAttribute('r', size * 0.4);
+        el.setAttribute('fill', color);
+        return el;
+      }
+
+      case 'bar': {
+        const half = size * 0.6;
+        const el = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        el.setAttribute('x1', tip.x + nx * half);
+        el.setAttribute('y1', tip.y + ny * half);
+        el.setAttribute('x2', tip.x - nx * half);
+        el.setAttribute('y2', tip.y - ny * half);
+        el.setAttribute('stroke', color);
+        el.setAttribute('stroke-width', sw);
+        el.setAttribute('stroke-linecap', 'round');
+        return el;
+      }
+
+      default:
+        return null;
+    }
+  }
+
   constructor(data) {
     // CRITICAL: Generate id if not provided (like FateCardView)
     this.id = data.id || `shape-${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
@@ -689,6 +1016,9 @@ class ShapeView {
     this.selected = data.selected || false;
     this.rank = data.rank || data.zIndexRank || ''; // Support both old and new field name
     this.zIndex = data.zIndex;
+    this.groupId = data.groupId || null;
+    this.groupName = data.groupName || '';
+    this.name = data.name || '';
 
     // Text properties (for rect and circle shapes)
     this.text = data.text || '';
@@ -700,6 +1030,11 @@ class ShapeView {
     this.fontStyle = data.fontStyle || 'normal';
     this.lineHeight = data.lineHeight !== undefined ? data.lineHeight : 1.2;
 
+    // Line properties (for line shapes)
+    this.startCap = LINE_CAPS.includes(data.startCap) ? data.startCap : DEFAULT_LINE_START_CAP;
+    this.endCap = LINE_CAPS.includes(data.endCap) ? data.endCap : DEFAULT_LINE_END_CAP;
+    this.dashStyle = LINE_DASH_STYLES.includes(data.dashStyle) ? data.dashStyle : DEFAULT_LINE_DASH;
+
     // Shadow properties
     this.shadowColor = data.shadowColor || '#000000';
     this.shadowOpacity = data.shadowOpacity !== undefined ? data.shadowOpacity : 0;
@@ -720,6 +1055,10 @@ class ShapeView {
     return 'shape';
   }
 
+  getSearchableFields() {
+    return ['text'];
+  }
+
   toJSON() {
     return {
       id: this.id,
@@ -740,6 +1079,9 @@ class ShapeView {
       scale: this.scale,
       frozen: this.frozen,
       rank: this.rank, // Use 'rank' to match Registry expectations
+      groupId: this.groupId,
+      groupName: this.groupName,
+      name: this.name,
       // Text properties
       text: this.text,
       textColor: this.textColor,
@@ -749,6 +1091,10 @@ class ShapeView {
       fontWeight: this.fontWeight,
       fontStyle: this.fontStyle,
       lineHeight: this.lineHeight,
+      // Line properties
+      startCap: this.startCap,
+      endCap: this.endCap,
+      dashStyle: this.dashStyle,
       // Shadow properties
       shadowColor: this.shadowColor,
       shadowOpacity: this.shadowOpacity,
@@ -814,8 +1160,9 @@ class ShapeView {
   }
 
   getCapabilities() {
-    // Freehand can only scale (proportionally), rect/circle can stretch
-    const canStretch = this.shapeType !== SHAPE_TYPES.FREEHAND;
+    // Freehand/line can only scale (proportionally), rect/circle can stretch
+    // Line endpoints are edited with their own handles instead
+    const canStretch = this.supportsText();
     return {
       scalable: true,
       draggable: true,
@@ -830,7 +1177,33 @@ class ShapeView {
    * Check if shape can be edited (has text capability)
    */
   canEdit() {
-    return this.shapeType !== SHAPE_TYPES.FREEHAND;
+    return this.supportsText();
+  }
+
+  /**
+   * Only closed shapes (rect, circle) have a text area
+   */
+  supportsText() {
+    return this.shapeType === SHAPE_TYPES.RECT || this.shapeType === SHAPE_TYPES.CIRCLE;
+  }
+
+  /**
+   * World coordinates of line endpoints (container scale and rotation applied)
+   * @returns {Array<{x: number, y: number}>}
+   */
+  getLineEndpoints() {
+    const scale = this.scale !== undefined ? this.scale : 1;
+    const rad = (this.rotation || 0) * Math.PI / 180;
+    const cos = Math.cos(rad);
+    const sin = Math.sin(rad);
+    // transform-origin: center
+    const cx = this.x + this.width / 2;
+    const cy = this.y + this.height / 2;
+    return this.points.slice(0, 2).map(p => {
+      const vx = (p.x - this.width / 2) * scale;
+      const vy = (p.y - this.height / 2) * scale;
+      return { x: cx + vx * cos - vy * sin, y: cy + vx * sin + vy * cos };
+    });
   }
 
   getCopyData(_layer) {
@@ -899,7 +1272,7 @@ class ShapeView {
     this.element.appendChild(this.svg);
 
     // Text element (for rect and circle only)
-    if (this.shapeType !== SHAPE_TYPES.FREEHAND) {
+    if (this.supportsText()) {
       this._createTextElement();
     }
 
@@ -976,6 +1349,10 @@ class ShapeView {
         el.setAttribute('stroke-linecap', 'round');
         el.setAttribute('stroke-linejoin', 'round');
         break;
+
+      case SHAPE_TYPES.LINE:
+        // Group with segment + caps, children carry their own stroke/fill
+        return ShapeView._buildLineElement(this.points[0], this.points[1], this);
     }
 
     if (el) {
@@ -1056,6 +1433,9 @@ class ShapeView {
     if (data.rank !== undefined) this.rank = data.rank;
     if (data.zIndexRank !== undefined) this.rank = data.zIndexRank; // Legacy support
     if (data.zIndex !== undefined) this.zIndex = data.zIndex;
+    if (data.groupId !== undefined) this.groupId = data.groupId;
+    if (data.groupName !== undefined) this.groupName = data.groupName;
+    if (data.name !== undefined) this.name = data.name;
     // Text properties
     if (data.text !== undefined) this.text = data.text;
     if (data.textColor !== undefined) this.textColor = data.textColor;
@@ -1064,6 +1444,10 @@ class ShapeView {
     if (data.fontFamily !== undefined) this.fontFamily = data.fontFamily;
     if (data.fontWeight !== undefined) this.fontWeight = data.fontWeight;
     if (data.fontStyle !== undefined) this.fontStyle = data.fontStyle;
+    // Line properties
+    if (data.startCap !== undefined) this.startCap = data.startCap;
+    if (data.endCap !== undefined) this.endCap = data.endCap;
+    if (data.dashStyle !== undefined) this.dashStyle = data.dashStyle;
     // Shadow properties
     if (data.shadowColor !== undefined) this.shadowColor = data.shadowColor;
     if (data.shadowOpacity !== undefined) this.shadowOpacity = data.shadowOpacity;
@@ -1104,7 +1488,8 @@ class ShapeView {
 
     // Size/style changes - re-render SVG
     if (!changes || 'strokeColor' in changes || 'strokeWidth' in changes ||
-      'fillColor' in changes || 'fillOpacity' in changes || 'width' in changes || 'height' in changes) {
+      'fillColor' in changes || 'fillOpacity' in changes || 'width' in changes || 'height' in changes ||
+      'points' in changes || 'startCap' in changes || 'endCap' in changes || 'dashStyle' in changes) {
       this._updateSvgContent();
     }
 
@@ -1120,7 +1505,7 @@ class ShapeView {
       'shadowOffsetX' in changes || 'shadowOffsetY' in changes) {
       this._addShadowFilter();
       // Update filter attribute on shape element
-      const shapeEl = this.svg?.querySelector('rect, ellipse, path');
+      const shapeEl = this.svg?.querySelector('rect, ellipse, path, g.wbe-shape-line');
       if (shapeEl) {
         if (this.shadowOpacity > 0) {
           shapeEl.setAttribute('filter', `url(#shadow-${this.id})`);
@@ -1152,6 +1537,94 @@ class ShapeView {
         this._hideUnfreezeIcon(container);
       }
     }
+
+    // Line endpoint handles (single selection only)
+    if (this.shapeType === SHAPE_TYPES.LINE) {
+      this._updateEndpointHandles(container);
+    }
+  }
+
+  /**
+   * Show/position/hide endpoint handles of a selected line
+   * Handles live inside the container, so they follow drag/rotation/scale for free
+   */
+  _updateEndpointHandles(container) {
+    if (!container) return;
+
+    const visible = this.selected && !this.massSelected && !this.frozen && this.points.length >= 2;
+    const existing = container.querySelectorAll('.wbe-line-endpoint-handle');
+    if (!visible) {
+      existing.forEach(handle => handle.remove());
+      return;
+    }
+
+    // Constant screen size: compensate container scale and canvas zoom
+    const canvasScale = canvas?.stage?.worldTransform?.a || 1;
+    const invScale = 1 / ((this.scale || 1) * canvasScale);
+
+    this.points.slice(0, 2).forEach((point, index) => {
+      let handle = existing[index];
+      if (!handle) {
+        handle = document.createElement('div');
+        handle.className = 'wbe-line-endpoint-handle';
+        handle.dataset.objectId = this.id; // For LineEndpointHandler
+        handle.dataset.endpoint = String(index);
+        handle.style.cssText = `
+          position: absolute;
+          width: 10px;
+          height: 10px;
+          margin-left: -5px;
+          margin-top: -5px;
+          background: #ffffff;
+          border: 2px solid #4a9eff;
+          border-radius: 50%;
+          box-sizing: border-box;
+          cursor: crosshair;
+          z-index: 1001;
+          pointer-events: auto;
+        `;
+        container.appendChild(handle);
+      }
+      handle.style.left = `${point.x}px`;
+      handle.style.top = `${point.y}px`;
+      handle.style.transform = `scale(${invScale})`;
+    });
+  }
+
+  /**
+   * Render line with new geometry during endpoint drag (DOM only, model untouched)
+   * @param {HTMLElement} container
+   * @param {Object} geometry - { x, y, width, height, points, strokeWidth }
+   */
+  renderLinePreview(container, geometry) {
+    if (!container || !this.svg) return;
+
+    container.style.left = `${Math.round(geometry.x)}px`;
+    container.style.top = `${Math.round(geometry.y)}px`;
+    container.style.width = `${geometry.width}px`;
+    container.style.height = `${geometry.height}px`;
+    container.style.transform = 'none';
+    this.svg.setAttribute('viewBox', `0 0 ${geometry.width} ${geometry.height}`);
+
+    const group = this.svg.querySelector('g.wbe-shape-line');
+    if (group) {
+      ShapeView._buildLineElement(geometry.points[0], geometry.points[1], {
+        strokeColor: this.strokeColor,
+        strokeWidth: geometry.strokeWidth,
+        startCap: this.startCap,
+        endCap: this.endCap,
+        dashStyle: this.dashStyle
+      }, group);
+    }
+
+    const canvasScale = canvas?.stage?.worldTransform?.a || 1;
+    container.querySelectorAll('.wbe-line-endpoint-handle').forEach(handle => {
+      const point = geometry.points[Number(handle.dataset.endpoint)];
+      if (!point) return;
+      handle.style.left = `${point.x}px`;
+      handle.style.top = `${point.y}px`;
+      handle.style.transform = `scale(${1 / canvasScale})`;
+    });
   }
 
   /**
@@ -1234,7 +1707,7 @@ class ShapeView {
    * Update text element styles and content
    */
   _updateTextElement(container) {
-    if (this.shapeType === SHAPE_TYPES.FREEHAND) return;
+    if (!this.supportsText()) return;
     
     let textEl = container?.querySelector('.wbe-shape-text');
     
@@ -1265,7 +1738,7 @@ class ShapeView {
     // Block editing when shape drawing tool is active
     if (window.WBE_Shapes?.enabled) return;
     
-    if (this.shapeType === SHAPE_TYPES.FREEHAND || this.isEditing) return;
+    if (!this.supportsText() || this.isEditing) return;
     
     const textEl = this.element?.querySelector('.wbe-shape-text');
     if (!textEl) return;
@@ -1398,8 +1871,8 @@ class ShapePanel {
     this.view = new BasePanelView();
     this.view.createPanel();
 
-    // Fill/Background (not for freehand) - same as Background in text panel
-    if (obj.shapeType !== SHAPE_TYPES.FREEHAND) {
+    // Fill/Background (rect/circle only) - same as Background in text panel
+    if (obj.supportsText()) {
       const fillBtn = this.view.makeToolbarButton('Fill', 'fas fa-fill', () => {
         const current = this.registry.get(this.shapeId);
         const fillColor = current?.fillColor === 'transparent' ? '#ffffff' : (current?.fillColor || '#ffffff');
@@ -1427,8 +1900,21 @@ class ShapePanel {
       this.view.toolbar.appendChild(textBtn);
     }
 
+    // Line style: arrowheads + dash pattern
+    if (obj.shapeType === SHAPE_TYPES.LINE) {
+      const lineStyleBtn = this.view.makeToolbarButton('Line Style', 'fas fa-arrow-right-long', () => {
+        const current = this.registry.get(this.shapeId);
+        if (!current) return;
+        ShapePanel.openLineStyleSubpanel(this.view, lineStyleBtn, current, (changes) => {
+          this.registry.update(this.shapeId, changes, 'local');
+        });
+      });
+      this.view.toolbar.appendChild(lineStyleBtn);
+    }
+
     // Border + Shadow (stroke color + width + shadow) - same as Border in image panels
-    const borderBtn = this.view.makeToolbarButton('Border', 'fas fa-border-all', () => {
+    const borderLabel = obj.shapeType === SHAPE_TYPES.LINE ? 'Stroke' : 'Border';
+    const borderBtn = this.view.makeToolbarButton(borderLabel, 'fas fa-border-all', () => {
       const current = this.registry.get(this.shapeId);
       this.view.openBorderWithShadowSubpanel(borderBtn, {
         borderColor: current?.strokeColor,
@@ -1492,6 +1978,69 @@ class ShapePanel {
     }, 100);
   }
 
+  /**
+   * Subpanel with start/end cap and dash selectors (line shapes, connectors)
+   * @param {BasePanelView} view - Panel view to attach subpanel to
+   * @param {HTMLElement} button - Button that triggered the subpanel
+   * @param {Object} current - { startCap, endCap, dashStyle }
+   * @param {Function} onChange - Callback (changes) => void
+   */
+  static openLineStyleSubpanel(view, button, current, onChange) {
+    if (view.activeButton === button) {
+      view.closeSubpanel();
+      return;
+    }
+
+    const content = document.createElement('div');
+    content.style.cssText = 'display: flex; flex-direction: column; gap: 8px;';
+
+    const capLabels = { none: 'None', arrow: 'Arrow', dot: 'Dot', bar: 'Bar' };
+    const dashLabels = { solid: 'Solid', dashed: 'Dashed', dotted: 'Dotted' };
+
+    const rows = [
+      { label: 'Start:', key: 'startCap', values: LINE_CAPS, labels: capLabels },
+      { label: 'End:', key: 'endCap', values: LINE_CAPS, labels: capLabels },
+      { label: 'Dash:', key: 'dashStyle', values: LINE_DASH_STYLES, labels: dashLabels }
+    ];
+
+    for (const { label, key, values, labels } of rows) {
+      const group = document.createElement('div');
+      group.style.cssText = 'display: flex; align-items: center; justify-content: space-between; gap: 8px;';
+
+      const labelEl = document.createElement('span');
+      labelEl.textContent = label;
+      labelEl.style.cssText = 'font-size: 12px; color: #555; white-space: nowrap;';
+      group.appendChild(labelEl);
+
+      const select = document.createElement('select');
+      select.style.cssText = `
+        min-width: 100px;
+        padding: 6px 8px;
+        border: 1px solid #d0d0d0;
+        border-radius: 6px;
+        background: white;
+        font-size: 12px;
+        color: #333;
+        cursor: pointer;
+      `;
+      for (const value of values) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = labels[value];
+        select.appendChild(option);
+      }
+      select.value = current[key];
+      select.addEventListener('change', (e) => {
+        onChange({ [key]: e.target.value });
+      });
+      group.appendChild(select);
+
+      content.appendChild(group);
+    }
+
+    view.openSubpanel(button, content);
+  }
+
   hide() {
     if (this._outsideClickHandler) {
       document.removeEventListener('mousedown', this._outsideClickHandler);
@@ -1536,7 +2085,7 @@ if (typeof Hooks !== 'undefined') {
   setTimeout(() => shapesManager.init(), 1000);
 }
 
-export { ShapesManager, ShapeView, ShapePanel, SHAPE_TYPES };
+export { ShapesManager, ShapeView, ShapePanel, SHAPE_TYPES, LINE_CAPS, LINE_DASH_STYLES };
 export default shapesManager;
 
 window.WBE_Shapes = shapesManager;
@@ -0,0 +1,297 @@
+/**
+ * Snap Grid Module for Whiteboard Experience
+ *
+ * Сетка привязки: перетаскивание, групповое перетаскивание, рисование фигур
+ * и ресайз выравниваются по узлам сетки. Alt временно отключает любую привязку
+ *
+ * Архитектура:
+ * - Шаг сетки - настройка сцены (flags.<scope>.snapGrid = { size, fromScene }), меняет GM;
+ *   fromScene берёт шаг из сетки Foundry
+ * - Вкл/выкл - у каждого пользователя своё и запоминается для каждой сцены (localStorage)
+ * - Сама привязка живёт там, где обрабатывается жест: AlignmentGuides (drag, mass drag, resize)
+ *   и ShapesManager (рисование); модуль даёт им только математику и состояние
+ * - Оверлей - слабые точки в узлах сетки внутри WBE-слоя, только на видимой области
+ */
+
+const MODULE_NAME = 'WBE-SnapGrid';
+const MODULE_ID = 'whiteboard-experience';
+const TOOL_ID = 'wbe-snap-grid';
+const OVERLAY_ID = 'wbe-snap-grid-overlay';
+const FLAG_KEY = 'snapGrid';
+const STORAGE_PREFIX = 'wbe-snap-grid:';
+
+const DEFAULT_SIZE = 50;
+const MIN_SIZE = 5;
+const SIZE_PRESETS = [25, 50, 100];
+const MIN_SCREEN_CELL = 8; // Dots closer than this on screen are not drawn
+const DOT_COLOR = 'rgba(128, 128, 128, 0.45)';
+
+class SnapGrid {
+  constructor() {
+    this.enabled = false;
+    this.overlay = null;
+    this._sceneId = null;
+    this._overlayFrame = null;
+    this._onKeyDown = this._onKeyDown.bind(this);
+  }
+
+  init(retryCount = 0) {
+    if (!window.Whiteboard?.layer?.element) {
+      if (retryCount < 10) {
+        if (retryCount === 0) {
+          console.log(`[${MODULE_NAME}] Waiting for Whiteboard...`);
+        }
+        setTimeout(() => this.init(retryCount + 1), 500);
+      } else {
+        console.log(`[${MODULE_NAME}] Whiteboard not available (no active scene?). Will init on canvasReady.`);
+        Hooks.once('canvasReady', () => this.init(0));
+      }
+      return;
+    }
+
+    this._addToolbarButton();
+    window.addEventListener('keydown', this._onKeyDown);
+
+    Hooks.on('canvasPan', () => this._scheduleOverlay());
+    Hooks.on('canvasReady', () => {
+      // New scene - new layer and its own on/off state
+      this.overlay?.remove();
+      this.overlay = null;
+      this._loadState();
+    });
+    Hooks.on('updateScene', (scene, changes) => {
+      if (scene.id !== canvas?.scene?.id) return;
+      if (changes?.flags?.[MODULE_ID]?.[FLAG_KEY] !== undefined || changes?.grid !== undefined) {
+        this._scheduleOverlay();
+      }
+    });
+
+    this._loadState();
+    console.log(`[${MODULE_NAME}] Initialized`);
+  }
+
+  _addToolbarButton() {
+    if (!window.WBEToolbar?.registerTool) {
+      console.warn(`[${MODULE_NAME}] WBEToolbar not available, retrying...`);
+      setTimeout(() => this._addToolbarButton(), 500);
+      return;
+    }
+
+    const submenu = [
+      { type: 'info', icon: 'fa-solid fa-circle-info', text: 'G toggles the grid, hold Alt to move freely' }
+    ];
+    // Spacing is a scene setting - only the GM changes it
+    if (game.user?.isGM) {
+      submenu.push({
+        type: 'button',
+        icon: 'fa-solid fa-border-all',
+        text: 'Spacing: scene grid',
+        onClick: () => this.setSpacing({ fromScene: true })
+      });
+      for (const size of SIZE_PRESETS) {
+        submenu.push({
+          type: 'button',
+          icon: 'fa-solid fa-table-cells',
+          text: `Spacing: ${size}px`,
+          onClick: () => this.setSpacing({ size, fromScene: false })
+        });
+      }
+    }
+
+    window.WBEToolbar.registerTool({
+      id: TOOL_ID,
+      title: 'Snap to grid (G)',
+      icon: 'fa-solid fa-border-all',
+      group: 'board',
+      type: 'toggle',
+      submenu,
+      onToggle: (isActive) => this.setEnabled(isActive)
+    });
+    window.WBEToolbar.setToggleState?.(TOOL_ID, this.enabled);
+  }
+
+  _onKeyDown(e) {
+    if (e.code !== 'KeyG' || e.ctrlKey || e.metaKey || e.altKey || e.shiftKey) return;
+    const active = document.activeElement;
+    if (active?.tagName === 'INPUT' || active?.tagName === 'TEXTAREA' || active?.isContentEditable) return;
+    if (!canvas?.scene) return;
+
+    e.preventDefault();
+    this.setEnabled(!this.enabled);
+  }
+
+  // ==========================================
+  // State
+  // ==========================================
+
+  _loadState() {
+    this._sceneId = canvas?.scene?.id || null;
+    this.enabled = !!this._sceneId && localStorage.getItem(STORAGE_PREFIX + this._sceneId) === 'true';
+    window.WBEToolbar?.setToggleState?.(TOOL_ID, this.enabled);
+    this._scheduleOverlay();
+  }
+
+  /**
+   * Turn snapping on/off for the current scene (this user only)
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    this.enabled = !!enabled;
+    if (this._sceneId) {
+      localStorage.setItem(STORAGE_PREFIX + this._sceneId, String(this.enabled));
+    }
+    window.WBEToolbar?.setToggleState?.(TOOL_ID, this.enabled);
+    this._scheduleOverlay();
+  }
+
+  /**
+   * Scene grid setting as stored in the scene flags
+   * @returns {{size: number, fromScene: boolean}}
+   */
+  getSettings() {
+    const stored = canvas?.scene?.getFlag(MODULE_ID, FLAG_KEY) || {};
+    return {
+      size: Math.max(MIN_SIZE, Number(stored.size) || DEFAULT_SIZE),
+      fromScene: !!stored.fromScene
+    };
+  }
+
+  /**
+   * Change grid spacing of the current scene (GM only)
+   * @param {{size?: number, fromScene?: boolean}} settings
+   */
+  async setSpacing(settings) {
+    if (!game.user?.isGM || !canvas?.scene) return;
+    const next = { ...this.getSettings(), ...settings };
+    next.size = Math.max(MIN_SIZE, Math.round(Number(next.size) || DEFAULT_SIZE));
+    await canvas.scene.setFlag(MODULE_ID, FLAG_KEY, next);
+    ui.notifications?.info(`WBE: snap grid ${next.fromScene ? `follows the scene grid (${this.size}px)` : `every ${next.size}px`}`);
+  }
+
+  /**
+   * Current grid spacing in world px
+   */
+  get size() {
+    const settings = this.getSettings();
+    if (settings.fromScene) {
+      const sceneSize = Number(canvas?.grid?.size ?? canvas?.scene?.grid?.size);
+      if (sceneSize >= MIN_SIZE) return sceneSize;
+    }
+    return settings.size;
+  }
+
+  // ==========================================
+  // Snapping math
+  // ==========================================
+
+  /**
+   * Whether grid snapping applies to this pointer event (Alt bypasses it)
+   * @param {MouseEvent} [e]
+   */
+  isActive(e) {
+    return this.enabled && !!canvas?.scene && !e?.altKey;
+  }
+
+  /**
+   * Nearest grid line to a world coordinate
+   */
+  snap(value) {
+    const size = this.size;
+    return Math.round(value / size) * size;
+  }
+
+  /**
+   * Offset that moves a world coordinate onto the nearest grid line
+   */
+  offsetFor(value) {
+    return this.snap(value) - value;
+  }
+
+  /**
+   * Snap a world point when the grid is active for the event
+   * @param {{x: number, y: number}} point
+   * @param {MouseEvent} [e]
+   * @returns {{x: number, y: number}}
+   */
+  snapPoint(point, e) {
+    if (!point || !this.isActive(e)) return point;
+    return { x: this.snap(point.x), y: this.snap(point.y) };
+  }
+
+  // ==========================================
+  // Overlay
+  // ==========================================
+
+  _scheduleOverlay() {
+    if (this._overlayFrame !== null) return;
+    this._overlayFrame = requestAnimationFrame(() => {
+      this._overlayFrame = null;
+      this._renderOverlay();
+    });
+  }
+
+  /**
+   * Dots at grid nodes over the visible part of the board
+   * The overlay lives in world coordinates, so it is re-laid out on pan/zoom
+   */
+  _renderOverlay() {
+    const layer = window.Whiteboard?.layer?.element;
+    const scale = canvas?.stage?.worldTransform?.a || 1;
+    const size = this.size;
+    if (!layer || !this.enabled || size * scale < MIN_SCREEN_CELL) {
+      this.overlay?.remove();
+      this.overlay = null;
+      return;
+    }
+
+    if (!this.overlay || this.overlay.parentElement !== layer) {
+      this.overlay?.remove();
+      this.overlay = document.createElement('div');
+      this.overlay.id = OVERLAY_ID;
+      this.overlay.style.cssText = `
+        position: absolute;
+        pointer-events: none;
+        z-index: -1; /* Layer is its own stacking context - stays above the canvas, below every object */
+      `;
+      layer.prepend(this.overlay);
+    }
+
+    // Visible world rect, expanded to whole cells so dots stay on grid nodes
+    const layerRect = layer.getBoundingClientRect();
+    const left = Math.floor((-layerRect.left / scale) / size) * size - size;
+    const top = Math.floor((-layerRect.top / scale) / size) * size - size;
+    const width = Math.ceil((window.innerWidth / scale) / size + 2) * size;
+    const height = Math.ceil((window.innerHeight / scale) / size + 2) * size;
+    const radius = 1.5 / scale;
+
+    Object.assign(this.overlay.style, {
+      left: `${left}px`,
+      top: `${top}px`,
+      width: `${width}px`,
+      height: `${height}px`,
+      backgroundImage: `radial-gradient(circle, ${DOT_COLOR} ${radius}px, transparent ${radius}px)`,
+      backgroundSize: `${size}px ${size}px`,
+      // Gradient is centered in its tile - shift by half a cell to put dots on the nodes
+      backgroundPosition: `${-size / 2}px ${-size / 2}px`
+    });
+  }
+}
+
+// ==========================================
+// Initialization
+// ==========================================
+
+const snapGrid = new SnapGrid();
+
+if (typeof Hooks !== 'undefined') {
+  Hooks.once('ready', () => {
+    setTimeout(() => snapGrid.init(), 200);
+  });
+} else {
+  setTimeout(() => snapGrid.init(), 1000);
+}
+
+export { SnapGrid };
+export default snapGrid;
+
+window.WBE_SnapGrid = snapGrid;
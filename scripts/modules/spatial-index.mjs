@@ -0,0 +1,230 @@
+// scripts/modules/spatial-index.mjs
+// Quadtree over world-space boxes: which objects lie near a point or inside a rect
+// Pure data structure (no DOM, no Foundry) - SpatialIndexController in main.mjs keeps it in sync with the Registry
+
+const NODE_CAPACITY = 8;   // Entries a node holds before it splits
+const MIN_NODE_SIZE = 64;  // Nodes are not split below this size (world px)
+const MIN_ROOT_SIZE = 1024;
+
+// Below this many objects a linear scan() beats the node walk of search()
+// (benchmarks/spatial-index.mjs prints the crossover) - SpatialIndexController picks by size
+export const LINEAR_SCAN_LIMIT = 150;
+
+/**
+ * Square cell of the tree. An entry lives in the deepest node that fully contains it,
+ * so boxes crossing a split line stay in the parent
+ */
+class QuadNode {
+  constructor(x, y, size) {
+    this.x = x;
+    this.y = y;
+    this.size = size;
+    this.entries = [];
+    this.children = null; // [top-left, top-right, bottom-left, bottom-right]
+  }
+
+  contains(box) {
+    return box.left >= this.x && box.right <= this.x + this.size &&
+           box.top >= this.y && box.bottom <= this.y + this.size;
+  }
+
+  intersects(rect) {
+    return rect.left <= this.x + this.size && rect.right >= this.x &&
+           rect.top <= this.y + this.size && rect.bottom >= this.y;
+  }
+
+  /**
+   * Child that fully contains the box, or null if the box crosses a split line
+   */
+  childFor(box) {
+    const mid = this.size / 2;
+    const midX = this.x + mid;
+    const midY = this.y + mid;
+    let col;
+    if (box.right <= midX) col = 0;
+    else if (box.left >= midX) col = 1;
+    else return null;
+    if (box.bottom <= midY) return this.children[col];
+    if (box.top >= midY) return this.children[2 + col];
+    return null;
+  }
+
+  split() {
+    const half = this.size / 2;
+    this.children = [
+      new QuadNode(this.x, this.y, half),
+      new QuadNode(this.x + half, this.y, half),
+      new QuadNode(this.x, this.y + half, half),
+      new QuadNode(this.x + half, this.y + half, half)
+    ];
+  }
+}
+
+function intersects(box, rect) {
+  return box.left <= rect.right && box.right >= rect.left &&
+         box.top <= rect.bottom && box.bottom >= rect.top;
+}
+
+export class Quadtree {
+  constructor() {
+    this.root = null;
+    this._entries = new Map(); // id -> { id, left, top, right, bottom, node }
+  }
+
+  get size() {
+    return this._entries.size;
+  }
+
+  has(id) {
+    return this._entries.has(id);
+  }
+
+  /**
+   * Stored box of an object
+   * @param {string} id
+   * @returns {{left: number, top: number, right: number, bottom: number}|null}
+   */
+  get(id) {
+    const entry = this._entries.get(id);
+    if (!entry) return null;
+    return { left: entry.left, top: entry.top, right: entry.right, bottom: entry.bottom };
+  }
+
+  /**
+   * Add an object or move it to a new box
+   * @param {string} id
+   * @param {{left: number, top: number, right: number, bottom: number}} box - World coordinates
+   * @returns {boolean} false if the box did not change or is not a finite box
+   */
+  insert(id, box) {
+    // A NaN edge would never fit any root and grow it forever
+    if (![box.left, box.top, box.right, box.bottom].every(Number.isFinite)) return false;
+
+    const existing = this._entries.get(id);
+    if (existing) {
+      if (existing.left === box.left && existing.top === box.top &&
+          existing.right === box.right && existing.bottom === box.bottom) {
+        return false;
+      }
+      this._detach(existing);
+    }
+
+    const entry = { id, left: box.left, top: box.top, right: box.right, bottom: box.bottom, node: null };
+    this._entries.set(id, entry);
+
+    if (!this.root) {
+      const size = Math.max(MIN_ROOT_SIZE, Math.max(box.right - box.left, box.bottom - box.top) * 2);
+      this.root = new QuadNode(Math.floor(box.left / size) * size, Math.floor(box.top / size) * size, size);
+    }
+    while (!this.root.contains(entry)) {
+      this._grow(entry);
+    }
+    this._place(this.root, entry);
+    return true;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {boolean} false if the object was not indexed
+   */
+  remove(id) {
+    const entry = this._entries.get(id);
+    if (!entry) return false;
+    this._detach(entry);
+    this._entries.delete(id);
+    return true;
+  }
+
+  clear() {
+    this.root = null;
+    this._entries.clear();
+  }
+
+  /**
+   * IDs of objects whose box intersects the rect (edges touching count)
+   * @param {{left: number, top: number, right: number, bottom: number}} rect - World coordinates
+   * @returns {Array<string>}
+   */
+  search(rect) {
+    const result = [];
+    if (!this.root) return result;
+
+    const stack = [this.root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (!node.intersects(rect)) continue;
+      for (const entry of node.entries) {
+        if (intersects(entry, rect)) result.push(entry.id);
+      }
+      if (node.children) stack.push(...node.children);
+    }
+    return result;
+  }
+
+  /**
+   * Same result as search() by checking every entry - no node walk, faster on small trees
+   * @param {{left: number, top: number, right: number, bottom: number}} rect - World coordinates
+   * @returns {Array<string>}
+   */
+  scan(rect) {
+    const result = [];
+    for (const entry of this._entries.values()) {
+      if (intersects(entry, rect)) result.push(entry.id);
+    }
+    return result;
+  }
+
+  /**
+   * IDs of objects whose box contains the point
+   * @param {number} x
+   * @param {number} y
+   * @param {number} [pad=0] - Tolerance around the point (world px)
+   * @returns {Array<string>}
+   */
+  searchPoint(x, y, pad = 0) {
+    return this.search({ left: x - pad, top: y - pad, right: x + pad, bottom: y + pad });
+  }
+
+  // ---------- internals ----------
+
+  _place(node, entry) {
+    for (;;) {
+      const child = node.children ? node.childFor(entry) : null;
+      if (!child) break;
+      node = child;
+    }
+    node.entries.push(entry);
+    entry.node = node;
+
+    if (!node.children && node.entries.length > NODE_CAPACITY && node.size / 2 >= MIN_NODE_SIZE) {
+      node.split();
+      const entries = node.entries;
+      node.entries = [];
+      for (const moved of entries) {
+        this._place(node, moved);
+      }
+    }
+  }
+
+  _detach(entry) {
+    const entries = entry.node?.entries;
+    if (!entries) return;
+    const index = entries.indexOf(entry);
+    if (index !== -1) entries.splice(index, 1);
+    entry.node = null;
+  }
+
+  /**
+   * Double the root toward a box outside of it; the old root becomes one of the quadrants
+   * (the board has no fixed size, objects can be placed anywhere)
+   */
+  _grow(box) {
+    const old = this.root;
+    const x = box.left < old.x ? old.x - old.size : old.x;
+    const y = box.top < old.y ? old.y - old.size : old.y;
+    const root = new QuadNode(x, y, old.size * 2);
+    root.split();
+    root.children[(old.x > x ? 1 : 0) + (old.y > y ? 2 : 0)] = old;
+    this.root = root;
+  }
+}
@@ -0,0 +1,772 @@
+/**
+ * Templates Library Module for Whiteboard Experience
+ *
+ * Библиотека шаблонов: сохранённые выделения (карточка персонажа, список аспектов,
+ * трек стресса), которые "штампуются" на доску под курсором
+ *
+ * Архитектура:
+ * - Шаблон - те же данные, что копирует MassSelectionController (serializeSelected),
+ *   хранится на весь мир в настройке boardTemplates (scope: world)
+ * - Мировые настройки пишет только GM: игроки отправляют сохранение/удаление через
+ *   сокет модуля (anyScene - GM может смотреть другую сцену), пишет ответственный GM
+ * - Штамп: выбрать шаблон в панели, кликнуть по доске - копия с новыми ID
+ *   (BoardIOManager.placeEntries - та же логика, что у импорта доски), один шаг истории
+ * - Плейсхолдеры {{characterName}} в любом тексте шаблона спрашиваются при установке
+ */
+
+import boardIOManager, { DROPPED_FIELDS } from './board-io.mjs';
+
+const MODULE_NAME = 'WBE-Templates';
+const MODULE_ID = 'whiteboard-experience';
+const TOOL_ID = 'wbe-templates';
+const SETTING_KEY = 'boardTemplates';
+
+// Socket actions (players ask the GM to write the world setting)
+const SAVE_ACTION = 'templateSave';
+const DELETE_ACTION = 'templateDelete';
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const HTML_PATTERN = /<[a-z][\s\S]*>/i; // Same check as WhiteboardText rendering
+
+function newTemplateId() {
+  return `tpl-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Call fn for every string value in a nested structure
+ */
+function forEachString(value, fn) {
+  if (typeof value === 'string') {
+    fn(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => forEachString(item, fn));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => forEachString(item, fn));
+  }
+}
+
+/**
+ * Placeholder names used in the objects, in order of appearance
+ * @param {Object[]} objects
+ * @returns {string[]}
+ */
+function findPlaceholders(objects) {
+  const names = new Set();
+  forEachString(objects, (text) => {
+    for (const match of text.matchAll(PLACEHOLDER_PATTERN)) names.add(match[1]);
+  });
+  return [...names];
+}
+
+/**
+ * Deep copy with placeholders filled in
+ * Text objects render their text as HTML once it holds a tag, so a value is never inserted there
+ * as markup: HTML text gets escaped values, plain text that a value would turn into HTML is
+ * escaped as a whole (shown literally). Other fields are rendered as plain text and take values as is
+ * @param {*} value - Template objects (or any nested part of them)
+ * @param {Object<string, string>} values - Placeholder name -> value
+ * @param {boolean} [rendersHtml=false] - value is the text of a text object
+ */
+function fillPlaceholders(value, values, rendersHtml = false) {
+  if (typeof value === 'string') {
+    if (!value.includes('{{')) return value;
+    const fill = (format) => value.replace(PLACEHOLDER_PATTERN, (match, name) => (name in values ? format(values[name]) : match));
+    if (HTML_PATTERN.test(value)) return fill(escapeHtml);
+    const plain = fill(String);
+    if (rendersHtml && HTML_PATTERN.test(plain)) return `<span>${escapeHtml(plain)}</span>`;
+    return plain;
+  }
+  if (Array.isArray(value)) return value.map(item => fillPlaceholders(item, values));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [
+      key,
+      fillPlaceholders(v, values, value.type === 'text' && key === 'text')
+    ]));
+  }
+  return value;
+}
+
+/**
+ * World bounds of serialized objects (size of the stamp preview)
+ */
+function getEntriesSize(objects) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const data of objects) {
+    if (typeof data.x !== 'number' || typeof data.y !== 'number') continue;
+    const scale = data.scale || 1;
+    minX = Math.min(minX, data.x);
+    minY = Math.min(minY, data.y);
+    maxX = Math.max(maxX, data.x + (data.width || 0) * scale);
+    maxY = Math.max(maxY, data.y + (data.height || 0) * scale);
+  }
+  if (!Number.isFinite(minX)) return { width: 0, height: 0 };
+  return { width: Math.round(maxX - minX), height: Math.round(maxY - minY) };
+}
+
+class TemplateLibrary {
+  constructor() {
+    this.layer = null;
+    this.panel = null;
+    this.ghost = null;
+    this.prompt = null;
+    this.armedId = null; // Template picked for the next click on the board
+    this.lastValues = {}; // Placeholder values of the previous stamp (prefilled in the prompt)
+    this._writeChain = Promise.resolve();
+
+    this._onMouseMove = this._onMouseMove.bind(this);
+    this._onKeyDown = this._onKeyDown.bind(this);
+  }
+
+  init(retryCount = 0) {
+    if (!window.Whiteboard?.layer?.element || !window.Whiteboard?.interaction) {
+      if (retryCount < 10) {
+        if (retryCount === 0) {
+          console.log(`[${MODULE_NAME}] Waiting for Whiteboard...`);
+        }
+        setTimeout(() => this.init(retryCount + 1), 500);
+      } else {
+        console.log(`[${MODULE_NAME}] Whiteboard not available (no active scene?). Will init on canvasReady.`);
+        Hooks.once('canvasReady', () => this.init(0));
+      }
+      return;
+    }
+
+    this.layer = window.Whiteboard.layer.element;
+    this._initStyles();
+    window.Whiteboard.registerUISelector?.('#wbe-templates-panel');
+    window.Whiteboard.registerUISelector?.('#wbe-templates-panel *');
+    window.Whiteboard.registerUISelector?.('.wbe-template-prompt');
+    window.Whiteboard.registerUISelector?.('.wbe-template-prompt *');
+    window.Whiteboard.registerSocketHandler?.(SAVE_ACTION, (payload) => this._onSaveRequest(payload), { anyScene: true });
+    window.Whiteboard.registerSocketHandler?.(DELETE_ACTION, (payload) => this._onDeleteRequest(payload), { anyScene: true });
+    this._addToolbarButton();
+
+    Hooks.on('canvasReady', () => {
+      this.layer = window.Whiteboard?.layer?.element || this.layer;
+      // Ghost and prompt belong to the old layer
+      if (window.WBEToolbar?.getActiveTool?.() === TOOL_ID) window.WBEToolbar.deactivateAllTools();
+    });
+
+    console.log(`[${MODULE_NAME}] Initialized`);
+  }
+
+  _initStyles() {
+    if (document.getElementById('wbe-templates-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'wbe-templates-styles';
+    style.textContent = `
+      #board.wbe-template-crosshair,
+      #board.wbe-template-crosshair *,
+      #whiteboard-experience-layer.wbe-template-crosshair,
+      #whiteboard-experience-layer.wbe-template-crosshair * {
+        cursor: crosshair !important;
+      }
+
+      #wbe-templates-panel {
+        position: fixed;
+        z-index: 101;
+        width: 240px;
+        max-height: 60vh;
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        padding: 8px;
+        background: rgba(30, 30, 30, 0.95);
+        border: 1px solid rgba(255, 255, 255, 0.1);
+        border-radius: 6px;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.4);
+        color: #e0e0e0;
+        font-size: 12px;
+      }
+
+      #wbe-templates-panel .wbe-templates-title {
+        font-size: 11px;
+        color: rgba(255, 255, 255, 0.6);
+        text-transform: uppercase;
+        letter-spacing: 0.5px;
+      }
+
+      #wbe-templates-panel .wbe-templates-save {
+        display: flex;
+        gap: 4px;
+      }
+
+      #wbe-templates-panel input,
+      .wbe-template-prompt input {
+        flex: 1;
+        min-width: 0;
+        padding: 4px 6px;
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        border-radius: 4px;
+        background: rgba(0, 0, 0, 0.3);
+        color: #fff;
+        font-size: 12px;
+      }
+
+      #wbe-templates-panel button,
+      .wbe-template-prompt button {
+        width: auto;
+        margin: 0;
+        padding: 4px 8px;
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        border-radius: 4px;
+        background: rgba(255, 255, 255, 0.08);
+        color: #e0e0e0;
+        font-size: 12px;
+        line-height: 1.2;
+        cursor: pointer;
+      }
+
+      #wbe-templates-panel button:hover,
+      .wbe-template-prompt button:hover {
+        background: rgba(255, 255, 255, 0.18);
+      }
+
+      #wbe-templates-panel .wbe-templates-list {
+        display: flex;
+        flex-direction: column;
+        gap: 2px;
+        overflow-y: auto;
+      }
+
+      #wbe-templates-panel .wbe-template-item {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        padding: 5px 6px;
+        border-radius: 4px;
+        cursor: pointer;
+      }
+
+      #wbe-templates-panel .wbe-template-item:hover {
+        background: rgba(255, 255, 255, 0.08);
+      }
+
+      #wbe-templates-panel .wbe-template-item.armed {
+        background: rgba(28, 134, 255, 0.35);
+      }
+
+      #wbe-templates-panel .wbe-template-name {
+        flex: 1;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      #wbe-templates-panel .wbe-template-meta,
+      #wbe-templates-panel .wbe-templates-hint {
+        color: rgba(255, 255, 255, 0.45);
+        font-size: 11px;
+      }
+
+      #wbe-templates-panel .wbe-template-item button {
+        padding: 2px 5px;
+        border: none;
+        background: none;
+      }
+
+      .wbe-template-ghost {
+        position: absolute;
+        box-sizing: border-box;
+        border-style: dashed;
+        border-color: #1c86ff;
+        background: rgba(28, 134, 255, 0.08);
+        pointer-events: none;
+      }
+
+      .wbe-template-prompt {
+        position: fixed;
+        z-index: 102;
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        min-width: 220px;
+        padding: 8px;
+        background: rgba(30, 30, 30, 0.97);
+        border: 1px solid rgba(255, 255, 255, 0.15);
+        border-radius: 6px;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.4);
+        color: #e0e0e0;
+        font-size: 12px;
+      }
+
+      .wbe-template-prompt label {
+        display: flex;
+        flex-direction: column;
+        gap: 2px;
+      }
+
+      .wbe-template-prompt .wbe-template-prompt-buttons {
+        display: flex;
+        justify-content: flex-end;
+        gap: 4px;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  _addToolbarButton() {
+    if (!window.WBEToolbar?.registerTool) {
+      console.warn(`[${MODULE_NAME}] WBEToolbar not available, retrying...`);
+      setTimeout(() => this._addToolbarButton(), 500);
+      return;
+    }
+
+    window.WBEToolbar.registerTool({
+      id: TOOL_ID,
+      title: 'Templates',
+      icon: 'fa-solid fa-stamp',
+      group: 'board',
+      type: 'tool',
+      onActivate: () => this.openPanel(),
+      onDeactivate: () => this.closePanel()
+    });
+  }
+
+  // ==========================================
+  // Storage
+  // ==========================================
+
+  /**
+   * All saved templates
+   * @returns {Object<string, Object>} templateId -> { id, name, objects, placeholders, width, height, createdBy, createdAt }
+   */
+  getTemplates() {
+    try {
+      return game.settings.get(MODULE_ID, SETTING_KEY) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Save the current selection as a named template
+   * @param {string} name
+   * @returns {Promise<Object|null>} The saved template
+   */
+  async saveSelection(name) {
+    const templateName = String(name ?? '').trim();
+    if (!templateName) {
+      ui.notifications?.warn('WBE: give the template a name');
+      return null;
+    }
+
+    const objects = this._serializeSelection();
+    if (objects.length === 0) {
+      ui.notifications?.warn('WBE: select the objects to save as a template');
+      return null;
+    }
+
+    const template = {
+      id: newTemplateId(),
+      name: templateName,
+      objects,
+      placeholders: findPlaceholders(objects),
+      ...getEntriesSize(objects),
+      createdBy: game.user?.id,
+      createdAt: Date.now()
+    };
+
+    if (game.user?.isGM) {
+      await this._writeTemplate(template);
+    } else if (this._hasActiveGM()) {
+      window.Whiteboard.socket.emit(SAVE_ACTION, { template });
+    } else {
+      ui.notifications?.warn('WBE: templates are saved by the GM - no GM is online');
+      return null;
+    }
+
+    ui.notifications?.info(`WBE: template "${templateName}" saved (${objects.length} object(s))`);
+    return template;
+  }
+
+  /**
+   * Delete a template (GM, or the player who saved it)
+   * @param {string} templateId
+   */
+  async deleteTemplate(templateId) {
+    const template = this.getTemplates()[templateId];
+    if (!template || !this._canDelete(template)) return;
+    if (this.armedId === templateId) this.disarm();
+
+    if (game.user?.isGM) {
+      await this._removeTemplate(templateId);
+    } else if (this._hasActiveGM()) {
+      window.Whiteboard.socket.emit(DELETE_ACTION, { templateId });
+    } else {
+      ui.notifications?.warn('WBE: templates are deleted by the GM - no GM is online');
+    }
+  }
+
+  _serializeSelection() {
+    const im = window.Whiteboard.interaction;
+    let objects = [];
+    if (im.massSelection?.selectedIds?.size > 0) {
+      objects = im.massSelection.serializeSelected();
+    } else if (im.selectedId) {
+      const obj = window.Whiteboard.registry.get(im.selectedId);
+      if (obj) objects = [obj.toJSON()];
+    }
+    // Local state is re-assigned on every stamp anyway - keep the setting small
+    return objects.map(data => {
+      const clean = { ...data };
+      for (const field of DROPPED_FIELDS) delete clean[field];
+      return clean;
+    });
+  }
+
+  _canDelete(template) {
+    return !!game.user?.isGM || template.createdBy === game.user?.id;
+  }
+
+  _hasActiveGM() {
+    return !!game.users?.some(user => user.active && user.isGM);
+  }
+
+  // Writes are chained: two saves arriving together must not overwrite each other
+  _writeTemplate(template) {
+    this._writeChain = this._writeChain.then(() => {
+      const templates = { ...this.getTemplates(), [template.id]: template };
+      return game.settings.set(MODULE_ID, SETTING_KEY, templates);
+    }).catch(error => console.error(`[${MODULE_NAME}] Failed to save template:`, error));
+    return this._writeChain;
+  }
+
+  _removeTemplate(templateId) {
+    this._writeChain = this._writeChain.then(() => {
+      const templates = { ...this.getTemplates() };
+      if (!(templateId in templates)) return;
+      delete templates[templateId];
+      return game.settings.set(MODULE_ID, SETTING_KEY, templates);
+    }).catch(error => console.error(`[${MODULE_NAME}] Failed to delete template:`, error));
+    return this._writeChain;
+  }
+
+  _onSaveRequest({ template, userId }) {
+    if (!window.WBE_isResponsibleGM?.()) return;
+    if (!template?.id || !Array.isArray(template.objects)) return;
+    this._writeTemplate({ ...template, createdBy: userId });
+  }
+
+  _onDeleteRequest({ templateId, userId }) {
+    if (!window.WBE_isResponsibleGM?.()) return;
+    const template = this.getTemplates()[templateId];
+    if (!template) return;
+    const user = game.users?.get(userId);
+    if (!user?.isGM && template.createdBy !== userId) return;
+    this._removeTemplate(templateId);
+  }
+
+  // ==========================================
+  // Stamping
+  // ==========================================
+
+  /**
+   * Pick a template for the next click on the board
+   * @param {string} templateId
+   */
+  arm(templateId) {
+    if (!this.getTemplates()[templateId]) return;
+    this.armedId = templateId;
+    this._closePrompt();
+    document.getElementById('board')?.classList.add('wbe-template-crosshair');
+    this.layer?.classList.add('wbe-template-crosshair');
+    window.addEventListener('mousemove', this._onMouseMove);
+    this.refresh();
+  }
+
+  disarm() {
+    this.armedId = null;
+    document.getElementById('board')?.classList.remove('wbe-template-crosshair');
+    this.layer?.classList.remove('wbe-template-crosshair');
+    window.removeEventListener('mousemove', this._onMouseMove);
+    this.ghost?.remove();
+    this.ghost = null;
+    this.refresh();
+  }
+
+  /**
+   * Place the picked template centered at a screen point (asks for placeholders first)
+   * @param {number} clientX
+   * @param {number} clientY
+   */
+  async stampAt(clientX, clientY) {
+    const template = this.getTemplates()[this.armedId];
+    if (!template) {
+      this.disarm();
+      return;
+    }
+    const center = this._getWorldCoords(clientX, clientY);
+    // One stamp per pick - the copies get selected, the next click must not stamp over them
+    this.disarm();
+
+    let objects = template.objects || [];
+    const placeholders = template.placeholders?.length ? template.placeholders : findPlaceholders(objects);
+    if (placeholders.length > 0) {
+      const values = await this._askPlaceholders(template, placeholders, clientX, clientY);
+      if (!values) return;
+      Object.assign(this.lastValues, values);
+      objects = fillPlaceholders(objects, values);
+    }
+
+    const wb = window.Whiteboard;
+    const entries = objects.filter(data => data?.type && wb.hasObjectType(data.type));
+    const skipped = objects.length - entries.length;
+    if (entries.length === 0) {
+      ui.notifications?.warn('WBE: this template has no objects this world can show');
+      return;
+    }
+
+    const { ids, failed } = boardIOManager.placeEntries(entries, { center });
+    if (skipped + failed > 0) {
+      ui.notifications?.warn(`WBE: ${skipped + failed} object(s) of the template skipped - their type is not available (module disabled?)`);
+    }
+    return ids;
+  }
+
+  _getWorldCoords(clientX, clientY) {
+    const rect = this.layer.getBoundingClientRect();
+    const scale = canvas?.stage?.worldTransform?.a || 1;
+    return {
+      x: (clientX - rect.left) / scale,
+      y: (clientY - rect.top) / scale
+    };
+  }
+
+  // Dashed outline of the template under the cursor
+  _onMouseMove(e) {
+    const template = this.getTemplates()[this.armedId];
+    if (!template || !this.layer) return;
+
+    if (!this.ghost) {
+      this.ghost = document.createElement('div');
+      this.ghost.className = 'wbe-template-ghost';
+      this.layer.appendChild(this.ghost);
+    }
+    const { x, y } = this._getWorldCoords(e.clientX, e.clientY);
+    const inv = 1 / (canvas?.stage?.worldTransform?.a || 1);
+    const width = Math.max(template.width || 0, 20 * inv);
+    const height = Math.max(template.height || 0, 20 * inv);
+    Object.assign(this.ghost.style, {
+      left: `${x - width / 2}px`,
+      top: `${y - height / 2}px`,
+      width: `${width}px`,
+      height: `${height}px`,
+      borderWidth: `${2 * inv}px`,
+      zIndex: 999999
+    });
+  }
+
+  /**
+   * Small form at the click point, one field per placeholder
+   * @returns {Promise<Object|null>} name -> value, null if cancelled
+   */
+  _askPlaceholders(template, placeholders, clientX, clientY) {
+    this._closePrompt();
+
+    return new Promise((resolve) => {
+      const form = document.createElement('form');
+      form.className = 'wbe-template-prompt';
+      form.style.left = `${Math.min(clientX, window.innerWidth - 240)}px`;
+      form.style.top = `${Math.min(clientY, window.innerHeight - 60 - placeholders.length * 44)}px`;
+
+      const title = document.createElement('div');
+      title.textContent = template.name;
+      title.style.fontWeight = 'bold';
+      form.appendChild(title);
+
+      const inputs = new Map();
+      for (const name of placeholders) {
+        const label = document.createElement('label');
+        label.textContent = name;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = this.lastValues[name] ?? '';
+        label.appendChild(input);
+        form.appendChild(label);
+        inputs.set(name, input);
+      }
+
+      const buttons = document.createElement('div');
+      buttons.className = 'wbe-template-prompt-buttons';
+      const cancel = document.createElement('button');
+      cancel.type = 'button';
+      cancel.textContent = 'Cancel';
+      const place = document.createElement('button');
+      place.type = 'submit';
+      place.textContent = 'Place';
+      buttons.append(cancel, place);
+      form.appendChild(buttons);
+
+      const finish = (values) => {
+        if (this.prompt?.form !== form) return;
+        form.remove();
+        this.prompt = null;
+        resolve(values);
+      };
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        finish(Object.fromEntries([...inputs].map(([name, input]) => [name, input.value])));
+      });
+      cancel.addEventListener('click', () => finish(null));
+      // Escape cancels the form only, not Foundry's own Escape handling
+      form.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Escape') finish(null);
+      });
+
+      this.prompt = { form, cancel: () => finish(null) };
+      document.body.appendChild(form);
+      inputs.values().next().value?.focus();
+    });
+  }
+
+  _closePrompt() {
+    this.prompt?.cancel();
+  }
+
+  _onKeyDown(e) {
+    if (e.key !== 'Escape' || !this.armedId) return;
+    this.disarm();
+  }
+
+  // ==========================================
+  // Panel
+  // ==========================================
+
+  openPanel() {
+    if (!this.panel) {
+      this.panel = document.createElement('div');
+      this.panel.id = 'wbe-templates-panel';
+      document.body.appendChild(this.panel);
+    }
+    const toolbarRect = document.getElementById('wbe-toolbar')?.getBoundingClientRect();
+    this.panel.style.left = `${toolbarRect ? toolbarRect.right + 8 : 160}px`;
+    this.panel.style.top = `${toolbarRect ? toolbarRect.top : 55}px`;
+    window.addEventListener('keydown', this._onKeyDown);
+    this.refresh();
+  }
+
+  closePanel() {
+    this.disarm();
+    this._closePrompt();
+    window.removeEventListener('keydown', this._onKeyDown);
+    this.panel?.remove();
+    this.panel = null;
+  }
+
+  /**
+   * Re-render the panel (templates changed or a template was picked)
+   */
+  refresh() {
+    if (this.armedId && !this.getTemplates()[this.armedId]) {
+      this.disarm();
+      return;
+    }
+    if (!this.panel) return;
+    this.panel.replaceChildren();
+
+    const title = document.createElement('div');
+    title.className = 'wbe-templates-title';
+    title.textContent = 'Templates';
+    this.panel.appendChild(title);
+
+    const saveRow = document.createElement('div');
+    saveRow.className = 'wbe-templates-save';
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.placeholder = 'Template name';
+    const saveBtn = document.createElement('button');
+    saveBtn.title = 'Save the selected objects as a template';
+    saveBtn.innerHTML = '<i class="fa-solid fa-floppy-disk"></i>';
+    const save = async () => {
+      if (await this.saveSelection(nameInput.value)) nameInput.value = '';
+    };
+    saveBtn.addEventListener('click', save);
+    nameInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') save();
+    });
+    saveRow.append(nameInput, saveBtn);
+    this.panel.appendChild(saveRow);
+
+    const templates = Object.values(this.getTemplates())
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    const hint = document.createElement('div');
+    hint.className = 'wbe-templates-hint';
+    hint.textContent = templates.length === 0
+      ? 'Select objects and save them. Text like {{characterName}} is asked for on placement.'
+      : 'Pick a template, then click the board to place it';
+    this.panel.appendChild(hint);
+
+    const list = document.createElement('div');
+    list.className = 'wbe-templates-list';
+    for (const template of templates) {
+      const item = document.createElement('div');
+      item.className = 'wbe-template-item';
+      item.classList.toggle('armed', template.id === this.armedId);
+
+      const name = document.createElement('span');
+      name.className = 'wbe-template-name';
+      name.textContent = template.name;
+      item.appendChild(name);
+
+      const meta = document.createElement('span');
+      meta.className = 'wbe-template-meta';
+      meta.textContent = String(template.objects?.length || 0);
+      meta.title = template.placeholders?.length
+        ? `Asks for: ${template.placeholders.join(', ')}`
+        : `${template.objects?.length || 0} object(s)`;
+      item.appendChild(meta);
+
+      if (this._canDelete(template)) {
+        const deleteBtn = document.createElement('button');
+        deleteBtn.title = 'Delete template';
+        deleteBtn.innerHTML = '<i class="fa-solid fa-trash"></i>';
+        deleteBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this.deleteTemplate(template.id);
+        });
+        item.appendChild(deleteBtn);
+      }
+
+      item.addEventListener('click', () => {
+        if (this.armedId === template.id) {
+          this.disarm();
+        } else {
+          this.arm(template.id);
+        }
+      });
+      list.appendChild(item);
+    }
+    this.panel.appendChild(list);
+  }
+}
+
+// ==========================================
+// Initialization
+// ==========================================
+
+const templateLibrary = new TemplateLibrary();
+
+if (typeof Hooks !== 'undefined') {
+  Hooks.once('ready', () => {
+    setTimeout(() => templateLibrary.init(), 200);
+  });
+} else {
+  setTimeout(() => templateLibrary.init(), 1000);
+}
+
+export { TemplateLibrary, findPlaceholders, fillPlaceholders };
+export default templateLibrary;
+
+window.WBE_Templates = templateLibrary;
@@ -0,0 +1,877 @@
+/**
+ * Viewpoints & Presenter Module for Whiteboard Experience
+ *
+ * Именованные точки обзора (пан + зум) и режим презентации: провести игроков по столу
+ * как по слайдам - зона персонажей, карта, доска NPC
+ *
+ * Архитектура:
+ * - Точки обзора хранятся во флагах сцены рядом с объектами страницы
+ *   (FoundryPersistenceAdapter.getFlagPath('viewpoints')) - у каждой страницы свой список,
+ *   удаление страницы удаляет и их. Пишет только GM
+ * - Точку можно создать из текущего вида или из границ выделения (фрейм, объект, группа)
+ * - Презентация: стрелки / пробел листают точки по порядку, Esc - выход
+ * - "Players follow": GM-презентер рассылает вид через сокет модуля, канвасы игроков
+ *   на той же странице плавно едут туда же (canvas.animatePan)
+ */
+
+import { getWorldBounds } from './connectors.mjs';
+
+const MODULE_NAME = 'WBE-Viewpoints';
+const MODULE_ID = 'whiteboard-experience';
+const TOOL_ID = 'wbe-viewpoints';
+const PANEL_ID = 'wbe-viewpoints-panel';
+const HUD_ID = 'wbe-presenter-hud';
+const FLAG_KEY = 'viewpoints';
+
+// Socket actions (handled via Whiteboard.registerSocketHandler)
+const VIEW_ACTION = 'presenterView';
+const STOP_ACTION = 'presenterStop';
+
+const PAN_DURATION = 600;
+const FIT_PADDING = 0.9; // Selection fills 90% of the screen
+const MAX_NAME_LENGTH = 40;
+
+const NEXT_KEYS = ['ArrowRight', 'ArrowDown', ' '];
+const PREV_KEYS = ['ArrowLeft', 'ArrowUp'];
+
+function newViewpointId() {
+  return `vp-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function isTypingTarget(target) {
+  if (!target) return false;
+  return target.isContentEditable || target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT';
+}
+
+function clampZoom(scale) {
+  const minZoom = CONFIG?.Canvas?.minZoom ?? 0.1;
+  const maxZoom = CONFIG?.Canvas?.maxZoom ?? 3;
+  return Math.max(minZoom, Math.min(maxZoom, scale));
+}
+
+/**
+ * Size of the board on screen (the part the canvas is drawn in)
+ */
+function getBoardRect() {
+  const rect = document.getElementById('board')?.getBoundingClientRect();
+  if (rect && rect.width > 0 && rect.height > 0) return rect;
+  return { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+}
+
+class ViewpointManager {
+  constructor() {
+    this.panel = null;
+    this.hud = null;
+    this.presenting = false;
+    this.currentId = null; // Viewpoint shown last while presenting
+    this.broadcast = false; // GM presenter: players follow
+    this.following = null; // { userId, name, label } - GM presenter this client follows
+
+    this._renamingId = null;
+    this._listKey = '';
+    this._pages = null;
+    this._unsubscribePages = null;
+
+    this._onKeyDown = this._onKeyDown.bind(this);
+    this._onUpdateScene = this._onUpdateScene.bind(this);
+  }
+
+  init(retryCount = 0) {
+    if (!window.Whiteboard?.layer?.element) {
+      if (retryCount < 10) {
+        if (retryCount === 0) {
+          console.log(`[${MODULE_NAME}] Waiting for Whiteboard...`);
+        }
+        setTimeout(() => this.init(retryCount + 1), 500);
+      } else {
+        console.log(`[${MODULE_NAME}] Whiteboard not available (no active scene?). Will init on canvasReady.`);
+        Hooks.once('canvasReady', () => this.init(0));
+      }
+      return;
+    }
+
+    this._initStyles();
+    window.Whiteboard.registerUISelector?.(`#${PANEL_ID}`);
+    window.Whiteboard.registerUISelector?.(`#${PANEL_ID} *`);
+    window.Whiteboard.registerUISelector?.(`#${HUD_ID}`);
+    window.Whiteboard.registerUISelector?.(`#${HUD_ID} *`);
+    window.Whiteboard.registerSocketHandler?.(VIEW_ACTION, (payload) => this._onRemoteView(payload));
+    window.Whiteboard.registerSocketHandler?.(STOP_ACTION, (payload) => this._onRemoteStop(payload));
+    this._addToolbarButton();
+    this._subscribePages();
+
+    Hooks.on('updateScene', this._onUpdateScene);
+    Hooks.on('canvasReady', () => {
+      this._subscribePages();
+      this.stopPresenting();
+      this._stopFollowing();
+      this.refresh();
+    });
+    Hooks.on('userConnected', (user, connected) => {
+      // Newcomer joins the current slide
+      if (connected && this.presenting && this.broadcast) this._broadcastCurrent();
+      if (!connected && this.following?.userId === user.id) this._stopFollowing();
+    });
+
+    console.log(`[${MODULE_NAME}] Initialized`);
+  }
+
+  _initStyles() {
+    if (document.getElementById('wbe-viewpoints-styles')) return;
+
+    const style = document.createElement('style');
+    style.id = 'wbe-viewpoints-styles';
+    style.textContent = `
+      #${PANEL_ID} {
+        position: fixed;
+        z-index: 101;
+        width: 240px;
+        max-height: 60vh;
+        display: flex;
+        flex-direction: column;
+        gap: 6px;
+        padding: 8px;
+        background: rgba(30, 30, 30, 0.95);
+        border: 1px solid rgba(255, 255, 255, 0.1);
+        border-radius: 6px;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.4);
+        color: #e0e0e0;
+        font-size: 12px;
+      }
+
+      #${PANEL_ID} .wbe-viewpoints-title {
+        font-size: 11px;
+        color: rgba(255, 255, 255, 0.6);
+        text-transform: uppercase;
+        letter-spacing: 0.5px;
+      }
+
+      #${PANEL_ID} .wbe-viewpoints-row {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+      }
+
+      #${PANEL_ID} input[type="text"] {
+        flex: 1;
+        min-width: 0;
+        padding: 2px 4px;
+        border: 1px solid rgba(255, 255, 255, 0.3);
+        border-radius: 3px;
+        background: rgba(0, 0, 0, 0.3);
+        color: #fff;
+        font-size: 12px;
+      }
+
+      #${PANEL_ID} button,
+      #${HUD_ID} button {
+        width: auto;
+        margin: 0;
+        padding: 4px 8px;
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        border-radius: 4px;
+        background: rgba(255, 255, 255, 0.08);
+        color: #e0e0e0;
+        font-size: 12px;
+        line-height: 1.2;
+        cursor: pointer;
+      }
+
+      #${PANEL_ID} button:hover,
+      #${HUD_ID} button:hover {
+        background: rgba(255, 255, 255, 0.18);
+      }
+
+      #${PANEL_ID} .wbe-viewpoints-row > button {
+        flex: 1;
+      }
+
+      #${PANEL_ID} .wbe-viewpoints-list {
+        display: flex;
+        flex-direction: column;
+        gap: 2px;
+        overflow-y: auto;
+      }
+
+      #${PANEL_ID} .wbe-viewpoint-item {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        padding: 4px 6px;
+        border-radius: 4px;
+        cursor: pointer;
+      }
+
+      #${PANEL_ID} .wbe-viewpoint-item:hover {
+        background: rgba(255, 255, 255, 0.08);
+      }
+
+      #${PANEL_ID} .wbe-viewpoint-item.current {
+        background: rgba(28, 134, 255, 0.35);
+      }
+
+      #${PANEL_ID} .wbe-viewpoint-index {
+        min-width: 14px;
+        color: rgba(255, 255, 255, 0.45);
+        font-size: 11px;
+      }
+
+      #${PANEL_ID} .wbe-viewpoint-name {
+        flex: 1;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      #${PANEL_ID} .wbe-viewpoint-item button {
+        padding: 2px 4px;
+        border: none;
+        background: none;
+        color: rgba(255, 255, 255, 0.6);
+        font-size: 11px;
+      }
+
+      #${PANEL_ID} .wbe-viewpoints-hint {
+        color: rgba(255, 255, 255, 0.45);
+        font-size: 11px;
+      }
+
+      #${PANEL_ID} label {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        cursor: pointer;
+      }
+
+      #${HUD_ID} {
+        position: fixed;
+        top: 12px;
+        left: 50%;
+        transform: translateX(-50%);
+        z-index: 101;
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        padding: 6px 8px;
+        background: rgba(30, 30, 30, 0.95);
+        border: 1px solid rgba(255, 255, 255, 0.1);
+        border-radius: 6px;
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.4);
+        color: #e0e0e0;
+        font-size: 13px;
+      }
+
+      #${HUD_ID} .wbe-presenter-label {
+        min-width: 120px;
+        max-width: 320px;
+        overflow: hidden;
+        text-align: center;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      #${HUD_ID} .wbe-presenter-follow {
+        color: #ffb74d;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  _addToolbarButton() {
+    if (!window.WBEToolbar?.registerTool) {
+      console.warn(`[${MODULE_NAME}] WBEToolbar not available, retrying...`);
+      setTimeout(() => this._addToolbarButton(), 500);
+      return;
+    }
+
+    window.WBEToolbar.registerTool({
+      id: TOOL_ID,
+      title: 'Viewpoints & Presenter',
+      icon: 'fa-solid fa-person-chalkboard',
+      group: 'board',
+      type: 'toggle',
+      onToggle: (isActive) => isActive ? this.openPanel() : this.closePanel()
+    });
+  }
+
+  _subscribePages() {
+    const pages = window.Whiteboard?.pages;
+    if (!pages || pages === this._pages) return;
+    this._unsubscribePages?.();
+    this._pages = pages;
+    let lastPageId = pages.currentPageId;
+    this._unsubscribePages = pages.subscribe(({ currentPageId }) => {
+      if (currentPageId === lastPageId) return;
+      lastPageId = currentPageId;
+      // Slides of the old page are gone
+      this.stopPresenting();
+      this.refresh();
+    });
+  }
+
+  // ==========================================
+  // Storage
+  // ==========================================
+
+  _getFlagPath() {
+    return window.Whiteboard?.persistenceAdapter?.getFlagPath?.(FLAG_KEY) || FLAG_KEY;
+  }
+
+  /**
+   * Viewpoints of the current page in presentation order
+   * @returns {Array<{id, name, x, y, scale, order}>}
+   */
+  getViewpoints() {
+    const stored = canvas?.scene?.getFlag(MODULE_ID, this._getFlagPath()) || {};
+    return Object.values(stored)
+      .filter(vp => vp && Number.isFinite(vp.x) && Number.isFinite(vp.y) && Number.isFinite(vp.scale))
+      .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  }
+
+  getViewpoint(viewpointId) {
+    return this.getViewpoints().find(vp => vp.id === viewpointId) || null;
+  }
+
+  async _writeViewpoint(viewpoint) {
+    if (!game.user?.isGM || !canvas?.scene) return;
+    await canvas.scene.update({ [`flags.${MODULE_ID}.${this._getFlagPath()}.${viewpoint.id}`]: viewpoint });
+  }
+
+  /**
+   * Save a view as a new viewpoint (GM)
+   * @param {{x, y, scale}} view - Center in world coords and zoom
+   * @param {string} [name]
+   * @returns {Promise<Object|null>}
+   */
+  async addViewpoint(view, name) {
+    if (!game.user?.isGM) return null;
+    if (!view) return null;
+    const viewpoints = this.getViewpoints();
+    const viewpoint = {
+      id: newViewpointId(),
+      name: this._cleanName(name, `View ${viewpoints.length + 1}`),
+      x: Math.round(view.x),
+      y: Math.round(view.y),
+      scale: Math.round(clampZoom(view.scale) * 1000) / 1000,
+      order: viewpoints.length ? Math.max(...viewpoints.map(vp => vp.order ?? 0)) + 1 : 0
+    };
+    await this._writeViewpoint(viewpoint);
+    return viewpoint;
+  }
+
+  async addFromCurrentView() {
+    return this.addViewpoint(this.getCurrentView());
+  }
+
+  /**
+   * Viewpoint that fits the selected frame / object / mass selection on screen
+   */
+  async addFromSelection() {
+    const view = this.getSelectionView();
+    if (!view) {
+      ui.notifications?.warn('WBE: select a frame or objects to make a viewpoint from');
+      return null;
+    }
+    // A frame already has a name for its zone
+    const frame = view.single?.type === 'frame' ? view.single : null;
+    return this.addViewpoint(view, frame?.title);
+  }
+
+  async renameViewpoint(viewpointId, name) {
+    const viewpoint = this.getViewpoint(viewpointId);
+    if (!viewpoint) return;
+    await this._writeViewpoint({ ...viewpoint, name: this._cleanName(name, viewpoint.name) });
+  }
+
+  /**
+   * Replace the stored view of a viewpoint with the current one
+   */
+  async updateViewpoint(viewpointId) {
+    const viewpoint = this.getViewpoint(viewpointId);
+    const view = this.getCurrentView();
+    if (!viewpoint || !view) return;
+    await this._writeViewpoint({
+      ...viewpoint,
+      x: Math.round(view.x),
+      y: Math.round(view.y),
+      scale: Math.round(clampZoom(view.scale) * 1000) / 1000
+    });
+  }
+
+  async deleteViewpoint(viewpointId) {
+    if (!game.user?.isGM || !canvas?.scene) return;
+    if (this.currentId === viewpointId) this.currentId = null;
+    await canvas.scene.update({ [`flags.${MODULE_ID}.${this._getFlagPath()}.-=${viewpointId}`]: null });
+  }
+
+  /**
+   * Move a viewpoint one step earlier/later in the presentation
+   * @param {string} viewpointId
+   * @param {number} direction - -1 or 1
+   */
+  async moveViewpoint(viewpointId, direction) {
+    if (!game.user?.isGM || !canvas?.scene) return;
+    const viewpoints = this.getViewpoints();
+    const index = viewpoints.findIndex(vp => vp.id === viewpointId);
+    const other = viewpoints[index + direction];
+    if (index < 0 || !other) return;
+
+    // Re-number all: old data may share order values
+    const ordered = [...viewpoints];
+    ordered[index] = other;
+    ordered[index + direction] = viewpoints[index];
+    const path = this._getFlagPath();
+    const updateData = {};
+    ordered.forEach((vp, order) => {
+      updateData[`flags.${MODULE_ID}.${path}.${vp.id}.order`] = order;
+    });
+    await canvas.scene.update(updateData);
+  }
+
+  _cleanName(name, fallback) {
+    const clean = String(name ?? '').trim().slice(0, MAX_NAME_LENGTH);
+    return clean || fallback;
+  }
+
+  _onUpdateScene(scene, changes) {
+    if (scene.id !== canvas?.scene?.id || !changes?.flags?.[MODULE_ID]) return;
+    // Object saves touch the same flags - re-render only when the list really changed
+    if (this._getListKey() === this._listKey) return;
+    if (this.currentId && !this.getViewpoint(this.currentId)) this.currentId = null;
+    this.refresh();
+    this._renderHud();
+  }
+
+  _getListKey() {
+    return JSON.stringify(this.getViewpoints());
+  }
+
+  // ==========================================
+  // Views
+  // ==========================================
+
+  /**
+   * Current view: world point in the center of the board and zoom
+   * @returns {{x, y, scale}|null}
+   */
+  getCurrentView() {
+    const t = canvas?.stage?.worldTransform;
+    if (!t?.a) return null;
+    const rect = getBoardRect();
+    return {
+      x: (rect.left + rect.width / 2 - t.tx) / t.a,
+      y: (rect.top + rect.height / 2 - t.ty) / t.d,
+      scale: t.a
+    };
+  }
+
+  /**
+   * View that fits the selection on screen
+   * @returns {{x, y, scale, single: Object|null}|null} single - the object when only one is selected
+   */
+  getSelectionView() {
+    const wb = window.Whiteboard;
+    const im = wb?.interaction;
+    if (!im || !wb.registry) return null;
+
+    let ids = [];
+    if (im.massSelection?.selectedIds?.size > 0) {
+      ids = [...im.massSelection.selectedIds];
+    } else if (im.selectedId) {
+      ids = [im.selectedId];
+    }
+
+    let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+    for (const id of ids) {
+      const obj = wb.registry.get(id);
+      const bounds = obj ? getWorldBounds(obj) : null;
+      if (!bounds) continue;
+      left = Math.min(left, bounds.left);
+      top = Math.min(top, bounds.top);
+      right = Math.max(right, bounds.right);
+      bottom = Math.max(bottom, bounds.bottom);
+    }
+    if (!Number.isFinite(left)) return null;
+
+    const rect = getBoardRect();
+    const width = Math.max(1, right - left);
+    const height = Math.max(1, bottom - top);
+    return {
+      x: (left + right) / 2,
+      y: (top + bottom) / 2,
+      scale: clampZoom(Math.min(rect.width * FIT_PADDING / width, rect.height * FIT_PADDING / height)),
+      single: ids.length === 1 ? wb.registry.get(ids[0]) : null
+    };
+  }
+
+  /**
+   * Animate the canvas to a view
+   * @param {{x, y, scale}} view
+   */
+  panTo(view) {
+    if (!view || !canvas?.animatePan) return;
+    canvas.animatePan({ x: view.x, y: view.y, scale: clampZoom(view.scale), duration: PAN_DURATION });
+  }
+
+  /**
+   * Go to a viewpoint (and take followers along when presenting)
+   * @param {string} viewpointId
+   */
+  goTo(viewpointId) {
+    const viewpoint = this.getViewpoint(viewpointId);
+    if (!viewpoint) return;
+    this.currentId = viewpoint.id;
+    this.panTo(viewpoint);
+    if (this.presenting && this.broadcast) this._broadcastCurrent();
+    this.refresh();
+    this._renderHud();
+  }
+
+  // ==========================================
+  // Presenter mode
+  // ==========================================
+
+  /**
+   * @param {string} [startId] - Viewpoint to start with (first by default)
+   */
+  startPresenting(startId = null) {
+    const viewpoints = this.getViewpoints();
+    if (viewpoints.length === 0) {
+      ui.notifications?.warn('WBE: save some viewpoints first');
+      return;
+    }
+    this._stopFollowing();
+    this.presenting = true;
+    window.addEventListener('keydown', this._onKeyDown, true);
+    const start = viewpoints.find(vp => vp.id === startId) || viewpoints[0];
+    this.goTo(start.id);
+  }
+
+  stopPresenting() {
+    if (!this.presenting) return;
+    this.presenting = false;
+    window.removeEventListener('keydown', this._onKeyDown, true);
+    if (this.broadcast) window.Whiteboard?.socket?.emit(STOP_ACTION, {}, { quiet: true });
+    this._renderHud();
+    this.refresh();
+  }
+
+  /**
+   * @param {number} direction - 1 next, -1 previous
+   */
+  step(direction) {
+    const viewpoints = this.getViewpoints();
+    if (viewpoints.length === 0) return;
+    const index = viewpoints.findIndex(vp => vp.id === this.currentId);
+    const next = index < 0
+      ? (direction > 0 ? 0 : viewpoints.length - 1)
+      : Math.max(0, Math.min(viewpoints.length - 1, index + direction));
+    this.goTo(viewpoints[next].id);
+  }
+
+  /**
+   * GM presenter: players on this page follow every step
+   * @param {boolean} value
+   */
+  setBroadcast(value) {
+    this.broadcast = !!value && !!game.user?.isGM;
+    if (!this.presenting) return;
+    if (this.broadcast) {
+      this._broadcastCurrent();
+    } else {
+      window.Whiteboard?.socket?.emit(STOP_ACTION, {}, { quiet: true });
+    }
+    this._renderHud();
+  }
+
+  _broadcastCurrent() {
+    const viewpoint = this.getViewpoint(this.currentId);
+    if (!viewpoint) return;
+    const viewpoints = this.getViewpoints();
+    window.Whiteboard?.socket?.emit(VIEW_ACTION, {
+      x: viewpoint.x,
+      y: viewpoint.y,
+      scale: viewpoint.scale,
+      name: viewpoint.name,
+      index: viewpoints.findIndex(vp => vp.id === viewpoint.id),
+      total: viewpoints.length
+    }, { quiet: true });
+  }
+
+  _onKeyDown(e) {
+    if (!this.presenting || isTypingTarget(e.target)) return;
+    let handled = true;
+    if (NEXT_KEYS.includes(e.key)) {
+      this.step(1);
+    } else if (PREV_KEYS.includes(e.key)) {
+      this.step(-1);
+    } else if (e.key === 'Escape') {
+      this.stopPresenting();
+    } else {
+      handled = false;
+    }
+    // Foundry pans the canvas with the arrow keys too
+    if (handled) {
+      e.preventDefault();
+      e.stopPropagation();
+    }
+  }
+
+  // ==========================================
+  // Following
+  // ==========================================
+
+  _onRemoteView({ userId, x, y, scale, name, index, total }) {
+    if (!userId || userId === game.user?.id) return;
+    const presenter = game.users?.get(userId);
+    if (!presenter?.isGM || ![x, y, scale].every(Number.isFinite)) return;
+
+    // Our own presentation gives way to the GM's
+    this.stopPresenting();
+    this.following = {
+      userId,
+      name: presenter.name,
+      label: `${name || 'View'} (${(index ?? 0) + 1} / ${total || 1})`
+    };
+    this.panTo({ x, y, scale });
+    this._renderHud();
+  }
+
+  _onRemoteStop({ userId }) {
+    if (this.following?.userId === userId) this._stopFollowing();
+  }
+
+  _stopFollowing() {
+    if (!this.following) return;
+    this.following = null;
+    this._renderHud();
+  }
+
+  // ==========================================
+  // UI
+  // ==========================================
+
+  openPanel() {
+    if (!this.panel) {
+      this.panel = document.createElement('div');
+      this.panel.id = PANEL_ID;
+      document.body.appendChild(this.panel);
+    }
+    const toolbarRect = document.getElementById('wbe-toolbar')?.getBoundingClientRect();
+    this.panel.style.left = `${toolbarRect ? toolbarRect.right + 8 : 160}px`;
+    this.panel.style.top = `${toolbarRect ? toolbarRect.top : 55}px`;
+    this.refresh();
+  }
+
+  closePanel() {
+    this._renamingId = null;
+    this.panel?.remove();
+    this.panel = null;
+  }
+
+  /**
+   * Re-render the panel (list changed, page switched, presenter stepped)
+   */
+  refresh() {
+    this._listKey = this._getListKey();
+    if (!this.panel) return;
+    this.panel.replaceChildren();
+    const isGM = !!game.user?.isGM;
+    const viewpoints = this.getViewpoints();
+
+    const title = document.createElement('div');
+    title.className = 'wbe-viewpoints-title';
+    title.textContent = 'Viewpoints';
+    this.panel.appendChild(title);
+
+    if (isGM) {
+      const addRow = document.createElement('div');
+      addRow.className = 'wbe-viewpoints-row';
+      addRow.append(
+        this._createButton('<i class="fa-solid fa-plus"></i> View', 'Save the current view', () => this.addFromCurrentView()),
+        this._createButton('<i class="fa-solid fa-plus"></i> Selection', 'Save a view that fits the selected frame or objects', () => this.addFromSelection())
+      );
+      this.panel.appendChild(addRow);
+    }
+
+    const hint = document.createElement('div');
+    hint.className = 'wbe-viewpoints-hint';
+    if (viewpoints.length === 0) {
+      hint.textContent = isGM ? 'Save views to walk the players through the table like slides' : 'The GM has not saved any viewpoints on this page';
+    } else {
+      hint.textContent = this.presenting ? 'Arrows / Space - next or previous, Esc - stop' : 'Click a viewpoint to go there';
+    }
+    this.panel.appendChild(hint);
+
+    const list = document.createElement('div');
+    list.className = 'wbe-viewpoints-list';
+    viewpoints.forEach((viewpoint, index) => list.appendChild(this._createItem(viewpoint, index, viewpoints.length, isGM)));
+    this.panel.appendChild(list);
+
+    if (viewpoints.length > 0) {
+      const presentRow = document.createElement('div');
+      presentRow.className = 'wbe-viewpoints-row';
+      presentRow.appendChild(this.presenting
+        ? this._createButton('<i class="fa-solid fa-stop"></i> Stop', 'Stop presenting (Esc)', () => this.stopPresenting())
+        : this._createButton('<i class="fa-solid fa-play"></i> Present', 'Step through the viewpoints with the arrow keys', () => this.startPresenting(this.currentId)));
+      this.panel.appendChild(presentRow);
+    }
+
+    if (isGM) {
+      const followLabel = document.createElement('label');
+      const followBox = document.createElement('input');
+      followBox.type = 'checkbox';
+      followBox.checked = this.broadcast;
+      followBox.addEventListener('change', () => this.setBroadcast(followBox.checked));
+      followLabel.append(followBox, document.createTextNode('Players follow presenter'));
+      followLabel.title = 'While you present, every player on this page is moved to the same view';
+      this.panel.appendChild(followLabel);
+    }
+  }
+
+  _createItem(viewpoint, index, total, isGM) {
+    const item = document.createElement('div');
+    item.className = 'wbe-viewpoint-item';
+    item.classList.toggle('current', viewpoint.id === this.currentId);
+
+    const number = document.createElement('span');
+    number.className = 'wbe-viewpoint-index';
+    number.textContent = String(index + 1);
+    item.appendChild(number);
+
+    if (this._renamingId === viewpoint.id) {
+      item.appendChild(this._createRenameInput(viewpoint));
+      return item;
+    }
+
+    const name = document.createElement('span');
+    name.className = 'wbe-viewpoint-name';
+    name.textContent = viewpoint.name;
+    item.appendChild(name);
+    item.addEventListener('click', () => this.goTo(viewpoint.id));
+
+    if (isGM) {
+      name.title = 'Double-click to rename';
+      name.addEventListener('dblclick', (e) => {
+        e.stopPropagation();
+        this._renamingId = viewpoint.id;
+        this.refresh();
+      });
+      const up = this._createButton('<i class="fa-solid fa-chevron-up"></i>', 'Earlier', () => this.moveViewpoint(viewpoint.id, -1));
+      up.disabled = index === 0;
+      const down = this._createButton('<i class="fa-solid fa-chevron-down"></i>', 'Later', () => this.moveViewpoint(viewpoint.id, 1));
+      down.disabled = index === total - 1;
+      item.append(
+        up,
+        down,
+        this._createButton('<i class="fa-solid fa-crosshairs"></i>', 'Replace with the current view', () => this.updateViewpoint(viewpoint.id)),
+        this._createButton('<i class="fa-solid fa-trash"></i>', 'Delete viewpoint', () => this.deleteViewpoint(viewpoint.id))
+      );
+    }
+    return item;
+  }
+
+  _createRenameInput(viewpoint) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = viewpoint.name;
+
+    let done = false;
+    const finish = (apply) => {
+      if (done) return;
+      done = true;
+      this._renamingId = null;
+      if (apply && input.value.trim() && input.value.trim() !== viewpoint.name) {
+        this.renameViewpoint(viewpoint.id, input.value);
+      }
+      this.refresh();
+    };
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') finish(true);
+      else if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+    input.addEventListener('click', (e) => e.stopPropagation());
+    requestAnimationFrame(() => {
+      input.focus();
+      input.select();
+    });
+    return input;
+  }
+
+  _createButton(html, title, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.title = title;
+    button.innerHTML = html;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+
+  /**
+   * Presenter controls / "following the GM" banner at the top of the screen
+   */
+  _renderHud() {
+    if (!this.presenting && !this.following) {
+      this.hud?.remove();
+      this.hud = null;
+      return;
+    }
+    if (!this.hud) {
+      this.hud = document.createElement('div');
+      this.hud.id = HUD_ID;
+      document.body.appendChild(this.hud);
+    }
+    this.hud.replaceChildren();
+
+    const label = document.createElement('span');
+    label.className = 'wbe-presenter-label';
+
+    if (this.following) {
+      label.textContent = `${this.following.name}: ${this.following.label}`;
+      const icon = document.createElement('i');
+      icon.className = 'fa-solid fa-person-chalkboard wbe-presenter-follow';
+      this.hud.append(icon, label);
+      return;
+    }
+
+    const viewpoints = this.getViewpoints();
+    const index = viewpoints.findIndex(vp => vp.id === this.currentId);
+    label.textContent = index < 0 ? '-' : `${index + 1} / ${viewpoints.length} · ${viewpoints[index].name}`;
+
+    if (this.broadcast) {
+      const icon = document.createElement('i');
+      icon.className = 'fa-solid fa-tower-broadcast wbe-presenter-follow';
+      icon.title = 'Players follow you';
+      this.hud.appendChild(icon);
+    }
+    this.hud.append(
+      this._createButton('<i class="fa-solid fa-chevron-left"></i>', 'Previous (←)', () => this.step(-1)),
+      label,
+      this._createButton('<i class="fa-solid fa-chevron-right"></i>', 'Next (→ / Space)', () => this.step(1)),
+      this._createButton('<i class="fa-solid fa-xmark"></i>', 'Stop presenting (Esc)', () => this.stopPresenting())
+    );
+  }
+}
+
+// ==========================================
+// Initialization
+// ==========================================
+
+const viewpointManager = new ViewpointManager();
+
+if (typeof Hooks !== 'undefined') {
+  Hooks.once('ready', () => {
+    setTimeout(() => viewpointManager.init(), 200);
+  });
+} else {
+  setTimeout(() => viewpointManager.init(), 1000);
+}
+
+export { ViewpointManager };
+export default viewpointManager;
+
+window.WBE_Viewpoints = viewpointManager;
@@ -425,6 +425,8 @@ function createToolButton(tool) {
   icon.className = tool.icon;
   btn.appendChild(icon);
   
+  btn.disabled = !!tool.disabled;
+  
   // Submenu (if defined)
   if (tool.submenu && Array.isArray(tool.submenu)) {
     const submenu = document.createElement('div');
@@ -560,7 +562,7 @@ function deactivateTool(toolId) {
 }
 
 // Group order for consistent toolbar layout
-const GROUP_ORDER = ['help', 'selection', 'create', 'shapes', 'objects', 'default'];
+const GROUP_ORDER = ['help', 'selection', 'history', 'board', 'create', 'shapes', 'objects', 'default'];
 
 /**
  * Перерендерить тулбар
@@ -665,6 +667,7 @@ export function initToolbar() {
  * @param {Function} [tool.onToggle] - Для type='toggle', получает (isActive)
  * @param {Function} [tool.onActivate] - Для type='tool'
  * @param {Function} [tool.onDeactivate] - Для type='tool'
+ * @param {boolean} [tool.disabled] - Кнопка неактивна (см. setToolDisabled)
  */
 export function registerTool(tool) {
   if (!tool.id) {
@@ -715,6 +718,18 @@ export function setToggleState(toolId, isOn) {
   }
 }
 
+/**
+ * Включить/выключить кнопку тула (состояние переживает перерендер тулбара)
+ */
+export function setToolDisabled(toolId, disabled) {
+  const tool = registeredTools.get(toolId);
+  if (!tool) return;
+  
+  tool.disabled = !!disabled;
+  const btn = toolbarElement?.querySelector(`[data-tool-id="${toolId}"]`);
+  if (btn) btn.disabled = tool.disabled;
+}
+
 /**
  * Получить активный тул
  */
@@ -786,6 +801,7 @@ window.WBEToolbar = {
   unregisterTool,
   getToggleState,
   setToggleState,
+  setToolDisabled,
   getActiveTool,
   activateTool: activateToolById,
   deactivateAllTools,
@@ -0,0 +1,48 @@
+// tests/off-page-writes.test.mjs
+// What GM stores for changes made on a page it is not viewing (resolveStoredWrite in scripts/modules/field-clocks.mjs)
+//
+// Run: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveStoredWrite } from '../scripts/modules/field-clocks.mjs';
+
+const isGM = userId => userId === 'gm';
+
+const note = () => ({ id: 'note1', type: 'note', x: 10, y: 20, text: 'Clue', color: '#ffeb3b' });
+
+test('a new object is stored in full with the sender\'s stamps', () => {
+  const clocks = { text: [2, 'alice'] };
+  const { json } = resolveStoredWrite('created', null, note(), clocks, isGM);
+  assert.deepEqual(json, { ...note(), _fieldClocks: clocks });
+});
+
+test('a repeated creation announcement does not overwrite the stored object', () => {
+  const stored = { ...note(), text: 'Edited', _fieldClocks: { text: [5, 'bob'] } };
+  const result = resolveStoredWrite('created', stored, note(), {}, isGM);
+  assert.equal(result.json, null);
+  assert.equal(result.reason, 'stored');
+});
+
+test('delete then a late update: the deleted object is not brought back', () => {
+  // Bob deleted the note (nothing stored any more), Alice's update arrives afterwards
+  const result = resolveStoredWrite('updated', null, { ...note(), x: 400 }, { x: [7, 'alice'] }, isGM);
+  assert.equal(result.json, null);
+  assert.equal(result.reason, 'missing');
+});
+
+test('an update is merged per field into the stored object', () => {
+  const stored = { ...note(), color: '#ff0000', _fieldClocks: { color: [6, 'bob'], x: [1, 'gm'] } };
+  const { json, rejected } = resolveStoredWrite('updated', stored, { ...note(), x: 400 }, { x: [4, 'alice'], color: [1, 'gm'] }, isGM);
+  assert.equal(json.x, 400);
+  assert.equal(json.color, '#ff0000');
+  assert.deepEqual(json._fieldClocks, { color: [6, 'bob'], x: [4, 'alice'] });
+  assert.deepEqual(rejected, ['color']);
+});
+
+test('an update that wins no field writes nothing', () => {
+  const stored = { ...note(), _fieldClocks: { x: [9, 'bob'] } };
+  const result = resolveStoredWrite('updated', stored, note(), { x: [3, 'alice'] }, isGM);
+  assert.equal(result.json, null);
+  assert.equal(result.reason, 'unchanged');
+});
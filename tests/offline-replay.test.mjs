@@ -0,0 +1,118 @@
+// tests/offline-replay.test.mjs
+// GM-side decision for replayed offline edits and off-page merges (scripts/modules/field-clocks.mjs)
+//
+// Run: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareStamps, mergeFields, resolveReplay } from '../scripts/modules/field-clocks.mjs';
+
+const isGM = userId => userId === 'gm';
+
+// A shape as GM loads it from the scene flags: stamps of the last saved edits, no edit time
+const storedShape = () => ({
+  id: 'shape1',
+  type: 'shape',
+  x: 100,
+  y: 100,
+  fillColor: '#ffffff',
+  strokeWidth: 2,
+  _fieldClocks: { x: [3, 'player'], y: [3, 'player'], fillColor: [1, 'gm'] }
+});
+
+test('stamps: counter first, then GM, then user id', () => {
+  assert.ok(compareStamps([5, 'a'], [4, 'gm'], isGM) > 0);
+  assert.ok(compareStamps([4, 'gm'], [4, 'player'], isGM) > 0);
+  assert.ok(compareStamps([4, 'b'], [4, 'a'], isGM) > 0);
+  assert.equal(compareStamps([4, 'a'], [4, 'a'], isGM), 0);
+  assert.ok(compareStamps(undefined, [1, 'a'], isGM) < 0);
+});
+
+test('offline update of an object GM has not touched is applied', () => {
+  const stored = storedShape();
+  const entry = { op: 'updated', data: { ...stored, x: 300 }, clocks: { ...stored._fieldClocks, x: [4, 'player'] } };
+  const result = resolveReplay(entry, stored, stored._fieldClocks, isGM);
+  assert.equal(result.apply, true);
+  assert.equal(result.conflict, false);
+  assert.equal(result.merged.x, 300);
+  assert.deepEqual(result.clocks.x, [4, 'player']);
+});
+
+test('an object without an edit time (shape/note/frame/connector JSON) is not treated as changed', () => {
+  // GM stamps _lastModified with its load time - the replay must not compare against it
+  const stored = { ...storedShape(), _lastModified: Date.now() + 60000 };
+  const entry = { op: 'updated', data: { ...stored, fillColor: '#ff0000' }, clocks: { ...stored._fieldClocks, fillColor: [4, 'player'] } };
+  const result = resolveReplay(entry, stored, stored._fieldClocks, isGM);
+  assert.equal(result.apply, true);
+  assert.equal(result.conflict, false);
+  assert.equal(result.merged.fillColor, '#ff0000');
+});
+
+test('a field GM changed after the player saw it stays GM\'s, other fields are merged', () => {
+  const stored = storedShape();
+  stored.fillColor = '#00ff00';
+  stored._fieldClocks.fillColor = [6, 'gm'];
+  const entry = {
+    op: 'updated',
+    data: { ...storedShape(), x: 300, fillColor: '#ff0000' },
+    clocks: { ...storedShape()._fieldClocks, x: [4, 'player'], fillColor: [4, 'player'] }
+  };
+  const result = resolveReplay(entry, stored, stored._fieldClocks, isGM);
+  assert.equal(result.apply, true);
+  assert.equal(result.conflict, true);
+  assert.equal(result.merged.x, 300);
+  assert.equal(result.merged.fillColor, '#00ff00');
+  assert.deepEqual(result.clocks.fillColor, [6, 'gm']);
+});
+
+test('update of an object GM deleted is a conflict', () => {
+  const entry = { op: 'updated', data: storedShape(), clocks: { x: [4, 'player'] } };
+  assert.deepEqual(resolveReplay(entry, null, {}, isGM), { apply: false, conflict: true });
+});
+
+test('offline deletion is applied unless GM has writes the player had not seen', () => {
+  const stored = storedShape();
+  const entry = { op: 'deleted', data: null, clocks: { ...stored._fieldClocks } };
+  assert.deepEqual(resolveReplay(entry, stored, stored._fieldClocks, isGM), { apply: true, conflict: false });
+
+  stored._fieldClocks.strokeWidth = [5, 'gm'];
+  assert.deepEqual(resolveReplay(entry, stored, stored._fieldClocks, isGM), { apply: false, conflict: true });
+});
+
+test('creation is applied once', () => {
+  const entry = { op: 'created', data: storedShape(), clocks: {} };
+  assert.deepEqual(resolveReplay(entry, null, {}, isGM), { apply: true, conflict: false });
+  assert.deepEqual(resolveReplay(entry, storedShape(), {}, isGM), { apply: false, conflict: false });
+});
+
+test('entries queued without stamps never overwrite stamped fields', () => {
+  const stored = storedShape();
+  const entry = { op: 'updated', data: { ...stored, x: 999 } };
+  const result = resolveReplay(entry, stored, stored._fieldClocks, isGM);
+  assert.equal(result.apply, false);
+  assert.equal(result.conflict, true);
+  assert.equal(result.merged.x, 100);
+});
+
+test('merge keeps unclocked fields of the stored object and follows zIndex with rank', () => {
+  const { merged } = mergeFields(
+    { id: 'a', type: 'note', rank: 'a0', zIndex: 1, text: 'old' },
+    { rank: [1, 'gm'], text: [1, 'gm'] },
+    { id: 'b', type: 'shape', rank: 'a5', zIndex: 7, text: 'new' },
+    { rank: [2, 'player'], text: [2, 'player'] },
+    isGM
+  );
+  assert.deepEqual(merged, { id: 'a', type: 'note', rank: 'a5', zIndex: 7, text: 'new' });
+});
+
+test('off-page writes: two players editing different fields both keep their edit', () => {
+  const stored = storedShape();
+  // Player A moved the shape - written first
+  const first = mergeFields(stored, stored._fieldClocks, { ...storedShape(), x: 500 }, { ...stored._fieldClocks, x: [4, 'alice'] }, isGM);
+  const afterFirst = { ...first.merged, _fieldClocks: first.clocks };
+  // Player B recolored it from the snapshot taken before A's move
+  const second = mergeFields(afterFirst, afterFirst._fieldClocks, { ...storedShape(), fillColor: '#123456' }, { ...stored._fieldClocks, fillColor: [4, 'bob'] }, isGM);
+  assert.equal(second.merged.x, 500);
+  assert.equal(second.merged.fillColor, '#123456');
+  assert.deepEqual(second.rejected, ['x']);
+});